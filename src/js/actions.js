@@ -1,19 +1,36 @@
 // @flow
-/* globals alert */
+/* globals alert, screen */
 import * as utils from './utils'
 import * as prefs from './preferences'
+import * as storageMigration from './storageMigration'
 import tabliBrowser from './chromeBrowser'
 import * as Constants from './components/constants'
-import { TabItem, TabWindow} from './tabWindow' // eslint-disable-line
+import { TabItem, TabWindow, TabGroup, TAB_GROUP_ID_NONE, makeFolderTabWindow, restoreSnapshot, syncedBookmarkOrder } from './tabWindow'
+import * as Immutable from 'immutable'
 import type { Ref } from 'oneref'
 import TabManagerState from './tabManagerState'
+import * as sessionMatcher from './sessionMatcher'
+import * as tabSelection from './tabSelection'
+import * as tabOrder from './tabOrder'
+import * as windowGeometry from './windowGeometry'
+import { WindowMetadata, metadataToJS, metadataFromJS } from './windowMetadata'
+import type { Bounds } from './windowGeometry'
+import { activeItemIndex, lazyTabsCreateProps } from './lazyTab'
+import * as backup from './backup'
+import type { ImportedWindow } from './tabImport'
+import type { SnapshotWindow } from './sessionSnapshots'
+import * as bookmarkConsistency from './bookmarkConsistency'
+import type { ConsistencyIssue } from './bookmarkConsistency'
+import * as savedWindowProvider from './savedWindowProvider'
+import type { SavedWindowProvider, BookmarkNode } from './savedWindowProvider'
+import { encodeWindowState, writeWindowStates } from './savedWindowState'
+import * as undo from './undo'
+import type { UndoBookmark, UndoEntry, UndoOp, UndoTab } from './undo'
 import ChromePromise from 'chrome-promise'
 const chromep = ChromePromise
 
 type TabId = number
 
-const USER_PREFS_KEY = 'UserPreferences'
-
 const TABLI_ABOUT_URL = 'http://www.gettabli.com/contact.html'
 const TABLI_HELP_URL = 'http://www.gettabli.com/tabli-usage.html'
 const TABLI_REVIEW_URL = 'https://chrome.google.com/webstore/detail/tabli/igeehkedfibbnhbfponhjjplpkeomghi/reviews'
@@ -22,6 +39,33 @@ const TABLI_FEEDBACK_URL = 'mailto:tabli-feedback@antonycourtney.com'
 type WindowId = number
 type TMSRef = Ref<TabManagerState>
 
+// a multi-selection of tabs, as [TabWindow, TabItem] pairs:
+type TabSelection = Array<[TabWindow, TabItem]>
+
+/*
+ * provider for storage of saved windows, as chosen in user preferences
+ */
+const getProvider = (storeRef: TMSRef): SavedWindowProvider =>
+  savedWindowProvider.getProvider(storeRef.getValue().preferences.savedWindowStorage)
+
+/*
+ * record how to undo an action (see undo.js)
+ */
+const pushUndo = (description: string, ops: Array<UndoOp>, storeRef: TMSRef) => {
+  storeRef.update(st => st.pushUndo(undo.mkUndoEntry(description, ops)))
+}
+
+/*
+ * re-read the bookmark folder of a saved window after changes to its bookmarks
+ */
+const resyncSavedWindowFolder = async (folderId: string, storeRef: TMSRef) => {
+  const folder = await getProvider(storeRef).getFolder(folderId)
+  storeRef.update(state => {
+    const savedWindow = state.getSavedWindowByBookmarkId(folderId)
+    return savedWindow ? state.syncBookmarkFolder(savedWindow, folder) : state
+  })
+}
+
 /**
  * sync a single Chrome window by its Chrome window id
  *
@@ -62,34 +106,214 @@ export const syncCurrent = async (storeRef: TMSRef): TabManagerState => {
     return storeRef.getValue()
   }
 }
+/**
+ * get the tab groups of an open Chrome window and synchronize with our store
+ */
+export const syncTabGroupsById = async (windowId: WindowId, storeRef: TMSRef): TabManagerState => {
+  if (!chrome.tabGroups) {
+    return storeRef.getValue()
+  }
+  const chromeGroups = await chromep.tabGroups.query({ windowId })
+  storeRef.update(state => {
+    const tabWindow = state.getTabWindowByChromeId(windowId)
+    return tabWindow ? state.syncTabGroups(tabWindow, chromeGroups) : state
+  })
+  return storeRef.getValue()
+}
+
+/**
+ * get tab groups for all open Chrome windows and synchronize with our store
+ */
+export const syncAllTabGroups = async (storeRef: TMSRef): TabManagerState => {
+  if (!chrome.tabGroups) {
+    return storeRef.getValue()
+  }
+  const chromeGroups = await chromep.tabGroups.query({})
+  const windowGroups = Immutable.Seq(chromeGroups).groupBy(cg => cg.windowId)
+  storeRef.update(state => {
+    const openWindows = state.getOpen()
+    return openWindows.reduce((st, tw) => {
+      const groups = windowGroups.get(tw.openWindowId, Immutable.List()).toArray()
+      return st.syncTabGroups(tw, groups)
+    }, state)
+  })
+  return storeRef.getValue()
+}
+
+/**
+ * read recently closed Chrome sessions, and match closed, saved windows with
+ * them so that they can be restored with chrome.sessions.restore
+ */
+export const syncSessions = async (storeRef: TMSRef): TabManagerState => {
+  try {
+    const recentlyClosed = await chromep.sessions.getRecentlyClosed({})
+    storeRef.update(state => {
+      const sessionIdMap = sessionMatcher.matchSavedWindowSessions(state.getAll(), recentlyClosed)
+      return state.setChromeSessionIds(sessionIdMap).setRecentlyClosedSessions(recentlyClosed)
+    })
+  } catch (e) {
+    console.error('syncSessions: error reading recently closed sessions: ', e)
+  }
+  return storeRef.getValue()
+}
+
+/**
+ * Re-create the tab groups of a snapshot in a newly opened window.
+ *
+ * targetItems are the tab items whose URLs were used to create chromeWindow,
+ * so they appear in the same order as chromeWindow.tabs
+ */
+const restoreTabGroups = async (
+  tabWindow: TabWindow,
+  targetItems: Immutable.List<TabItem>,
+  chromeWindow: Object) => {
+  if (!chrome.tabGroups || !chromeWindow.tabs) {
+    return
+  }
+  // Map from (stale) snapshot groupId to ids of newly created tabs:
+  let groupTabIds = Immutable.OrderedMap()
+  targetItems.forEach((ti, i) => {
+    const tab = chromeWindow.tabs[i]
+    if (tab && ti.groupId !== TAB_GROUP_ID_NONE) {
+      groupTabIds = groupTabIds.update(ti.groupId, Immutable.List(), ids => ids.push(tab.id))
+    }
+  })
+  for (let [snapGroupId, tabIds] of groupTabIds.entries()) {
+    try {
+      const createProperties = { windowId: chromeWindow.id }
+      const groupId = await chromep.tabs.group({ tabIds: tabIds.toArray(), createProperties })
+      const tabGroup = tabWindow.getTabGroup(snapGroupId)
+      if (tabGroup) {
+        const { title, color, collapsed } = tabGroup
+        await chromep.tabGroups.update(groupId, { title, color, collapsed })
+      }
+    } catch (e) {
+      console.error('restoreTabGroups: error restoring tab group: ', e)
+    }
+  }
+}
+
+/*
+ * Re-create pinned tabs and the active tab of a snapshot or saved window in
+ * a newly opened window; as for restoreTabGroups, targetItems appear in the
+ * same order as chromeWindow.tabs
+ */
+const restoreTabStates = async (
+  targetItems: Immutable.List<TabItem>,
+  activeIndex: number,
+  chromeWindow: Object) => {
+  const tabs = chromeWindow.tabs || []
+  const pinnedTabs = tabs.filter((tab, i) => i < targetItems.count() && targetItems.get(i).pinned)
+  for (let tab of pinnedTabs) {
+    await chromep.tabs.update(tab.id, { pinned: true })
+  }
+  const activeTab = tabs[activeIndex]
+  if (activeTab && !activeTab.active) {
+    await chromep.tabs.update(activeTab.id, { active: true })
+  }
+}
+
+/*
+ * create placeholder tabs for targetItems in window windowId, other than the
+ * tab at activeIndex that the window already has, so that each only loads
+ * when first activated (see lazyTab.js)
+ */
+const createLazyTabs = async (windowId: WindowId, targetItems: Immutable.List<TabItem>, activeIndex: number) => {
+  for (let createProps of lazyTabsCreateProps(windowId, targetItems, activeIndex)) {
+    await chromep.tabs.create(createProps)
+  }
+}
+
+/*
+ * work areas (screen bounds, less task bars, docks, etc.) of all displays
+ */
+const getDisplayWorkAreas = async (): Promise<Array<Bounds>> => {
+  if (chrome.system && chrome.system.display) {
+    const displays = await chromep.system.display.getInfo()
+    return displays.map(d => d.workArea)
+  }
+  return [{ left: screen.availLeft || 0, top: screen.availTop || 0, width: screen.availWidth, height: screen.availHeight }]
+}
+
+/*
+ * bounds for re-opening a saved window where it was when closed, clamped to
+ * the current displays, or null if not known
+ */
+const savedWindowBounds = async (tabWindow: TabWindow): Promise<?Bounds> => {
+  const geometry = tabWindow.savedGeometry
+  if (!geometry) {
+    return null
+  }
+  const { left, top, width, height } = geometry
+  return windowGeometry.clampBounds({ left, top, width, height }, await getDisplayWorkAreas())
+}
+
 /**
  * restoreFromAppState
  *
  * Restore a saved window using only App state.
  * Fallback for when no session id available or session restore fails
+ *
+ * The window is re-opened where it was when closed, if known. Tabs are
+ * re-opened in order, with their tab groups, pinned tabs and previously
+ * active tab. With lazyRestore, only the active tab is loaded,
+ * and the other tabs load when first activated.
  */
 const restoreFromAppState = (
   lastFocusedTabWindow: TabWindow,
   tabWindow: TabWindow,
   revertOnOpen: boolean,
+  lazyRestore: boolean,
   mbTab: ?TabItem,
   storeRef: TMSRef) => {
   const attachWindow = (chromeWindow) => {
     storeRef.update((state) => state.attachChromeWindow(tabWindow, chromeWindow))
   }
+  const logRestoreError = (e) => {
+    console.error('restoreFromAppState: error restoring window: ', e)
+  }
+
+  /*
+   * restore tab state of targetItems once all tabs have been created, and attach window
+   */
+  const finishRestore = async (windowId: WindowId, targetItems: ?Immutable.List<TabItem>, activeIndex: number) => {
+    const state = tabWindow.savedGeometry ? windowGeometry.restoredState(tabWindow.savedGeometry) : null
+    if (state) {
+      await chromep.windows.update(windowId, { state })
+    }
+    const chromeWindow = await chromep.windows.get(windowId, { populate: true })
+    if (!targetItems) {
+      attachWindow(chromeWindow)
+      return
+    }
+    const hasTabGroups = targetItems.some(ti => ti.groupId !== TAB_GROUP_ID_NONE)
+    if (hasTabGroups) {
+      await restoreTabGroups(tabWindow, targetItems, chromeWindow)
+    }
+    await restoreTabStates(targetItems, activeIndex, chromeWindow)
+    // re-read window so that tabs reflect their restored state:
+    const restoredWindow = await chromep.windows.get(windowId, { populate: true })
+    attachWindow(restoredWindow)
+    if (hasTabGroups) {
+      syncTabGroupsById(windowId, storeRef).catch(e => {
+        console.error('restoreFromAppState: error syncing tab groups: ', e)
+      })
+    }
+  }
 
   /*
    * special case handling of replacing the contents of a fresh window
    */
-  chrome.windows.getLastFocused({ populate: true }, (currentChromeWindow) => {
+  chrome.windows.getLastFocused({ populate: true }, async (currentChromeWindow) => {
     let urls
+    let targetItems = null
     if (mbTab) {
       console.log('restore saved window: restoring single tab: ', mbTab.toJS())
       urls = [ mbTab.url ]
     } else {
       const tabItems = tabWindow.tabItems
       // If a snapshot, only use tabItems that were previously open:
-      let targetItems = tabWindow.snapshot ? tabItems.filter(ti => ti.open) : tabItems
+      targetItems = tabWindow.snapshot ? tabItems.filter(ti => ti.open) : tabItems
 
       if (revertOnOpen) {
         // So revertOnOpen something of a misnomer. If a snapshot available,
@@ -103,59 +327,166 @@ const restoreFromAppState = (
       }
       urls = targetItems.map((ti) => ti.url).toArray()
     }
+    const lazy = lazyRestore && targetItems != null && urls.length > 1
+    const activeIndex = targetItems ? activeItemIndex(targetItems) : 0
+    const savedBounds = await savedWindowBounds(tabWindow).catch(e => {
+      // just open the window with default bounds:
+      console.warn('restoreFromAppState: could not get saved window bounds: ', e)
+      return null
+    })
     if (currentChromeWindow.tabs &&
       (currentChromeWindow.tabs.length === 1) &&
       (currentChromeWindow.tabs[0].url === 'chrome://newtab/') &&
       (currentChromeWindow.id != null) &&
       (currentChromeWindow.tabs[0].id != null)) {
       // console.log("found new window -- replacing contents")
-      var origTabId = currentChromeWindow.tabs[0].id
-
-      // new window -- replace contents with urls:
-      // TODO: replace this loop with call to utils.seqActions
-      for (var i = 0; i < urls.length; i++) {
-        // First use our existing tab:
-        if (i === 0) {
-          chrome.tabs.update(origTabId, { url: urls[i] })
+      const origTabId = currentChromeWindow.tabs[0].id
+      const windowId = currentChromeWindow.id
+
+      const replaceContents = async () => {
+        if (savedBounds) {
+          await chromep.windows.update(windowId, savedBounds)
+        }
+        if (lazy && targetItems) {
+          // use our existing tab for the active tab:
+          await chromep.tabs.update(origTabId, { url: urls[activeIndex] })
+          await createLazyTabs(windowId, targetItems, activeIndex)
         } else {
-          const tabInfo = { windowId: currentChromeWindow.id, url: urls[i] }
-          chrome.tabs.create(tabInfo)
+          // First use our existing tab:
+          await chromep.tabs.update(origTabId, { url: urls[0] })
+          for (let i = 1; i < urls.length; i++) {
+            await chromep.tabs.create({ windowId, url: urls[i] })
+          }
         }
+        await finishRestore(windowId, targetItems, activeIndex)
       }
-
-      chrome.windows.get(currentChromeWindow.id, { populate: true }, attachWindow)
+      replaceContents().catch(logRestoreError)
     } else {
       // normal case -- create a new window for these urls:
       var createData = {
-        url: urls,
+        url: lazy ? urls[activeIndex] : urls,
         focused: true,
         type: 'normal',
         width: Constants.BROWSER_DEFAULT_WIDTH,
         height: Constants.BROWSER_DEFAULT_HEIGHT
       }
-      if (lastFocusedTabWindow) {
+      if (savedBounds) {
+        Object.assign(createData, savedBounds)
+      } else if (lastFocusedTabWindow) {
         createData.width = lastFocusedTabWindow.width
         createData.height = lastFocusedTabWindow.height
       }
       console.log('restoreFromAppState: creating windows: ', createData)
-      chrome.windows.create(createData, attachWindow)
+      chrome.windows.create(createData, async (chromeWindow) => {
+        try {
+          if (lazy && targetItems) {
+            await createLazyTabs(chromeWindow.id, targetItems, activeIndex)
+          }
+          await finishRestore(chromeWindow.id, targetItems, activeIndex)
+        } catch (e) {
+          logRestoreError(e)
+        }
+      })
     }
   })
 }
 
+/**
+ * restoreFromSession
+ *
+ * Restore a saved window from its matching recently closed Chrome session,
+ * which (unlike restoreFromAppState) preserves tab history and form state.
+ *
+ * returns: Promise<boolean> -- true iff the window was restored
+ */
+const restoreFromSession = async (tabWindow: TabWindow, storeRef: TMSRef): Promise<boolean> => {
+  try {
+    const session = await chromep.sessions.restore(tabWindow.chromeSessionId)
+    if (!session || !session.window) {
+      console.warn('restoreFromSession: restored session is not a window: ', session)
+      return false
+    }
+    const chromeWindow = await chromep.windows.get(session.window.id, { populate: true })
+    storeRef.update((state) => state.attachChromeWindow(tabWindow, chromeWindow))
+    syncTabGroupsById(chromeWindow.id, storeRef).catch(e => {
+      console.error('restoreFromSession: error syncing tab groups: ', e)
+    })
+    return true
+  } catch (e) {
+    console.warn('restoreFromSession: session restore failed: ', e)
+    return false
+  }
+}
+
 /**
  * restore a bookmark window.
  *
+ * Uses the matching Chrome session if there is one, falling back to
+ * App state otherwise.
+ *
  * N.B.: NOT exported; called from openWindow
  */
-function restoreBookmarkWindow (
+async function restoreBookmarkWindow (
   lastFocusedTabWindow: TabWindow,
   tabWindow: TabWindow,
   mbTab: ?TabItem,
   storeRef: TMSRef) {
   console.log('restoreBookmarkWindow: restoring "' + tabWindow.title + '"')
+  // Only restore the full session when restoring the whole window:
+  if (!mbTab && tabWindow.chromeSessionId) {
+    const restored = await restoreFromSession(tabWindow, storeRef)
+    if (restored) {
+      return
+    }
+  }
   const st = storeRef.getValue()
-  restoreFromAppState(lastFocusedTabWindow, tabWindow, st.preferences.revertOnOpen, mbTab, storeRef)
+  const { revertOnOpen, lazyRestore } = st.preferences
+  restoreFromAppState(lastFocusedTabWindow, tabWindow, revertOnOpen, lazyRestore, mbTab, storeRef)
+}
+
+/**
+ * restore a recently closed (unsaved) window, or a single tab from the
+ * pseudo-window of recently closed tabs.
+ *
+ * Uses the Chrome session if there is one, falling back to re-opening
+ * the window's URLs otherwise. A single tab of a window logged by Tabli
+ * (which has no session of its own) is re-opened on its own.
+ *
+ * N.B.: NOT exported; called from openWindow and activateTab
+ */
+async function restoreRecentlyClosed (
+  tabWindow: TabWindow,
+  mbTab: ?TabItem,
+  storeRef: TMSRef) {
+  const tabSessionId = (mbTab && mbTab.open) ? mbTab.safeOpenState.chromeSessionId : null
+  const sessionId = tabSessionId || tabWindow.chromeSessionId
+  console.log('restoreRecentlyClosed: restoring "' + tabWindow.title + '", session: ', sessionId)
+  if (mbTab && !tabSessionId) {
+    // only a window session, which would restore the whole window:
+    await chromep.tabs.create({ url: mbTab.url, active: true })
+    storeRef.update(state => state.removeClosedWindowLogTab(tabWindow, mbTab))
+    return
+  }
+  let restored = false
+  if (sessionId) {
+    try {
+      await chromep.sessions.restore(sessionId)
+      restored = true
+    } catch (e) {
+      console.warn('restoreRecentlyClosed: session restore failed: ', e)
+    }
+  }
+  if (!restored) {
+    if (mbTab) {
+      await chromep.tabs.create({ url: mbTab.url, active: true })
+    } else {
+      const urls = tabWindow.tabItems.map(ti => ti.url).toArray()
+      await chromep.windows.create({ url: urls, focused: true, type: 'normal' })
+    }
+  }
+  storeRef.update(state => mbTab
+    ? state.removeClosedWindowLogTab(tabWindow, mbTab)
+    : state.removeClosedWindowLogEntry(tabWindow))
 }
 
 export function openWindow (
@@ -168,6 +499,9 @@ export function openWindow (
     chrome.windows.update(targetTabWindow.openWindowId, { focused: true })
 
   // TODO: update focus in winStore
+  } else if (!targetTabWindow.saved) {
+    // recently closed window
+    restoreRecentlyClosed(targetTabWindow, null, storeRef)
   } else {
     // bookmarked window -- need to open it!
     restoreBookmarkWindow(lastFocusedTabWindow, targetTabWindow, null, storeRef)
@@ -177,7 +511,11 @@ export function openWindow (
 export const closeTab = async (origTabWindow: TabWindow, tabId: TabId, storeRef: TMSRef): TabManagerState => {
   const origTabCount = origTabWindow.openTabCount
   const chromeWindowId = origTabWindow.openWindowId
+  const tabItem = origTabWindow.tabItems.find(ti => ti.open && ti.safeOpenState.openTabId === tabId)
   await chromep.tabs.remove(tabId)
+  if (tabItem) {
+    pushUndo('Closed tab "' + tabItem.title + '"', [undo.reopenTabsOp(origTabWindow, [tabItem])], storeRef)
+  }
   if (origTabCount === 1) {
     storeRef.update((state) => {
       const tabWindow = state.getTabWindowByChromeId(chromeWindowId)
@@ -201,25 +539,48 @@ export const closeTab = async (origTabWindow: TabWindow, tabId: TabId, storeRef:
   return storeRef.getValue()
 }
 
-export function saveTab (tabWindow: TabWindow, tabItem: TabItem, storeRef: TMSRef) {
-  const tabMark = { parentId: tabWindow.savedFolderId, title: tabItem.title, url: tabItem.url }
-  chrome.bookmarks.create(tabMark, (tabNode) => {
-    storeRef.update((state) => state.handleTabSaved(tabWindow, tabItem, tabNode))
-  })
+export async function saveTab (tabWindow: TabWindow, tabItem: TabItem, storeRef: TMSRef) {
+  const tabNode = await getProvider(storeRef).createBookmark(tabWindow.savedFolderId, tabItem.title, tabItem.url)
+  storeRef.update((state) => state.handleTabSaved(tabWindow, tabItem, tabNode))
 }
 
-export function unsaveTab (tabWindow: TabWindow, tabItem: TabItem, storeRef: TMSRef) {
-  chrome.bookmarks.remove(tabItem.safeSavedState.bookmarkId, () => {
-    storeRef.update((state) => state.handleTabUnsaved(tabWindow, tabItem))
-  })
+export async function unsaveTab (tabWindow: TabWindow, tabItem: TabItem, storeRef: TMSRef) {
+  await getProvider(storeRef).removeBookmark(tabItem.safeSavedState.bookmarkId)
+  storeRef.update((state) => state.handleTabUnsaved(tabWindow, tabItem))
+  pushUndo('Removed bookmark "' + tabItem.title + '"', [undo.createBookmarksOp(tabWindow, [tabItem])], storeRef)
+}
+
+/*
+ * close an open window without recording an undo entry
+ */
+const removeWindow = async (tabWindow: TabWindow, storeRef: TMSRef): TabManagerState => {
+  await chromep.windows.remove(tabWindow.openWindowId)
+  storeRef.update((state) => state.handleTabWindowClosed(tabWindow))
+  return storeRef.getValue()
 }
 
 export const closeWindow = async (tabWindow: TabWindow, storeRef: TMSRef): TabManagerState => {
   if (!tabWindow.open) {
     console.log('closeWindow: request to close non-open window, ignoring...')
   } else {
-    await chromep.windows.remove(tabWindow.openWindowId)
-    storeRef.update((state) => state.handleTabWindowClosed(tabWindow))
+    await removeWindow(tabWindow, storeRef)
+    pushUndo('Closed window "' + tabWindow.title + '"', [undo.reopenWindowOp(tabWindow)], storeRef)
+  }
+  return storeRef.getValue()
+}
+
+/*
+ * collapse or expand a tab group.
+ *
+ * For open windows we just update the Chrome tab group, and state is updated
+ * in response to the resulting tabGroups.onUpdated event.
+ */
+export const setTabGroupCollapsed = async (tabWindow: TabWindow, tabGroup: TabGroup,
+  collapsed: boolean, storeRef: TMSRef): TabManagerState => {
+  if (tabWindow.open && chrome.tabGroups) {
+    await chromep.tabGroups.update(tabGroup.groupId, { collapsed })
+  } else {
+    storeRef.update(state => state.handleTabGroupUpdated(tabWindow, tabGroup.set('collapsed', collapsed)))
   }
   return storeRef.getValue()
 }
@@ -265,6 +626,8 @@ export function activateTab (
       chrome.tabs.create(createOpts, () => {
       })
     }
+  } else if (!targetTabWindow.saved) {
+    restoreRecentlyClosed(targetTabWindow, tab, storeRef)
   } else {
     console.log('activateTab: opening single tab of saved window')
     // TODO: insert our own callback so we can activate chosen tab after opening window!
@@ -272,34 +635,55 @@ export function activateTab (
   }
 }
 
-export function revertWindow (tabWindow: TabWindow, storeRef: TMSRef) {
+export async function revertWindow (tabWindow: TabWindow, storeRef: TMSRef) {
   /*
    * We used to reload saved tabs, but this is slow, could lose tab state, and doesn't deal gracefully with
    * pinned tabs.
    * Instead we'll try just removing the unsaved tabs and re-opening any saved, closed tabs.
    * This has the downside of not removing duplicates of any saved tabs.
    */
-  const unsavedOpenTabIds = tabWindow.tabItems.filter((ti) => ti.open && !ti.saved).map((ti) => ti.safeOpenState.openTabId).toArray()
+  const unsavedOpenItems = tabWindow.tabItems.filter((ti) => ti.open && !ti.saved).toArray()
+  const unsavedOpenTabIds = unsavedOpenItems.map((ti) => ti.safeOpenState.openTabId)
   const savedClosedUrls = tabWindow.tabItems.filter((ti) => !ti.open && ti.saved).map((ti) => ti.safeSavedState.url).toArray()
 
   // re-open saved URLs:
   // We need to do this before removing tab ids or window could close if all unsaved
-  for (var i = 0; i < savedClosedUrls.length; i++) {
-    // need to open it:
-    var tabInfo = { windowId: tabWindow.openWindowId, url: savedClosedUrls[i] }
-    chrome.tabs.create(tabInfo)
+  const openedTabIds = []
+  for (let url of savedClosedUrls) {
+    const tab = await chromep.tabs.create({ windowId: tabWindow.openWindowId, url })
+    openedTabIds.push(tab.id)
   }
 
   // blow away all the unsaved open tabs:
-  chrome.tabs.remove(unsavedOpenTabIds, () => {
-    syncChromeWindowById(tabWindow.openWindowId, storeRef)
-  })
+  await chromep.tabs.remove(unsavedOpenTabIds)
+  syncChromeWindowById(tabWindow.openWindowId, storeRef)
+  // undo in reverse order, so that window stays open:
+  pushUndo('Reverted window "' + tabWindow.title + '"',
+    [undo.reopenTabsOp(tabWindow, unsavedOpenItems), undo.closeTabsOp(openedTabIds)], storeRef)
+}
+
+type BookmarkSpec = { title: string, url: string }
+
+/*
+ * create a saved window bookmark folder with a bookmark for each distinct url
+ * returns: Promise<BookmarkTreeNode> -- the folder node, with children populated
+ */
+const createWindowFolder = async (provider: SavedWindowProvider, tabliFolderId: string, title: string,
+  bookmarks: Array<BookmarkSpec>): Promise<Object> => {
+  const windowFolderNode = await provider.createFolder(tabliFolderId, title)
+  // We'll only take the first bookmark for each url:
+  const uniqBookmarks = Immutable.Seq(bookmarks).groupBy(bm => bm.url).toIndexedSeq().map(vs => vs.first()).toArray()
+  for (let bm of uniqBookmarks) {
+    await provider.createBookmark(windowFolderNode.id, bm.title, bm.url)
+  }
+  // Now do an explicit get of folder to get node populated with children
+  return provider.getFolder(windowFolderNode.id)
 }
 
 /*
  * save the specified tab window and make it a managed window
  */
-export function manageWindow (
+export async function manageWindow (
   tabliFolderId: string,
   currentWindowId: number,
   tabWindow: TabWindow,
@@ -311,39 +695,30 @@ export function manageWindow (
     alert('Could not save bookmarks -- no tab manager folder')
   }
 
-  var windowFolder = {parentId: tabliFolderId, title}
-  chrome.bookmarks.create(windowFolder, (windowFolderNode) => {
-    // console.log( "succesfully created bookmarks folder ", windowFolderNode )
-    // console.log( "for window: ", tabWindow )
-
-    // We'll groupBy and then take the first item of each element of the sequence:
-    const uniqTabItems = tabWindow.tabItems.groupBy((ti) => ti.url).toIndexedSeq().map((vs) => vs.get(0)).toArray()
-
-    var bookmarkActions = uniqTabItems.map((tabItem) => {
-      function makeBookmarkAction (v, cf) {
-        const tabMark = { parentId: windowFolderNode.id, title: tabItem.title, url: tabItem.url }
-        chrome.bookmarks.create(tabMark, cf)
-      }
-
-      return makeBookmarkAction
-    })
+  const tabMarks = tabWindow.tabItems.map(ti => ({ title: ti.title, url: ti.url })).toArray()
+  const fullFolderNode = await createWindowFolder(getProvider(storeRef), tabliFolderId, title, tabMarks)
 
-    utils.seqActions(bookmarkActions, null, () => {
-      // Now do an explicit get of subtree to get node populated with children
-      chrome.bookmarks.getSubTree(windowFolderNode.id, (folderNodes) => {
-        var fullFolderNode = folderNodes[0]
+  // We'll retrieve the latest chrome Window state and attach that:
+  const chromeWindow = await chromep.windows.get(tabWindow.openWindowId, { populate: true })
+  storeRef.update((state) => state.attachBookmarkFolder(fullFolderNode, chromeWindow))
+}
 
-        // We'll retrieve the latest chrome Window state and attach that:
-        chrome.windows.get(tabWindow.openWindowId, { populate: true }, (chromeWindow) => {
-          storeRef.update((state) => state.attachBookmarkFolder(fullFolderNode, chromeWindow))
-        })
-      })
-    })
-  })
+/**
+ * save windows imported from another tab manager (see tabImport.js) as
+ * closed, saved windows
+ */
+export const importWindows = async (importedWindows: Array<ImportedWindow>,
+  storeRef: TMSRef): TabManagerState => {
+  const tabliFolderId = storeRef.getValue().folderId
+  for (let iw of importedWindows) {
+    const fullFolderNode = await createWindowFolder(getProvider(storeRef), tabliFolderId, iw.title, iw.tabs)
+    storeRef.update(state => state.registerTabWindow(makeFolderTabWindow(fullFolderNode)))
+  }
+  return storeRef.getValue()
 }
 
 /* stop managing the specified window...move all bookmarks for this managed window to Recycle Bin */
-export function unmanageWindow (archiveFolderId: string, tabWindow: TabWindow, storeRef: TMSRef) {
+export async function unmanageWindow (archiveFolderId: string, tabWindow: TabWindow, storeRef: TMSRef) {
   // console.log("unmanageWindow: ", tabWindow.toJS())
   if (!archiveFolderId) {
     alert('could not move managed window folder to archive -- no archive folder')
@@ -351,10 +726,67 @@ export function unmanageWindow (archiveFolderId: string, tabWindow: TabWindow, s
   }
 
   // Could potentially disambiguate names in archive folder...
-  chrome.bookmarks.move(tabWindow.savedFolderId, { parentId: archiveFolderId }, () => {
-    // console.log("unmanageWindow: bookmark folder moved to archive folder")
-    storeRef.update((state) => state.unmanageWindow(tabWindow))
-  })
+  await getProvider(storeRef).archiveFolder(tabWindow.savedFolderId, archiveFolderId)
+  // console.log("unmanageWindow: bookmark folder moved to archive folder")
+  storeRef.update((state) => state.unmanageWindow(tabWindow))
+  pushUndo('Stopped managing "' + tabWindow.title + '"', [undo.restoreFolderOp(tabWindow)], storeRef)
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * folders of windows in the archive (see unmanageWindow), most recently archived first
+ */
+export const getArchivedWindows = async (storeRef: TMSRef): Promise<Array<BookmarkNode>> => {
+  const archiveFolderId = storeRef.getValue().archiveFolderId
+  const folders = await getProvider(storeRef).getArchivedFolders(archiveFolderId)
+  return folders.sort((a, b) => (b.dateArchived || 0) - (a.dateArchived || 0))
+}
+
+/**
+ * move an archived window back to the saved windows
+ */
+export const restoreArchivedWindow = async (folderId: string, storeRef: TMSRef): TabManagerState => {
+  const tabliFolderId = storeRef.getValue().folderId
+  const provider = getProvider(storeRef)
+  const folder = await provider.restoreFolder(folderId, tabliFolderId)
+  const folderMetadata = await provider.readMetadata([folderId])
+  const tabWindow = makeFolderTabWindow(folder).set('metadata', metadataFromJS(folderMetadata[folderId]))
+  storeRef.update(state => state.registerTabWindow(tabWindow))
+  return storeRef.getValue()
+}
+
+/**
+ * open the tabs of an archived window, leaving it in the archive
+ */
+export const openArchivedWindow = async (folder: BookmarkNode) => {
+  const urls = (folder.children || []).filter(bm => bm.url != null).map(bm => bm.url)
+  await chromep.windows.create({ url: urls, focused: true, type: 'normal' })
+}
+
+/**
+ * permanently delete an archived window
+ */
+export const deleteArchivedWindow = async (folderId: string, storeRef: TMSRef) => {
+  await getProvider(storeRef).removeFolder(folderId)
+}
+
+/**
+ * permanently delete all windows archived more than olderThanDays days ago
+ *
+ * returns: Promise<number> -- number of windows deleted
+ */
+export const emptyArchive = async (olderThanDays: number, storeRef: TMSRef): Promise<number> => {
+  if (!Number.isFinite(olderThanDays) || olderThanDays <= 0) {
+    throw new Error('emptyArchive: invalid number of days: ' + olderThanDays)
+  }
+  const cutoffTime = Date.now() - olderThanDays * DAY_MS
+  const folders = await getArchivedWindows(storeRef)
+  const expiredFolders = folders.filter(folder => (folder.dateArchived || 0) < cutoffTime)
+  for (let folder of expiredFolders) {
+    await getProvider(storeRef).removeFolder(folder.id)
+  }
+  return expiredFolders.length
 }
 
 export async function setWindowTitle (title: string, tabWindow: TabWindow, storeRef: TMSRef) {
@@ -362,13 +794,176 @@ export async function setWindowTitle (title: string, tabWindow: TabWindow, store
     console.error('attempt to set window title on unsaved window: ', tabWindow.toJS())
   }
   try {
-    await chromep.bookmarks.update(tabWindow.savedFolderId, {title})
+    await getProvider(storeRef).setFolderTitle(tabWindow.savedFolderId, title)
     console.log('setWindowTitle: updated window title')
+    // Only bookmark folder changes are reported by chrome.bookmarks events:
+    if (!getProvider(storeRef).handlesExternalChanges) {
+      storeRef.update(st => {
+        const savedWindow = st.getSavedWindowByBookmarkId(tabWindow.savedFolderId)
+        return savedWindow ? st.updateSavedWindowTitle(savedWindow, title) : st
+      })
+    }
   } catch (err) {
     console.error('error updating window title: ', err)
   }
 }
 
+/**
+ * set the metadata (tags, description, notes and color) of a saved window
+ *
+ * Metadata is stored by the saved window provider (see windowMetadata.js)
+ */
+export async function setWindowMetadata (metadata: WindowMetadata, tabWindow: TabWindow, storeRef: TMSRef) {
+  if (!tabWindow.saved) {
+    console.error('attempt to set metadata of unsaved window: ', tabWindow.toJS())
+    return
+  }
+  const folderId = tabWindow.savedFolderId
+  try {
+    await getProvider(storeRef).writeMetadata(folderId, metadata.isEmpty ? null : metadataToJS(metadata))
+    storeRef.update(st => {
+      const savedWindow = st.getSavedWindowByBookmarkId(folderId)
+      return savedWindow ? st.registerTabWindow(savedWindow.set('metadata', metadata)) : st
+    })
+  } catch (err) {
+    console.error('error updating window metadata: ', err)
+  }
+}
+
+/*
+ * open a new window with the given tabs, pinning those that were pinned
+ */
+const openTabsWindow = async (tabs: Array<{ url: string, pinned: boolean }>,
+  createData: Object): Promise<Object> => {
+  const urls = tabs.map(tab => tab.url)
+  const chromeWindow = await chromep.windows.create(Object.assign({ url: urls, focused: true, type: 'normal' },
+    createData))
+  const pinnedTabIds = (chromeWindow.tabs || []).filter((tab, i) => tabs[i] && tabs[i].pinned)
+    .map(tab => tab.id)
+  for (let tabId of pinnedTabIds) {
+    await chromep.tabs.update(tabId, { pinned: true })
+  }
+  return chromeWindow
+}
+
+/**
+ * re-open a window from a crash-recovery snapshot (see sessionSnapshots.js)
+ *
+ * If the window was a saved window that is now closed, the new window is
+ * attached to the saved window.
+ */
+export const openSnapshotWindow = async (snapWindow: SnapshotWindow, storeRef: TMSRef): TabManagerState => {
+  const chromeWindow = await openTabsWindow(snapWindow.tabs, {})
+  // snapshots recorded by earlier versions have no folder id:
+  const savedWindow = (snapWindow.savedFolderId != null)
+    ? storeRef.getValue().getSavedWindowByBookmarkId(snapWindow.savedFolderId) : null
+  if (savedWindow && !savedWindow.open) {
+    const attachWindow = await chromep.windows.get(chromeWindow.id, { populate: true })
+    storeRef.update(state => state.attachChromeWindow(savedWindow, attachWindow))
+  }
+  return storeRef.getValue()
+}
+
+/*
+ * re-open tabs in a new window, attached to their saved window if it is now closed
+ */
+const reopenWindow = async (tabs: Array<UndoTab>, savedFolderId: ?string, createData: Object,
+  storeRef: TMSRef) => {
+  const chromeWindow = await openTabsWindow(tabs, createData)
+  const savedWindow = (savedFolderId != null) ? storeRef.getValue().getSavedWindowByBookmarkId(savedFolderId) : null
+  if (savedWindow && !savedWindow.open) {
+    const attachWindow = await chromep.windows.get(chromeWindow.id, { populate: true })
+    storeRef.update(state => state.attachChromeWindow(savedWindow, attachWindow))
+  }
+}
+
+/*
+ * re-open closed tabs at their old positions in their window, or in a new
+ * window if it was closed along with its last tab
+ */
+const reopenTabs = async (windowId: number, tabs: Array<UndoTab>, savedFolderId: ?string, storeRef: TMSRef) => {
+  const tabWindow = storeRef.getValue().getTabWindowByChromeId(windowId)
+  if (!tabWindow || !tabWindow.open) {
+    await reopenWindow(tabs, savedFolderId, {}, storeRef)
+    return
+  }
+  // in order of position, so that each index is valid when its tab is created:
+  for (let tab of tabs) {
+    await chromep.tabs.create({ windowId, url: tab.url, index: tab.index, pinned: tab.pinned, active: false })
+  }
+}
+
+/*
+ * re-create removed bookmarks at their old positions and re-read their folder
+ */
+const recreateBookmarks = async (folderId: string, bookmarks: Array<UndoBookmark>, storeRef: TMSRef) => {
+  const provider = getProvider(storeRef)
+  for (let bm of bookmarks) {
+    await provider.createBookmark(folderId, bm.title, bm.url, bm.index)
+  }
+  await resyncSavedWindowFolder(folderId, storeRef)
+}
+
+/*
+ * move an archived window folder back, re-attaching it to its Chrome window if still open
+ */
+const restoreUnmanagedWindow = async (folderId: string, windowId: ?number, storeRef: TMSRef) => {
+  const st = storeRef.getValue()
+  const openWindow = (windowId != null) ? st.getTabWindowByChromeId(windowId) : null
+  if (!openWindow || openWindow.saved) {
+    await restoreArchivedWindow(folderId, storeRef)
+    return
+  }
+  const folder = await getProvider(storeRef).restoreFolder(folderId, st.folderId)
+  const chromeWindow = await chromep.windows.get(openWindow.openWindowId, { populate: true })
+  storeRef.update(state => state.attachBookmarkFolder(folder, chromeWindow))
+}
+
+const applyUndoOp = async (op: UndoOp, storeRef: TMSRef) => {
+  switch (op.kind) {
+    case 'reopenTabs':
+      await reopenTabs(op.windowId, op.tabs, op.savedFolderId, storeRef)
+      break
+    case 'reopenWindow':
+      const geometry = (op.width > 0 && op.height > 0) ? { width: op.width, height: op.height } : {}
+      await reopenWindow(op.tabs, op.savedFolderId, geometry, storeRef)
+      break
+    case 'closeTabs':
+      await chromep.tabs.remove(op.tabIds)
+      break
+    case 'createBookmarks':
+      await recreateBookmarks(op.folderId, op.bookmarks, storeRef)
+      break
+    case 'restoreFolder':
+      await restoreUnmanagedWindow(op.folderId, op.windowId, storeRef)
+      break
+    default:
+      console.warn('applyUndoOp: unknown undo operation: ', op)
+  }
+}
+
+/**
+ * undo the most recent undoable action (see undo.js)
+ *
+ * returns: Promise<?UndoEntry> -- the entry undone, or null if nothing to undo
+ */
+export const undoLastAction = async (storeRef: TMSRef): Promise<?UndoEntry> => {
+  const undoEntry = storeRef.getValue().undoStack.last()
+  if (!undoEntry) {
+    return null
+  }
+  storeRef.update(st => st.popUndo())
+  console.log('undoLastAction: undoing: ', undoEntry.description)
+  for (let op of undoEntry.ops) {
+    try {
+      await applyUndoOp(op, storeRef)
+    } catch (e) {
+      console.error('undoLastAction: error undoing ', op.kind, ': ', e)
+    }
+  }
+  return undoEntry
+}
+
 export function showHelp () {
   chrome.tabs.create({ url: TABLI_HELP_URL })
 }
@@ -383,6 +978,18 @@ export function sendFeedback () {
   chrome.tabs.create({ url: TABLI_FEEDBACK_URL })
 }
 
+export function showImport () {
+  chrome.tabs.create({ url: chrome.runtime.getURL('import.html') })
+}
+
+export function showArchive () {
+  chrome.tabs.create({ url: chrome.runtime.getURL('archive.html') })
+}
+
+export function showRecovery () {
+  chrome.tabs.create({ url: chrome.runtime.getURL('recovery.html') })
+}
+
 export function showPreferences () {
   const prefsURL = chrome.runtime.getURL('preferences.html')
   console.log({prefsURL})
@@ -408,7 +1015,7 @@ export const showPopout = async (winStore: TabManagerState, storeRef: TMSRef): T
 export const hidePopout = async (winStore: TabManagerState, storeRef: TMSRef): TabManagerState => {
   const ptw = winStore.getPopoutTabWindow()
   if (ptw) {
-    const nextSt = await closeWindow(ptw, storeRef)
+    const nextSt = await removeWindow(ptw, storeRef)
     return nextSt
   }
   return winStore
@@ -418,7 +1025,9 @@ export function toggleExpandAll (winStore: TabManagerState, storeRef: TMSRef) {
   storeRef.update(st => {
     const allWindows = st.getAll()
     const updWindows = allWindows.map(w => w.remove('expanded'))
-    const nextSt = st.registerTabWindows(updWindows).set('expandAll', !st.expandAll)
+    const nextSt = st.registerTabWindows(updWindows)
+      .set('recentlyClosedExpanded', Immutable.Map())
+      .set('expandAll', !st.expandAll)
     return nextSt
   })
 }
@@ -468,17 +1077,354 @@ export const moveTabItem = async (
   if (movedTabItem.saved && targetTabWindow.saved) {
     const bookmarkId = movedTabItem.savedState.bookmarkId
     const folderId = targetTabWindow.savedFolderId
-    const bmNode = await chromep.bookmarks.move(bookmarkId, { parentId: folderId })
+    // bookmarks of an open window are ordered to match its tabs, below:
+    const bookmarkIndex = targetTabWindow.open ? undefined : targetIndex
+    const bmNode = await getProvider(storeRef).moveBookmark(bookmarkId, folderId, bookmarkIndex)
     storeRef.update(st => {
       const srcTabWindow = st.getSavedWindowByTabBookmarkId(bookmarkId)
       const updSt = st.handleSavedTabMoved(srcTabWindow, targetTabWindow, movedTabItem, chromeTab, bmNode)
       return updSt
     })
+    if (targetTabWindow.open) {
+      const chromeWindow = await chromep.windows.get(targetTabWindow.openWindowId, { populate: true })
+      storeRef.update(state => state.syncChromeWindow(chromeWindow))
+      const updTabWindow = storeRef.getValue().getSavedWindowByBookmarkId(folderId)
+      if (updTabWindow) {
+        await syncBookmarkOrder(updTabWindow, storeRef)
+      }
+    } else {
+      await resyncSavedWindowFolder(folderId, storeRef)
+    }
   }
   // Let's just refresh the whole window:
   // syncChromeWindowById(targetWindowId, storeRef)
 }
 
+/*
+ * Batch operations on a multi-selection of tabs.
+ *
+ * Each performs all of its Chrome API calls first, and then
+ * updates the store once.
+ */
+
+const uniq = (xs: Array<any>): Array<any> => Array.from(new Set(xs))
+
+/*
+ * the tab items of a selection, grouped by window
+ */
+const groupByWindow = (selection: TabSelection): Array<[TabWindow, Array<TabItem>]> =>
+  uniq(selection.map(([tw, ti]) => tw.id)).map(windowId => {
+    const windowPairs = selection.filter(([tw, ti]) => tw.id === windowId)
+    return [windowPairs[0][0], windowPairs.map(([tw, ti]) => ti)]
+  })
+
+/**
+ * get current state of Chrome windows by id, or null for windows that
+ * are no longer open
+ */
+const getChromeWindows = async (windowIds: Array<WindowId>): Promise<Array<[WindowId, ?Object]>> => {
+  const results = []
+  for (let windowId of windowIds) {
+    try {
+      const chromeWindow = await chromep.windows.get(windowId, { populate: true })
+      results.push([windowId, chromeWindow])
+    } catch (e) {
+      results.push([windowId, null])
+    }
+  }
+  return results
+}
+
+/**
+ * sync store with current state of Chrome windows obtained by getChromeWindows
+ */
+const syncChromeWindowsState = (state: TabManagerState,
+  chromeWindows: Array<[WindowId, ?Object]>): TabManagerState =>
+  chromeWindows.reduce((st, [windowId, chromeWindow]) => {
+    if (chromeWindow) {
+      return st.syncChromeWindow(chromeWindow)
+    }
+    const tabWindow = st.getTabWindowByChromeId(windowId)
+    return tabWindow ? st.handleTabWindowClosed(tabWindow) : st
+  }, state)
+
+/**
+ * close all open tabs in a selection
+ */
+export const closeTabs = async (selection: TabSelection, storeRef: TMSRef): TabManagerState => {
+  const openPairs = selection.filter(([tw, ti]) => tw.open && ti.open)
+  if (openPairs.length === 0) {
+    return storeRef.getValue()
+  }
+  const tabIds = openPairs.map(([tw, ti]) => ti.safeOpenState.openTabId)
+  await chromep.tabs.remove(tabIds)
+  const windowIds = uniq(openPairs.map(([tw, ti]) => tw.openWindowId))
+  storeRef.update(state => windowIds.reduce((st, windowId) => {
+    const tabWindow = st.getTabWindowByChromeId(windowId)
+    if (!tabWindow) {
+      return st
+    }
+    const windowTabIds = openPairs
+      .filter(([tw, ti]) => tw.openWindowId === windowId)
+      .map(([tw, ti]) => ti.safeOpenState.openTabId)
+    return st.handleTabsClosed(tabWindow, windowTabIds)
+  }, state))
+  const undoOps = groupByWindow(openPairs).map(([tw, tabItems]) => undo.reopenTabsOp(tw, tabItems))
+  pushUndo('Closed ' + openPairs.length + ' tabs', undoOps, storeRef)
+  return storeRef.getValue()
+}
+
+/**
+ * discard open tabs in a selection to free their memory; they stay in
+ * their windows and are reloaded when next activated
+ *
+ * Active tabs can't be discarded, and are skipped.
+ */
+export const discardTabs = async (selection: TabSelection, storeRef: TMSRef): TabManagerState => {
+  const openPairs = selection.filter(([tw, ti]) => tw.open && ti.open && !ti.safeOpenState.active)
+  if (openPairs.length === 0) {
+    return storeRef.getValue()
+  }
+  for (let [, ti] of openPairs) {
+    try {
+      await chromep.tabs.discard(ti.safeOpenState.openTabId)
+    } catch (e) {
+      console.warn('discardTabs: could not discard tab: ', ti.url, e)
+    }
+  }
+  // discarding may replace tabs, so resync their windows:
+  const chromeWindows = await getChromeWindows(uniq(openPairs.map(([tw, ti]) => tw.openWindowId)))
+  storeRef.update(state => syncChromeWindowsState(state, chromeWindows))
+  return storeRef.getValue()
+}
+
+/**
+ * bookmark all unsaved, open tabs in a selection that belong to saved windows
+ */
+export const saveTabs = async (selection: TabSelection, storeRef: TMSRef): TabManagerState => {
+  const savePairs = selection.filter(([tw, ti]) => tw.saved && ti.open && !ti.saved)
+  const savedTabs = []
+  for (let [tabWindow, tabItem] of savePairs) {
+    const tabNode = await getProvider(storeRef).createBookmark(tabWindow.savedFolderId, tabItem.title, tabItem.url)
+    savedTabs.push([tabWindow.savedFolderId, tabItem, tabNode])
+  }
+  if (savedTabs.length > 0) {
+    storeRef.update(state => savedTabs.reduce((st, [folderId, tabItem, tabNode]) => {
+      const tabWindow = st.getSavedWindowByBookmarkId(folderId)
+      return tabWindow ? st.handleTabSaved(tabWindow, tabItem, tabNode) : st
+    }, state))
+  }
+  return storeRef.getValue()
+}
+
+/**
+ * remove bookmarks of all saved tabs in a selection
+ */
+export const unsaveTabs = async (selection: TabSelection, storeRef: TMSRef): TabManagerState => {
+  const unsavePairs = selection.filter(([tw, ti]) => tw.saved && ti.saved)
+  for (let [, tabItem] of unsavePairs) {
+    await getProvider(storeRef).removeBookmark(tabItem.safeSavedState.bookmarkId)
+  }
+  if (unsavePairs.length > 0) {
+    storeRef.update(state => unsavePairs.reduce((st, [tw, tabItem]) => {
+      const tabWindow = st.getSavedWindowByBookmarkId(tw.savedFolderId)
+      return tabWindow ? st.handleTabUnsaved(tabWindow, tabItem) : st
+    }, state))
+    const undoOps = groupByWindow(unsavePairs).map(([tw, tabItems]) => undo.createBookmarksOp(tw, tabItems))
+    pushUndo('Removed ' + unsavePairs.length + ' bookmarks', undoOps, storeRef)
+  }
+  return storeRef.getValue()
+}
+
+/**
+ * move all tabs in a selection to the end of a target window.
+ *
+ * As with moveTabItem, open tabs are moved in Chrome if the target window is
+ * open, and bookmarks of saved tabs are moved if the target window is saved.
+ * Open tabs moved to a closed saved window are closed; unsaved ones are first
+ * bookmarked in the target window. Closed tabs moved to an open, unsaved
+ * window are opened there, and their bookmarks stay in their saved windows.
+ */
+export const moveTabs = async (selection: TabSelection, targetTabWindow: TabWindow,
+  storeRef: TMSRef): TabManagerState => {
+  const movePairs = selection.filter(([tw, ti]) => tw.id !== targetTabWindow.id)
+  const openPairs = movePairs.filter(([tw, ti]) => tw.open && ti.open)
+  const bookmarkPairs = targetTabWindow.saved ? movePairs.filter(([tw, ti]) => tw.saved && ti.saved) : []
+  // open, unsaved tabs can't be moved to a closed window:
+  const unsavedPairs = (targetTabWindow.saved && !targetTabWindow.open)
+    ? openPairs.filter(([tw, ti]) => !ti.saved) : []
+  // closed tabs would otherwise be dropped when the target has no folder to move them to:
+  const closedPairs = (targetTabWindow.open && !targetTabWindow.saved)
+    ? movePairs.filter(([tw, ti]) => !(tw.open && ti.open)) : []
+
+  const folderId = targetTabWindow.savedFolderId
+  const createdBookmarks = []
+  for (let [, tabItem] of unsavedPairs) {
+    createdBookmarks.push(await getProvider(storeRef).createBookmark(folderId, tabItem.title, tabItem.url))
+  }
+
+  const openTabIds = openPairs.map(([tw, ti]) => ti.safeOpenState.openTabId)
+  if (openTabIds.length > 0) {
+    if (targetTabWindow.open) {
+      await chromep.tabs.move(openTabIds, { windowId: targetTabWindow.openWindowId, index: -1 })
+    } else if (targetTabWindow.saved) {
+      await chromep.tabs.remove(openTabIds)
+    }
+  }
+  for (let [, tabItem] of closedPairs) {
+    await chromep.tabs.create({ windowId: targetTabWindow.openWindowId, url: tabItem.url, active: false })
+  }
+
+  const movedBookmarks = []
+  for (let [, tabItem] of bookmarkPairs) {
+    const bookmarkId = tabItem.safeSavedState.bookmarkId
+    const bmNode = await getProvider(storeRef).moveBookmark(bookmarkId, folderId)
+    movedBookmarks.push([bookmarkId, tabItem, bmNode])
+  }
+
+  const windowIds = uniq(openPairs.map(([tw, ti]) => tw.openWindowId)
+    .concat(targetTabWindow.open ? [targetTabWindow.openWindowId] : []))
+  const chromeWindows = await getChromeWindows(windowIds)
+
+  storeRef.update(state => {
+    const createdState = createdBookmarks.reduce((st, bmNode) => {
+      const dstTabWindow = st.getSavedWindowByBookmarkId(folderId)
+      const exists = dstTabWindow && dstTabWindow.findChromeBookmarkId(bmNode.id)
+      return (dstTabWindow && !exists) ? st.handleBookmarkCreated(dstTabWindow, bmNode) : st
+    }, state)
+    const bmState = movedBookmarks.reduce((st, [bookmarkId, tabItem, bmNode]) => {
+      const srcTabWindow = st.getSavedWindowByTabBookmarkId(bookmarkId)
+      const unsavedSt = srcTabWindow ? st.handleTabUnsaved(srcTabWindow, tabItem) : st
+      const dstTabWindow = unsavedSt.getSavedWindowByBookmarkId(folderId)
+      return dstTabWindow ? unsavedSt.handleBookmarkCreated(dstTabWindow, bmNode) : unsavedSt
+    }, createdState)
+    return syncChromeWindowsState(bmState, chromeWindows)
+  })
+  return storeRef.getValue()
+}
+
+/**
+ * move all tabs in a selection to a new window.
+ *
+ * Open tabs are moved and closed tabs are opened in the new window.
+ * Bookmarks of saved tabs stay in their saved windows.
+ */
+export const moveTabsToNewWindow = async (selection: TabSelection, storeRef: TMSRef): TabManagerState => {
+  const openPairs = selection.filter(([tw, ti]) => tw.open && ti.open)
+  const closedUrls = selection.filter(([tw, ti]) => !(tw.open && ti.open)).map(([tw, ti]) => ti.url)
+  const openTabIds = openPairs.map(([tw, ti]) => ti.safeOpenState.openTabId)
+  let chromeWindow
+  if (openTabIds.length > 0) {
+    // create the window with the first tab, and move the rest after it:
+    chromeWindow = await chromep.windows.create({ tabId: openTabIds[0], focused: true, type: 'normal' })
+    if (openTabIds.length > 1) {
+      await chromep.tabs.move(openTabIds.slice(1), { windowId: chromeWindow.id, index: -1 })
+    }
+    for (let url of closedUrls) {
+      await chromep.tabs.create({ windowId: chromeWindow.id, url, active: false })
+    }
+  } else if (closedUrls.length > 0) {
+    chromeWindow = await chromep.windows.create({ url: closedUrls, focused: true, type: 'normal' })
+  } else {
+    return storeRef.getValue()
+  }
+  const windowIds = uniq(openPairs.map(([tw, ti]) => tw.openWindowId).concat([chromeWindow.id]))
+  const chromeWindows = await getChromeWindows(windowIds)
+  storeRef.update(state => syncChromeWindowsState(state, chromeWindows))
+  return storeRef.getValue()
+}
+
+/**
+ * merge all tabs of a window into a target window (see moveTabs).
+ *
+ * When both windows are saved, the source window's folder is then archived.
+ */
+export const mergeWindows = async (sourceTabWindow: TabWindow, targetTabWindow: TabWindow,
+  storeRef: TMSRef): TabManagerState => {
+  if (sourceTabWindow.id === targetTabWindow.id || !(targetTabWindow.open || targetTabWindow.saved)) {
+    return storeRef.getValue()
+  }
+  const selection = tabSelection.mergeSelection(sourceTabWindow, targetTabWindow)
+  await moveTabs(selection, targetTabWindow, storeRef)
+  if (sourceTabWindow.saved && targetTabWindow.saved) {
+    const st = storeRef.getValue()
+    await getProvider(storeRef).archiveFolder(sourceTabWindow.savedFolderId, st.archiveFolderId)
+    storeRef.update(state => {
+      const savedWindow = state.getSavedWindowByBookmarkId(sourceTabWindow.savedFolderId)
+      return savedWindow ? state.unmanageWindow(savedWindow) : state
+    })
+  }
+  return storeRef.getValue()
+}
+
+/*
+ * move bookmarks of a saved window's folder into the order of bookmarkIds,
+ * moving only those out of place, and resync the folder if any moved
+ */
+const orderFolderBookmarks = async (folderId: string, bookmarkIds: Array<string>, storeRef: TMSRef) => {
+  const provider = getProvider(storeRef)
+  const folder = await provider.getFolder(folderId)
+  const childIds = (folder.children || []).map(node => node.id)
+  const moves = tabOrder.folderOrderMoves(childIds, bookmarkIds)
+  for (let [bookmarkId, index] of moves) {
+    await provider.moveBookmark(bookmarkId, folderId, index)
+  }
+  if (moves.length > 0) {
+    await resyncSavedWindowFolder(folderId, storeRef)
+  }
+}
+
+/**
+ * reorder the tabs of a window (see tabOrder.js).
+ *
+ * Open tabs are moved in the browser, and for saved windows the bookmarks of
+ * saved tabs are moved so that the order persists.
+ */
+export const reorderWindowTabs = async (tabWindow: TabWindow, order: tabOrder.TabOrder,
+  storeRef: TMSRef): TabManagerState => {
+  const orderedItems = tabOrder.orderTabItems(tabWindow, order)
+  if (tabWindow.open) {
+    const tabIds = (tis) => tis.filter(ti => ti.open).map(ti => ti.safeOpenState.openTabId).toArray()
+    const currentItems = tabWindow.tabItems.sortBy(ti => ti.open ? ti.safeOpenState.openTabIndex : 0)
+    for (let [tabId, index] of tabOrder.orderMoves(tabIds(currentItems), tabIds(orderedItems))) {
+      await chromep.tabs.move(tabId, { index })
+    }
+  }
+  if (tabWindow.saved) {
+    const bookmarkIds = orderedItems.filter(ti => ti.saved).map(ti => ti.safeSavedState.bookmarkId).toArray()
+    await orderFolderBookmarks(tabWindow.savedFolderId, bookmarkIds, storeRef)
+  }
+  if (tabWindow.open) {
+    const chromeWindow = await chromep.windows.get(tabWindow.openWindowId, { populate: true })
+    storeRef.update(state => state.syncChromeWindow(chromeWindow))
+  }
+  return storeRef.getValue()
+}
+
+/**
+ * move the bookmarks of an open, saved window to match the order of its tabs
+ * (see syncedBookmarkOrder in tabWindow.js)
+ */
+export const syncBookmarkOrder = async (tabWindow: TabWindow, storeRef: TMSRef): TabManagerState => {
+  const bookmarkIds = syncedBookmarkOrder(tabWindow)
+  if (!tabWindow.saved || bookmarkIds == null) {
+    return storeRef.getValue()
+  }
+  await orderFolderBookmarks(tabWindow.savedFolderId, bookmarkIds, storeRef)
+  return storeRef.getValue()
+}
+
+/**
+ * sync bookmark order of all open, saved windows with the order of their tabs
+ */
+export const syncAllBookmarkOrders = async (storeRef: TMSRef): TabManagerState => {
+  const savedWindows = storeRef.getValue().getOpen().filter(tw => tw.saved).toArray()
+  for (let tabWindow of savedWindows) {
+    await syncBookmarkOrder(tabWindow, storeRef)
+  }
+  return storeRef.getValue()
+}
+
 export function hideRelNotes (winStore: TabManagerState, storeRef: TMSRef) {
   const manifest = chrome.runtime.getManifest()
   chrome.storage.local.set({ readRelNotesVersion: manifest.version }, () => {
@@ -490,23 +1436,177 @@ export function showRelNotes (winStore: TabManagerState, storeRef: TMSRef) {
   storeRef.update(st => st.set('showRelNotes', true))
 }
 
+/**
+ * read user preferences from local storage
+ */
+export const readPreferences = async (): Promise<prefs.Preferences> => {
+  const jsPrefs = await storageMigration.loadStored(prefs.prefsSchema, prefs.defaultPrefsJS)
+  return prefs.Preferences.fromJS(jsPrefs)
+}
+
 export const loadPreferences = async (storeRef: TMSRef): TabManagerState => {
-  const items = await chromep.storage.local.get(USER_PREFS_KEY)
-  console.log('loadPreferences: read: ', items)
-  const prefsStr = items[USER_PREFS_KEY]
-  const userPrefs = prefs.Preferences.deserialize(prefsStr)
+  const userPrefs = await readPreferences()
   console.log('loadPreferences: userPrefs: ', userPrefs.toJS())
   storeRef.update(st => st.set('preferences', userPrefs))
   return storeRef.getValue()
 }
 
+/*
+ * snapshot state of a saved window for its copy in another folder (see
+ * copySavedWindows), with bookmark ids of saved tabs mapped to those of the
+ * copy by URL so that pinned and active flags of saved tabs carry over
+ */
+const copiedWindowState = (tabWindow: TabWindow, folderNode: BookmarkNode): Object => {
+  const bookmarkIds = new Map((folderNode.children || []).map(bm => [bm.url, bm.id]))
+  const snapState = encodeWindowState(tabWindow)
+  const tabItems = snapState.tabItems.map(ti => (ti.savedState && bookmarkIds.has(ti.savedState.url))
+    ? Object.assign({}, ti, { savedState: Object.assign({}, ti.savedState, { bookmarkId: bookmarkIds.get(ti.savedState.url) }) })
+    : ti)
+  return Object.assign({}, snapState, { savedFolderId: folderNode.id, tabItems })
+}
+
+/*
+ * copy all saved windows to another storage provider, skipping any window
+ * with the same title as a window already saved there, and carry over
+ * metadata and snapshot state of copied windows
+ */
+const copySavedWindows = async (st: TabManagerState, dstProvider: SavedWindowProvider) => {
+  const { folderId } = await dstProvider.init()
+  const dstFolders = await dstProvider.getSavedFolders(folderId)
+  const dstTitles = new Set(dstFolders.map(f => f.title))
+  const savedWindows = st.bookmarkIdMap.toIndexedSeq().filter(tw => !dstTitles.has(tw.savedTitle))
+  const snapState = {}
+  for (let tabWindow of savedWindows) {
+    const bookmarks = tabWindow.tabItems.filter(ti => ti.saved)
+      .map(ti => ({ title: ti.safeSavedState.title, url: ti.safeSavedState.url })).toArray()
+    const folderNode = await createWindowFolder(dstProvider, folderId, tabWindow.savedTitle, bookmarks)
+    if (!tabWindow.metadata.isEmpty) {
+      await dstProvider.writeMetadata(folderNode.id, metadataToJS(tabWindow.metadata))
+    }
+    snapState[folderNode.id] = copiedWindowState(tabWindow, folderNode)
+  }
+  console.log('copied ', savedWindows.count(), ' saved windows to ', dstProvider.kind)
+  // Snapshot state is keyed by saved window folder id:
+  await writeWindowStates(snapState)
+}
+
+/**
+ * save user preferences.
+ *
+ * If the storage for saved windows has changed, saved windows are copied
+ * to the new storage and Tabli is reloaded.
+ */
 export const savePreferences = async (userPrefs: prefs.Preferences, storeRef: TMSRef): TabManagerState => {
-  let saveObj = {}
-  saveObj[USER_PREFS_KEY] = userPrefs.serialize()
-  await chromep.storage.local.set(saveObj)
-  console.log('wrote preferences to local storage: ', saveObj)
+  const prevStorage = storeRef.getValue().preferences.savedWindowStorage
+  const storageChanged = userPrefs.savedWindowStorage !== prevStorage
+  if (storageChanged) {
+    await copySavedWindows(storeRef.getValue(), savedWindowProvider.getProvider(userPrefs.savedWindowStorage))
+  }
+  await storageMigration.saveStored(prefs.prefsSchema, userPrefs.toJS())
+  console.log('wrote preferences to local storage: ', userPrefs.toJS())
   // and update application state:
   storeRef.update(st => st.set('preferences', userPrefs))
+  if (storageChanged) {
+    reload()
+  }
+  return storeRef.getValue()
+}
+
+/**
+ * download a backup of all saved windows and preferences as a JSON file
+ */
+export const exportBackup = (storeRef: TMSRef) => {
+  const manifest = chrome.runtime.getManifest()
+  const backupObj = backup.makeBackup(storeRef.getValue(), manifest.version)
+  utils.downloadJSON(backupObj, backup.backupFilename(new Date()))
+}
+
+/*
+ * create a saved window (bookmark folder) from a backup window, with its
+ * metadata, saved tab flags and snapshot state
+ */
+const createBackupWindow = async (tabliFolderId: string, bw: backup.BackupWindow,
+  storeRef: TMSRef) => {
+  const provider = getProvider(storeRef)
+  const fullFolderNode = await createWindowFolder(provider, tabliFolderId, bw.title, bw.bookmarks)
+  const metadata = metadataFromJS(bw.metadata)
+  if (!metadata.isEmpty) {
+    await provider.writeMetadata(fullFolderNode.id, metadataToJS(metadata))
+  }
+  const folderWindow = backup.restoreBackupTabFlags(makeFolderTabWindow(fullFolderNode).set('metadata', metadata), bw)
+  const tabWindow = bw.snapshot ? restoreSnapshot(folderWindow, bw.snapshot) : folderWindow
+  storeRef.update(state => state.registerTabWindow(tabWindow))
+}
+
+/**
+ * import a backup (as returned by backup.parseBackup), rebuilding the
+ * bookmark folders of its saved windows
+ *
+ * In 'replace' mode saved windows with the same title as a backup window are
+ * moved to the archive folder and preferences (other than the storage of
+ * saved windows; see backup.backupPreferences) are restored from the backup;
+ * in 'merge' mode only missing bookmarks are added to such windows.
+ */
+export const importBackup = async (backupObj: backup.Backup, mode: backup.ImportMode,
+  storeRef: TMSRef): TabManagerState => {
+  const st = storeRef.getValue()
+  const plan = backup.planImport(st, backupObj, mode)
+  for (let [tabWindow, bookmarks] of plan.merges) {
+    for (let bm of bookmarks) {
+      const bmNode = await getProvider(storeRef).createBookmark(tabWindow.savedFolderId, bm.title, bm.url)
+      storeRef.update(state => {
+        const savedWindow = state.getSavedWindowByBookmarkId(tabWindow.savedFolderId)
+        const exists = savedWindow && savedWindow.findChromeBookmarkId(bmNode.id)
+        return (savedWindow && !exists) ? state.handleBookmarkCreated(savedWindow, bmNode) : state
+      })
+    }
+  }
+  for (let [tabWindow, bw] of plan.replaces) {
+    await getProvider(storeRef).archiveFolder(tabWindow.savedFolderId, st.archiveFolderId)
+    storeRef.update(state => {
+      const savedWindow = state.getSavedWindowByBookmarkId(tabWindow.savedFolderId)
+      return savedWindow ? state.unmanageWindow(savedWindow) : state
+    })
+    await createBackupWindow(st.folderId, bw, storeRef)
+  }
+  for (let bw of plan.creates) {
+    await createBackupWindow(st.folderId, bw, storeRef)
+  }
+  if (mode === 'replace') {
+    await savePreferences(backup.backupPreferences(backupObj, storeRef.getValue().preferences), storeRef)
+  }
+  return storeRef.getValue()
+}
+
+/**
+ * compare saved windows with a fresh read of their bookmark folders
+ * (see bookmarkConsistency.js)
+ */
+export const checkConsistency = async (storeRef: TMSRef): Promise<Array<ConsistencyIssue>> => {
+  const st = storeRef.getValue()
+  const windowFolders = await getProvider(storeRef).getSavedFolders(st.folderId)
+  const issues = bookmarkConsistency.checkConsistency(st, windowFolders)
+  if (issues.length > 0) {
+    console.warn('checkConsistency: found ', issues.length, ' issues: ', issues)
+  }
+  return issues
+}
+
+/**
+ * repair any differences between saved windows and their bookmark folders,
+ * removing duplicate bookmarks from folders
+ */
+export const repairConsistency = async (storeRef: TMSRef): TabManagerState => {
+  const provider = getProvider(storeRef)
+  const issues = await checkConsistency(storeRef)
+  const duplicateBookmarks = issues.filter(issue => issue.kind === 'duplicateBookmark')
+  for (let issue of duplicateBookmarks) {
+    if (issue.bookmarkId != null) {
+      await provider.removeBookmark(issue.bookmarkId)
+    }
+  }
+  const windowFolders = await provider.getSavedFolders(storeRef.getValue().folderId)
+  storeRef.update(st => bookmarkConsistency.repairState(st, windowFolders))
   return storeRef.getValue()
 }
 
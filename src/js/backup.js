@@ -0,0 +1,190 @@
+// @flow
+/**
+ * Full backup and restore of Tabli state
+ *
+ * A backup is a single versioned JSON object with every saved window (its
+ * bookmarked tabs, its metadata and a snapshot of its open tab state), plus
+ * user preferences. Backups are written by actions.exportBackup and read back by
+ * actions.importBackup, which rebuilds bookmark folders from the plan
+ * computed by planImport.
+ */
+import sortBy from 'lodash/sortBy'
+import * as TabWindow from './tabWindow'
+import TabManagerState from './tabManagerState'
+import * as prefs from './preferences'
+import { metadataToJS } from './windowMetadata'
+
+const _ = { sortBy }
+
+export const BACKUP_FORMAT = 'tabli-backup'
+export const BACKUP_VERSION = 1
+
+export type BackupBookmark = {
+  title: string,
+  url: string,
+  pinned?: boolean, // flags of saved tab (see TabWindow.SavedTabState); absent in older backups
+  active?: boolean
+}
+
+export type BackupWindow = {
+  title: string,
+  bookmarks: Array<BackupBookmark>,
+  metadata?: ?Object, // JS encoded metadata (see windowMetadata.js), if any
+  snapshot: ?Object // JS encoded open tabItems and tabGroups, as for local storage
+}
+
+export type Backup = {
+  format: string,
+  version: number,
+  tabliVersion: string,
+  exportTime: number,
+  preferences: Object,
+  savedWindows: Array<BackupWindow>
+}
+
+// how import treats saved windows with the same title as a window in the backup:
+export type ImportMode = 'merge' | 'replace'
+
+export type ImportPlan = {
+  creates: Array<BackupWindow>, // new saved windows
+  merges: Array<[TabWindow.TabWindow, Array<BackupBookmark>]>, // bookmarks to add to existing windows
+  replaces: Array<[TabWindow.TabWindow, BackupWindow]> // existing windows to archive and re-create
+}
+
+/*
+ * JS encoded snapshot of the open tabs of a saved window, or null if none
+ */
+function windowSnapshot (tabWindow: TabWindow.TabWindow): ?Object {
+  const snapWindow = tabWindow.open ? TabWindow.removeOpenWindowState(tabWindow) : tabWindow
+  if (!snapWindow.snapshot || snapWindow.openTabCount === 0) {
+    return null
+  }
+  return {
+    tabItems: snapWindow.tabItems.filter(ti => ti.open).toJS(),
+    tabGroups: snapWindow.tabGroups.toJS()
+  }
+}
+
+function backupWindow (tabWindow: TabWindow.TabWindow): BackupWindow {
+  const savedItems = _.sortBy(tabWindow.tabItems.filter(ti => ti.saved).toArray(),
+    ti => ti.safeSavedState.bookmarkIndex)
+  const bookmarks = savedItems.map(ti => {
+    const { title, url, pinned, active } = ti.safeSavedState
+    return { title, url, pinned, active }
+  })
+  const metadata = tabWindow.metadata.isEmpty ? null : metadataToJS(tabWindow.metadata)
+  return { title: tabWindow.savedTitle, bookmarks, metadata, snapshot: windowSnapshot(tabWindow) }
+}
+
+/**
+ * restore the pinned and active flags of the saved tabs of a window
+ * re-created from a backup window, matching tabs by URL
+ */
+export function restoreBackupTabFlags (tabWindow: TabWindow.TabWindow, bw: BackupWindow): TabWindow.TabWindow {
+  const flagsMap = new Map(bw.bookmarks.map(bm => [bm.url, bm]))
+  return tabWindow.setTabItems(tabWindow.tabItems.map(ti => {
+    const flags = ti.saved ? flagsMap.get(ti.safeSavedState.url) : null
+    return flags
+      ? ti.set('savedState', ti.safeSavedState.set('pinned', !!flags.pinned).set('active', !!flags.active))
+      : ti
+  }))
+}
+
+/**
+ * create a backup of all saved windows and preferences
+ */
+export function makeBackup (winStore: TabManagerState, tabliVersion: string,
+  exportTime: number = Date.now()): Backup {
+  const savedWindows = _.sortBy(winStore.bookmarkIdMap.toArray(), tw => tw.savedTitle.toLowerCase())
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    tabliVersion,
+    exportTime,
+    preferences: winStore.preferences.toJS(),
+    savedWindows: savedWindows.map(backupWindow)
+  }
+}
+
+/**
+ * file name for a backup written at the given time
+ */
+export function backupFilename (date: Date): string {
+  const pad = (n) => (n < 10 ? '0' : '') + n
+  const dateStr = date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate())
+  return 'tabli-backup-' + dateStr + '.json'
+}
+
+function checkWindow (w: any, index: number) {
+  const isValidBookmark = (bm) => bm != null && typeof bm.url === 'string'
+  if (w == null || typeof w.title !== 'string' || !Array.isArray(w.bookmarks) ||
+    !w.bookmarks.every(isValidBookmark)) {
+    throw new Error('Malformed saved window at index ' + index + ' in backup file')
+  }
+}
+
+/**
+ * parse and validate the contents of a backup file
+ *
+ * @throws {Error} if contents are not a backup this version of Tabli can read
+ */
+export function parseBackup (backupStr: string): Backup {
+  let backupObj
+  try {
+    backupObj = JSON.parse(backupStr)
+  } catch (e) {
+    throw new Error('Backup file is not valid JSON: ' + e.message)
+  }
+  if (backupObj == null || backupObj.format !== BACKUP_FORMAT) {
+    throw new Error('Not a Tabli backup file')
+  }
+  if (typeof backupObj.version !== 'number' || backupObj.version > BACKUP_VERSION) {
+    throw new Error('Backup file version ' + backupObj.version +
+      ' was written by a newer version of Tabli')
+  }
+  if (!Array.isArray(backupObj.savedWindows)) {
+    throw new Error('Backup file has no saved windows')
+  }
+  backupObj.savedWindows.forEach(checkWindow)
+  return backupObj
+}
+
+/**
+ * preferences stored in a backup (with defaults for any missing values)
+ *
+ * The storage of saved windows is not restored: importing changes the saved
+ * windows of the current storage, and changing storage copies saved windows
+ * and reloads Tabli (see actions.savePreferences).
+ */
+export function backupPreferences (backupObj: Backup, currentPrefs: prefs.Preferences): prefs.Preferences {
+  return new prefs.Preferences(backupObj.preferences || {})
+    .set('savedWindowStorage', currentPrefs.savedWindowStorage)
+}
+
+/**
+ * determine the bookmark changes needed to import a backup
+ *
+ * Backup windows are matched with existing saved windows by title. In 'merge'
+ * mode bookmarks missing from a matching window are added to it; in 'replace'
+ * mode a matching window is archived and re-created from the backup. Saved
+ * windows not in the backup are left alone in both modes.
+ */
+export function planImport (winStore: TabManagerState, backupObj: Backup, mode: ImportMode): ImportPlan {
+  const existingWindows = winStore.bookmarkIdMap.toIndexedSeq()
+  const plan = { creates: [], merges: [], replaces: [] }
+  for (let bw of backupObj.savedWindows) {
+    const existing = existingWindows.find(tw => tw.savedTitle === bw.title)
+    if (!existing) {
+      plan.creates.push(bw)
+    } else if (mode === 'replace') {
+      plan.replaces.push([existing, bw])
+    } else {
+      const savedUrls = existing.tabItems.filter(ti => ti.saved).map(ti => ti.safeSavedState.url).toSet()
+      const missing = bw.bookmarks.filter(bm => !savedUrls.has(bm.url))
+      if (missing.length > 0) {
+        plan.merges.push([existing, missing])
+      }
+    }
+  }
+  return plan
+}
@@ -4,72 +4,50 @@
  * Gathering bookmark and window state and places in local storage so that
  * popup rendering will be as fast as possible
  */
-/* global Blob, URL */
 
 // import * as _ from 'lodash'
-import has from 'lodash/has'
+import debounce from 'lodash/debounce'
 import fromPairs from 'lodash/fromPairs'
+import throttle from 'lodash/throttle'
 import * as Immutable from 'immutable'
 import * as semver from 'semver'
 import * as TabWindow from './tabWindow'
 import TabManagerState from './tabManagerState'
 import * as utils from './utils'
 import * as actions from './actions'
+import * as dedupeRules from './dedupeRules'
+import * as idleTabs from './idleTabs'
 import ViewRef from './viewRef'
+import { recoverWindowStates } from './savedWindowState'
+import { loadClosedWindowLog, saveClosedWindowLog } from './closedWindowLog'
+import { getProvider, isValidWindowFolder } from './savedWindowProvider'
+import { metadataFromJS } from './windowMetadata'
+import * as sessionSnapshots from './sessionSnapshots'
 import ChromePromise from 'chrome-promise'
 const chromep = ChromePromise
 
-const _ = { has, fromPairs }
+const _ = { debounce, fromPairs, throttle }
 
-const tabliFolderTitle = 'Tabli Saved Windows'
-const archiveFolderTitle = '_Archive'
 let tabliFolderId = null
 let archiveFolderId = null
 
-const isValidWindowFolder = (bookmarkNode: Object) => {
-  if (_.has(bookmarkNode, 'url')) {
-    return false
-  }
-  if (bookmarkNode.title[0] === '_') {
-    return false
-  }
-  return true
-}
+// start time of this session, for crash-recovery snapshots (see sessionSnapshots.js):
+const snapshotSessionId = Date.now()
+const SESSION_SNAPSHOT_INTERVAL = 2 * 60 * 1000
+let lastSnapshotWindows = null // JSON of windows in last recorded snapshot
 
-/* On startup load managed windows from bookmarks folder */
-function loadManagedWindows (winStore, tabliFolder) {
-  var folderTabWindows = []
-  for (var i = 0; i < tabliFolder.children.length; i++) {
-    var windowFolder = tabliFolder.children[i]
-    if (isValidWindowFolder(windowFolder)) {
-      folderTabWindows.push(TabWindow.makeFolderTabWindow(windowFolder))
-    }
-  }
+// how often to look for idle tabs to discard (see idleTabs.js):
+const IDLE_TAB_CHECK_INTERVAL = 60 * 1000
+let idleTabTimer = null
 
-  return winStore.registerTabWindows(folderTabWindows)
-}
+// wait for tab moves to settle before moving bookmarks of saved windows to match:
+const BOOKMARK_ORDER_SYNC_DELAY = 1000
 
-/*
- * given a specific parent Folder node, ensure a particular child exists.
- * returns: Promise<BookmarkTreeNode>
- */
-async function ensureChildFolder (parentNode, childFolderName) {
-  if (parentNode.children) {
-    for (var i = 0; i < parentNode.children.length; i++) {
-      var childFolder = parentNode.children[i]
-      if (childFolder.title.toLowerCase() === childFolderName.toLowerCase()) {
-        // exists
-        // console.log('found target child folder: ', childFolderName)
-        return childFolder
-      }
-    }
-  }
-
-  console.log('Child folder ', childFolderName, ' Not found, creating...')
-
-  // If we got here, child Folder doesn't exist
-  var folderObj = { parentId: parentNode.id, title: childFolderName }
-  return chromep.bookmarks.create(folderObj)
+/* On startup load managed windows from saved window folders, with their metadata */
+function loadManagedWindows (winStore, windowFolders, folderMetadata) {
+  const folderTabWindows = windowFolders.map(windowFolder => TabWindow.makeFolderTabWindow(windowFolder)
+    .set('metadata', metadataFromJS(folderMetadata[windowFolder.id])))
+  return winStore.registerTabWindows(folderTabWindows)
 }
 
 /**
@@ -87,26 +65,20 @@ function initRelNotes (st, storedVersion) {
 }
 
 /**
- * acquire main folder and archive folder and initialize
- * window store
+ * acquire main folder and archive folder from saved window provider and
+ * initialize window store
  *
  * returns: Promise<TabManagerState>
  */
-const initWinStore = async () => {
-  const tree = await chromep.bookmarks.getTree()
-  var otherBookmarksNode = tree[0].children[1]
-
-  // console.log( "otherBookmarksNode: ", otherBookmarksNode )
-  const tabliFolder = await ensureChildFolder(otherBookmarksNode, tabliFolderTitle)
+const initWinStore = async (provider, preferences) => {
+  const roots = await provider.init()
   // console.log('tab manager folder acquired.')
-  tabliFolderId = tabliFolder.id
-  const archiveFolder = await ensureChildFolder(tabliFolder, archiveFolderTitle)
-  // console.log('archive folder acquired.')
-  archiveFolderId = archiveFolder.id
-  const subTreeNodes = await chromep.bookmarks.getSubTree(tabliFolder.id)
-  // console.log("bookmarks.getSubTree for tabliFolder: ", subTreeNodes)
-  const baseWinStore = new TabManagerState({folderId: tabliFolderId, archiveFolderId})
-  const loadedWinStore = loadManagedWindows(baseWinStore, subTreeNodes[0])
+  tabliFolderId = roots.folderId
+  archiveFolderId = roots.archiveFolderId
+  const windowFolders = await provider.getSavedFolders(tabliFolderId)
+  const folderMetadata = await provider.readMetadata(windowFolders.map(folder => folder.id))
+  const baseWinStore = new TabManagerState({folderId: tabliFolderId, archiveFolderId, preferences})
+  const loadedWinStore = loadManagedWindows(baseWinStore, windowFolders, folderMetadata)
 
   const items = await chromep.storage.local.get({readRelNotesVersion: ''})
   const relNotesStore = initRelNotes(loadedWinStore, items.readRelNotesVersion)
@@ -114,6 +86,42 @@ const initWinStore = async () => {
   return relNotesStore
 }
 
+/**
+ * record a crash-recovery snapshot of all open windows, if they've changed
+ * since last snapshot
+ */
+const recordSessionSnapshot = async () => {
+  try {
+    const st = window.storeRef.getValue()
+    const snapWindows = JSON.stringify(sessionSnapshots.snapshotWindows(st))
+    if (snapWindows === lastSnapshotWindows) {
+      return
+    }
+    lastSnapshotWindows = snapWindows
+    await sessionSnapshots.recordSnapshot(st, snapshotSessionId)
+  } catch (e) {
+    console.error('error recording session snapshot: ', e)
+  }
+}
+
+const throttledRecordSessionSnapshot = _.throttle(recordSessionSnapshot, SESSION_SNAPSHOT_INTERVAL)
+
+/*
+ * discard tabs idle for longer than allowed by preferences
+ */
+const discardIdleTabs = (storeRef) => {
+  const st = storeRef.getValue()
+  if (st.preferences.discardIdleTabs) {
+    const rules = idleTabs.getIdleTabRules(st.preferences)
+    // idle times of tabs are only known from the start of this session:
+    const idlePairs = idleTabs.findIdleTabs(st, rules, Date.now(), snapshotSessionId)
+    if (idlePairs.length > 0) {
+      console.log('discarding ', idlePairs.length, ' idle tabs')
+      actions.discardTabs(idlePairs, storeRef)
+    }
+  }
+}
+
 function setupConnectionListener (storeRef) {
   chrome.runtime.onConnect.addListener((cport): void => {
     const port : any = cport // to deal with typo in 'onDisconnect' in flow-interfaces-chrome
@@ -128,20 +136,8 @@ function setupConnectionListener (storeRef) {
   })
 }
 
-/**
- * Download the specified object as JSON (for testing)
- */
-function downloadJSON (dumpObj, filename) {
-  const dumpStr = JSON.stringify(dumpObj, null, 2)
-  const winBlob = new Blob([dumpStr], { type: 'application/json' })
-  const url = URL.createObjectURL(winBlob)
-  chrome.downloads.download({ url, filename })
-}
-
 /**
  * dump all windows -- useful for creating performance tests
- *
- * NOTE:  Requires the "downloads" permission in the manifest!
  */
 function dumpAll (winStore) { // eslint-disable-line no-unused-vars
   const allWindows = winStore.getAll()
@@ -150,12 +146,12 @@ function dumpAll (winStore) { // eslint-disable-line no-unused-vars
 
   const dumpObj = { allWindows: jsWindows }
 
-  downloadJSON(dumpObj, 'winStoreSnap.json')
+  utils.downloadJSON(dumpObj, 'winStoreSnap.json')
 }
 
 function dumpChromeWindows () { // eslint-disable-line no-unused-vars
   chrome.windows.getAll({ populate: true }, (chromeWindows) => {
-    downloadJSON({ chromeWindows }, 'chromeWindowSnap.json')
+    utils.downloadJSON({ chromeWindows }, 'chromeWindowSnap.json')
   })
 }
 
@@ -207,28 +203,99 @@ function onTabRemoved (storeRef, windowId, tabId) {
   })
 }
 
+/*
+ * close a duplicate tab, optionally switching to the existing tab it duplicates
+ *
+ * Errors (such as the tab already being closed) are logged.
+ */
+const closeDuplicateTab = async (storeRef, windowId, tabId, origWindowId, origTabId, focusExisting) => {
+  const st = storeRef.getValue()
+  const tabWindow = st.getTabWindowByChromeId(windowId)
+  if (!tabWindow) {
+    return
+  }
+  // if we wanted to programatically go back instead of closing:
+  // (required <all_urls> permission in manifest)
+  // const revertScript = {code: 'history.back();'}
+  // await chromep.tabs.executeScript(tabId, revertScript)
+  try {
+    const tabClosedSt = await actions.closeTab(tabWindow, tabId, storeRef)
+    const origTabWindow = tabClosedSt.getTabWindowByChromeId(origWindowId)
+    const origTab = origTabWindow &&
+      origTabWindow.tabItems.find(ti => ti.open && ti.safeOpenState.openTabId === origTabId)
+    if (focusExisting && origTab) {
+      const currentWindow = tabClosedSt.getCurrentWindow()
+      actions.activateTab(currentWindow, origTabWindow, origTab, 0, storeRef)
+    }
+  } catch (e) {
+    console.error('closeDuplicateTab: error closing duplicate tab: ', tabId, e)
+  }
+}
+
+const DEDUPE_NOTIFICATION_PREFIX = 'tabli-dedupe-'
+
+// duplicate tabs awaiting a response to a notification, by notification id:
+const pendingDuplicates = new Map()
+
+/*
+ * ask whether to close a duplicate tab via a notification
+ */
+const askDedupeTab = async (tab, origTabWindow, origTab) => {
+  const notificationId = DEDUPE_NOTIFICATION_PREFIX + tab.id
+  pendingDuplicates.set(notificationId, {
+    windowId: tab.windowId,
+    tabId: tab.id,
+    origWindowId: origTabWindow.openWindowId,
+    origTabId: origTab.safeOpenState.openTabId
+  })
+  try {
+    await chromep.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: 'images/Multimedia-12-48.png',
+      title: 'Duplicate tab',
+      message: (tab.title || tab.url) + ' is already open in window "' + origTabWindow.title + '"',
+      buttons: [{ title: 'Close and switch to existing tab' }, { title: 'Keep both tabs' }],
+      requireInteraction: true
+    })
+  } catch (e) {
+    // no notification to respond to:
+    pendingDuplicates.delete(notificationId)
+    console.error('askDedupeTab: error creating notification: ', e)
+  }
+}
+
+const onDedupeNotificationButtonClicked = (storeRef, notificationId, buttonIndex) => {
+  const pending = pendingDuplicates.get(notificationId)
+  if (!pending) {
+    return
+  }
+  pendingDuplicates.delete(notificationId)
+  chrome.notifications.clear(notificationId)
+  if (buttonIndex === 0) {
+    const { windowId, tabId, origWindowId, origTabId } = pending
+    closeDuplicateTab(storeRef, windowId, tabId, origWindowId, origTabId, true)
+  }
+}
+
+/*
+ * apply the dedupe action from preferences if a new or updated tab
+ * duplicates an existing tab (see dedupeRules.js)
+ */
 const dedupeTab = async (storeRef, tabId, changeInfo, tab) => {
   const url = changeInfo.url
   if (url != null) {
     const st = storeRef.getValue()
-    const matchPairs = st.findURL(url)
-    // and filter out the tab we're checking:
-    const isSelf = (tw, ti) => (
-      tw.open && tw.openWindowId === tab.windowId &&
-      ti.open && ti.openState.openTabId === tabId
-    )
-    const filteredMatchPairs = matchPairs.filter(([tw, ti]) => !isSelf(tw, ti))
-    if (filteredMatchPairs.length > 0) {
-      const [origTabWindow, origTab] = filteredMatchPairs[0]
-      // if we wanted to programatically go back instead of closing:
-      // (required <all_urls> permission in manifest)
-      // const revertScript = {code: 'history.back();'}
-      // await chromep.tabs.executeScript(tabId, revertScript)
-
-      const tabWindow = st.getTabWindowByChromeId(tab.windowId)
-      const tabClosedSt = await actions.closeTab(tabWindow, tabId, storeRef)
-      const currentWindow = tabClosedSt.getCurrentWindow()
-      actions.activateTab(currentWindow, origTabWindow, origTab, 0, storeRef)
+    const rules = dedupeRules.getDedupeRules(st.preferences)
+    const matchPairs = dedupeRules.findDuplicates(st, tab.windowId, tabId, url, rules)
+    if (matchPairs.length > 0) {
+      const [origTabWindow, origTab] = matchPairs[0]
+      if (rules.action === 'ask') {
+        askDedupeTab(tab, origTabWindow, origTab)
+      } else {
+        const focusExisting = (rules.action === 'focusExisting')
+        closeDuplicateTab(storeRef, tab.windowId, tabId, origTabWindow.openWindowId,
+          origTab.safeOpenState.openTabId, focusExisting)
+      }
     }
   }
 }
@@ -248,6 +315,28 @@ const onTabUpdated = (storeRef, tabId, changeInfo, tab) => {
   }
 }
 
+const onTabGroupUpdated = (storeRef, chromeGroup) => {
+  storeRef.update(state => {
+    const tabWindow = state.getTabWindowByChromeId(chromeGroup.windowId)
+    if (!tabWindow) {
+      console.warn('tabGroups.onUpdated: window id not found: ', chromeGroup.windowId)
+      return state
+    }
+    return state.handleTabGroupUpdated(tabWindow, TabWindow.makeTabGroup(chromeGroup))
+  })
+}
+
+const onTabGroupRemoved = (storeRef, chromeGroup) => {
+  storeRef.update(state => {
+    const tabWindow = state.getTabWindowByChromeId(chromeGroup.windowId)
+    if (!tabWindow) {
+      // expected when the group's window is closing
+      return state
+    }
+    return state.handleTabGroupRemoved(tabWindow, chromeGroup.id)
+  })
+}
+
 const onBookmarkCreated = (storeRef, id, bookmark) => {
   console.log('boomark created: ', id, bookmark)
   storeRef.update(state => {
@@ -342,6 +431,21 @@ const onBookmarkChanged = async (storeRef, id, changeInfo) => {
   }
 }
 
+/*
+ * re-read saved tabs of any saved windows with the given bookmark folder ids
+ */
+const resyncSavedWindowFolders = async (storeRef, folderIds) => {
+  for (let folderId of folderIds) {
+    if (storeRef.getValue().getSavedWindowByBookmarkId(folderId)) {
+      const folderNodes = await chromep.bookmarks.getSubTree(folderId)
+      storeRef.update(state => {
+        const tabWindow = state.getSavedWindowByBookmarkId(folderId)
+        return tabWindow ? state.syncBookmarkFolder(tabWindow, folderNodes[0]) : state
+      })
+    }
+  }
+}
+
 const onBookmarkMoved = (storeRef, id, moveInfo) => {
   console.log('bookmark moved: ', id, moveInfo)
   if (moveInfo.oldParentId === tabliFolderId && moveInfo.parentId === archiveFolderId) {
@@ -354,10 +458,14 @@ const onBookmarkMoved = (storeRef, id, moveInfo) => {
       }
       return nextSt
     })
+  } else {
+    // bookmark reordered within, or moved into or out of, saved window folders:
+    const folderIds = Array.from(new Set([moveInfo.oldParentId, moveInfo.parentId]))
+    resyncSavedWindowFolders(storeRef, folderIds)
   }
 }
 
-function registerEventHandlers (storeRef) {
+function registerEventHandlers (storeRef, provider) {
   // window events:
   chrome.windows.onRemoved.addListener((windowId) => {
     storeRef.update((state) => {
@@ -365,12 +473,22 @@ function registerEventHandlers (storeRef) {
       const st = tabWindow ? state.handleTabWindowClosed(tabWindow) : state
       return st
     })
+    // persist snapshot of closed window right away:
+    storeRef.flushState()
+    // A closed saved window may now have a session to restore from:
+    actions.syncSessions(storeRef)
   })
   chrome.windows.onCreated.addListener(chromeWindow => {
     storeRef.update((state) => {
       return state.syncChromeWindow(chromeWindow)
     })
   })
+  // moved, resized, maximized, etc. (remembered when a saved window closes):
+  if (chrome.windows.onBoundsChanged) {
+    chrome.windows.onBoundsChanged.addListener(chromeWindow => {
+      storeRef.update((state) => state.updateWindowGeometry(chromeWindow))
+    })
+  }
   chrome.windows.onFocusChanged.addListener(windowId => {
     if (windowId === chrome.windows.WINDOW_ID_NONE) {
       return
@@ -420,10 +538,12 @@ function registerEventHandlers (storeRef) {
       return nextSt
     })
   })
+  const syncBookmarkOrders = _.debounce(() => actions.syncAllBookmarkOrders(storeRef), BOOKMARK_ORDER_SYNC_DELAY)
   chrome.tabs.onMoved.addListener((tabId, moveInfo) => {
     // console.log("tab.onMoved: ", tabId, moveInfo)
     // Let's just refresh the whole window:
     actions.syncChromeWindowById(moveInfo.windowId, storeRef)
+    syncBookmarkOrders()
   })
   chrome.tabs.onDetached.addListener((tabId, detachInfo) => {
     // just handle like tab closing:
@@ -433,14 +553,33 @@ function registerEventHandlers (storeRef) {
     // handle like tab creation:
     chrome.tabs.get(tabId, tab => onTabCreated(storeRef, tab, true))
   })
-  chrome.bookmarks.onCreated.addListener((id, bookmark) =>
-    onBookmarkCreated(storeRef, id, bookmark))
-  chrome.bookmarks.onRemoved.addListener((index, bookmark) =>
-    onBookmarkRemoved(storeRef, index, bookmark))
-  chrome.bookmarks.onMoved.addListener((id, moveInfo) =>
-    onBookmarkMoved(storeRef, id, moveInfo))
-  chrome.bookmarks.onChanged.addListener((id, changeInfo) =>
-    onBookmarkChanged(storeRef, id, changeInfo))
+  // session events:
+  chrome.sessions.onChanged.addListener(() => actions.syncSessions(storeRef))
+
+  // responses to duplicate tab notifications:
+  if (chrome.notifications) {
+    chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) =>
+      onDedupeNotificationButtonClicked(storeRef, notificationId, buttonIndex))
+    chrome.notifications.onClosed.addListener(notificationId => pendingDuplicates.delete(notificationId))
+  }
+
+  // tab group events (tabGroups API may not be available in all browsers):
+  if (chrome.tabGroups) {
+    chrome.tabGroups.onCreated.addListener(group => onTabGroupUpdated(storeRef, group))
+    chrome.tabGroups.onUpdated.addListener(group => onTabGroupUpdated(storeRef, group))
+    chrome.tabGroups.onRemoved.addListener(group => onTabGroupRemoved(storeRef, group))
+  }
+  // bookmark events (only relevant if saved windows are stored as bookmarks):
+  if (provider.handlesExternalChanges) {
+    chrome.bookmarks.onCreated.addListener((id, bookmark) =>
+      onBookmarkCreated(storeRef, id, bookmark))
+    chrome.bookmarks.onRemoved.addListener((index, bookmark) =>
+      onBookmarkRemoved(storeRef, index, bookmark))
+    chrome.bookmarks.onMoved.addListener((id, moveInfo) =>
+      onBookmarkMoved(storeRef, id, moveInfo))
+    chrome.bookmarks.onChanged.addListener((id, changeInfo) =>
+      onBookmarkChanged(storeRef, id, changeInfo))
+  }
 }
 
 const MATCH_THRESHOLD = 0.25
@@ -590,69 +729,81 @@ async function maybeAttachNewWindow (stRef, windowId) { // eslint-disable-line n
  * any closed, saved windows
  */
 async function loadSnapState (bmStore) {
-  const items = await chromep.storage.local.get('savedWindowState')
-  if (!items) {
-    return bmStore
-  }
-  const savedWindowStateStr = items.savedWindowState
-  if (!savedWindowStateStr) {
+  const savedWindowState = await recoverWindowStates()
+  if (Object.keys(savedWindowState).length === 0) {
     console.log('loadSnapState: no saved window state found in local storage')
     return bmStore
   }
-  const savedWindowState = JSON.parse(savedWindowStateStr)
-  const closedWindowsMap = bmStore.bookmarkIdMap.filter(bmWin => !bmWin.open)
-  const closedWindowIds = closedWindowsMap.keys()
-  let savedOpenTabsMap = {}
-  for (let id of closedWindowIds) {
-    const savedState = savedWindowState[id]
-    if (savedState) {
-      const openTabItems = savedState.tabItems.filter(ti => ti.open)
-      if (openTabItems.length > 0) {
-        const convTabItems = openTabItems.map(ti => TabWindow.tabItemFromJS(ti))
-        const tiList = Immutable.List(convTabItems)
-        savedOpenTabsMap[id] = tiList
-      }
-    }
-  }
-  const keyCount = Object.keys(savedOpenTabsMap).length
-  console.log('read window snapshot state for ', keyCount, ' saved windows')
+  let snapCount = 0
   const updBookmarkMap = bmStore.bookmarkIdMap.map((tabWindow, bmId) => {
-    const snapTabs = savedOpenTabsMap[bmId]
-    if (snapTabs == null) {
+    const savedState = savedWindowState[bmId]
+    if (tabWindow.open || savedState == null) {
       return tabWindow
     }
-    const baseSavedItems = tabWindow.tabItems.filter(ti => ti.saved).map(TabWindow.resetSavedItem)
-    const mergedTabs = TabWindow.mergeSavedOpenTabs(baseSavedItems, snapTabs)
-    return (tabWindow
-      .set('tabItems', mergedTabs)
-      .set('snapshot', true))
+    // saved tab flags and window geometry are persisted even without open tabs:
+    const flagsWindow = TabWindow.restoreSavedTabFlags(tabWindow, savedState)
+    const baseWindow = TabWindow.restoreSavedGeometry(flagsWindow, savedState)
+    const snapWindow = TabWindow.restoreSnapshot(baseWindow, savedState)
+    if (snapWindow !== baseWindow) {
+      snapCount++
+    }
+    return snapWindow
   })
+  console.log('read window snapshot state for ', snapCount, ' saved windows')
   const nextStore = bmStore.set('bookmarkIdMap', updBookmarkMap)
   console.log('merged window state snapshot from local storage')
   return nextStore
 }
 
+/*
+ * write the log of recently closed windows to local storage whenever it changes
+ */
+function persistClosedWindowLog (storeRef) {
+  let prevLog = storeRef.getValue().closedWindowLog
+  storeRef.on('change', () => {
+    const log = storeRef.getValue().closedWindowLog
+    if (log !== prevLog) {
+      prevLog = log
+      saveClosedWindowLog(log).catch(err => console.error('error saving closed window log: ', err))
+    }
+  })
+}
+
 async function main () {
   try {
     console.log('bgHelper started, env: ', process.env.NODE_ENV)
     actions.setReloadHandler(main)
-    const rawBMStore = await initWinStore()
+    const userPrefs = await actions.readPreferences()
+    console.log('bgHelper: userPrefs: ', userPrefs.toJS())
+    const provider = getProvider(userPrefs.savedWindowStorage)
+    const rawBMStore = await initWinStore(provider, userPrefs)
     const attachBMStore = await reattachWindows(rawBMStore)
-    const bmStore = await loadSnapState(attachBMStore)
+    const snapStore = await loadSnapState(attachBMStore)
+    const bmStore = snapStore.set('closedWindowLog', await loadClosedWindowLog())
 
     const storeRef = new ViewRef(bmStore)
     window.storeRef = storeRef
+    window.snapshotSessionId = snapshotSessionId
 
-    await actions.loadPreferences(storeRef)
     await actions.syncChromeWindows(storeRef)
+    await actions.syncAllTabGroups(storeRef)
     console.log('initial sync of chrome windows complete.')
+    await actions.syncSessions(storeRef)
+    await actions.checkConsistency(storeRef)
     const syncedStore = await actions.syncCurrent(storeRef)
     // dumpAll(syncedStore)
     // dumpChromeWindows()
 
     setupConnectionListener(storeRef)
+    persistClosedWindowLog(storeRef)
+
+    storeRef.on('change', throttledRecordSessionSnapshot)
+    throttledRecordSessionSnapshot()
+
+    registerEventHandlers(storeRef, provider)
 
-    registerEventHandlers(storeRef)
+    clearInterval(idleTabTimer)
+    idleTabTimer = setInterval(() => discardIdleTabs(storeRef), IDLE_TAB_CHECK_INTERVAL)
 
     // In case of restart: hide any previously open popout that
     // might be hanging around...
@@ -0,0 +1,155 @@
+// @flow
+/**
+ * Consistency checking and repair of saved windows against their bookmark folders
+ *
+ * Saved windows in TabManagerState.bookmarkIdMap are kept in sync with their
+ * bookmark folders by chrome.bookmarks events, but some changes (such as
+ * reordering bookmarks in Chrome's Bookmark Manager) aren't reflected in
+ * those events. checkConsistency compares saved windows with a fresh read of
+ * the saved window folders and reports any differences; repairState brings
+ * saved windows back in line with their folders.
+ */
+import * as Immutable from 'immutable'
+import * as TabWindow from './tabWindow'
+import TabManagerState from './tabManagerState'
+import type { BookmarkNode } from './savedWindowProvider'
+
+export type IssueKind =
+  'orphanWindow' | // saved window whose folder no longer exists
+  'missingWindow' | // saved window folder with no saved window
+  'windowTitle' | // saved window title differs from folder title
+  'orphanTab' | // saved tab whose bookmark no longer exists
+  'missingTab' | // bookmark with no saved tab
+  'duplicateTab' | // more than one saved tab for a bookmark
+  'duplicateBookmark' | // bookmark with same URL as an earlier bookmark in folder
+  'staleTab' | // saved tab title or URL differs from bookmark
+  'misorderedTabs' // saved tabs not in bookmark order
+
+export type ConsistencyIssue = {
+  kind: IssueKind,
+  folderId: string,
+  bookmarkId: ?string,
+  description: string
+}
+
+// issue kinds repaired by re-reading a saved window's folder:
+const folderResyncKinds = ['windowTitle', 'orphanTab', 'missingTab', 'duplicateTab', 'staleTab', 'misorderedTabs']
+
+const mkIssue = (kind: IssueKind, folderId: string, bookmarkId: ?string, description: string): ConsistencyIssue =>
+  ({ kind, folderId, bookmarkId, description })
+
+/*
+ * issues for the saved tabs of a saved window
+ */
+function checkSavedTabs (tabWindow: TabWindow.TabWindow, folder: BookmarkNode): Array<ConsistencyIssue> {
+  const issues = []
+  const folderId = folder.id
+  const windowDesc = '"' + folder.title + '"'
+  if (tabWindow.savedTitle !== folder.title) {
+    issues.push(mkIssue('windowTitle', folderId, null,
+      'Saved window "' + tabWindow.savedTitle + '" has folder title ' + windowDesc))
+  }
+
+  const bookmarks = (folder.children || []).filter(node => node.url != null)
+  const seenUrls = new Set()
+  const uniqBookmarks = []
+  for (let bm of bookmarks) {
+    if (seenUrls.has(bm.url)) {
+      issues.push(mkIssue('duplicateBookmark', folderId, bm.id,
+        'Duplicate bookmark for ' + String(bm.url) + ' in ' + windowDesc))
+    } else {
+      seenUrls.add(bm.url)
+      uniqBookmarks.push(bm)
+    }
+  }
+
+  const savedItems = tabWindow.tabItems.filter(ti => ti.saved && ti.savedState != null)
+  const savedItemCounts = savedItems.countBy(ti => ti.safeSavedState.bookmarkId)
+  const savedItemMap = Immutable.Map(savedItems.map(ti => [ti.safeSavedState.bookmarkId, ti]))
+  const bookmarkIds = new Set(bookmarks.map(bm => bm.id))
+
+  savedItemCounts.forEach((count, bookmarkId) => {
+    if (count > 1) {
+      issues.push(mkIssue('duplicateTab', folderId, bookmarkId,
+        count + ' saved tabs for bookmark ' + bookmarkId + ' in ' + windowDesc))
+    }
+    if (!bookmarkIds.has(bookmarkId)) {
+      issues.push(mkIssue('orphanTab', folderId, bookmarkId,
+        'Saved tab "' + savedItemMap.get(bookmarkId).title + '" has no bookmark in ' + windowDesc))
+    }
+  })
+
+  let misordered = false
+  for (let bm of uniqBookmarks) {
+    const tabItem = savedItemMap.get(bm.id)
+    if (!tabItem) {
+      issues.push(mkIssue('missingTab', folderId, bm.id,
+        'Bookmark "' + bm.title + '" missing from saved window ' + windowDesc))
+    } else {
+      const savedState = tabItem.safeSavedState
+      if (savedState.title !== bm.title || savedState.url !== bm.url) {
+        issues.push(mkIssue('staleTab', folderId, bm.id,
+          'Saved tab "' + savedState.title + '" differs from bookmark "' + bm.title + '" in ' + windowDesc))
+      }
+      if (bm.index != null && savedState.bookmarkIndex !== bm.index) {
+        misordered = true
+      }
+    }
+  }
+  if (misordered) {
+    issues.push(mkIssue('misorderedTabs', folderId, null, 'Saved tabs of ' + windowDesc + ' not in bookmark order'))
+  }
+  return issues
+}
+
+/**
+ * compare saved windows with saved window folders (with children populated)
+ */
+export function checkConsistency (winStore: TabManagerState,
+  windowFolders: Array<BookmarkNode>): Array<ConsistencyIssue> {
+  const folderMap = Immutable.Map(windowFolders.map(folder => [folder.id, folder]))
+  let issues = []
+  winStore.bookmarkIdMap.forEach((tabWindow, folderId) => {
+    const folder = folderMap.get(folderId)
+    if (!folder) {
+      issues.push(mkIssue('orphanWindow', folderId, null,
+        'Saved window "' + tabWindow.savedTitle + '" has no bookmark folder'))
+    } else {
+      issues = issues.concat(checkSavedTabs(tabWindow, folder))
+    }
+  })
+  for (let folder of windowFolders) {
+    if (!winStore.bookmarkIdMap.has(folder.id)) {
+      issues.push(mkIssue('missingWindow', folder.id, null,
+        'Bookmark folder "' + folder.title + '" missing from saved windows'))
+    }
+  }
+  return issues
+}
+
+/**
+ * repair saved windows so that they match their folders
+ *
+ * Duplicate bookmarks can only be repaired by removing them from the folder
+ * (see actions.repairConsistency).
+ */
+export function repairState (winStore: TabManagerState, windowFolders: Array<BookmarkNode>): TabManagerState {
+  const issues = checkConsistency(winStore, windowFolders)
+  const folderMap = Immutable.Map(windowFolders.map(folder => [folder.id, folder]))
+  const resyncFolderIds = Immutable.OrderedSet(issues.filter(issue => folderResyncKinds.includes(issue.kind))
+    .map(issue => issue.folderId))
+
+  const resyncedStore = resyncFolderIds.reduce((st, folderId) =>
+    st.syncBookmarkFolder(st.bookmarkIdMap.get(folderId), folderMap.get(folderId)), winStore)
+
+  return issues.reduce((st, issue) => {
+    if (issue.kind === 'orphanWindow') {
+      const tabWindow = st.bookmarkIdMap.get(issue.folderId)
+      return tabWindow ? st.unmanageWindow(tabWindow) : st
+    }
+    if (issue.kind === 'missingWindow') {
+      return st.registerTabWindow(TabWindow.makeFolderTabWindow(folderMap.get(issue.folderId)))
+    }
+    return st
+  }, resyncedStore)
+}
@@ -0,0 +1,72 @@
+// @flow
+/**
+ * Persistence of Tabli's log of recently closed, unsaved windows
+ *
+ * The log (TabManagerState.closedWindowLog) is written to
+ * chrome.storage.local whenever it changes, and read back when the
+ * background page starts, so that recently closed windows survive a restart
+ * of the background page.
+ */
+import * as Immutable from 'immutable'
+import * as storageMigration from './storageMigration'
+import type { StorageArea } from './storageMigration'
+import { TabWindow, tabItemFromJS, tabGroupsFromJS } from './tabWindow'
+import ChromePromise from 'chrome-promise'
+const chromep = ChromePromise
+
+const CLOSED_WINDOW_LOG_KEY = 'closedWindowLog'
+
+/**
+ * storage schema for the closed window log (see storageMigration.js)
+ */
+export const closedWindowLogSchema = {
+  name: 'closedWindowLog',
+  keys: [CLOSED_WINDOW_LOG_KEY],
+  currentVersion: 1,
+  decode: (items: Object) => items[CLOSED_WINDOW_LOG_KEY],
+  encode: (log: Array<Object>) => ({ [CLOSED_WINDOW_LOG_KEY]: { version: 1, contents: log } }),
+  migrations: {},
+  validate: (contents: any) =>
+    (Array.isArray(contents) && contents.every(tw => tw != null && Array.isArray(tw.tabItems)))
+      ? null : 'malformed closed window log'
+}
+
+/**
+ * JS encoding of a logged closed window
+ */
+export const encodeClosedWindow = (tabWindow: TabWindow): Object =>
+  // session ids are only valid for this browser session, and are re-matched on sync:
+  tabWindow.remove('chromeSessionId').remove('expanded').toJS()
+
+/**
+ * decode a logged closed window from its JS encoding, at position index
+ * of the log
+ */
+export function decodeClosedWindow (js: Object, index: number): TabWindow {
+  const closedTime = js.closedTime || 0
+  return new TabWindow({
+    tabItems: Immutable.List(js.tabItems.map(tabItemFromJS)),
+    tabGroups: tabGroupsFromJS(js.tabGroups),
+    snapshot: true,
+    closedTime,
+    // entries written without ids are identified by position:
+    closedLogId: js.closedLogId || (closedTime + '-log' + index)
+  })
+}
+
+/**
+ * read the closed window log, most recent first
+ */
+export async function loadClosedWindowLog (
+  storageArea: StorageArea = chromep.storage.local): Promise<Immutable.List<TabWindow>> {
+  const jsLog = await storageMigration.loadStored(closedWindowLogSchema, [], storageArea)
+  return Immutable.List(jsLog.map(decodeClosedWindow))
+}
+
+/**
+ * write the closed window log
+ */
+export function saveClosedWindowLog (log: Immutable.List<TabWindow>,
+  storageArea: StorageArea = chromep.storage.local): Promise<void> {
+  return storageMigration.saveStored(closedWindowLogSchema, log.map(encodeClosedWindow).toArray(), storageArea)
+}
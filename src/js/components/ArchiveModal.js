@@ -0,0 +1,216 @@
+/* global confirm */
+import * as React from 'react'
+import { css, cx } from 'emotion'
+import * as styles from './cssStyles'
+import * as Constants from './constants'
+import * as Modal from './Modal'
+import * as actions from '../actions'
+
+const optionRowStyle = css({
+  display: 'flex',
+  alignItems: 'center',
+  marginTop: 4,
+  marginBottom: 4,
+  fontSize: 11
+})
+const daysInputStyle = css({
+  width: 48,
+  marginLeft: 4,
+  marginRight: 4
+})
+const archivedWindowStyle = css({
+  borderBottom: '1px solid #dadada',
+  paddingTop: 4,
+  paddingBottom: 4
+})
+const archivedWindowHeaderStyle = css({
+  display: 'flex',
+  alignItems: 'center',
+  fontSize: 12
+})
+const archivedWindowTitleStyle = cx(styles.noWrap, css({
+  fontWeight: 'bold',
+  cursor: 'pointer'
+}))
+const archiveDateStyle = css({
+  color: '#808080',
+  fontSize: 11,
+  marginLeft: 6,
+  whiteSpace: 'nowrap'
+})
+const tabStyle = cx(styles.noWrap, css({
+  fontSize: 11,
+  paddingLeft: 12
+}))
+const windowButtonStyle = css({
+  fontSize: 11,
+  paddingTop: 0,
+  paddingBottom: 0,
+  marginLeft: 6
+})
+const messageStyle = css({
+  fontSize: 11
+})
+
+const fmtDate = (time) => (time != null) ? (new Date(time)).toLocaleDateString() : 'unknown date'
+
+/**
+ * Browse windows moved to the archive folder when no longer managed, and
+ * restore, open or permanently delete them
+ */
+class ArchiveModal extends React.Component {
+  state = {
+    folders: null,
+    expanded: {}, // by folder id
+    olderThanDays: 30,
+    status: null
+  };
+
+  componentDidMount () {
+    this.loadArchive()
+  }
+
+  async loadArchive () {
+    const folders = await actions.getArchivedWindows(this.props.storeRef)
+    this.setState({ folders })
+  }
+
+  handleKeyDown = (e) => {
+    if (e.keyCode === Constants.KEY_ESC) {
+      e.preventDefault()
+      this.props.onClose(e)
+    }
+  };
+
+  handleToggleExpand (folderId) {
+    const expanded = Object.assign({}, this.state.expanded, { [folderId]: !this.state.expanded[folderId] })
+    this.setState({ expanded })
+  }
+
+  async handleRestore (folder) {
+    await actions.restoreArchivedWindow(folder.id, this.props.storeRef)
+    this.setState({ status: 'Restored "' + folder.title + '"' })
+    this.loadArchive()
+  }
+
+  handleOpen (folder) {
+    actions.openArchivedWindow(folder)
+  }
+
+  async handleDelete (folder) {
+    if (!confirm('Permanently delete archived window "' + folder.title + '"?')) {
+      return
+    }
+    await actions.deleteArchivedWindow(folder.id, this.props.storeRef)
+    this.setState({ status: 'Deleted "' + folder.title + '"' })
+    this.loadArchive()
+  }
+
+  handleDaysChange = (e) => {
+    this.setState({ olderThanDays: e.target.value })
+  };
+
+  handleEmptyArchive = async (e) => {
+    e.preventDefault()
+    // Number('') is 0, which would delete every archived window:
+    const daysStr = String(this.state.olderThanDays).trim()
+    const days = Number(daysStr)
+    if (daysStr.length === 0 || !Number.isFinite(days) || days <= 0) {
+      this.setState({ status: 'Enter a number of days greater than 0' })
+      return
+    }
+    if (!confirm('Permanently delete all windows archived more than ' + days + ' days ago?')) {
+      return
+    }
+    const deletedCount = await actions.emptyArchive(days, this.props.storeRef)
+    this.setState({ status: 'Deleted ' + deletedCount + ' archived windows' })
+    this.loadArchive()
+  };
+
+  renderFolder (folder) {
+    const tabs = (folder.children || []).filter(bm => bm.url != null)
+    const tabRows = this.state.expanded[folder.id]
+      ? tabs.map(bm => <div key={bm.id} className={tabStyle} title={bm.url}>{bm.title || bm.url}</div>)
+      : null
+    const buttonClass = cx('btn btn-default btn-light btn-sm', windowButtonStyle)
+    return (
+      <div key={folder.id} className={archivedWindowStyle}>
+        <div className={archivedWindowHeaderStyle}>
+          <span
+            className={archivedWindowTitleStyle}
+            title='Show tabs'
+            onClick={() => this.handleToggleExpand(folder.id)}>
+            {folder.title} ({tabs.length} tabs)
+          </span>
+          <span className={archiveDateStyle}>archived {fmtDate(folder.dateArchived)}</span>
+          <div className={styles.spacer} />
+          <button type='button' className={buttonClass} onClick={() => this.handleRestore(folder)}>
+            Restore
+          </button>
+          <button type='button' className={buttonClass} onClick={() => this.handleOpen(folder)}>
+            Open
+          </button>
+          <button type='button' className={buttonClass} onClick={() => this.handleDelete(folder)}>
+            Delete
+          </button>
+        </div>
+        {tabRows}
+      </div>
+    )
+  }
+
+  renderFolders () {
+    const { folders } = this.state
+    if (folders == null) {
+      return <div className={messageStyle}>Loading...</div>
+    }
+    if (folders.length === 0) {
+      return <div className={messageStyle}>The archive is empty</div>
+    }
+    return folders.map(folder => this.renderFolder(folder))
+  }
+
+  render () {
+    return (
+      <Modal.Dialog title='Archived Windows' onClose={this.props.onClose}>
+        <Modal.Info>
+          <span>Windows that are no longer saved are kept in the archive</span>
+        </Modal.Info>
+        <Modal.Body>
+          <div className='modal-body-container' onKeyDown={this.handleKeyDown}>
+            {this.renderFolders()}
+            <div className={optionRowStyle}>
+              <span>Delete windows archived more than</span>
+              <input
+                type='number'
+                min='1'
+                className={daysInputStyle}
+                value={this.state.olderThanDays}
+                onChange={this.handleDaysChange} />
+              <span>days ago</span>
+              <button
+                type='button'
+                className={cx('btn btn-default btn-light btn-sm', windowButtonStyle)}
+                onClick={this.handleEmptyArchive}>
+                Empty Archive
+              </button>
+            </div>
+            {this.state.status ? <div className={messageStyle}>{this.state.status}</div> : null}
+            <hr />
+            <div className={styles.dialogButtonRow} >
+              <button
+                type='button'
+                className='btn btn-default btn-light btn-sm tabli-dialog-button'
+                autoFocus
+                onClick={e => this.props.onClose(e)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </Modal.Body>
+      </Modal.Dialog>
+    )
+  }
+}
+
+export default ArchiveModal
@@ -0,0 +1,141 @@
+/* global FileReader */
+import * as React from 'react'
+import { css } from 'emotion'
+import * as actions from '../actions'
+import * as backup from '../backup'
+
+const sectionTitleStyle = css({
+  fontWeight: 'bold',
+  marginBottom: 4
+})
+const buttonRowStyle = css({
+  display: 'flex',
+  alignItems: 'center',
+  marginTop: 4,
+  marginBottom: 4
+})
+const fileInputStyle = css({
+  display: 'none'
+})
+const statusStyle = css({
+  fontSize: 11,
+  marginTop: 4
+})
+const errorStatusStyle = css({
+  fontSize: 11,
+  marginTop: 4,
+  color: '#c00000'
+})
+
+const readFileText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(reader.error)
+  reader.readAsText(file)
+})
+
+/**
+ * Export and import of Tabli backup files, for the preferences dialog
+ */
+class BackupPanel extends React.Component {
+  state = {
+    importMode: 'merge',
+    busy: false,
+    status: null,
+    isError: false
+  };
+
+  setFileInputRef = (ref) => {
+    this.fileInputRef = ref
+  };
+
+  handleExport = () => {
+    actions.exportBackup(this.props.storeRef)
+  };
+
+  handleModeChange = (e) => {
+    this.setState({ importMode: e.target.value })
+  };
+
+  handleImportClick = () => {
+    if (this.fileInputRef) {
+      this.fileInputRef.click()
+    }
+  };
+
+  handleFileSelected = async (e) => {
+    const file = e.target.files[0]
+    // allow the same file to be selected again:
+    e.target.value = ''
+    if (!file) {
+      return
+    }
+    this.setState({ busy: true, status: 'Importing ' + file.name + '...', isError: false })
+    try {
+      const backupStr = await readFileText(file)
+      const backupObj = backup.parseBackup(backupStr)
+      await actions.importBackup(backupObj, this.state.importMode, this.props.storeRef)
+      const windowCount = backupObj.savedWindows.length
+      const status = 'Imported ' + windowCount + ' saved window' + (windowCount === 1 ? '' : 's')
+      this.setState({ busy: false, status, isError: false })
+    } catch (err) {
+      console.error('BackupPanel: error importing backup: ', err)
+      this.setState({ busy: false, status: 'Import failed: ' + err.message, isError: true })
+    }
+  };
+
+  renderModeOption (mode, label) {
+    return (
+      <div className='radio'>
+        <label>
+          <input
+            type='radio'
+            name='importMode'
+            value={mode}
+            checked={this.state.importMode === mode}
+            onChange={this.handleModeChange} />
+          {label}
+        </label>
+      </div>
+    )
+  }
+
+  render () {
+    const status = this.state.status ? (
+      <div className={this.state.isError ? errorStatusStyle : statusStyle}>{this.state.status}</div>
+    ) : null
+    return (
+      <div>
+        <div className={sectionTitleStyle}>Backup</div>
+        <div className={buttonRowStyle}>
+          <button
+            type='button'
+            className='btn btn-default btn-light btn-sm tabli-dialog-button'
+            title='Save all saved windows and preferences to a file'
+            onClick={this.handleExport}>
+            Export Backup...
+          </button>
+          <button
+            type='button'
+            className='btn btn-default btn-light btn-sm tabli-dialog-button'
+            title='Restore saved windows from a backup file'
+            disabled={this.state.busy}
+            onClick={this.handleImportClick}>
+            Import Backup...
+          </button>
+          <input
+            type='file'
+            accept='.json,application/json'
+            className={fileInputStyle}
+            ref={this.setFileInputRef}
+            onChange={this.handleFileSelected} />
+        </div>
+        {this.renderModeOption('merge', 'Merge: add missing tabs to saved windows with the same title')}
+        {this.renderModeOption('replace', 'Replace: archive saved windows with the same title and restore preferences')}
+        {status}
+      </div>
+    )
+  }
+}
+
+export default BackupPanel
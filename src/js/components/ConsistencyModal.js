@@ -0,0 +1,112 @@
+import * as React from 'react'
+import { css } from 'emotion'
+import * as styles from './cssStyles'
+import * as Constants from './constants'
+import * as Modal from './Modal'
+import * as actions from '../actions'
+
+const issueListStyle = css({
+  maxHeight: Constants.MODAL_BODY_MAX_HEIGHT / 2,
+  overflowY: 'auto',
+  border: '1px solid #dadada',
+  marginTop: 4,
+  marginBottom: 4,
+  padding: 4
+})
+const issueStyle = css({
+  fontSize: 11
+})
+const messageStyle = css({
+  fontSize: 11
+})
+
+/**
+ * Check saved windows against their bookmark folders (see bookmarkConsistency.js)
+ * and repair any differences found
+ */
+class ConsistencyModal extends React.Component {
+  state = {
+    issues: null,
+    repairing: false,
+    repairedCount: null
+  };
+
+  componentDidMount () {
+    this.checkConsistency()
+  }
+
+  async checkConsistency () {
+    const issues = await actions.checkConsistency(this.props.storeRef)
+    this.setState({ issues })
+  }
+
+  handleKeyDown = (e) => {
+    if (e.keyCode === Constants.KEY_ESC) {
+      e.preventDefault()
+      this.props.onClose(e)
+    }
+  };
+
+  handleRepair = async (e) => {
+    e.preventDefault()
+    const repairedCount = this.state.issues ? this.state.issues.length : 0
+    this.setState({ repairing: true })
+    await actions.repairConsistency(this.props.storeRef)
+    this.setState({ repairing: false, repairedCount })
+    this.checkConsistency()
+  };
+
+  renderIssues () {
+    const { issues, repairedCount } = this.state
+    if (issues == null) {
+      return <div className={messageStyle}>Checking saved windows...</div>
+    }
+    const repairedMsg = (repairedCount != null) ? 'Repaired ' + repairedCount + ' problems. ' : ''
+    if (issues.length === 0) {
+      return <div className={messageStyle}>{repairedMsg}Saved windows match their bookmarks.</div>
+    }
+    return (
+      <div>
+        <div className={messageStyle}>{repairedMsg}Found {issues.length} problems:</div>
+        <div className={issueListStyle}>
+          {issues.map((issue, i) => <div key={i} className={issueStyle}>{issue.description}</div>)}
+        </div>
+      </div>
+    )
+  }
+
+  render () {
+    const { issues, repairing } = this.state
+    return (
+      <Modal.Dialog title='Check & Repair' onClose={this.props.onClose}>
+        <Modal.Info>
+          <span>Check saved windows against their bookmarks</span>
+        </Modal.Info>
+        <Modal.Body>
+          <div className='modal-body-container' onKeyDown={this.handleKeyDown}>
+            {this.renderIssues()}
+            <hr />
+            <div className={styles.dialogButtonRow} >
+              <button
+                type='button'
+                className='btn btn-primary btn-sm tabli-dialog-button'
+                disabled={issues == null || issues.length === 0 || repairing}
+                onClick={this.handleRepair}>
+                Repair
+              </button>
+              <button
+                type='button'
+                className='btn btn-default btn-light btn-sm tabli-dialog-button'
+                autoFocus
+                onClick={e => this.props.onClose(e)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </Modal.Body>
+      </Modal.Dialog>
+    )
+  }
+}
+
+export default ConsistencyModal
@@ -0,0 +1,127 @@
+import * as React from 'react'
+import { css, cx } from 'emotion'
+import * as styles from './cssStyles'
+import * as Constants from './constants'
+import * as Modal from './Modal'
+import * as actions from '../actions'
+import * as dedupeRules from '../dedupeRules'
+
+const groupListStyle = css({
+  maxHeight: Constants.MODAL_BODY_MAX_HEIGHT / 2,
+  overflowY: 'auto',
+  border: '1px solid #dadada',
+  marginTop: 4,
+  marginBottom: 4,
+  padding: 4
+})
+const groupStyle = css({
+  paddingTop: 2,
+  paddingBottom: 2
+})
+const keepTabStyle = cx(styles.noWrap, css({
+  fontSize: 11,
+  fontWeight: 'bold'
+}))
+const duplicateTabStyle = cx(styles.noWrap, css({
+  fontSize: 11,
+  paddingLeft: 12,
+  color: '#808080',
+  textDecoration: 'line-through'
+}))
+const messageStyle = css({
+  fontSize: 11
+})
+
+/**
+ * Preview and close all duplicate open tabs, as matched by the
+ * dedupe rules in preferences (see dedupeRules.js)
+ */
+class DedupeModal extends React.Component {
+  state = {
+    closedCount: null
+  };
+
+  handleKeyDown = (e) => {
+    if (e.keyCode === Constants.KEY_ESC) {
+      e.preventDefault()
+      this.props.onClose(e)
+    }
+  };
+
+  findDuplicates () {
+    const { winStore } = this.props
+    return dedupeRules.findAllDuplicates(winStore, dedupeRules.getDedupeRules(winStore.preferences))
+  }
+
+  handleCloseDuplicates = async (e) => {
+    e.preventDefault()
+    const duplicates = [].concat(...this.findDuplicates().map(group => group.duplicates))
+    await actions.closeTabs(duplicates, this.props.storeRef)
+    this.setState({ closedCount: duplicates.length })
+  };
+
+  renderTab ([tabWindow, tabItem], className) {
+    return (
+      <div key={tabItem.safeOpenState.openTabId} className={className} title={tabItem.url}>
+        {tabItem.title || tabItem.url} ({tabWindow.title})
+      </div>
+    )
+  }
+
+  renderGroups (groups) {
+    const { closedCount } = this.state
+    const closedMsg = (closedCount != null) ? 'Closed ' + closedCount + ' tabs (Ctrl+Z to undo). ' : ''
+    if (groups.length === 0) {
+      return <div className={messageStyle}>{closedMsg}No duplicate tabs found.</div>
+    }
+    const duplicateCount = groups.reduce((n, group) => n + group.duplicates.length, 0)
+    return (
+      <div>
+        <div className={messageStyle}>{closedMsg}Found {duplicateCount} duplicate tabs to close:</div>
+        <div className={groupListStyle}>
+          {groups.map(group => (
+            <div key={group.keep[1].safeOpenState.openTabId} className={groupStyle}>
+              {this.renderTab(group.keep, keepTabStyle)}
+              {group.duplicates.map(pair => this.renderTab(pair, duplicateTabStyle))}
+            </div>
+          ))}
+        </div>
+      </div>
+    )
+  }
+
+  render () {
+    const groups = this.findDuplicates()
+    return (
+      <Modal.Dialog title='Close Duplicate Tabs' onClose={this.props.onClose}>
+        <Modal.Info>
+          <span>Duplicates are matched using the rules in Preferences</span>
+        </Modal.Info>
+        <Modal.Body>
+          <div className='modal-body-container' onKeyDown={this.handleKeyDown}>
+            {this.renderGroups(groups)}
+            <hr />
+            <div className={styles.dialogButtonRow} >
+              <button
+                type='button'
+                className='btn btn-primary btn-sm tabli-dialog-button'
+                disabled={groups.length === 0}
+                onClick={this.handleCloseDuplicates}>
+                Close Duplicates
+              </button>
+              <button
+                type='button'
+                className='btn btn-default btn-light btn-sm tabli-dialog-button'
+                autoFocus
+                onClick={e => this.props.onClose(e)}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        </Modal.Body>
+      </Modal.Dialog>
+    )
+  }
+}
+
+export default DedupeModal
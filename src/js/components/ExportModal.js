@@ -0,0 +1,163 @@
+import * as React from 'react'
+import { css } from 'emotion'
+import * as styles from './cssStyles'
+import * as Constants from './constants'
+import * as Modal from './Modal'
+import * as Util from './util'
+import * as utils from '../utils'
+import * as exporters from '../exporters'
+import { displayedTabItems } from '../tabSelection'
+
+const optionRowStyle = css({
+  display: 'flex',
+  alignItems: 'center',
+  marginTop: 4,
+  marginBottom: 4
+})
+const optionLabelStyle = css({
+  width: 60
+})
+const previewStyle = css({
+  width: '100%',
+  height: 160,
+  fontSize: 11,
+  fontFamily: 'monospace',
+  whiteSpace: 'pre'
+})
+const statusStyle = css({
+  fontSize: 11,
+  marginLeft: 8
+})
+
+const scopeNames = {
+  current: 'Current window',
+  search: 'Search results',
+  open: 'All open windows',
+  all: 'All open and saved windows'
+}
+
+/*
+ * ExportWindows for an export scope
+ */
+function scopeWindows (scope, winStore, filteredWindows, searchStr) {
+  if (scope === 'search') {
+    return filteredWindows.map(ftw =>
+      exporters.exportWindow(ftw.tabWindow, displayedTabItems(ftw, searchStr)))
+  }
+  let tabWindows
+  if (scope === 'current') {
+    const currentWindow = winStore.getCurrentWindow()
+    tabWindows = currentWindow ? [currentWindow] : []
+  } else {
+    const openWindows = winStore.getTabWindowsByType('normal')
+    const closedSavedWindows = (scope === 'all')
+      ? winStore.bookmarkIdMap.toIndexedSeq().filter(tw => !tw.open).toArray() : []
+    tabWindows = openWindows.concat(closedSavedWindows).sort(Util.windowCmp(winStore.currentWindowId))
+  }
+  return tabWindows.map(tw => exporters.exportWindow(tw))
+}
+
+/**
+ * Export tabs of one or more windows in any of the formats in exporters.js,
+ * to the clipboard or a file
+ */
+class ExportModal extends React.Component {
+  state = {
+    scope: (this.props.searchStr.length > 0) ? 'search' : 'open',
+    exporterId: 'markdownTable',
+    status: null
+  };
+
+  handleKeyDown = (e) => {
+    if (e.keyCode === Constants.KEY_ESC) {
+      e.preventDefault()
+      this.props.onClose(e)
+    }
+  };
+
+  handleScopeChange = (e) => {
+    this.setState({ scope: e.target.value, status: null })
+  };
+
+  handleFormatChange = (e) => {
+    this.setState({ exporterId: e.target.value, status: null })
+  };
+
+  exportText () {
+    const exporter = exporters.getExporter(this.state.exporterId)
+    const windows = scopeWindows(this.state.scope, this.props.winStore,
+      this.props.filteredWindows, this.props.searchStr)
+    return [exporter, exporter.format(windows)]
+  }
+
+  handleCopy = () => {
+    const [, text] = this.exportText()
+    utils.copyTextToClipboard(text)
+    this.setState({ status: 'Copied to clipboard' })
+  };
+
+  handleDownload = () => {
+    const [exporter, text] = this.exportText()
+    utils.downloadText(text, 'tabli-export.' + exporter.fileExtension, exporter.mimeType)
+    this.setState({ status: 'Downloaded' })
+  };
+
+  render () {
+    const searchActive = this.props.searchStr.length > 0
+    const scopeOptions = Object.keys(scopeNames)
+      .filter(scope => searchActive || scope !== 'search')
+      .map(scope => <option key={scope} value={scope}>{scopeNames[scope]}</option>)
+    const formatOptions = exporters.getExporters().map(e => (
+      <option key={e.id} value={e.id}>{e.name}</option>
+    ))
+    const [, previewText] = this.exportText()
+    const status = this.state.status ? <span className={statusStyle}>{this.state.status}</span> : null
+
+    return (
+      <Modal.Dialog title='Export Tabs' onClose={this.props.onClose}>
+        <Modal.Body>
+          <div className='modal-body-container' onKeyDown={this.handleKeyDown}>
+            <div className={optionRowStyle}>
+              <span className={optionLabelStyle}>Tabs:</span>
+              <select value={this.state.scope} onChange={this.handleScopeChange}>
+                {scopeOptions}
+              </select>
+            </div>
+            <div className={optionRowStyle}>
+              <span className={optionLabelStyle}>Format:</span>
+              <select value={this.state.exporterId} onChange={this.handleFormatChange}>
+                {formatOptions}
+              </select>
+            </div>
+            <textarea className={previewStyle} readOnly value={previewText} />
+            <hr />
+            <div className={styles.dialogButtonRow} >
+              <button
+                type='button'
+                className='btn btn-primary btn-sm tabli-dialog-button'
+                autoFocus
+                onClick={this.handleCopy}>
+                Copy
+              </button>
+              <button
+                type='button'
+                className='btn btn-default btn-light btn-sm tabli-dialog-button'
+                onClick={this.handleDownload}>
+                Download
+              </button>
+              <button
+                type='button'
+                className='btn btn-default btn-light btn-sm tabli-dialog-button'
+                onClick={e => this.props.onClose(e)}>
+                Close
+              </button>
+              {status}
+            </div>
+          </div>
+        </Modal.Body>
+      </Modal.Dialog>
+    )
+  }
+}
+
+export default ExportModal
@@ -4,8 +4,11 @@ import { cx, css } from 'emotion'
 import * as styles from './cssStyles'
 import * as actions from '../actions'
 import * as Constants from './constants'
+import { TAB_GROUP_ID_NONE } from '../tabWindow'
+import { tabItemKey } from '../tabSelection'
 import WindowHeader from './WindowHeader'
 import TabItem from './TabItem'
+import TabGroupSection from './TabGroupSection'
 
 const expandablePanelContentOpenStyle = css({
   marginTop: 0
@@ -52,6 +55,35 @@ class FilteredTabWindow extends React.Component {
     return tabWindow.isExpanded(this.props.winStore)
   };
 
+  renderTabItem = (tabWindow, tab, i) => {
+    var id = 'tabItem-' + i
+    const isSelected = (i === this.props.selectedTabIndex)
+    // while searching, tabs are the window's itemMatches:
+    const filteredItem = (this.props.searchStr.length > 0) ? this.props.filteredTabWindow.itemMatches.get(i) : null
+    const multiSelection = this.props.multiSelection
+    const isMultiSelected = (multiSelection != null) && multiSelection.has(tabItemKey(tabWindow, tab))
+    return (
+      <TabItem
+        winStore={this.props.winStore}
+        storeRef={this.props.storeRef}
+        tabWindow={tabWindow}
+        tab={tab}
+        key={id}
+        tabIndex={i}
+        isSelected={isSelected}
+        isMultiSelected={isMultiSelected}
+        windowIndex={this.props.index}
+        onMultiSelect={this.props.onMultiSelect}
+        titleMatches={filteredItem ? filteredItem.titleMatches : null}
+        urlMatches={filteredItem ? filteredItem.urlMatches : null}
+        appComponent={this.props.appComponent}
+        onItemSelected={this.props.onItemSelected} />)
+  };
+
+  handleTabGroupExpand = (tabGroup, expand) => {
+    actions.setTabGroupCollapsed(this.props.filteredTabWindow.tabWindow, tabGroup, !expand, this.props.storeRef)
+  };
+
   renderTabItems = (tabWindow, tabs) => {
     /*
      * We tried explicitly checking for expanded state and
@@ -59,21 +91,32 @@ class FilteredTabWindow extends React.Component {
      * was no faster, even with dozens of hidden tabs
      */
     var items = []
-    for (var i = 0; i < tabs.count(); i++) {
-      var id = 'tabItem-' + i
-      const isSelected = (i === this.props.selectedTabIndex)
-      var tabItem = (
-        <TabItem
-          winStore={this.props.winStore}
-          storeRef={this.props.storeRef}
-          tabWindow={tabWindow}
-          tab={tabs.get(i)}
-          key={id}
-          tabIndex={i}
-          isSelected={isSelected}
-          appComponent={this.props.appComponent}
-          onItemSelected={this.props.onItemSelected} />)
-      items.push(tabItem)
+    var i = 0
+    while (i < tabs.count()) {
+      const groupId = tabs.get(i).groupId
+      const tabGroup = (groupId !== TAB_GROUP_ID_NONE) ? tabWindow.getTabGroup(groupId) : null
+      if (!tabGroup) {
+        items.push(this.renderTabItem(tabWindow, tabs.get(i), i))
+        i++
+      } else {
+        // gather the run of adjacent tabs in this group into a group section:
+        var groupItems = []
+        while (i < tabs.count() && tabs.get(i).groupId === groupId) {
+          groupItems.push(this.renderTabItem(tabWindow, tabs.get(i), i))
+          i++
+        }
+        // always show matching members of collapsed groups while searching:
+        const groupExpanded = !tabGroup.collapsed || this.props.searchStr.length > 0
+        items.push(
+          <TabGroupSection
+            winStore={this.props.winStore}
+            tabGroup={tabGroup}
+            key={'tabGroup-' + groupId + '-' + i}
+            expanded={groupExpanded}
+            onExpand={(expand) => this.handleTabGroupExpand(tabGroup, expand)}>
+            {groupItems}
+          </TabGroupSection>)
+      }
     }
 
     var expanded = this.getExpandedState()
@@ -116,6 +159,7 @@ class FilteredTabWindow extends React.Component {
         winStore={this.props.winStore}
         storeRef={this.props.storeRef}
         tabWindow={tabWindow}
+        titleMatches={(this.props.searchStr.length > 0) ? filteredTabWindow.titleMatches : null}
         expanded={expanded}
         onExpand={this.handleExpand}
         onOpen={this.handleOpen}
@@ -0,0 +1,32 @@
+import * as React from 'react'
+import * as styles from './cssStyles'
+
+/**
+ * Text with the ranges matched by a search highlighted
+ *
+ * matches is an Array of [start, end) ranges (searchQuery.MatchRanges)
+ * in ascending order, or null for no highlighting.
+ */
+class HighlightedText extends React.PureComponent {
+  render () {
+    const { text, matches } = this.props
+    if (!matches || matches.length === 0) {
+      return <span>{text}</span>
+    }
+    var pieces = []
+    var pos = 0
+    for (let [start, end] of matches) {
+      if (start > pos) {
+        pieces.push(text.slice(pos, start))
+      }
+      pieces.push(<mark key={'match-' + start} className={styles.searchMatch}>{text.slice(start, end)}</mark>)
+      pos = end
+    }
+    if (pos < text.length) {
+      pieces.push(text.slice(pos))
+    }
+    return <span>{pieces}</span>
+  }
+}
+
+export default HighlightedText
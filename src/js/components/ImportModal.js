@@ -0,0 +1,221 @@
+/* global FileReader */
+import * as React from 'react'
+import { css, cx } from 'emotion'
+import * as styles from './cssStyles'
+import * as Constants from './constants'
+import * as Modal from './Modal'
+import * as actions from '../actions'
+import * as tabImport from '../tabImport'
+
+const importTextStyle = css({
+  width: '100%',
+  height: 100,
+  fontSize: 11,
+  fontFamily: 'monospace'
+})
+const optionRowStyle = css({
+  display: 'flex',
+  alignItems: 'center',
+  marginTop: 4,
+  marginBottom: 4
+})
+const fileInputStyle = css({
+  display: 'none'
+})
+const previewStyle = css({
+  maxHeight: Constants.MODAL_BODY_MAX_HEIGHT / 2,
+  overflowY: 'auto',
+  border: '1px solid #dadada',
+  marginTop: 4,
+  marginBottom: 4,
+  padding: 4
+})
+const previewWindowTitleStyle = css({
+  fontWeight: 'bold',
+  fontSize: 12
+})
+const previewTabStyle = cx(styles.noWrap, css({
+  fontSize: 11,
+  paddingLeft: 12
+}))
+const previewUrlStyle = css({
+  color: '#808080',
+  marginLeft: 6
+})
+const messageStyle = css({
+  fontSize: 11
+})
+const errorMessageStyle = css({
+  fontSize: 11,
+  color: '#c00000'
+})
+
+/*
+ * parse import text; returns [windows, errorMessage]
+ */
+const parseImportText = (text, format) => {
+  if (text.trim().length === 0) {
+    return [[], null]
+  }
+  try {
+    const parseFormat = (format === 'auto') ? tabImport.detectFormat(text) : format
+    return [tabImport.parseImport(text, parseFormat), null]
+  } catch (e) {
+    return [[], e.message]
+  }
+}
+
+/**
+ * Import tabs exported from other tab managers as saved windows, with a
+ * preview of the windows to be created
+ */
+class ImportModal extends React.Component {
+  state = {
+    importText: '',
+    format: 'auto',
+    importing: false,
+    importError: null
+  };
+
+  setFileInputRef = (ref) => {
+    this.fileInputRef = ref
+  };
+
+  handleKeyDown = (e) => {
+    if (e.keyCode === Constants.KEY_ESC) {
+      e.preventDefault()
+      this.props.onClose(e)
+    }
+  };
+
+  handleTextChange = (e) => {
+    this.setState({ importText: e.target.value })
+  };
+
+  handleFormatChange = (e) => {
+    this.setState({ format: e.target.value })
+  };
+
+  handleLoadClick = () => {
+    if (this.fileInputRef) {
+      this.fileInputRef.click()
+    }
+  };
+
+  handleFileSelected = (e) => {
+    const file = e.target.files[0]
+    if (!file) {
+      return
+    }
+    const reader = new FileReader()
+    reader.onload = () => this.setState({ importText: reader.result })
+    reader.readAsText(file)
+  };
+
+  handleSubmit = async (e) => {
+    e.preventDefault()
+    const [importedWindows] = parseImportText(this.state.importText, this.state.format)
+    if (importedWindows.length === 0) {
+      return
+    }
+    this.setState({ importing: true, importError: null })
+    try {
+      await actions.importWindows(importedWindows, this.props.storeRef)
+    } catch (err) {
+      console.error('ImportModal: import failed: ', err)
+      this.setState({ importing: false, importError: 'Import failed: ' + err.message })
+      return
+    }
+    this.props.onClose(e)
+  };
+
+  renderPreview (importedWindows, errorMessage) {
+    if (errorMessage) {
+      return <div className={errorMessageStyle}>{errorMessage}</div>
+    }
+    if (importedWindows.length === 0) {
+      const msg = (this.state.importText.trim().length > 0) ? 'No tabs found' : 'Paste exported tabs or load a file to import'
+      return <div className={messageStyle}>{msg}</div>
+    }
+    const windowPreviews = importedWindows.map((iw, i) => (
+      <div key={i}>
+        <div className={previewWindowTitleStyle}>{iw.title} ({iw.tabs.length} tabs)</div>
+        {iw.tabs.map((tab, j) => (
+          <div key={j} className={previewTabStyle} title={tab.url}>
+            {tab.title}
+            {(tab.title !== tab.url) ? <span className={previewUrlStyle}>{tab.url}</span> : null}
+          </div>
+        ))}
+      </div>
+    ))
+    return <div className={previewStyle}>{windowPreviews}</div>
+  }
+
+  render () {
+    const [importedWindows, errorMessage] = parseImportText(this.state.importText, this.state.format)
+    const formatOptions = Object.keys(tabImport.formatNames).map(f => (
+      <option key={f} value={f}>{tabImport.formatNames[f]}</option>
+    ))
+    const tabCount = importedWindows.reduce((n, iw) => n + iw.tabs.length, 0)
+    const importLabel = (importedWindows.length > 0)
+      ? 'Import ' + importedWindows.length + ' windows, ' + tabCount + ' tabs' : 'Import'
+
+    return (
+      <Modal.Dialog title='Import Tabs' onClose={this.props.onClose}>
+        <Modal.Info>
+          <span>Save tabs exported from OneTab, Session Buddy or a list of URLs as Tabli saved windows</span>
+        </Modal.Info>
+        <Modal.Body>
+          <div className='modal-body-container'>
+            <div className={optionRowStyle}>
+              <select value={this.state.format} onChange={this.handleFormatChange}>
+                <option value='auto'>Detect format</option>
+                {formatOptions}
+              </select>
+              <div className={styles.spacer} />
+              <button
+                type='button'
+                className='btn btn-default btn-light btn-sm tabli-dialog-button'
+                onClick={this.handleLoadClick}>
+                Load File...
+              </button>
+              <input
+                type='file'
+                accept='.txt,.json,text/plain,application/json'
+                className={fileInputStyle}
+                ref={this.setFileInputRef}
+                onChange={this.handleFileSelected} />
+            </div>
+            <textarea
+              className={importTextStyle}
+              value={this.state.importText}
+              placeholder='Paste exported tabs here'
+              autoFocus
+              onChange={this.handleTextChange}
+              onKeyDown={this.handleKeyDown} />
+            {this.renderPreview(importedWindows, errorMessage)}
+            {this.state.importError ? <div className={errorMessageStyle}>{this.state.importError}</div> : null}
+            <hr />
+            <div className={styles.dialogButtonRow} >
+              <button
+                type='button'
+                className='btn btn-primary btn-sm tabli-dialog-button'
+                disabled={importedWindows.length === 0 || this.state.importing}
+                onClick={this.handleSubmit}>
+                {importLabel}
+              </button>
+              <button
+                type='button'
+                className='btn btn-default btn-light btn-sm tabli-dialog-button'
+                onClick={e => this.props.onClose(e)}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        </Modal.Body>
+      </Modal.Dialog>
+    )
+  }
+}
+
+export default ImportModal
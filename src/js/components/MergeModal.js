@@ -0,0 +1,73 @@
+import * as React from 'react'
+import * as styles from './cssStyles'
+
+import * as Constants from './constants'
+
+import * as Modal from './Modal'
+
+/*
+ * Modal dialog for confirming merging all tabs of a window into another
+ * window (see actions.mergeWindows)
+ */
+class MergeModal extends React.Component {
+  handleKeyDown = (e) => {
+    if (e.keyCode === Constants.KEY_ESC) {
+      // ESC key
+      e.preventDefault()
+      this.props.onClose(e)
+    } else if (e.keyCode === Constants.KEY_ENTER) {
+      this.handleSubmit(e)
+    }
+  };
+
+  handleSubmit = (e) => {
+    e.preventDefault()
+    this.props.onSubmit(this.props.sourceTabWindow, this.props.targetTabWindow)
+  };
+
+  render () {
+    const { sourceTabWindow, targetTabWindow } = this.props
+    const archiveSection = (sourceTabWindow.saved && targetTabWindow.saved)
+      ? <p>{'"' + sourceTabWindow.title + '" will be archived.'}</p>
+      : null
+    return (
+      <Modal.Dialog title='Merge Windows?' onClose={this.props.onClose}>
+        <Modal.Body>
+          <div className={styles.dialogInfoContents}>
+            <p>
+              {'All tabs of "' + sourceTabWindow.title + '" will be moved to "' + targetTabWindow.title + '".'}
+            </p>
+            {archiveSection}
+          </div>
+          <div className={styles.dialogButtonRow} >
+            <button
+              type='button'
+              className='btn btn-primary btn-sm tabli-dialog-button'
+              onClick={this.handleSubmit}
+              ref={(c) => { this.okButton = c }}
+              tabIndex={0}
+              onKeyDown={this.handleKeyDown}>
+              OK
+            </button>
+            <button
+              type='button'
+              className='btn btn-default btn-light btn-sm tabli-dialog-button'
+              onClick={this.props.onClose}
+              tabIndex={0}>
+              Cancel
+            </button>
+          </div>
+        </Modal.Body>
+      </Modal.Dialog>
+    )
+  }
+
+  /* HACK - get focus to the OK button, because tabIndex getting ignored. */
+  componentDidMount () {
+    if (this.okButton) {
+      this.okButton.focus()
+    }
+  }
+}
+
+export default MergeModal
@@ -0,0 +1,54 @@
+import * as React from 'react'
+import { css, cx } from 'emotion'
+import * as actions from '../actions'
+import { DragItemTypes } from './constants'
+import { DropTarget } from 'react-dnd'
+
+const dropZoneStyle = css({
+  border: '1px dashed #bababa',
+  borderRadius: 3,
+  marginBottom: 8,
+  padding: 8,
+  textAlign: 'center',
+  fontSize: 12,
+  color: '#808080'
+})
+const dropZoneOverStyle = css({
+  backgroundColor: '#e8e8ff',
+  borderColor: '#7472ff'
+})
+
+// for use as drop target of a tab, moved to a new window:
+const newWindowTarget = {
+  drop (props, monitor, component) {
+    const sourceItem = monitor.getItem()
+    actions.moveTabsToNewWindow([[sourceItem.sourceTabWindow, sourceItem.sourceTab]], props.storeRef)
+  }
+}
+
+// collect function for drop target:
+function collectDropTarget (connect, monitor) {
+  return {
+    connectDropTarget: connect.dropTarget(),
+    canDrop: monitor.canDrop(),
+    isOver: monitor.isOver()
+  }
+}
+
+/*
+ * drop zone for moving a tab to a new window, only shown while a tab is being dragged
+ */
+class NewWindowDropZone extends React.Component {
+  render () {
+    const { connectDropTarget, canDrop, isOver } = this.props
+    if (!canDrop) {
+      return connectDropTarget(<div />)
+    }
+    return connectDropTarget(
+      <div className={cx(dropZoneStyle, isOver ? dropZoneOverStyle : null)}>
+        Drop here to move tab to a new window
+      </div>)
+  }
+}
+
+export default DropTarget(DragItemTypes.TAB_ITEM, newWindowTarget, collectDropTarget)(NewWindowDropZone)
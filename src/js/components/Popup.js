@@ -3,12 +3,20 @@
 import * as React from 'react'
 import * as actions from '../actions'
 import * as searchOps from '../searchOps'
+import * as searchQueryParser from '../searchQuery'
 
 import { css } from 'emotion'
+import ConsistencyModal from './ConsistencyModal'
+import DedupeModal from './DedupeModal'
+import ExportModal from './ExportModal'
+import MergeModal from './MergeModal'
 import PreferencesModal from './PreferencesModal'
 import RevertModal from './RevertModal'
 import SaveModal from './SaveModal'
+import WindowMetadataModal from './WindowMetadataModal'
 import SelectablePopup from './SelectablePopup'
+import UndoToast from './UndoToast'
+import * as Constants from './constants'
 import * as Util from './util'
 import { DragDropContext } from 'react-dnd'
 import HTML5Backend from 'react-dnd-html5-backend'
@@ -42,18 +50,27 @@ class Popup extends React.Component {
     var st : Object = this.storeAsState(props.initialWinStore, true)
 
     st.prefsModalIsOpen = false
+    st.exportModalIsOpen = false
+    st.consistencyModalIsOpen = false
+    st.dedupeModalIsOpen = false
     st.saveModalIsOpen = false
+    st.metadataModalIsOpen = false
+    st.metadataTabWindow = null
     st.revertModalIsOpen = false
     st.revertTabWindow = null
+    st.mergeModalIsOpen = false
+    st.mergeSourceTabWindow = null
+    st.mergeTargetTabWindow = null
     st.searchStr = ''
-    st.searchRE = null
+    st.searchQuery = null
     this.state = st
   }
 
   storeAsState = (winStore) => {
     var tabWindows = winStore.getAll()
     var cmpFn = Util.windowCmp(winStore.currentWindowId)
-    var sortedWindows = tabWindows.sort(cmpFn)
+    // recently closed windows go last, already ordered most recent first:
+    var sortedWindows = tabWindows.sort(cmpFn).concat(winStore.getRecentlyClosed())
 
     return {
       winStore,
@@ -63,12 +80,10 @@ class Popup extends React.Component {
   handleSearchInput = (rawSearchStr) => {
     const searchStr = rawSearchStr.trim()
 
-    var searchRE = null
-    if (searchStr.length > 0) {
-      searchRE = new RegExp(searchStr, 'i')
-    }
+    // N.B. parseQuery never throws; malformed patterns are matched literally:
+    const searchQuery = searchQueryParser.parseQuery(searchStr)
 
-    this.setState({ searchStr, searchRE })
+    this.setState({ searchStr, searchQuery })
   };
 
   openSaveModal = (tabWindow) => {
@@ -80,6 +95,14 @@ class Popup extends React.Component {
     this.setState({ saveModalIsOpen: false })
   };
 
+  openMetadataModal = (tabWindow) => {
+    this.setState({ metadataModalIsOpen: true, metadataTabWindow: tabWindow })
+  };
+
+  closeMetadataModal = () => {
+    this.setState({ metadataModalIsOpen: false, metadataTabWindow: null })
+  };
+
   openRevertModal = (filteredTabWindow) => {
     this.setState({ revertModalIsOpen: true, revertTabWindow: filteredTabWindow.tabWindow })
   };
@@ -88,6 +111,14 @@ class Popup extends React.Component {
     this.setState({ revertModalIsOpen: false, revertTabWindow: null })
   };
 
+  openMergeModal = (sourceTabWindow, targetTabWindow) => {
+    this.setState({ mergeModalIsOpen: true, mergeSourceTabWindow: sourceTabWindow, mergeTargetTabWindow: targetTabWindow })
+  };
+
+  closeMergeModal = () => {
+    this.setState({ mergeModalIsOpen: false, mergeSourceTabWindow: null, mergeTargetTabWindow: null })
+  };
+
   openPreferencesModal = () => {
     console.log('openPreferencesModal')
     this.setState({ prefsModalIsOpen: true })
@@ -97,6 +128,30 @@ class Popup extends React.Component {
     this.setState({ prefsModalIsOpen: false })
   };
 
+  openExportModal = () => {
+    this.setState({ exportModalIsOpen: true })
+  };
+
+  closeExportModal = () => {
+    this.setState({ exportModalIsOpen: false })
+  };
+
+  openConsistencyModal = () => {
+    this.setState({ consistencyModalIsOpen: true })
+  };
+
+  closeConsistencyModal = () => {
+    this.setState({ consistencyModalIsOpen: false })
+  };
+
+  openDedupeModal = () => {
+    this.setState({ dedupeModalIsOpen: true })
+  };
+
+  closeDedupeModal = () => {
+    this.setState({ dedupeModalIsOpen: false })
+  };
+
   /* handler for save modal */
   doSave = (titleStr) => {
     const storeRef = this.props.storeRef
@@ -106,11 +161,39 @@ class Popup extends React.Component {
     this.closeSaveModal()
   };
 
+  /* handler for window metadata modal */
+  doSetMetadata = (metadata) => {
+    actions.setWindowMetadata(metadata, this.state.metadataTabWindow, this.props.storeRef)
+    this.closeMetadataModal()
+  };
+
   doRevert = (tabWindow) => { // eslint-disable-line no-unused-vars
     actions.revertWindow(this.state.revertTabWindow, this.props.storeRef)
     this.closeRevertModal()
   };
 
+  /* handler for merge modal */
+  doMerge = (sourceTabWindow, targetTabWindow) => {
+    actions.mergeWindows(sourceTabWindow, targetTabWindow, this.props.storeRef)
+    this.closeMergeModal()
+  };
+
+  doUndo = () => {
+    actions.undoLastAction(this.props.storeRef)
+  };
+
+  /* Ctrl+Z anywhere in the popup, except while editing text, undoes the last action */
+  handleDocumentKeyDown = (e) => {
+    if (e.keyCode === Constants.KEY_Z && (e.ctrlKey || e.metaKey) && !e.shiftKey) {
+      const target = e.target
+      const editingText = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') && target.value
+      if (!editingText) {
+        e.preventDefault()
+        this.doUndo()
+      }
+    }
+  };
+
   doUpdatePreferences = (newPrefs) => {
     console.log('update preferences: ', newPrefs.toJS())
     actions.savePreferences(newPrefs, this.props.storeRef)
@@ -131,6 +214,45 @@ class Popup extends React.Component {
     return modal
   };
 
+  /* render export modal (or not) based on this.state.exportModalIsOpen */
+  renderExportModal = (filteredWindows) => {
+    let modal = null
+    if (this.state.exportModalIsOpen) {
+      modal = (
+        <ExportModal
+          winStore={this.state.winStore}
+          filteredWindows={filteredWindows}
+          searchStr={this.state.searchStr}
+          onClose={this.closeExportModal} />)
+    }
+    return modal
+  };
+
+  /* render consistency check modal (or not) based on this.state.consistencyModalIsOpen */
+  renderConsistencyModal = () => {
+    let modal = null
+    if (this.state.consistencyModalIsOpen) {
+      modal = (
+        <ConsistencyModal
+          storeRef={this.props.storeRef}
+          onClose={this.closeConsistencyModal} />)
+    }
+    return modal
+  };
+
+  /* render close duplicates modal (or not) based on this.state.dedupeModalIsOpen */
+  renderDedupeModal = () => {
+    let modal = null
+    if (this.state.dedupeModalIsOpen) {
+      modal = (
+        <DedupeModal
+          winStore={this.state.winStore}
+          storeRef={this.props.storeRef}
+          onClose={this.closeDedupeModal} />)
+    }
+    return modal
+  };
+
   /* render save modal (or not) based on this.state.saveModalIsOpen */
   renderSaveModal = () => {
     var modal = null
@@ -147,6 +269,19 @@ class Popup extends React.Component {
     return modal
   };
 
+  /* render window metadata modal (or not) based on this.state.metadataModalIsOpen */
+  renderMetadataModal = () => {
+    let modal = null
+    if (this.state.metadataModalIsOpen) {
+      modal = (
+        <WindowMetadataModal
+          tabWindow={this.state.metadataTabWindow}
+          onClose={this.closeMetadataModal}
+          onSubmit={this.doSetMetadata} />)
+    }
+    return modal
+  };
+
   /* render revert modal (or not) based on this.state.revertModalIsOpen */
   renderRevertModal = () => {
     var modal = null
@@ -162,13 +297,34 @@ class Popup extends React.Component {
     return modal
   };
 
+  /* render merge modal (or not) based on this.state.mergeModalIsOpen */
+  renderMergeModal = () => {
+    let modal = null
+    if (this.state.mergeModalIsOpen) {
+      modal = (
+        <MergeModal
+          sourceTabWindow={this.state.mergeSourceTabWindow}
+          targetTabWindow={this.state.mergeTargetTabWindow}
+          onClose={this.closeMergeModal}
+          onSubmit={this.doMerge} />)
+    }
+    return modal
+  };
+
   render () {
     var ret
     try {
       const PreferencesModal = this.renderPreferencesModal()
       const saveModal = this.renderSaveModal()
       const revertModal = this.renderRevertModal()
-      const filteredWindows = searchOps.filterTabWindows(this.state.sortedWindows, this.state.searchRE)
+      const metadataModal = this.renderMetadataModal()
+      const mergeModal = this.renderMergeModal()
+      const matchedWindows = searchOps.filterTabWindows(this.state.sortedWindows, this.state.searchQuery)
+      // while searching, show best matches first:
+      const filteredWindows = this.state.searchQuery ? searchOps.rankTabWindows(matchedWindows) : matchedWindows
+      const exportModal = this.renderExportModal(filteredWindows)
+      const consistencyModal = this.renderConsistencyModal()
+      const dedupeModal = this.renderDedupeModal()
       ret = (
         <div className={popupOuterStyle}>
           <SelectablePopup
@@ -178,11 +334,17 @@ class Popup extends React.Component {
             filteredWindows={filteredWindows}
             appComponent={this}
             searchStr={this.state.searchStr}
-            searchRE={this.state.searchRE}
+            searchQuery={this.state.searchQuery}
             isPopout={this.props.isPopout} />
           {PreferencesModal}
           {saveModal}
           {revertModal}
+          {metadataModal}
+          {mergeModal}
+          {exportModal}
+          {consistencyModal}
+          {dedupeModal}
+          <UndoToast undoEntry={this.state.winStore.undoStack.last()} onUndo={this.doUndo} />
         </div>
       )
     } catch (e) {
@@ -194,6 +356,14 @@ class Popup extends React.Component {
     return ret
   }
 
+  componentDidMount () {
+    document.addEventListener('keydown', this.handleDocumentKeyDown)
+  }
+
+  componentWillUnmount () {
+    document.removeEventListener('keydown', this.handleDocumentKeyDown)
+  }
+
   componentWillMount () {
     if (this.props.noListener) {
       return
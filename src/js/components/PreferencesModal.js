@@ -1,7 +1,22 @@
 import * as React from 'react'
+import { css } from 'emotion'
 import * as styles from './cssStyles'
 import * as Constants from './constants'
 import * as Modal from './Modal'
+import BackupPanel from './BackupPanel'
+import { storageKindNames } from '../savedWindowProvider'
+import { dedupeScopeNames, dedupeActionNames } from '../dedupeRules'
+
+const prefRulesStyle = css({
+  marginLeft: 20,
+  fontSize: 12
+})
+const prefTextInputStyle = css({
+  width: '100%'
+})
+const minutesInputStyle = css({
+  width: 56
+})
 
 class PreferencesModal extends React.Component {
   constructor (props) {
@@ -39,22 +54,121 @@ class PreferencesModal extends React.Component {
     this.setState({prefs: nextPrefs})
   }
 
+  setPref (key, value) {
+    this.setState({prefs: this.state.prefs.set(key, value)})
+  }
+
+  renderPrefCheckbox (key, label) {
+    const prefs = this.state.prefs
+    return (
+      <div className='checkbox'>
+        <label>
+          <input
+            type='checkbox'
+            checked={prefs[key]}
+            onChange={e => this.setPref(key, !prefs[key])}
+          />
+          {label}
+        </label>
+      </div>
+    )
+  }
+
+  renderPrefTextInput (key, label, placeholder) {
+    return (
+      <div>
+        <label className={prefTextInputStyle}>
+          {label}
+          <input
+            type='text'
+            className={prefTextInputStyle}
+            placeholder={placeholder}
+            value={this.state.prefs[key]}
+            onChange={e => this.setPref(key, e.target.value)}
+          />
+        </label>
+      </div>
+    )
+  }
+
+  renderPrefSelect (key, label, names) {
+    return (
+      <div>
+        <label>
+          {label}{' '}
+          <select value={this.state.prefs[key]} onChange={e => this.setPref(key, e.target.value)}>
+            {Object.keys(names).map(k => <option key={k} value={k}>{names[k]}</option>)}
+          </select>
+        </label>
+      </div>
+    )
+  }
+
+  renderDedupeRules () {
+    return (
+      <div className={prefRulesStyle}>
+        {this.renderPrefSelect('dedupeScope', 'Look for duplicates', dedupeScopeNames)}
+        {this.renderPrefSelect('dedupeAction', 'When a duplicate tab is opened:', dedupeActionNames)}
+        {this.renderPrefCheckbox('dedupeIgnoreFragment', 'Ignore URL fragments (#...)')}
+        {this.renderPrefCheckbox('dedupeIgnoreTrailingSlash', 'Ignore trailing slash (/)')}
+        {this.renderPrefTextInput('dedupeIgnoredParams', 'Ignore query parameters (* for all):', 'utm_*, fbclid')}
+        {this.renderPrefTextInput('dedupeIncludeDomains', 'Only dedupe tabs on domains:', 'all domains')}
+        {this.renderPrefTextInput('dedupeExcludeDomains', 'Never dedupe tabs on domains:', 'mail.google.com')}
+      </div>
+    )
+  }
+
+  handleDiscardIdleMinutesChange (e) {
+    this.setPref('discardIdleMinutes', Math.max(1, Math.floor(Number(e.target.value)) || 1))
+  }
+
+  renderIdleTabRules () {
+    return (
+      <div className={prefRulesStyle}>
+        <div>
+          <label>
+            Discard tabs not used for{' '}
+            <input
+              type='number'
+              min='1'
+              className={minutesInputStyle}
+              value={this.state.prefs.discardIdleMinutes}
+              onChange={e => this.handleDiscardIdleMinutesChange(e)}
+            />
+            {' '}minutes
+          </label>
+        </div>
+        {this.renderPrefTextInput('discardExemptDomains', 'Never discard tabs on domains:', 'music.youtube.com')}
+        <small>Pinned tabs and tabs playing audio are never discarded.</small>
+      </div>
+    )
+  }
+
   handleRevertOnOpenChange (e) {
     const oldPrefs = this.state.prefs
     const nextPrefs = oldPrefs.set('revertOnOpen', !oldPrefs.revertOnOpen)
     this.setState({prefs: nextPrefs})
   }
 
+  handleSavedWindowStorageChange (e) {
+    const oldPrefs = this.state.prefs
+    const nextPrefs = oldPrefs.set('savedWindowStorage', e.target.value)
+    this.setState({prefs: nextPrefs})
+  }
+
   render () {
     const popStart = this.state.prefs.popoutOnStart
     const dedupeTabs = this.state.prefs.dedupeTabs
     const revertOnOpen = this.state.prefs.revertOnOpen
+    const savedWindowStorage = this.state.prefs.savedWindowStorage
+    const storageOptions = Object.keys(storageKindNames).map(kind =>
+      <option key={kind} value={kind}>{storageKindNames[kind]}</option>)
 
     return (
       <Modal.Dialog title='Tabli Preferences' onClose={this.props.onClose}>
         <Modal.Body>
           <div className="modal-body-container">
-            <form className='dialog-form preferences-form' onSubmit={this.handleSubmit}>
+            <form className='dialog-form preferences-form' onSubmit={e => this.handleSubmit(e)}>
               <div className='checkbox'>
                 <label>
                   <input
@@ -72,9 +186,12 @@ class PreferencesModal extends React.Component {
                     checked={dedupeTabs}
                     onChange={e => this.handleTabDedupeChange(e)}
                   />
-                  Automatically close duplicate tabs
+                  Check new tabs for duplicates of open tabs
                 </label>
               </div>
+              {this.renderDedupeRules()}
+              {this.renderPrefCheckbox('discardIdleTabs', 'Discard idle tabs to save memory')}
+              {this.renderIdleTabRules()}
               <div className='checkbox'>
                 <label>
                   <input
@@ -85,8 +202,27 @@ class PreferencesModal extends React.Component {
                   Only re-open saved tabs when re-opening saved windows
                 </label>
               </div>
+              {this.renderPrefCheckbox('lazyRestore',
+                'Only load the active tab when re-opening saved windows, other tabs when selected')}
+              <div className='form-group'>
+                <label>
+                  Store saved windows in:{' '}
+                  <select
+                    value={savedWindowStorage}
+                    onChange={e => this.handleSavedWindowStorageChange(e)}>
+                    {storageOptions}
+                  </select>
+                </label>
+                <div>
+                  <small>
+                    Changing this copies saved windows to the new location and reloads Tabli.
+                  </small>
+                </div>
+              </div>
             </form>
             <hr />
+            <BackupPanel storeRef={this.props.storeRef} />
+            <hr />
             <div className={styles.dialogButtonRow} >
               <button
                 type='button'
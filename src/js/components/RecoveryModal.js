@@ -0,0 +1,181 @@
+import * as React from 'react'
+import { css, cx } from 'emotion'
+import * as styles from './cssStyles'
+import * as Constants from './constants'
+import * as Modal from './Modal'
+import * as actions from '../actions'
+import * as sessionSnapshots from '../sessionSnapshots'
+
+const sessionStyle = css({
+  borderBottom: '1px solid #dadada',
+  paddingTop: 4,
+  paddingBottom: 4
+})
+const sessionHeaderStyle = css({
+  display: 'flex',
+  alignItems: 'center',
+  fontWeight: 'bold',
+  fontSize: 12,
+  marginBottom: 4
+})
+const snapshotSelectStyle = css({
+  fontSize: 11,
+  marginLeft: 6
+})
+const windowRowStyle = css({
+  display: 'flex',
+  alignItems: 'center',
+  fontSize: 11,
+  paddingLeft: 12
+})
+const windowTitleStyle = cx(styles.noWrap, css({
+  flexGrow: 1
+}))
+const windowButtonStyle = css({
+  fontSize: 11,
+  paddingTop: 0,
+  paddingBottom: 0,
+  marginLeft: 6
+})
+const messageStyle = css({
+  fontSize: 11
+})
+const errorMessageStyle = css({
+  fontSize: 11,
+  color: '#c00000'
+})
+
+const fmtTime = (time) => (new Date(time)).toLocaleString()
+
+/**
+ * List previous sessions from crash-recovery snapshots (see sessionSnapshots.js)
+ * and re-open any of their windows
+ */
+class RecoveryModal extends React.Component {
+  state = {
+    sessions: null,
+    // index of chosen snapshot, by session id:
+    snapshotIndex: {},
+    errorMessage: null
+  };
+
+  async componentDidMount () {
+    const snapshots = await sessionSnapshots.loadSnapshots()
+    this.setState({ sessions: sessionSnapshots.getSessions(snapshots) })
+  }
+
+  handleKeyDown = (e) => {
+    if (e.keyCode === Constants.KEY_ESC) {
+      e.preventDefault()
+      this.props.onClose(e)
+    }
+  };
+
+  handleSnapshotChange (sessionId, e) {
+    const snapshotIndex = Object.assign({}, this.state.snapshotIndex, { [sessionId]: Number(e.target.value) })
+    this.setState({ snapshotIndex })
+  }
+
+  async openWindows (snapWindows) {
+    this.setState({ errorMessage: null })
+    try {
+      for (let snapWindow of snapWindows) {
+        await actions.openSnapshotWindow(snapWindow, this.props.storeRef)
+      }
+    } catch (e) {
+      console.error('RecoveryModal: error opening window: ', e)
+      this.setState({ errorMessage: 'Could not open window: ' + e.message })
+    }
+  }
+
+  handleOpenWindow (snapWindow) {
+    this.openWindows([snapWindow])
+  }
+
+  handleOpenAll (snapshot) {
+    this.openWindows(snapshot.windows)
+  }
+
+  renderSession (session) {
+    const index = this.state.snapshotIndex[session.sessionId] || 0
+    const snapshot = session.snapshots[index]
+    const current = (session.sessionId === this.props.currentSessionId) ? ' (current)' : ''
+    const snapshotOptions = session.snapshots.map((s, i) => (
+      <option key={i} value={i}>{fmtTime(s.time)}</option>
+    ))
+    const windowRows = snapshot.windows.map((snapWindow, i) => (
+      <div key={i} className={windowRowStyle}>
+        <span className={windowTitleStyle} title={snapWindow.tabs.map(tab => tab.url).join('\n')}>
+          {snapWindow.savedTitle || snapWindow.title} ({snapWindow.tabs.length} tabs)
+        </span>
+        <button
+          type='button'
+          className={cx('btn btn-default btn-light btn-sm', windowButtonStyle)}
+          onClick={() => this.handleOpenWindow(snapWindow)}>
+          Open
+        </button>
+      </div>
+    ))
+    return (
+      <div key={session.sessionId} className={sessionStyle}>
+        <div className={sessionHeaderStyle}>
+          <span>Session started {fmtTime(session.sessionId)}{current}</span>
+          <select
+            className={snapshotSelectStyle}
+            value={index}
+            title='Snapshot time'
+            onChange={e => this.handleSnapshotChange(session.sessionId, e)}>
+            {snapshotOptions}
+          </select>
+          <div className={styles.spacer} />
+          <button
+            type='button'
+            className={cx('btn btn-default btn-light btn-sm', windowButtonStyle)}
+            onClick={() => this.handleOpenAll(snapshot)}>
+            Open All
+          </button>
+        </div>
+        {windowRows}
+      </div>
+    )
+  }
+
+  renderSessions () {
+    const { sessions } = this.state
+    if (sessions == null) {
+      return <div className={messageStyle}>Loading...</div>
+    }
+    if (sessions.length === 0) {
+      return <div className={messageStyle}>No snapshots recorded yet</div>
+    }
+    return sessions.map(session => this.renderSession(session))
+  }
+
+  render () {
+    return (
+      <Modal.Dialog title='Recover Windows' onClose={this.props.onClose}>
+        <Modal.Info>
+          <span>Re-open windows from snapshots of all open windows, taken every few minutes</span>
+        </Modal.Info>
+        <Modal.Body>
+          <div className='modal-body-container' onKeyDown={this.handleKeyDown}>
+            {this.renderSessions()}
+            {this.state.errorMessage ? <div className={errorMessageStyle}>{this.state.errorMessage}</div> : null}
+            <hr />
+            <div className={styles.dialogButtonRow} >
+              <button
+                type='button'
+                className='btn btn-default btn-light btn-sm tabli-dialog-button'
+                autoFocus
+                onClick={e => this.props.onClose(e)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </Modal.Body>
+      </Modal.Dialog>
+    )
+  }
+}
+
+export default RecoveryModal
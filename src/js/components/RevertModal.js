@@ -101,7 +101,7 @@ class RevertModal extends React.Component {
             </div>
             <br />
             <p>
-              This action can not be undone.
+              This action can be undone with Ctrl+Z.
             </p>
           </div>
           <div className={styles.dialogButtonRow} >
@@ -7,18 +7,13 @@ import DropdownItem from 'reactstrap/lib/DropdownItem'
 import Input from 'reactstrap/lib/Input'
 import * as Constants from './constants'
 import * as actions from '../actions'
-import * as Util from './util'
-
-// The dreaded routine copied from SO
-// http://stackoverflow.com/a/18455088/3272482
-function copyTextToClipboard (text) {
-  var copyFrom = document.createElement('textarea')
-  copyFrom.textContent = text
-  var body = document.getElementsByTagName('body')[0]
-  body.appendChild(copyFrom)
-  copyFrom.select()
-  document.execCommand('copy')
-  body.removeChild(copyFrom)
+
+// keys (with Alt+Shift) for reordering tabs of the selected window (see tabOrder.js):
+const sortKeyOrders = {
+  [Constants.KEY_D]: 'domain',
+  [Constants.KEY_T]: 'title',
+  [Constants.KEY_L]: 'lastAccessed',
+  [Constants.KEY_G]: 'groupByDomain'
 }
 
 class SearchBar extends React.Component {
@@ -63,23 +58,48 @@ class SearchBar extends React.Component {
       }
     }
 
-    if ((!e.ctrlKey && e.keyCode === Constants.KEY_UP) ||
-      (e.ctrlKey && !e.shiftKey && e.keyCode === Constants.KEY_P)) {
-      searchUp(false)
-    }
-    if ((e.ctrlKey && e.keyCode === Constants.KEY_UP) ||
-      (e.ctrlKey && e.shiftKey && e.keyCode === Constants.KEY_P)) {
-      searchUp(true)
+    const isArrowKey = (e.keyCode === Constants.KEY_UP) || (e.keyCode === Constants.KEY_DOWN)
+    if (e.shiftKey && !e.ctrlKey && isArrowKey) {
+      // extend multi-selection:
+      if (this.props.onSearchExtend) {
+        e.preventDefault()
+        this.props.onSearchExtend(e.keyCode === Constants.KEY_UP)
+      }
+    } else {
+      if ((!e.ctrlKey && e.keyCode === Constants.KEY_UP) ||
+        (e.ctrlKey && !e.shiftKey && e.keyCode === Constants.KEY_P)) {
+        searchUp(false)
+      }
+      if ((e.ctrlKey && e.keyCode === Constants.KEY_UP) ||
+        (e.ctrlKey && e.shiftKey && e.keyCode === Constants.KEY_P)) {
+        searchUp(true)
+      }
+
+      if ((!e.ctrlKey && e.keyCode === Constants.KEY_DOWN) ||
+        (e.ctrlKey && !e.shiftKey && e.keyCode === Constants.KEY_N)) {
+        searchDown(false)
+      }
+
+      if ((e.ctrlKey && e.keyCode === Constants.KEY_DOWN) ||
+        (e.ctrlKey && e.shiftKey && e.keyCode === Constants.KEY_N)) {
+        searchDown(true)
+      }
     }
 
-    if ((!e.ctrlKey && e.keyCode === Constants.KEY_DOWN) ||
-      (e.ctrlKey && !e.shiftKey && e.keyCode === Constants.KEY_N)) {
-      searchDown(false)
+    if (e.altKey && e.keyCode === Constants.KEY_A) {
+      if (this.props.onSelectAllMatches) {
+        e.preventDefault()
+        this.props.onSelectAllMatches()
+      }
     }
 
-    if ((e.ctrlKey && e.keyCode === Constants.KEY_DOWN) ||
-      (e.ctrlKey && e.shiftKey && e.keyCode === Constants.KEY_N)) {
-      searchDown(true)
+    // Alt+Shift+D / T / L / G: sort or group tabs of selected window
+    const tabOrder = sortKeyOrders[e.keyCode]
+    if (e.altKey && e.shiftKey && tabOrder) {
+      if (this.props.onReorderSelectedWindow) {
+        e.preventDefault()
+        this.props.onReorderSelectedWindow(tabOrder)
+      }
     }
 
     if (e.keyCode === Constants.KEY_TAB) {
@@ -165,21 +185,39 @@ class SearchBar extends React.Component {
     actions.showPreferences()
   };
 
-  handleReloadClick = (e) => {
+  handleImportClick = (e) => {
     e.preventDefault()
-    console.log('handleReloadClick')
-    actions.reload()
+    actions.showImport()
+  };
+
+  handleArchiveClick = (e) => {
+    e.preventDefault()
+    actions.showArchive()
   };
 
-  handleCopyClick = () => {
-    const openWindows = this.props.winStore.getTabWindowsByType('normal')
+  handleRecoveryClick = (e) => {
+    e.preventDefault()
+    actions.showRecovery()
+  };
+
+  handleConsistencyCheckClick = (e) => {
+    e.preventDefault()
+    this.props.onShowConsistencyCheck()
+  };
 
-    var cmpFn = Util.windowCmp(this.props.winStore.currentWindowId)
-    var sortedWindows = openWindows.sort(cmpFn)
+  handleDedupeClick = (e) => {
+    e.preventDefault()
+    this.props.onShowDedupe()
+  };
 
-    const s = sortedWindows.reduce((rs, tw) => rs + '\n\n' + tw.exportStr(), '')
+  handleReloadClick = (e) => {
+    e.preventDefault()
+    console.log('handleReloadClick')
+    actions.reload()
+  };
 
-    copyTextToClipboard(s)
+  handleExportClick = () => {
+    this.props.onShowExport()
   };
 
   setInputRef = (ref) => {
@@ -227,8 +265,8 @@ class SearchBar extends React.Component {
         className='btn-xs'
         outline
         color='dark'
-        title='Copy All to Clipboard'
-        onClick={this.handleCopyClick}>
+        title='Copy or Download Tabs...'
+        onClick={this.handleExportClick}>
         <i className='fa fa-clipboard' aria-hidden='true' />
       </Button>
     )
@@ -240,6 +278,11 @@ class SearchBar extends React.Component {
         <DropdownItem onClick={this.handleRelNotesClick}>Release Notes</DropdownItem>
         <DropdownItem divider />
         <DropdownItem onClick={this.handlePreferencesClick}>Preferences...</DropdownItem>
+        <DropdownItem onClick={this.handleImportClick}>Import Tabs...</DropdownItem>
+        <DropdownItem onClick={this.handleArchiveClick}>Archived Windows...</DropdownItem>
+        <DropdownItem onClick={this.handleRecoveryClick}>Recover Windows...</DropdownItem>
+        <DropdownItem onClick={this.handleDedupeClick}>Close Duplicate Tabs...</DropdownItem>
+        <DropdownItem onClick={this.handleConsistencyCheckClick}>Check &amp; Repair...</DropdownItem>
         <DropdownItem onClick={this.handleReloadClick}>Reload</DropdownItem>
         <DropdownItem divider />
         <DropdownItem onClick={this.handleReviewClick}>Review Tabli</DropdownItem>
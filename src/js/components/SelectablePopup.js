@@ -1,10 +1,13 @@
 import * as React from 'react'
+import * as Immutable from 'immutable'
 import * as styles from './cssStyles'
 import { cx, css } from 'emotion'
 import * as Constants from './constants'
 
 import * as actions from '../actions'
+import * as tabSelection from '../tabSelection'
 import SearchBar from './SearchBar'
+import SelectionBar from './SelectionBar'
 import TabWindowList from './TabWindowList'
 
 function matchingTabs (searchStr, filteredTabWindow) {
@@ -83,10 +86,12 @@ class SelectablePopup extends React.Component {
     selectedWindowIndex: 0,
     selectedTabIndex: 0,
     scrolledToWindowId: -1,
-    scrolledToTabId: -1
+    scrolledToTabId: -1,
+    multiSelection: Immutable.OrderedSet(), // keys (see tabSelection.js) of selected tabs
+    selectionAnchor: null // [windowIndex, tabIndex] where range selection starts
   };
 
-  handlePrevSelection = (byPage) => {
+  handlePrevSelection = (byPage, onMoved) => {
     if (this.props.filteredWindows.length === 0) {
       return
     }
@@ -97,7 +102,7 @@ class SelectablePopup extends React.Component {
     const isExpanded = selectedWindow.tabWindow.isExpanded(this.props.winStore)
 
     if (isExpanded && this.state.selectedTabIndex > 0 && !byPage) {
-      this.setState({ selectedTabIndex: this.state.selectedTabIndex - 1 })
+      this.setState({ selectedTabIndex: this.state.selectedTabIndex - 1 }, onMoved)
     } else {
       // Already on first tab, try to back up to previous window:
       let prevWindowIndex
@@ -110,11 +115,11 @@ class SelectablePopup extends React.Component {
       const prevWindow = this.props.filteredWindows[prevWindowIndex]
       const prevTabCount = (this.props.searchStr.length > 0) ? prevWindow.itemMatches.count() : prevWindow.tabWindow.tabItems.count()
 
-      this.setState({ selectedWindowIndex: prevWindowIndex, selectedTabIndex: prevTabCount - 1 })
+      this.setState({ selectedWindowIndex: prevWindowIndex, selectedTabIndex: prevTabCount - 1 }, onMoved)
     }
   };
 
-  handleNextSelection = (byPage) => {
+  handleNextSelection = (byPage, onMoved) => {
     if (this.props.filteredWindows.length === 0) {
       return
     }
@@ -124,18 +129,86 @@ class SelectablePopup extends React.Component {
     const isExpanded = selectedWindow.tabWindow.isExpanded(this.props.winStore)
 
     if (isExpanded && (this.state.selectedTabIndex + 1) < tabCount && !byPage) {
-      this.setState({ selectedTabIndex: this.state.selectedTabIndex + 1 })
+      this.setState({ selectedTabIndex: this.state.selectedTabIndex + 1 }, onMoved)
     } else {
       // Already on last tab, try to advance to next window:
       if ((this.state.selectedWindowIndex + 1) < this.props.filteredWindows.length) {
-        this.setState({ selectedWindowIndex: this.state.selectedWindowIndex + 1, selectedTabIndex: 0 })
+        this.setState({ selectedWindowIndex: this.state.selectedWindowIndex + 1, selectedTabIndex: 0 }, onMoved)
       } else {
         // wrap the search:
-        this.setState({ selectedWindowIndex: 0, selectedTabIndex: 0 })
+        this.setState({ selectedWindowIndex: 0, selectedTabIndex: 0 }, onMoved)
       }
     }
   };
 
+  /*
+   * multi-selection
+   */
+  setRangeSelection = (anchor, pos) => {
+    const keys = tabSelection.rangeKeys(this.props.filteredWindows, this.props.searchStr,
+      this.props.winStore, anchor, pos)
+    this.setState({ multiSelection: Immutable.OrderedSet(keys), selectionAnchor: anchor })
+  };
+
+  // shift-click (extend) or ctrl-click (toggle) on a tab:
+  handleMultiSelect = (windowIndex, tabIndex, extend) => {
+    const pos = [windowIndex, tabIndex]
+    this.setState({ selectedWindowIndex: windowIndex, selectedTabIndex: tabIndex })
+    if (extend) {
+      const anchor = this.state.selectionAnchor || [this.state.selectedWindowIndex, Math.max(0, this.state.selectedTabIndex)]
+      this.setRangeSelection(anchor, pos)
+    } else {
+      const key = tabSelection.keyAt(this.props.filteredWindows, this.props.searchStr, pos)
+      if (key) {
+        const multiSelection = this.state.multiSelection
+        const nextSelection = multiSelection.has(key) ? multiSelection.delete(key) : multiSelection.add(key)
+        this.setState({ multiSelection: nextSelection, selectionAnchor: pos })
+      }
+    }
+  };
+
+  // Shift+Up / Shift+Down:
+  handleExtendSelection = (up) => {
+    if (this.props.filteredWindows.length === 0) {
+      return
+    }
+    const anchor = this.state.selectionAnchor || [this.state.selectedWindowIndex, Math.max(0, this.state.selectedTabIndex)]
+    const onMoved = () => {
+      this.setRangeSelection(anchor, [this.state.selectedWindowIndex, Math.max(0, this.state.selectedTabIndex)])
+    }
+    if (up) {
+      this.handlePrevSelection(false, onMoved)
+    } else {
+      this.handleNextSelection(false, onMoved)
+    }
+  };
+
+  handleSelectAllMatches = () => {
+    if (this.props.searchStr.length === 0) {
+      return
+    }
+    const keys = tabSelection.allMatchKeys(this.props.filteredWindows, this.props.searchStr)
+    this.setState({ multiSelection: Immutable.OrderedSet(keys), selectionAnchor: null })
+  };
+
+  handleClearSelection = () => {
+    this.setState({ multiSelection: Immutable.OrderedSet(), selectionAnchor: null })
+  };
+
+  // apply a batch action to the current multi-selection, then clear the selection:
+  applyBatchAction = (batchAction) => {
+    const selection = tabSelection.resolveSelection(this.props.winStore, this.state.multiSelection)
+    this.handleClearSelection()
+    batchAction(selection, this.props.storeRef)
+  };
+
+  handleBatchClose = () => this.applyBatchAction(actions.closeTabs);
+  handleBatchSave = () => this.applyBatchAction(actions.saveTabs);
+  handleBatchUnsave = () => this.applyBatchAction(actions.unsaveTabs);
+  handleBatchMove = (targetTabWindow) =>
+    this.applyBatchAction((selection, storeRef) => actions.moveTabs(selection, targetTabWindow, storeRef));
+  handleBatchMoveToNewWindow = () => this.applyBatchAction(actions.moveTabsToNewWindow);
+
   handleSelectionEnter = (inputRef) => {
     if (this.props.filteredWindows.length === 0) {
       return
@@ -155,6 +228,13 @@ class SelectablePopup extends React.Component {
     this.props.onSearchInput('')
   };
 
+  handleReorderSelectedWindow = (order) => {
+    const selectedWindow = this.props.filteredWindows[this.state.selectedWindowIndex]
+    if (selectedWindow) {
+      actions.reorderWindowTabs(selectedWindow.tabWindow, order, this.props.storeRef)
+    }
+  };
+
   handleSelectionExpandToggle = () => {
     if (this.props.filteredWindows.length === 0) {
       return
@@ -180,7 +260,13 @@ class SelectablePopup extends React.Component {
     var selectedWindowIndex = this.state.selectedWindowIndex
     var nextFilteredWindows = nextProps.filteredWindows
 
-    if (selectedWindowIndex >= nextFilteredWindows.length) {
+    if (nextProps.searchStr !== this.props.searchStr && nextProps.searchStr.length > 0) {
+      // search results are ranked, so select the top-ranked tab:
+      const topTabIndex = (nextFilteredWindows.length > 0 &&
+        matchingTabsCount(nextProps.searchStr, nextFilteredWindows[0]) > 0) ? 0 : -1
+      // positions change with search, so range selection starts over:
+      this.setState({ selectedWindowIndex: 0, selectedTabIndex: topTabIndex, selectionAnchor: null })
+    } else if (selectedWindowIndex >= nextFilteredWindows.length) {
       if (nextFilteredWindows.length === 0) {
         this.setState({ selectedWindowIndex: 0, selectedTabIndex: -1 })
       } else {
@@ -272,6 +358,7 @@ class SelectablePopup extends React.Component {
   };
 
   handleItemSelected = (item) => {
+    this.handleClearSelection()
     if (this.searchInputRef) {
       // And reset the search field:
       this.searchInputRef.value = ''
@@ -304,6 +391,21 @@ class SelectablePopup extends React.Component {
     // const summarySentence=openTabCount + " Open Tabs, " + openWinCount + " Open Windows, " + savedCount + " Saved Windows"
     const summarySentence = 'Tabs: ' + openTabCount + ' Open. Windows: ' + openWinCount + ' Open, ' + savedCount + ' Saved.'
 
+    const selectionCount = this.state.multiSelection.count()
+    const searchActive = this.props.searchStr.length > 0
+    const selectionBar = (selectionCount > 0 || searchActive) ? (
+      <SelectionBar
+        winStore={this.props.winStore}
+        selectionCount={selectionCount}
+        searchActive={searchActive}
+        onSelectAllMatches={this.handleSelectAllMatches}
+        onClose={this.handleBatchClose}
+        onSave={this.handleBatchSave}
+        onUnsave={this.handleBatchUnsave}
+        onMove={this.handleBatchMove}
+        onMoveToNewWindow={this.handleBatchMoveToNewWindow}
+        onClear={this.handleClearSelection} />) : null
+
     return (
       <div className={popupInnerStyle}>
         <div className={popupHeaderStyle}>
@@ -316,10 +418,17 @@ class SelectablePopup extends React.Component {
             onSearchEnter={this.handleSelectionEnter}
             onSearchExit={this.handleSearchExit}
             onSearchExpandToggle={this.handleSelectionExpandToggle}
+            onSearchExtend={this.handleExtendSelection}
+            onSelectAllMatches={this.handleSelectAllMatches}
+            onReorderSelectedWindow={this.handleReorderSelectedWindow}
             onShowPreferences={this.props.appComponent.openPreferencesModal}
+            onShowExport={this.props.appComponent.openExportModal}
+            onShowConsistencyCheck={this.props.appComponent.openConsistencyModal}
+            onShowDedupe={this.props.appComponent.openDedupeModal}
             setInputRef={this.setSearchInputRef}
             isPopout={this.props.isPopout} />
         </div>
+        {selectionBar}
         <div className={popupBodyStyle} ref={this.setBodyRef}>
           <TabWindowList
             winStore={this.props.winStore}
@@ -327,10 +436,12 @@ class SelectablePopup extends React.Component {
             filteredWindows={this.props.filteredWindows}
             appComponent={this.props.appComponent}
             searchStr={this.props.searchStr}
-            searchRE={this.props.searchRE}
+            searchQuery={this.props.searchQuery}
             selectedWindowIndex={this.state.selectedWindowIndex}
             selectedTabIndex={this.state.selectedTabIndex}
             setFocusedTabWindowRef={this.setFocusedTabWindowRef}
+            multiSelection={this.state.multiSelection}
+            onMultiSelect={this.handleMultiSelect}
             onItemSelected={this.handleItemSelected} />
         </div>
         <div className={popupFooterStyle}>
@@ -136,7 +136,7 @@ class SelectableTabPage extends React.Component {
               filteredWindows={this.props.filteredWindows}
               appComponent={this.props.appComponent}
               searchStr={this.props.searchStr}
-              searchRE={this.props.searchRE}
+              searchQuery={this.props.searchQuery}
               selectedWindowIndex={this.state.selectedWindowIndex}
               selectedTabIndex={this.state.selectedTabIndex} />
           </div>
@@ -0,0 +1,103 @@
+import * as React from 'react'
+import Button from 'reactstrap/lib/Button'
+import ButtonDropdown from 'reactstrap/lib/ButtonDropdown'
+import DropdownToggle from 'reactstrap/lib/DropdownToggle'
+import DropdownMenu from 'reactstrap/lib/DropdownMenu'
+import DropdownItem from 'reactstrap/lib/DropdownItem'
+import { css, cx } from 'emotion'
+import * as styles from './cssStyles'
+import * as Constants from './constants'
+import * as Util from './util'
+
+const selectionBarStyle = css({
+  minWidth: 350,
+  width: '100%',
+  display: 'flex',
+  alignItems: 'center',
+  flex: '0 0 auto',
+  paddingLeft: 10,
+  paddingRight: 10,
+  paddingTop: 3,
+  paddingBottom: 3,
+  background: '#f4f4f4',
+  borderBottom: '1px solid #bababa',
+  fontSize: 11
+})
+const selectionCountStyle = cx(styles.noWrap, css({
+  flexGrow: 1
+}))
+const moveMenuStyle = css({
+  maxHeight: Constants.MODAL_BODY_MAX_HEIGHT / 2,
+  overflowY: 'auto'
+})
+
+/**
+ * Toolbar for batch operations on the tabs selected in the popup
+ */
+class SelectionBar extends React.Component {
+  state = {
+    moveDropdownOpen: false
+  };
+
+  toggleMoveDropdown = () => {
+    this.setState(prevState => ({ moveDropdownOpen: !prevState.moveDropdownOpen }))
+  };
+
+  renderMoveDropdown () {
+    const winStore = this.props.winStore
+    const openWindows = winStore.getTabWindowsByType('normal').toArray()
+    const closedSavedWindows = winStore.bookmarkIdMap.toIndexedSeq().filter(tw => !tw.open).toArray()
+    const targetWindows = openWindows.concat(closedSavedWindows).sort(Util.windowCmp(winStore.currentWindowId))
+    const menuItems = targetWindows.map(tw => (
+      <DropdownItem key={tw.id} onClick={() => this.props.onMove(tw)}>{tw.title}</DropdownItem>
+    ))
+    return (
+      <ButtonDropdown
+        className='btn-group-xs'
+        isOpen={this.state.moveDropdownOpen}
+        toggle={this.toggleMoveDropdown}>
+        <DropdownToggle caret outline title='Move selected tabs to window'>Move to</DropdownToggle>
+        <DropdownMenu className={cx('tabli-menu', moveMenuStyle)}>
+          <DropdownItem onClick={this.props.onMoveToNewWindow}>New Window</DropdownItem>
+          <DropdownItem divider />
+          {menuItems}
+        </DropdownMenu>
+      </ButtonDropdown>
+    )
+  }
+
+  render () {
+    const selectionCount = this.props.selectionCount
+    const selectAllButton = this.props.searchActive ? (
+      <Button className='btn-xs' outline color='dark' title='Select all matching tabs (Alt+A)'
+        onClick={this.props.onSelectAllMatches}>Select All</Button>) : null
+
+    if (selectionCount === 0) {
+      return (
+        <div className={selectionBarStyle}>
+          <span className={selectionCountStyle}>Shift / Ctrl + click to select tabs</span>
+          {selectAllButton}
+        </div>
+      )
+    }
+
+    const countStr = selectionCount + ' tab' + (selectionCount === 1 ? '' : 's') + ' selected'
+    return (
+      <div className={selectionBarStyle}>
+        <span className={selectionCountStyle}>{countStr}</span>
+        {selectAllButton}
+        <Button className='btn-xs' outline color='dark' title='Close selected tabs'
+          onClick={this.props.onClose}>Close</Button>
+        <Button className='btn-xs' outline color='dark' title='Bookmark selected tabs of saved windows'
+          onClick={this.props.onSave}>Bookmark</Button>
+        <Button className='btn-xs' outline color='dark' title='Remove bookmarks of selected tabs'
+          onClick={this.props.onUnsave}>Unbookmark</Button>
+        {this.renderMoveDropdown()}
+        <Button className='btn-xs' outline color='dark' title='Clear selection'
+          onClick={this.props.onClear}>Clear</Button>
+      </div>
+    )
+  }
+}
+
+export default SelectionBar
@@ -0,0 +1,75 @@
+import * as React from 'react'
+import * as styles from './cssStyles'
+import * as colors from './colors'
+import { cx, css } from 'emotion'
+import ExpanderButton from './ExpanderButton'
+
+const groupHeaderBaseStyle = css({
+  height: 20,
+  maxHeight: 20,
+  paddingLeft: 3,
+  paddingRight: 3,
+  display: 'flex',
+  alignItems: 'center',
+  cursor: 'pointer'
+})
+const groupHeaderStyle = cx(styles.noWrap, groupHeaderBaseStyle)
+
+const groupTitleStyle = cx(styles.text, styles.noWrap, css({
+  fontSize: 11,
+  fontWeight: 'bold',
+  color: 'white',
+  borderRadius: 4,
+  paddingLeft: 6,
+  paddingRight: 6,
+  marginLeft: 3
+}))
+
+const groupCountStyle = cx(styles.text, styles.closed, css({
+  fontSize: 11
+}))
+
+const groupMembersBaseStyle = css({
+  borderLeft: '2px solid',
+  marginLeft: 10
+})
+
+/*
+ * A collapsible section rendering the member tabs of a Chrome tab group
+ * within a window. Member TabItem elements are passed as children.
+ */
+class TabGroupSection extends React.PureComponent {
+  handleHeaderClick = (event) => {
+    event.stopPropagation()
+    this.props.onExpand(!this.props.expanded)
+  };
+
+  render () {
+    const tabGroup = this.props.tabGroup
+    const groupColor = colors.tabGroupColors[tabGroup.color] || colors.tabGroupColors.grey
+    const title = tabGroup.title.length > 0 ? tabGroup.title : 'Unnamed group'
+    const memberCount = React.Children.count(this.props.children)
+    const countStr = '(' + memberCount + (memberCount === 1 ? ' tab)' : ' tabs)')
+    const members = this.props.expanded ? (
+      <div className={groupMembersBaseStyle} style={{ borderLeftColor: groupColor }}>
+        {this.props.children}
+      </div>
+    ) : null
+
+    return (
+      <div>
+        <div className={groupHeaderStyle} onClick={this.handleHeaderClick}>
+          <ExpanderButton
+            winStore={this.props.winStore}
+            expanded={this.props.expanded}
+            onClick={this.props.onExpand} />
+          <span className={groupTitleStyle} style={{ backgroundColor: groupColor }}>{title}</span>
+          <span className={groupCountStyle}>{countStr}</span>
+        </div>
+        {members}
+      </div>
+    )
+  }
+}
+
+export default TabGroupSection
@@ -8,6 +8,7 @@ import { DragItemTypes } from './constants'
 import { DragSource, DropTarget } from 'react-dnd'
 import HeaderButton from './HeaderButton'
 import HeaderCheckbox from './HeaderCheckbox'
+import HighlightedText from './HighlightedText'
 import { cx, css } from 'emotion'
 
 const emptyFavIconStyle = cx(styles.headerButton, styles.emptyFavIcon)
@@ -27,6 +28,36 @@ const tabItemCloseButtonStyle = cx(styles.headerButton, tabItemHoverVisible, sty
 
 const audibleIconStyle = cx(styles.headerButton, styles.audibleIcon)
 
+// discarded tab indicator, and button to discard a tab (see idleTabs.js):
+const sleepBaseStyle = css({
+  width: 16,
+  flex: 'none',
+  padding: 0,
+  fontSize: 9,
+  fontWeight: 'bold',
+  textAlign: 'center'
+})
+const sleepingIndicatorStyle = cx(sleepBaseStyle, css({
+  color: colors.closedGray
+}))
+const discardButtonStyle = cx(sleepBaseStyle, tabItemHoverVisible, css({
+  border: 'none',
+  outline: 'none',
+  background: 'none',
+  color: '#888888',
+  '&:hover': {
+    color: '#000000'
+  }
+}))
+
+const titleColumnStyle = css({
+  display: 'flex',
+  flexDirection: 'column',
+  flexGrow: 1,
+  minWidth: 0
+})
+const tabUrlStyle = cx(styles.text, styles.tabItemUrl, styles.noWrap)
+
 const tabItemSource = {
   beginDrag (props) {
     return { sourceTabWindow: props.tabWindow, sourceTab: props.tab }
@@ -70,12 +101,23 @@ class TabItem extends React.PureComponent {
     isSelected: PropTypes.bool.isRequired,
     appComponent: PropTypes.object.isRequired,
     isOver: PropTypes.bool.isRequired,
-    onItemSelected: PropTypes.func
+    onItemSelected: PropTypes.func,
+    isMultiSelected: PropTypes.bool,
+    windowIndex: PropTypes.number, // index of tabWindow in popup window list
+    onMultiSelect: PropTypes.func,
+    titleMatches: PropTypes.array, // search MatchRanges of title
+    urlMatches: PropTypes.array // search MatchRanges of url
   };
 
   handleClick = (event) => {
     event.preventDefault()
     event.stopPropagation()
+    const multiSelectClick = event.shiftKey || event.ctrlKey || event.metaKey
+    if (multiSelectClick && this.props.onMultiSelect) {
+      // shift-click extends the selection, ctrl-click toggles this tab:
+      this.props.onMultiSelect(this.props.windowIndex, this.props.tabIndex, event.shiftKey)
+      return
+    }
     var tabWindow = this.props.tabWindow
     var tab = this.props.tab
     var tabIndex = this.props.tabIndex
@@ -100,6 +142,11 @@ class TabItem extends React.PureComponent {
     actions.closeTab(this.props.tabWindow, tabId, this.props.storeRef)
   };
 
+  handleDiscard = (event) => {
+    event.stopPropagation()
+    actions.discardTabs([[this.props.tabWindow, this.props.tab]], this.props.storeRef)
+  };
+
   handleBookmarkTabItem = (event) => {
     event.stopPropagation()
     console.log('bookmark tab: ', this.props.tab.toJS())
@@ -126,7 +173,8 @@ class TabItem extends React.PureComponent {
     // span style depending on whether open or closed window
     var tabOpenStateStyle = null
 
-    const favIconStyle = tab.open ? favIconOpenStyle : favIconClosedStyle
+    const discarded = tab.open && tab.openState.discarded
+    const favIconStyle = (tab.open && !discarded) ? favIconOpenStyle : favIconClosedStyle
 
     var tabCheckItem
 
@@ -172,11 +220,25 @@ class TabItem extends React.PureComponent {
     var tabActiveStyle = (tab.open && tab.openState.active) ? styles.activeSpan : null
     var tabTitleStyle = cx(styles.text, styles.tabTitle, styles.noWrap, tabOpenStateStyle, tabActiveStyle)
     var selectedStyle = this.props.isSelected ? styles.tabItemSelected : null
+    var multiSelectedStyle = this.props.isMultiSelected ? styles.tabItemMultiSelected : null
 
     var dropStyle = isOver ? styles.tabItemDropOver : null
 
     const audibleIcon = (tab.open && tab.openState.audible) ? <div className={audibleIconStyle} /> : null
 
+    let sleepItem = null
+    if (discarded) {
+      sleepItem = (
+        <div className={sleepingIndicatorStyle} title='Sleeping: unloaded to save memory until next activated'>
+          zZ
+        </div>)
+    } else if (tab.open && !tab.openState.active) {
+      sleepItem = (
+        <button className={discardButtonStyle} title='Discard now: unload tab to save memory' onClick={this.handleDiscard}>
+          zZ
+        </button>)
+    }
+
     const closeButton = (
       <HeaderButton
         className={tabItemCloseButtonStyle}
@@ -188,7 +250,29 @@ class TabItem extends React.PureComponent {
     // Due to limitation of nested class selectors with composition;
     // see https://emotion.sh/docs/nested for more info.
 
-    const tabItemStyle = cx(styles.noWrap, styles.tabItem, selectedStyle, dropStyle)
+    // when only the URL matched a search, show it so it's clear why the tab matched:
+    const { titleMatches, urlMatches } = this.props
+    const showUrl = (urlMatches != null) && (titleMatches == null)
+
+    const titleLink = (
+      <a
+        href={tab.url}
+        className={tabTitleStyle}
+        title={tooltipContent}
+        onClick={this.handleClick}>
+        <HighlightedText text={tabTitle} matches={titleMatches} />
+      </a>)
+
+    const titleElem = showUrl ? (
+      <div className={titleColumnStyle}>
+        {titleLink}
+        <div className={tabUrlStyle}>
+          <HighlightedText text={tab.url} matches={urlMatches} />
+        </div>
+      </div>) : titleLink
+
+    const urlLineStyle = showUrl ? styles.tabItemWithUrl : null
+    const tabItemStyle = cx(styles.noWrap, styles.tabItem, urlLineStyle, multiSelectedStyle, selectedStyle, dropStyle)
 
     return connectDropTarget(connectDragSource(
       <div
@@ -198,12 +282,9 @@ class TabItem extends React.PureComponent {
           {tabCheckItem}
           {tabFavIcon}
         </div>
-        <a
-          href={tab.url}
-          className={tabTitleStyle}
-          title={tooltipContent}
-          onClick={this.handleClick}>{tabTitle}</a>
+        {titleElem}
         <div className={styles.rowItemsFixedWidth}>
+          {sleepItem}
           {audibleIcon}
           {closeButton}
         </div>
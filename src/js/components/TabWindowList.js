@@ -3,6 +3,7 @@ import * as React from 'react'
 import FilteredTabWindow from './FilteredTabWindow'
 import WindowListSection from './WindowListSection'
 import MessageCard from './MessageCard'
+import NewWindowDropZone from './NewWindowDropZone'
 
 import * as actions from '../actions'
 
@@ -39,6 +40,10 @@ class TabWindowList extends React.Component {
     var focusedWindowElem = []
     var openWindows = []
     var savedWindows = []
+    var recentlyClosedWindows = []
+    // while searching, windows are ranked by relevance, so keep them in that order:
+    const isSearching = this.props.searchStr.length > 0
+    var searchResultWindows = []
 
     var filteredWindows = this.props.filteredWindows
     for (var i = 0; i < filteredWindows.length; i++) {
@@ -62,19 +67,25 @@ class TabWindowList extends React.Component {
           key={id}
           index={i}
           searchStr={this.props.searchStr}
-          searchRE={this.props.searchRE}
+          searchQuery={this.props.searchQuery}
           isSelected={isSelected}
           isFocused={focusedProp}
           selectedTabIndex={selectedTabIndex}
+          multiSelection={this.props.multiSelection}
+          onMultiSelect={this.props.onMultiSelect}
           appComponent={this.props.appComponent}
           onItemSelected={this.props.onItemSelected}
           expandAll={this.props.winStore.expandAll} />)
-      if (isFocused) {
+      if (isSearching) {
+        searchResultWindows.push(windowElem)
+      } else if (isFocused) {
         focusedWindowElem = windowElem
       } else if (isOpen) {
         openWindows.push(windowElem)
-      } else {
+      } else if (tabWindow.saved) {
         savedWindows.push(windowElem)
+      } else {
+        recentlyClosedWindows.push(windowElem)
       }
     }
 
@@ -96,14 +107,39 @@ class TabWindowList extends React.Component {
       )
     }
 
+    var recentlyClosedSection = null
+    if (recentlyClosedWindows.length > 0) {
+      recentlyClosedSection = (
+        <WindowListSection title='Recently Closed'>
+          {recentlyClosedWindows}
+        </WindowListSection>
+      )
+    }
+
+    const newWindowDropZone = <NewWindowDropZone storeRef={this.props.storeRef} />
+
+    if (isSearching) {
+      return (
+        <div>
+          {relNotesSection}
+          {newWindowDropZone}
+          <WindowListSection focusedRef={this.props.setFocusedTabWindowRef} title='Search Results'>
+            {searchResultWindows}
+          </WindowListSection>
+        </div>
+      )
+    }
+
     return (
       <div>
         {relNotesSection}
+        {newWindowDropZone}
         <WindowListSection focusedRef={this.props.setFocusedTabWindowRef} title='Current Window'>
           {focusedWindowElem}
         </WindowListSection>
         {otherOpenSection}
         {savedSection}
+        {recentlyClosedSection}
       </div>
     )
   }
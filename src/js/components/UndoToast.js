@@ -0,0 +1,79 @@
+import * as React from 'react'
+import { css } from 'emotion'
+import FlatButton from './FlatButton'
+import { UNDO_TOAST_MS } from '../undo'
+
+const toastStyle = css({
+  position: 'fixed',
+  left: 8,
+  right: 8,
+  bottom: 8,
+  display: 'flex',
+  alignItems: 'center',
+  padding: '4px 4px 4px 12px',
+  borderRadius: 4,
+  backgroundColor: '#323232',
+  color: '#ffffff',
+  fontSize: 12,
+  boxShadow: '0 2px 6px rgba(0,0,0,0.3)',
+  zIndex: 1000
+})
+const toastMessageStyle = css({
+  flex: 1,
+  whiteSpace: 'nowrap',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis'
+})
+
+/*
+ * transient offer to undo the most recent undoable action, shown for
+ * UNDO_TOAST_MS after the action
+ */
+class UndoToast extends React.Component {
+  state = {
+    visible: false
+  };
+
+  componentDidMount () {
+    this.showEntry(this.props.undoEntry)
+  }
+
+  componentDidUpdate (prevProps) {
+    if (this.props.undoEntry !== prevProps.undoEntry) {
+      this.showEntry(this.props.undoEntry)
+    }
+  }
+
+  componentWillUnmount () {
+    clearTimeout(this.hideTimer)
+  }
+
+  showEntry (undoEntry) {
+    clearTimeout(this.hideTimer)
+    const remainingTime = undoEntry ? undoEntry.time + UNDO_TOAST_MS - Date.now() : 0
+    this.setState({ visible: remainingTime > 0 })
+    if (remainingTime > 0) {
+      this.hideTimer = setTimeout(() => this.setState({ visible: false }), remainingTime)
+    }
+  }
+
+  handleUndoClick = () => {
+    clearTimeout(this.hideTimer)
+    this.setState({ visible: false })
+    this.props.onUndo()
+  };
+
+  render () {
+    if (!this.state.visible) {
+      return null
+    }
+    return (
+      <div className={toastStyle}>
+        <span className={toastMessageStyle}>{this.props.undoEntry.description}</span>
+        <FlatButton label='UNDO' onClick={this.handleUndoClick} />
+      </div>
+    )
+  }
+}
+
+export default UndoToast
@@ -2,13 +2,17 @@ import * as React from 'react'
 import { mkUrl } from './util'
 import * as actions from '../actions'
 import * as Constants from './constants'
+import { DragSource, DropTarget } from 'react-dnd'
+import { tabOrderNames } from '../tabOrder'
 
 import { cx, css } from 'emotion'
 import * as styles from './cssStyles'
+import * as colors from './colors'
 
 import HeaderButton from './HeaderButton'
 import ExpanderButton from './ExpanderButton'
 import HeaderCheckbox from './HeaderCheckbox'
+import HighlightedText from './HighlightedText'
 
 const titleInputStyle = cx(styles.text, styles.noWrap, styles.windowTitleInput)
 
@@ -30,11 +34,124 @@ const editButtonBaseStyle = css`
 `
 const editButtonStyle = cx(styles.headerButton, styles.headerHoverVisible, editButtonBaseStyle)
 
+// N.B. a native select, since the window header would clip a dropdown menu:
+const sortButtonBaseStyle = css({
+  WebkitAppearance: 'none',
+  backgroundColor: 'transparent',
+  padding: 0,
+  color: '#888888',
+  fontSize: 13,
+  lineHeight: '16px',
+  textAlign: 'center',
+  cursor: 'pointer',
+  marginRight: 4,
+  '&:hover': {
+    color: '#000000'
+  }
+})
+const sortButtonStyle = cx(styles.headerButton, styles.headerHoverVisible, sortButtonBaseStyle)
+
+const detailsButtonStyle = cx(styles.headerButton, styles.headerHoverVisible, css({
+  background: 'none',
+  padding: 0,
+  color: '#888888',
+  fontSize: 13,
+  lineHeight: '16px',
+  textAlign: 'center',
+  cursor: 'pointer',
+  marginRight: 4,
+  '&:hover': {
+    color: '#000000'
+  }
+}))
+
+// saved window metadata (see windowMetadata.js), shown as chips after title:
+const colorChipStyle = css({
+  display: 'inline-block',
+  flex: 'none',
+  width: 8,
+  height: 8,
+  borderRadius: 4,
+  marginLeft: 6
+})
+const tagChipStyle = cx(styles.noWrap, css({
+  flex: 'none',
+  maxWidth: 80,
+  fontSize: 10,
+  lineHeight: '14px',
+  color: '#505050',
+  backgroundColor: '#e8e8e8',
+  borderRadius: 7,
+  paddingLeft: 5,
+  paddingRight: 5,
+  marginLeft: 4
+}))
+
+const dropOverStyle = css({
+  backgroundColor: '#e8e8ff'
+})
+
+// windows (as opposed to recently closed windows) can be merged into other windows:
+const isMergeable = (tabWindow) => tabWindow.open || tabWindow.saved
+
+const windowHeaderSource = {
+  canDrag (props) {
+    return isMergeable(props.tabWindow)
+  },
+  beginDrag (props) {
+    return { sourceTabWindow: props.tabWindow }
+  }
+}
+
+// collect for use as drag source:
+function collect (connect, monitor) {
+  return {
+    connectDragSource: connect.dragSource()
+  }
+}
+
+// for use as drop target of a tab (moved to end of window) or a window (merged into window):
+const windowHeaderTarget = {
+  canDrop (props, monitor) {
+    const { sourceTabWindow } = monitor.getItem()
+    return isMergeable(props.tabWindow) && sourceTabWindow.id !== props.tabWindow.id
+  },
+  drop (props, monitor, component) {
+    const sourceItem = monitor.getItem()
+    const targetTabWindow = props.tabWindow
+    if (monitor.getItemType() === Constants.DragItemTypes.TAB_ITEM) {
+      actions.moveTabs([[sourceItem.sourceTabWindow, sourceItem.sourceTab]], targetTabWindow, props.storeRef)
+    } else {
+      props.appComponent.openMergeModal(sourceItem.sourceTabWindow, targetTabWindow)
+    }
+  }
+}
+
+// collect function for drop target:
+function collectDropTarget (connect, monitor) {
+  return {
+    connectDropTarget: connect.dropTarget(),
+    isOver: monitor.isOver() && monitor.canDrop()
+  }
+}
+
 class WindowHeader extends React.PureComponent {
   state = {
     editingTitle: false
   }
 
+  handleSortClick = (event) => {
+    // don't open the window:
+    event.stopPropagation()
+  };
+
+  handleSortChange = (event) => {
+    const order = event.target.value
+    if (order) {
+      actions.reorderWindowTabs(this.props.tabWindow, order, this.props.storeRef)
+    }
+  };
+
   handleUnmanageClick = (event) => {
     console.log('unamange: ', this.props.tabWindow)
     event.preventDefault()
@@ -53,6 +170,12 @@ class WindowHeader extends React.PureComponent {
     event.stopPropagation()
   };
 
+  handleDetailsClick = (event) => {
+    event.preventDefault()
+    this.props.appComponent.openMetadataModal(this.props.tabWindow)
+    event.stopPropagation()
+  };
+
   handleTitleRename = (event) => {
     event.preventDefault()
     this.setState({editingTitle: true})
@@ -88,12 +211,13 @@ class WindowHeader extends React.PureComponent {
 
     const checkTitle = managed ? 'Stop managing this window' : 'Save all tabs in this window'
     const checkOnClick = managed ? this.handleUnmanageClick : this.handleManageClick
-    const checkItem = (
+    // recently closed windows can only be restored, not saved:
+    const checkItem = (managed || tabWindow.open) ? (
       <HeaderCheckbox
         title={checkTitle}
         onClick={checkOnClick}
         value={managed}
-      />)
+      />) : <HeaderButton visible={false} />
 
     const revertButton = (
       <HeaderButton
@@ -109,6 +233,37 @@ class WindowHeader extends React.PureComponent {
         title='Edit saved window title'
         onClick={this.handleTitleRename} />)
 
+    const detailsButton = managed ? (
+      <button
+        className={detailsButtonStyle}
+        title='Edit tags, description, notes and color'
+        onClick={this.handleDetailsClick}>
+        #
+      </button>) : null
+
+    const metadata = tabWindow.metadata
+    const colorChip = (managed && metadata.color) ? (
+      <span
+        className={colorChipStyle}
+        style={{ backgroundColor: colors.tabGroupColors[metadata.color] || colors.tabGroupColors.grey }} />
+    ) : null
+    const tagChips = managed ? metadata.tags.map(tag =>
+      <span key={tag} className={tagChipStyle} title={tag}>{tag}</span>).toArray() : null
+
+    // tabs can only be reordered in open or saved windows:
+    const sortOptions = Object.keys(tabOrderNames).map(order => (
+      <option key={order} value={order}>{tabOrderNames[order]}</option>))
+    const sortMenu = (managed || tabWindow.open) ? (
+      <select
+        className={sortButtonStyle}
+        title='Sort or group tabs'
+        value=''
+        onClick={this.handleSortClick}
+        onChange={this.handleSortChange}>
+        <option value='' disabled hidden>&#x21c5;</option>
+        {sortOptions}
+      </select>) : null
+
     var closeButton = (
       <HeaderButton
         className={styles.headerCloseButton}
@@ -144,24 +299,29 @@ class WindowHeader extends React.PureComponent {
       )
     } else {
       titleComponent = (
-        <span>{windowTitle}</span>
+        <HighlightedText text={windowTitle} matches={this.props.titleMatches} />
       )
     }
 
     const titleStyle = tabWindow.open ? styles.titleOpen : styles.titleClosed
     const titleSpan = (
-      <div className={titleStyle}>
+      <div className={titleStyle} title={(managed && metadata.description) || undefined}>
         {titleComponent}
+        {colorChip}
+        {tagChips}
         {editButton}
       </div>
     )
 
+    const { connectDragSource, connectDropTarget, isOver } = this.props
+    const dropStyle = isOver ? dropOverStyle : null
+
     // Note explicit global css class name windowHeaderHoverContainer here
     // Due to limitation of nested class selectors with composition;
     // see https://emotion.sh/docs/nested for more info.
-    return (
+    return connectDropTarget(connectDragSource(
       <div
-        className={cx(styles.windowHeader, styles.noWrap) + ' windowHeaderHoverContainer'}
+        className={cx(styles.windowHeader, styles.noWrap, dropStyle) + ' windowHeaderHoverContainer'}
         onClick={this.props.onOpen}>
         <div className={styles.rowItemsFixedWidth}>
           {checkItem}
@@ -172,11 +332,12 @@ class WindowHeader extends React.PureComponent {
         </div>
         {titleSpan}
         <div className={styles.rowItemsFixedWidth}>
+          {detailsButton}
+          {sortMenu}
           {revertButton}
           {closeButton}
         </div>
-      </div>
-    )
+      </div>))
   }
 
   componentDidMount () {
@@ -197,4 +358,8 @@ class WindowHeader extends React.PureComponent {
   }
 }
 
-export default WindowHeader
+const DropWrap = DropTarget([Constants.DragItemTypes.TAB_ITEM, Constants.DragItemTypes.TAB_WINDOW],
+  windowHeaderTarget, collectDropTarget)
+const DragWrap = DragSource(Constants.DragItemTypes.TAB_WINDOW, windowHeaderSource, collect)
+
+export default DropWrap(DragWrap(WindowHeader))
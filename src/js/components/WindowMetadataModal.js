@@ -0,0 +1,122 @@
+import * as React from 'react'
+import { css } from 'emotion'
+import * as styles from './cssStyles'
+import * as Constants from './constants'
+import * as Modal from './Modal'
+import * as colors from './colors'
+import { parseTags } from '../windowMetadata'
+
+const fieldStyle = css({
+  width: '100%'
+})
+const notesStyle = css({
+  width: '100%',
+  minHeight: 80,
+  resize: 'vertical'
+})
+
+/**
+ * Edit the tags, description, notes and color label of a saved window
+ * (see windowMetadata.js)
+ */
+class WindowMetadataModal extends React.Component {
+  constructor (props) {
+    super(props)
+    const metadata = props.tabWindow.metadata
+    this.state = {
+      tagsStr: metadata.tags.join(', '),
+      description: metadata.description,
+      notes: metadata.notes,
+      color: metadata.color
+    }
+  }
+
+  handleKeyDown = (e) => {
+    if (e.keyCode === Constants.KEY_ESC) {
+      e.preventDefault()
+      this.props.onClose(e)
+    }
+  };
+
+  handleSubmit = (e) => {
+    e.preventDefault()
+    const { tagsStr, description, notes, color } = this.state
+    const metadata = this.props.tabWindow.metadata
+      .set('tags', parseTags(tagsStr))
+      .set('description', description.trim())
+      .set('notes', notes.trim())
+      .set('color', color)
+    this.props.onSubmit(metadata)
+  };
+
+  renderTextInput (key, label, placeholder) {
+    return (
+      <div className='form-group'>
+        <label className={fieldStyle}>
+          {label}
+          <input
+            type='text'
+            className={fieldStyle}
+            placeholder={placeholder}
+            autoComplete='off'
+            value={this.state[key]}
+            onChange={e => this.setState({ [key]: e.target.value })} />
+        </label>
+      </div>
+    )
+  }
+
+  render () {
+    const colorOptions = [''].concat(Object.keys(colors.tabGroupColors)).map(color => (
+      <option key={color} value={color}>{color || 'none'}</option>))
+    return (
+      <Modal.Dialog title='Saved Window Details' onClose={this.props.onClose}>
+        <Modal.Info>
+          <span>{this.props.tabWindow.title}</span>
+        </Modal.Info>
+        <Modal.Body>
+          <div className='modal-body-container' onKeyDown={this.handleKeyDown}>
+            <form className='dialog-form metadata-form' onSubmit={this.handleSubmit}>
+              {this.renderTextInput('tagsStr', 'Tags:', 'work, reading')}
+              {this.renderTextInput('description', 'Description:', '')}
+              <div className='form-group'>
+                <label className={fieldStyle}>
+                  Notes:
+                  <textarea
+                    className={notesStyle}
+                    value={this.state.notes}
+                    onChange={e => this.setState({ notes: e.target.value })} />
+                </label>
+              </div>
+              <div className='form-group'>
+                <label>
+                  Color label:{' '}
+                  <select value={this.state.color} onChange={e => this.setState({ color: e.target.value })}>
+                    {colorOptions}
+                  </select>
+                </label>
+              </div>
+            </form>
+            <hr />
+            <div className={styles.dialogButtonRow} >
+              <button
+                type='button'
+                className='btn btn-primary btn-sm tabli-dialog-button'
+                onClick={this.handleSubmit}>
+                OK
+              </button>
+              <button
+                type='button'
+                className='btn btn-default btn-light btn-sm tabli-dialog-button'
+                onClick={e => this.props.onClose(e)}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        </Modal.Body>
+      </Modal.Dialog>
+    )
+  }
+}
+
+export default WindowMetadataModal
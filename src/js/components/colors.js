@@ -1,3 +1,19 @@
 /* placeholder until we have some proper theming */
 
 export const closedGray = '#979ca0'
+
+// background of text matched by search:
+export const searchMatchHighlight = '#fff2a8'
+
+// Chrome tab group colors (tabGroups.Color), as rendered by Chrome:
+export const tabGroupColors = {
+  grey: '#5f6368',
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#1e8e3e',
+  pink: '#d01884',
+  purple: '#a142f4',
+  cyan: '#007b83',
+  orange: '#fa903e'
+}
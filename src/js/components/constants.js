@@ -17,6 +17,11 @@ export const BROWSER_DEFAULT_WIDTH = 1024
 export const BROWSER_DEFAULT_HEIGHT = 768
 
 export const KEY_F1 = 112
+export const KEY_A = 65
+export const KEY_D = 68
+export const KEY_G = 71
+export const KEY_L = 76
+export const KEY_T = 84
 export const KEY_UP = 38
 export const KEY_DOWN = 40
 export const KEY_SLASH = 47
@@ -27,9 +32,11 @@ export const KEY_TAB = 9
 export const KEY_QUESTION = 191
 export const KEY_N = 78
 export const KEY_P = 80
+export const KEY_Z = 90
 
 export const DragItemTypes = {
-  TAB_ITEM: 'tabItem'
+  TAB_ITEM: 'tabItem',
+  TAB_WINDOW: 'tabWindow'
 }
 
 export const selectedBorder = '2px solid #a0a0a0'
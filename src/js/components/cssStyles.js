@@ -30,9 +30,21 @@ export const tabTitle = css({
     textDecoration: 'none'
   }
 })
+export const searchMatch = css({
+  backgroundColor: colors.searchMatchHighlight,
+  color: 'inherit',
+  padding: 0
+})
+export const tabItemUrl = css({
+  fontSize: 10,
+  color: colors.closedGray
+})
 export const tabItemSelected = css({
   backgroundColor: '#dadada'
 })
+export const tabItemMultiSelected = css({
+  backgroundColor: '#dbe6fc'
+})
 export const audibleIcon = css({
   WebkitMaskImage: mkUrl('images/Multimedia-64.png'),
   backgroundColor: '#505050'
@@ -49,6 +61,11 @@ export const tabItem = css({
     borderBottom: '1px solid #cacaca'
   }
 })
+// tab item with a secondary line for its URL:
+export const tabItemWithUrl = css({
+  height: 32,
+  maxHeight: 32
+})
 export const headerButton = css({
   outline: 'none',
   border: 'none',
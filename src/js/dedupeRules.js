@@ -0,0 +1,190 @@
+// @flow
+/**
+ * Rules for detecting duplicate tabs
+ *
+ * Two open tabs are duplicates if their URLs are equal after normalization,
+ * they are in the same window (or any window, depending on scope) and the
+ * URL's domain is one the user wants deduped. When a new tab duplicates an
+ * existing tab, the background page applies the configured action (see
+ * dedupeTab in bgHelper.js); findAllDuplicates finds the duplicate tabs
+ * closed by the "Close Duplicate Tabs" command.
+ *
+ * Rules are configured in user preferences; the defaults only match
+ * identical URLs.
+ */
+import * as TW from './tabWindow'
+import TabManagerState from './tabManagerState'
+import type { Preferences } from './preferences'
+import { urlDomain } from './tabOrder'
+
+export type DedupeScope =
+  'window' | // only look for duplicates in the same window
+  'everywhere' // look for duplicates in all open windows
+
+export type DedupeAction =
+  'closeNew' | // close the new tab
+  'focusExisting' | // close the new tab and switch to the existing tab
+  'ask' // ask what to do via a notification
+
+export const dedupeScopeNames: { [DedupeScope]: string } = {
+  window: 'in the same window',
+  everywhere: 'in any window'
+}
+
+export const dedupeActionNames: { [DedupeAction]: string } = {
+  closeNew: 'Close the new tab',
+  focusExisting: 'Close the new tab and switch to the existing tab',
+  ask: 'Ask with a notification'
+}
+
+export type DedupeRules = {
+  ignoreFragment: boolean,
+  ignoredParams: Array<string>, // query parameter names, may end in '*'; '*' ignores whole query
+  ignoreTrailingSlash: boolean,
+  includeDomains: Array<string>, // if not empty, only these domains (and subdomains) are deduped
+  excludeDomains: Array<string>, // domains (and subdomains) never deduped
+  scope: DedupeScope,
+  action: DedupeAction
+}
+
+// URLs never treated as duplicates:
+const IGNORED_URLS = ['chrome://newtab/', 'about:blank']
+
+/**
+ * parse a user entered list of words separated by commas or white space
+ */
+export function parseWordList (str: string): Array<string> {
+  return str.split(/[\s,]+/).filter(w => w.length > 0)
+}
+
+/**
+ * parse a user entered list of domains
+ */
+export function parseDomainList (str: string): Array<string> {
+  return parseWordList(str).map(d => d.toLowerCase().replace(/^(\*\.|www\.)/, ''))
+}
+
+/**
+ * dedupe rules from user preferences
+ */
+export function getDedupeRules (prefs: Preferences): DedupeRules {
+  return {
+    ignoreFragment: prefs.dedupeIgnoreFragment,
+    ignoredParams: parseWordList(prefs.dedupeIgnoredParams),
+    ignoreTrailingSlash: prefs.dedupeIgnoreTrailingSlash,
+    includeDomains: parseDomainList(prefs.dedupeIncludeDomains),
+    excludeDomains: parseDomainList(prefs.dedupeExcludeDomains),
+    scope: prefs.dedupeScope,
+    action: prefs.dedupeAction
+  }
+}
+
+const paramIgnored = (name: string, ignoredParams: Array<string>): boolean =>
+  ignoredParams.some(p => p.endsWith('*') ? name.startsWith(p.slice(0, -1)) : name === p)
+
+// split off the part of s starting at the first occurrence of sep:
+const splitAt = (s: string, sep: string): [string, string] => {
+  const pos = s.indexOf(sep)
+  return (pos >= 0) ? [s.slice(0, pos), s.slice(pos)] : [s, '']
+}
+
+/**
+ * normalize a URL for comparison, by removing the parts ignored by rules
+ */
+export function normalizeURL (url: string, rules: DedupeRules): string {
+  const [beforeFragment, fragment] = splitAt(url, '#')
+  const [path, query] = splitAt(beforeFragment, '?')
+  const params = query.slice(1).split('&')
+    .filter(param => param.length > 0 && !paramIgnored(splitAt(param, '=')[0], rules.ignoredParams))
+  const normPath = rules.ignoreTrailingSlash ? path.replace(/\/+$/, '') : path
+  const normQuery = (params.length > 0) ? '?' + params.join('&') : ''
+  const normFragment = rules.ignoreFragment ? '' : fragment
+  return normPath + normQuery + normFragment
+}
+
+/**
+ * Is domain one of domains, or a subdomain of one of them?
+ */
+export function domainMatches (domain: string, domains: Array<string>): boolean {
+  return domains.some(d => domain === d || domain.endsWith('.' + d))
+}
+
+/**
+ * Do the rules allow tabs with this URL to be deduped?
+ */
+export function isDedupeCandidate (url: string, rules: DedupeRules): boolean {
+  if (url.length === 0 || IGNORED_URLS.includes(url)) {
+    return false
+  }
+  const domain = urlDomain(url)
+  if (rules.includeDomains.length > 0 && !domainMatches(domain, rules.includeDomains)) {
+    return false
+  }
+  return !domainMatches(domain, rules.excludeDomains)
+}
+
+// open tabs within scope of a window:
+const scopeTabs = (winStore: TabManagerState, windowId: number,
+  scope: DedupeScope): Array<[TW.TabWindow, TW.TabItem]> => {
+  const tabWindows = winStore.getOpen().toArray()
+    .filter(tw => scope === 'everywhere' || tw.openWindowId === windowId)
+  const pairs = []
+  tabWindows.forEach(tw => {
+    tw.tabItems.forEach(ti => {
+      if (ti.open) {
+        pairs.push([tw, ti])
+      }
+    })
+  })
+  return pairs
+}
+
+/**
+ * find existing open tabs duplicating the tab with tabId in window windowId,
+ * which has URL url
+ *
+ * returns: Array<[TabWindow, TabItem]>
+ */
+export function findDuplicates (winStore: TabManagerState, windowId: number, tabId: number,
+  url: string, rules: DedupeRules): Array<[TW.TabWindow, TW.TabItem]> {
+  if (!isDedupeCandidate(url, rules)) {
+    return []
+  }
+  const normURL = normalizeURL(url, rules)
+  return scopeTabs(winStore, windowId, rules.scope)
+    .filter(([tw, ti]) => ti.safeOpenState.openTabId !== tabId && normalizeURL(ti.url, rules) === normURL)
+}
+
+export type DuplicateGroup = {
+  keep: [TW.TabWindow, TW.TabItem],
+  duplicates: Array<[TW.TabWindow, TW.TabItem]>
+}
+
+// tab to keep from a set of duplicates: pinned, then saved, then most recently accessed
+const keepRank = ([tw, ti]): Array<number> =>
+  [ti.safeOpenState.pinned ? 1 : 0, ti.saved ? 1 : 0, ti.safeOpenState.lastAccessed]
+
+const cmpRank = (a: Array<number>, b: Array<number>): number => {
+  const i = a.findIndex((x, j) => x !== b[j])
+  return (i < 0) ? 0 : b[i] - a[i]
+}
+
+/**
+ * find all sets of duplicate open tabs, with the tab of each set to keep
+ */
+export function findAllDuplicates (winStore: TabManagerState, rules: DedupeRules): Array<DuplicateGroup> {
+  const groups: Map<string, Array<[TW.TabWindow, TW.TabItem]>> = new Map()
+  scopeTabs(winStore, -1, 'everywhere').forEach(([tw, ti]) => {
+    if (isDedupeCandidate(ti.url, rules)) {
+      const windowKey = (rules.scope === 'window') ? tw.openWindowId + ' ' : ''
+      const key = windowKey + normalizeURL(ti.url, rules)
+      groups.set(key, (groups.get(key) || []).concat([[tw, ti]]))
+    }
+  })
+  return Array.from(groups.values())
+    .filter(pairs => pairs.length > 1)
+    .map(pairs => {
+      const keep = pairs.reduce((best, pair) => (cmpRank(keepRank(pair), keepRank(best)) < 0) ? pair : best)
+      return { keep, duplicates: pairs.filter(pair => pair !== keep) }
+    })
+}
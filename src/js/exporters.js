@@ -0,0 +1,154 @@
+// @flow
+/**
+ * Exporters that format windows and their tabs as text, for copying to the
+ * clipboard or downloading as a file
+ *
+ * An Exporter formats an array of ExportWindows. Additional exporters can be
+ * added with registerExporter.
+ */
+import * as Immutable from 'immutable'
+import * as TW from './tabWindow'
+
+export type ExportTab = {
+  title: string,
+  url: string
+}
+
+export type ExportWindow = {
+  title: string,
+  tabs: Array<ExportTab>
+}
+
+export type Exporter = {
+  id: string,
+  name: string, // for display in export UI
+  fileExtension: string,
+  mimeType: string,
+  format: (windows: Array<ExportWindow>) => string
+}
+
+/**
+ * get an ExportWindow for a tab window, optionally restricted to some of its tabs
+ * (such as those matching a search)
+ */
+export function exportWindow (tabWindow: TW.TabWindow,
+  tabItems: Immutable.Iterable<TW.TabItem> = tabWindow.tabItems): ExportWindow {
+  const tabs = tabItems.toArray().map(ti => ({ title: ti.title, url: (ti.url != null) ? ti.url : '' }))
+  return { title: tabWindow.title, tabs }
+}
+
+/**
+ * escape table cell for use in Github-Flavored Markdown
+ * Since just used on a page title, just rewrite pipes to -s; GFM actually
+ * buggy here: https://github.com/gitlabhq/gitlabhq/issues/1238
+ */
+function escapeTableCell (s: ?string): string {
+  if (s && s.indexOf('|') >= 0) {
+    return s.replace(/\|/g, '-')
+  }
+  if (s != null) {
+    return s
+  }
+  return ''
+}
+
+const escapeMarkdownLinkText = (s: string): string => s.replace(/([[\]\\])/g, '\\$1')
+
+const escapeHTML = (s: string): string =>
+  s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+const escapeCSVField = (s: string): string =>
+  /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s
+
+function markdownTable (windows: Array<ExportWindow>): string {
+  const fmtWindow = (w) => {
+    const headerStr = `
+Title                                  | URL
+---------------------------------------|-----------
+`
+    const s0 = '### ' + w.title + '\n' + headerStr
+    return w.tabs.reduce((rs, tab) => rs + escapeTableCell(tab.title) + ' | ' + tab.url + '\n', s0)
+  }
+  return windows.map(fmtWindow).join('\n\n')
+}
+
+function markdownList (windows: Array<ExportWindow>): string {
+  const fmtWindow = (w) => {
+    const items = w.tabs.map(tab => '- [' + escapeMarkdownLinkText(tab.title) + '](' + tab.url + ')\n')
+    return '### ' + w.title + '\n\n' + items.join('')
+  }
+  return windows.map(fmtWindow).join('\n')
+}
+
+function html (windows: Array<ExportWindow>): string {
+  const fmtWindow = (w) => {
+    const items = w.tabs.map(tab =>
+      '  <li><a href="' + escapeHTML(tab.url) + '">' + escapeHTML(tab.title) + '</a></li>\n')
+    return '<h3>' + escapeHTML(w.title) + '</h3>\n<ul>\n' + items.join('') + '</ul>\n'
+  }
+  return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>Tabli Export</title>\n</head>\n<body>\n' +
+    windows.map(fmtWindow).join('') + '</body>\n</html>\n'
+}
+
+function csv (windows: Array<ExportWindow>): string {
+  const rows = [['Window', 'Title', 'URL']]
+  for (let w of windows) {
+    for (let tab of w.tabs) {
+      rows.push([w.title, tab.title, tab.url])
+    }
+  }
+  return rows.map(row => row.map(escapeCSVField).join(',') + '\r\n').join('')
+}
+
+function urlList (windows: Array<ExportWindow>): string {
+  return windows.map(w => w.tabs.map(tab => tab.url + '\n').join('')).join('\n')
+}
+
+function json (windows: Array<ExportWindow>): string {
+  return JSON.stringify({ windows }, null, 2)
+}
+
+function netscapeBookmarks (windows: Array<ExportWindow>): string {
+  const fmtWindow = (w) => {
+    const items = w.tabs.map(tab =>
+      '        <DT><A HREF="' + escapeHTML(tab.url) + '">' + escapeHTML(tab.title) + '</A>\n')
+    return '    <DT><H3>' + escapeHTML(w.title) + '</H3>\n    <DL><p>\n' + items.join('') + '    </DL><p>\n'
+  }
+  return '<!DOCTYPE NETSCAPE-Bookmark-file-1>\n' +
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">\n' +
+    '<TITLE>Bookmarks</TITLE>\n<H1>Bookmarks</H1>\n<DL><p>\n' +
+    windows.map(fmtWindow).join('') + '</DL><p>\n'
+}
+
+const exporters: Array<Exporter> = [
+  { id: 'markdownTable', name: 'Markdown Table', fileExtension: 'md', mimeType: 'text/markdown', format: markdownTable },
+  { id: 'markdownList', name: 'Markdown List', fileExtension: 'md', mimeType: 'text/markdown', format: markdownList },
+  { id: 'html', name: 'HTML Links', fileExtension: 'html', mimeType: 'text/html', format: html },
+  { id: 'csv', name: 'CSV', fileExtension: 'csv', mimeType: 'text/csv', format: csv },
+  { id: 'urls', name: 'Plain URLs', fileExtension: 'txt', mimeType: 'text/plain', format: urlList },
+  { id: 'json', name: 'JSON', fileExtension: 'json', mimeType: 'application/json', format: json },
+  { id: 'bookmarks', name: 'Bookmarks HTML (Netscape)', fileExtension: 'html', mimeType: 'text/html', format: netscapeBookmarks }
+]
+
+/**
+ * add an exporter (replacing any existing exporter with the same id)
+ */
+export function registerExporter (exporter: Exporter) {
+  const index = exporters.findIndex(e => e.id === exporter.id)
+  if (index >= 0) {
+    exporters[index] = exporter
+  } else {
+    exporters.push(exporter)
+  }
+}
+
+/**
+ * all available exporters, in display order
+ */
+export function getExporters (): Array<Exporter> {
+  return exporters.slice()
+}
+
+export function getExporter (id: string): ?Exporter {
+  return exporters.find(e => e.id === id)
+}
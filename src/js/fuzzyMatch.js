@@ -0,0 +1,120 @@
+// @flow
+/**
+ * Fuzzy (subsequence) string matching with scoring, for ranking search results
+ *
+ * A pattern matches a string if every character of the pattern appears in the
+ * string in order (case-insensitive). Matches score higher when matched
+ * characters are consecutive or start words.
+ */
+
+export type FuzzyMatch = {
+  score: number,
+  positions: Array<number> // indices of matched characters
+}
+
+const SCORE_MATCH = 1
+const BONUS_CONSECUTIVE = 4
+const BONUS_BOUNDARY = 8
+
+// minimum average score per pattern character for a non-contiguous match,
+// to reject patterns scattered across a long string:
+const MIN_SCORE_PER_CHAR = 4
+
+// limit on number of candidate starting positions we'll try:
+const MAX_START_CANDIDATES = 32
+
+const isAlnum = (c: string): boolean => /[a-zA-Z0-9]/.test(c)
+const isUpper = (c: string): boolean => c !== c.toLowerCase()
+
+/**
+ * true iff position i in text is the start of a word
+ */
+function isWordBoundary (text: string, i: number): boolean {
+  if (i === 0) {
+    return true
+  }
+  const prev = text[i - 1]
+  const cur = text[i]
+  return !isAlnum(prev) || (!isUpper(prev) && isUpper(cur) && isAlnum(prev))
+}
+
+function scorePositions (text: string, positions: Array<number>): number {
+  let score = 0
+  for (let j = 0; j < positions.length; j++) {
+    const i = positions[j]
+    score += SCORE_MATCH
+    if (j > 0 && positions[j - 1] === i - 1) {
+      score += BONUS_CONSECUTIVE
+    }
+    if (isWordBoundary(text, i)) {
+      score += BONUS_BOUNDARY
+    }
+  }
+  return score
+}
+
+/**
+ * greedily match lowered pattern against lowered text starting at start
+ */
+function matchFrom (lowerPattern: string, lowerText: string, start: number): ?Array<number> {
+  const positions = [start]
+  let pos = start
+  for (let j = 1; j < lowerPattern.length; j++) {
+    pos = lowerText.indexOf(lowerPattern[j], pos + 1)
+    if (pos < 0) {
+      return null
+    }
+    positions.push(pos)
+  }
+  return positions
+}
+
+/**
+ * Score a substring match of length len at index start of text
+ */
+export function substringScore (text: string, start: number, len: number): number {
+  const positions = []
+  for (let i = start; i < start + len; i++) {
+    positions.push(i)
+  }
+  return scorePositions(text, positions)
+}
+
+/**
+ * Fuzzy match pattern against text
+ *
+ * @return {FuzzyMatch} best match found, or null if no acceptable match
+ */
+export function fuzzyMatch (pattern: string, text: string): ?FuzzyMatch {
+  if (pattern.length === 0 || pattern.length > text.length) {
+    return null
+  }
+  const lowerPattern = pattern.toLowerCase()
+  const lowerText = text.toLowerCase()
+
+  let best = null
+  let start = lowerText.indexOf(lowerPattern[0])
+  let candidates = 0
+  while (start >= 0 && candidates < MAX_START_CANDIDATES) {
+    const positions = matchFrom(lowerPattern, lowerText, start)
+    if (!positions) {
+      // no match from here means no match from any later start
+      break
+    }
+    const score = scorePositions(text, positions)
+    if (!best || score > best.score) {
+      best = { score, positions }
+    }
+    start = lowerText.indexOf(lowerPattern[0], start + 1)
+    candidates++
+  }
+  if (!best) {
+    return null
+  }
+  // exact substring matches are always acceptable:
+  const contiguous = best.positions[best.positions.length - 1] - best.positions[0] === pattern.length - 1
+  if (!contiguous && best.score < MIN_SCORE_PER_CHAR * pattern.length) {
+    return null
+  }
+  return best
+}
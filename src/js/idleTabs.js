@@ -0,0 +1,78 @@
+// @flow
+/**
+ * Finding idle tabs to discard
+ *
+ * A discarded tab stays in its window but is unloaded from memory until it
+ * is next activated. When enabled in preferences, the background page
+ * periodically discards open tabs that haven't been active for longer than
+ * the configured threshold (see discardIdleTabs in bgHelper.js).
+ *
+ * A tab's idle time is measured from its lastAccessed time, which is
+ * updated as tabs are activated (see TabWindow.setActiveTab). Since not all
+ * versions of Chrome report lastAccessed, tabs with an unknown (or earlier)
+ * access time are treated as accessed when tracking started.
+ *
+ * Active, pinned and audible tabs, and tabs on exempt domains, are never
+ * discarded.
+ */
+import * as TW from './tabWindow'
+import TabManagerState from './tabManagerState'
+import type { Preferences } from './preferences'
+import { parseDomainList, domainMatches } from './dedupeRules'
+import { urlDomain } from './tabOrder'
+
+export type IdleTabRules = {
+  idleMs: number, // how long a tab must be idle to be discarded
+  exemptDomains: Array<string> // domains (and subdomains) never discarded
+}
+
+const MINUTE_MS = 60 * 1000
+
+/**
+ * idle tab rules from user preferences
+ */
+export function getIdleTabRules (prefs: Preferences): IdleTabRules {
+  return {
+    idleMs: prefs.discardIdleMinutes * MINUTE_MS,
+    exemptDomains: parseDomainList(prefs.discardExemptDomains)
+  }
+}
+
+/**
+ * Can a tab be discarded, either now or once idle?
+ */
+export function isDiscardable (tabItem: TW.TabItem, rules: IdleTabRules): boolean {
+  if (!tabItem.open) {
+    return false
+  }
+  const { active, pinned, audible, discarded } = tabItem.safeOpenState
+  return !(active || pinned || audible || discarded) &&
+    !domainMatches(urlDomain(tabItem.url), rules.exemptDomains)
+}
+
+/**
+ * time a tab has been idle, as of now
+ */
+export function idleTime (tabItem: TW.TabItem, now: number, trackingStart: number): number {
+  return now - Math.max(tabItem.safeOpenState.lastAccessed, trackingStart)
+}
+
+/**
+ * find open tabs in normal windows that have been idle longer than allowed
+ *
+ * returns: Array<[TabWindow, TabItem]>
+ */
+export function findIdleTabs (winStore: TabManagerState, rules: IdleTabRules,
+  now: number, trackingStart: number): Array<[TW.TabWindow, TW.TabItem]> {
+  const pairs = []
+  winStore.getOpen().forEach(tw => {
+    if (tw.windowType === 'normal') {
+      tw.tabItems.forEach(ti => {
+        if (isDiscardable(ti, rules) && idleTime(ti, now, trackingStart) > rules.idleMs) {
+          pairs.push([tw, ti])
+        }
+      })
+    }
+  })
+  return pairs
+}
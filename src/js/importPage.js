@@ -0,0 +1,35 @@
+// @flow
+import * as React from 'react'
+import * as ReactDOM from 'react-dom'
+import ImportModal from './components/ImportModal'
+
+import ChromePromise from 'chrome-promise'
+const chromep = ChromePromise
+
+const onClose = async () => {
+  const tab = await chromep.tabs.getCurrent()
+  chrome.tabs.remove(tab.id)
+}
+
+const renderImport = async () => {
+  try {
+    const bgPage = chrome.extension.getBackgroundPage()
+    const storeRef = bgPage.storeRef
+    const parentNode = document.getElementById('importContent')
+    const modal = (
+      <ImportModal
+        onClose={onClose}
+        storeRef={storeRef} />)
+    ReactDOM.render(modal, parentNode)
+  } catch (e) {
+    console.error('caught exception rendering import page:')
+    console.error(e.stack)
+    throw e
+  }
+}
+
+function main () {
+  window.onload = () => renderImport()
+}
+
+main()
@@ -0,0 +1,56 @@
+// @flow
+/**
+ * Lazily loaded tabs of restored windows
+ *
+ * When a saved window is restored with the lazyRestore preference, only its
+ * active tab is loaded. Each other tab is created with a placeholder
+ * extension page (lazyTab.html) in place of its URL, which loads nothing
+ * from the network and navigates to the tab's real URL when the tab is
+ * first shown (see lazyTabPage.js).
+ *
+ * Open tab state always uses the real URL of a placeholder tab (see
+ * makeOpenTabState in tabWindow.js), so placeholder tabs still match their
+ * saved tabs.
+ */
+import * as Immutable from 'immutable'
+import type { TabItem } from './tabWindow'
+
+export const LAZY_TAB_PAGE = 'lazyTab.html'
+
+const lazyTabRE = /^chrome-extension:\/\/[^/]+\/lazyTab\.html\?url=([^&#]*)/
+
+/**
+ * URL of a placeholder page for a tab that loads url when first shown
+ */
+export function lazyTabUrl (url: string, title: string,
+  pageUrl: string = chrome.runtime.getURL(LAZY_TAB_PAGE)): string {
+  return pageUrl + '?url=' + encodeURIComponent(url) + '&title=' + encodeURIComponent(title)
+}
+
+/**
+ * the real URL of a placeholder tab URL, or null if tabUrl isn't a
+ * placeholder page
+ */
+export function lazyTabTargetUrl (tabUrl: string): ?string {
+  const match = lazyTabRE.exec(tabUrl)
+  return match ? decodeURIComponent(match[1]) : null
+}
+
+/**
+ * index of the previously active tab of targetItems, or 0 if not known
+ */
+export const activeItemIndex = (targetItems: Immutable.List<TabItem>): number =>
+  Math.max(0, targetItems.findIndex(ti => ti.open ? ti.safeOpenState.active : ti.saved && ti.safeSavedState.active))
+
+/**
+ * chrome.tabs.create properties of the placeholder tabs for targetItems
+ * in window windowId, in order, other than the tab at activeIndex that the
+ * window already has
+ */
+export function lazyTabsCreateProps (windowId: number, targetItems: Immutable.List<TabItem>,
+  activeIndex: number, pageUrl: string = chrome.runtime.getURL(LAZY_TAB_PAGE)): Array<Object> {
+  return targetItems
+    .map((ti, index) => ({ windowId, url: lazyTabUrl(ti.url, ti.title, pageUrl), index, active: false }))
+    .filter((props, index) => index !== activeIndex)
+    .toArray()
+}
@@ -0,0 +1,22 @@
+// @flow
+/**
+ * placeholder page of a lazily loaded tab (see lazyTab.js)
+ *
+ * Shows the tab's title and navigates to its real URL once the tab is shown.
+ */
+const params = new URLSearchParams(window.location.search)
+const url = params.get('url')
+
+const loadIfVisible = () => {
+  if (url && document.visibilityState === 'visible') {
+    window.location.replace(url)
+  }
+}
+
+function main () {
+  document.title = params.get('title') || url || ''
+  document.addEventListener('visibilitychange', loadIfVisible)
+  loadIfVisible()
+}
+
+main()
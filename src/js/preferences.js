@@ -5,21 +5,50 @@
 
 import defaultsDeep from 'lodash/defaultsDeep'
 import * as Immutable from 'immutable'
+import { upgrade } from './storageMigration'
+import type { StorageSchema, VersionedObject } from './storageMigration'
+import type { StorageKind } from './savedWindowProvider'
+import type { DedupeScope, DedupeAction } from './dedupeRules'
 
 const _ = { defaultsDeep }
 
-type VersionedObject = { version: number, contents: any }
+export const PREFS_VERSION = 9
 
-export const PREFS_VERSION = 5
+export const USER_PREFS_KEY = 'UserPreferences'
 
 export class Preferences extends Immutable.Record({
   popoutOnStart: false, // show popout on startup?
   dedupeTabs: false, // close tab if URL matches existing tab
-  revertOnOpen: true // revert to anchor tabs when opening saved window
+  // rules for matching duplicate tabs (see dedupeRules.js):
+  dedupeIgnoreFragment: false, // ignore '#...' part of URLs
+  dedupeIgnoredParams: '', // query parameters to ignore, or '*' for all
+  dedupeIgnoreTrailingSlash: false, // ignore trailing '/' of URL paths
+  dedupeIncludeDomains: '', // if not empty, only dedupe tabs on these domains
+  dedupeExcludeDomains: '', // never dedupe tabs on these domains
+  dedupeScope: 'everywhere', // look for duplicates in same window or everywhere
+  dedupeAction: 'focusExisting', // what to do with a new duplicate tab
+  discardIdleTabs: false, // discard tabs idle for discardIdleMinutes to save memory (see idleTabs.js)
+  discardIdleMinutes: 60,
+  discardExemptDomains: '', // never discard tabs on these domains
+  revertOnOpen: true, // revert to anchor tabs when opening saved window
+  lazyRestore: false, // only load active tab when opening saved window, others when activated
+  savedWindowStorage: 'bookmarks' // where saved windows are stored (see savedWindowProvider.js)
 }) {
   popoutOnStart: boolean
   dedupeTabs: boolean
+  dedupeIgnoreFragment: boolean
+  dedupeIgnoredParams: string
+  dedupeIgnoreTrailingSlash: boolean
+  dedupeIncludeDomains: string
+  dedupeExcludeDomains: string
+  dedupeScope: DedupeScope
+  dedupeAction: DedupeAction
+  discardIdleTabs: boolean
+  discardIdleMinutes: number
+  discardExemptDomains: string
   revertOnOpen: boolean
+  lazyRestore: boolean
+  savedWindowStorage: StorageKind
 
   static deserialize (blob: ?string): Preferences {
     let jsPrefs = defaultPrefsJS
@@ -30,28 +59,57 @@ export class Preferences extends Immutable.Record({
     return new Preferences(jsPrefs)
   }
 
+  /**
+   * construct Preferences from JS encoded preferences at PREFS_VERSION,
+   * using defaults for any missing values
+   */
+  static fromJS (jsPrefs: Object): Preferences {
+    // should be an identity op, but just in case:
+    return new Preferences(_.defaultsDeep({}, jsPrefs, defaultPrefsJS))
+  }
+
   serialize (): string {
-    const jsPrefs = this.toJS()
-    const serPrefs: VersionedObject = { version: PREFS_VERSION, contents: jsPrefs }
-    return JSON.stringify(serPrefs)
+    return prefsSchema.encode(this.toJS())[USER_PREFS_KEY]
   }
 }
 
 export const defaultPrefsJS = (new Preferences()).toJS()
 
+const identity = (contents) => contents
+
+/**
+ * storage schema for user preferences (see storageMigration.js)
+ */
+export const prefsSchema: StorageSchema = {
+  name: 'preferences',
+  keys: [USER_PREFS_KEY],
+  currentVersion: PREFS_VERSION,
+  decode: (items) => JSON.parse(items[USER_PREFS_KEY]),
+  encode: (jsPrefs) => {
+    const serPrefs: VersionedObject = { version: PREFS_VERSION, contents: jsPrefs }
+    return { [USER_PREFS_KEY]: JSON.stringify(serPrefs) }
+  },
+  migrations: {
+    1: () => defaultPrefsJS, // v1 preferences are reverted to defaults
+    // later versions only added preferences, filled in from defaults:
+    2: identity,
+    3: identity,
+    4: identity,
+    5: identity,
+    6: identity,
+    7: identity,
+    8: identity
+  },
+  validate: (contents) =>
+    (contents != null && typeof contents === 'object' && !Array.isArray(contents)) ? null : 'not an object'
+}
+
 /*
  * migrate a potentially older version of preferences
  * Takes a VersionedObject as input, returns a JS encoded version of
  * preferences
  */
 export const migrate = (storedPrefs: VersionedObject): Object => {
-  if (storedPrefs.version < 2) {
-    console.log('prefs.migrate: reverting v1 preferences')
-    return defaultPrefsJS
-  }
-  // otherwise, just grab contents, which should be a JS store of preferences:
-  const jsPrefs = storedPrefs.contents
-  // should be an identity op, but just in case:
-  const userJSPrefs = _.defaultsDeep(jsPrefs, defaultPrefsJS)
-  return userJSPrefs
+  const jsPrefs = upgrade(prefsSchema, storedPrefs)
+  return Preferences.fromJS(jsPrefs).toJS()
 }
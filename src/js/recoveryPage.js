@@ -0,0 +1,36 @@
+// @flow
+import * as React from 'react'
+import * as ReactDOM from 'react-dom'
+import RecoveryModal from './components/RecoveryModal'
+
+import ChromePromise from 'chrome-promise'
+const chromep = ChromePromise
+
+const onClose = async () => {
+  const tab = await chromep.tabs.getCurrent()
+  chrome.tabs.remove(tab.id)
+}
+
+const renderRecovery = async () => {
+  try {
+    const bgPage = chrome.extension.getBackgroundPage()
+    const storeRef = bgPage.storeRef
+    const parentNode = document.getElementById('recoveryContent')
+    const modal = (
+      <RecoveryModal
+        onClose={onClose}
+        storeRef={storeRef}
+        currentSessionId={bgPage.snapshotSessionId} />)
+    ReactDOM.render(modal, parentNode)
+  } catch (e) {
+    console.error('caught exception rendering recovery page:')
+    console.error(e.stack)
+    throw e
+  }
+}
+
+function main () {
+  window.onload = () => renderRecovery()
+}
+
+main()
@@ -0,0 +1,532 @@
+// @flow
+/* global alert */
+/**
+ * Storage providers for saved windows
+ *
+ * A saved window is stored as a folder of bookmarks. Providers return folders
+ * and bookmarks shaped like chrome.bookmarks.BookmarkTreeNode
+ * ({ id, parentId, index, title, url, children }), so that
+ * TabWindow.makeFolderTabWindow works with any provider.
+ *
+ * Providers (selected by the savedWindowStorage preference):
+ *
+ *   bookmarks - folders under "Other Bookmarks/Tabli Saved Windows" (default)
+ *   local     - chrome.storage.local, so the bookmark bar stays uncluttered
+ *   sync      - chrome.storage.sync, synced with the user's account (subject to
+ *               Chrome's sync storage quotas)
+ *
+ * memoryProvider() keeps saved windows in memory, for tests.
+ *
+ * The ids of the root folder of saved windows and of the archive folder are
+ * returned by init() and kept in TabManagerState.
+ * Only the bookmarks provider can be changed outside of Tabli; those changes
+ * are reported by chrome.bookmarks events (see handlesExternalChanges).
+ */
+import has from 'lodash/has'
+import * as storageMigration from './storageMigration'
+import type { StorageArea } from './storageMigration'
+import ChromePromise from 'chrome-promise'
+const chromep = ChromePromise
+
+const _ = { has }
+
+export type StorageKind = 'bookmarks' | 'local' | 'sync'
+
+export type BookmarkNode = {
+  id: string,
+  parentId?: string,
+  index?: number,
+  title: string,
+  url?: string,
+  dateAdded?: number,
+  dateArchived?: number, // for archived folders: when archived
+  children?: Array<BookmarkNode>
+}
+
+export type ProviderRoots = {
+  folderId: string, // parent of all saved window folders
+  archiveFolderId: string // parent of folders of windows no longer managed
+}
+
+export type SavedWindowProvider = {
+  kind: string,
+  handlesExternalChanges: boolean,
+  init: () => Promise<ProviderRoots>,
+  getSavedFolders: (rootFolderId: string) => Promise<Array<BookmarkNode>>,
+  getFolder: (folderId: string) => Promise<BookmarkNode>,
+  createFolder: (rootFolderId: string, title: string) => Promise<BookmarkNode>,
+  // appends to folder unless index given:
+  createBookmark: (folderId: string, title: string, url: string, index?: number) => Promise<BookmarkNode>,
+  removeBookmark: (bookmarkId: string) => Promise<void>,
+  // moves to end of folder unless index given:
+  moveBookmark: (bookmarkId: string, folderId: string, index?: number) => Promise<BookmarkNode>,
+  setFolderTitle: (folderId: string, title: string) => Promise<void>,
+  archiveFolder: (folderId: string, archiveFolderId: string) => Promise<void>,
+  getArchivedFolders: (archiveFolderId: string) => Promise<Array<BookmarkNode>>,
+  restoreFolder: (folderId: string, rootFolderId: string) => Promise<BookmarkNode>,
+  removeFolder: (folderId: string) => Promise<void>,
+  // JS encoded metadata of folders (see windowMetadata.js), by folder id; folders without metadata omitted:
+  readMetadata: (folderIds: Array<string>) => Promise<{ [folderId: string]: Object }>,
+  // removes folder's metadata if null:
+  writeMetadata: (folderId: string, metadata: ?Object) => Promise<void>
+}
+
+export const storageKindNames: { [StorageKind]: string } = {
+  bookmarks: 'Bookmarks',
+  local: 'Chrome local storage',
+  sync: 'Chrome sync storage'
+}
+
+const tabliFolderTitle = 'Tabli Saved Windows'
+const archiveFolderTitle = '_Archive'
+
+/**
+ * true iff a bookmark node is a saved window folder (and not, e.g., the archive folder)
+ */
+export const isValidWindowFolder = (bookmarkNode: Object) => {
+  if (_.has(bookmarkNode, 'url')) {
+    return false
+  }
+  if (bookmarkNode.title[0] === '_') {
+    return false
+  }
+  return true
+}
+
+/*
+ * given a specific parent Folder node, ensure a particular child exists.
+ * returns: Promise<BookmarkTreeNode>
+ */
+async function ensureChildFolder (parentNode, childFolderName) {
+  if (parentNode.children) {
+    for (var i = 0; i < parentNode.children.length; i++) {
+      var childFolder = parentNode.children[i]
+      if (childFolder.title.toLowerCase() === childFolderName.toLowerCase()) {
+        // exists
+        // console.log('found target child folder: ', childFolderName)
+        return childFolder
+      }
+    }
+  }
+
+  console.log('Child folder ', childFolderName, ' Not found, creating...')
+
+  // If we got here, child Folder doesn't exist
+  var folderObj = { parentId: parentNode.id, title: childFolderName }
+  return chromep.bookmarks.create(folderObj)
+}
+
+/*
+ * Chrome doesn't record when a bookmark was moved, so archive dates of
+ * saved window folders are kept in local storage, by folder id
+ */
+const ARCHIVE_DATES_KEY = 'archivedWindowDates'
+
+const readArchiveDates = async (): Promise<{ [folderId: string]: number }> => {
+  const items = await chromep.storage.local.get([ARCHIVE_DATES_KEY])
+  return items[ARCHIVE_DATES_KEY] || {}
+}
+
+const updateArchiveDates = async (updateFn: (dates: Object) => Object) => {
+  const dates = await readArchiveDates()
+  await chromep.storage.local.set({ [ARCHIVE_DATES_KEY]: updateFn(Object.assign({}, dates)) })
+}
+
+/*
+ * read metadata stored as one storage item per folder
+ */
+const readMetadataItems = async (storageArea: StorageArea, metadataKey: (folderId: string) => string,
+  folderIds: Array<string>): Promise<{ [folderId: string]: Object }> => {
+  if (folderIds.length === 0) {
+    return {}
+  }
+  const items = await storageArea.get(folderIds.map(metadataKey))
+  const res = {}
+  for (let folderId of folderIds) {
+    if (items[metadataKey(folderId)] != null) {
+      res[folderId] = items[metadataKey(folderId)]
+    }
+  }
+  return res
+}
+
+// metadata of bookmark folders is kept in local storage, by folder id:
+const bookmarkMetadataKey = (folderId: string): string => 'windowMetadata.' + folderId
+
+/**
+ * saved windows as bookmark folders
+ */
+export const bookmarksProvider: SavedWindowProvider = {
+  kind: 'bookmarks',
+  handlesExternalChanges: true,
+  init: async () => {
+    const tree = await chromep.bookmarks.getTree()
+    var otherBookmarksNode = tree[0].children[1]
+    const tabliFolder = await ensureChildFolder(otherBookmarksNode, tabliFolderTitle)
+    const archiveFolder = await ensureChildFolder(tabliFolder, archiveFolderTitle)
+    return { folderId: tabliFolder.id, archiveFolderId: archiveFolder.id }
+  },
+  getSavedFolders: async (rootFolderId) => {
+    const subTreeNodes = await chromep.bookmarks.getSubTree(rootFolderId)
+    return (subTreeNodes[0].children || []).filter(isValidWindowFolder)
+  },
+  getFolder: async (folderId) => {
+    const folderNodes = await chromep.bookmarks.getSubTree(folderId)
+    return folderNodes[0]
+  },
+  createFolder: (rootFolderId, title) => chromep.bookmarks.create({ parentId: rootFolderId, title }),
+  createBookmark: (folderId, title, url, index) => chromep.bookmarks.create({ parentId: folderId, title, url, index }),
+  removeBookmark: (bookmarkId) => chromep.bookmarks.remove(bookmarkId),
+  moveBookmark: (bookmarkId, folderId, index) => chromep.bookmarks.move(bookmarkId, { parentId: folderId, index }),
+  setFolderTitle: async (folderId, title) => {
+    await chromep.bookmarks.update(folderId, { title })
+  },
+  archiveFolder: async (folderId, archiveFolderId) => {
+    await chromep.bookmarks.move(folderId, { parentId: archiveFolderId })
+    await updateArchiveDates(dates => Object.assign(dates, { [folderId]: Date.now() }))
+  },
+  getArchivedFolders: async (archiveFolderId) => {
+    const subTreeNodes = await chromep.bookmarks.getSubTree(archiveFolderId)
+    const dates = await readArchiveDates()
+    return (subTreeNodes[0].children || []).filter(node => !_.has(node, 'url'))
+      .map(folder => Object.assign({}, folder, {
+        // folders archived elsewhere (e.g. in Bookmark Manager) have no recorded date:
+        dateArchived: dates[folder.id] || folder.dateGroupModified || folder.dateAdded
+      }))
+  },
+  restoreFolder: async (folderId, rootFolderId) => {
+    await chromep.bookmarks.move(folderId, { parentId: rootFolderId })
+    await updateArchiveDates(dates => { delete dates[folderId]; return dates })
+    const folderNodes = await chromep.bookmarks.getSubTree(folderId)
+    return folderNodes[0]
+  },
+  removeFolder: async (folderId) => {
+    await chromep.bookmarks.removeTree(folderId)
+    await updateArchiveDates(dates => { delete dates[folderId]; return dates })
+    await chromep.storage.local.remove([bookmarkMetadataKey(folderId)])
+  },
+  readMetadata: (folderIds) => readMetadataItems(chromep.storage.local, bookmarkMetadataKey, folderIds),
+  writeMetadata: async (folderId, metadata) => {
+    if (metadata == null) {
+      await chromep.storage.local.remove([bookmarkMetadataKey(folderId)])
+    } else {
+      await chromep.storage.local.set({ [bookmarkMetadataKey(folderId)]: metadata })
+    }
+  }
+}
+
+/*
+ * Storage area layout:
+ *
+ *   savedWindows.index       - versioned (see storageMigration.js) list of folder ids
+ *                              and next id to allocate
+ *   savedWindows.folder.<id> - a folder and its bookmarks
+ *   savedWindows.metadata.<id> - metadata of a folder, if any
+ *
+ * Each folder has its own key to stay within per-item quotas of storage.sync.
+ *
+ * Operations of a provider run one at a time (in the order called), so that
+ * the read-modify-write updates of the index and folders don't interleave.
+ */
+const INDEX_KEY = 'savedWindows.index'
+const ROOT_FOLDER_ID = 'savedWindows'
+const ARCHIVE_FOLDER_ID = 'savedWindows.archive'
+const folderKey = (folderId: string): string => 'savedWindows.folder.' + folderId
+const metadataKey = (folderId: string): string => 'savedWindows.metadata.' + folderId
+
+type StorageIndex = {
+  nextId: number,
+  folderIds: Array<string>,
+  archivedFolderIds: Array<string>
+}
+
+const emptyIndex = (): StorageIndex => ({ nextId: 1, folderIds: [], archivedFolderIds: [] })
+
+/*
+ * limits on writes to a storage area, as for chrome.storage.sync
+ */
+export type StorageQuotas = {
+  bytesPerItem: number,
+  writesPerMinute: number
+}
+
+const WRITE_WINDOW_MS = 60 * 1000
+
+// size of a storage item, as measured by chrome.storage:
+export const itemSize = (key: string, value: any): number => key.length + JSON.stringify(value).length
+
+/*
+ * a storage area that checks item sizes before writing, and waits as needed to
+ * stay within a limit on writes per minute
+ */
+function quotaStorageArea (storageArea: StorageArea, quotas: StorageQuotas): StorageArea {
+  let writeTimes = []
+  return Object.assign({}, storageArea, {
+    set: async (items) => {
+      for (let key of Object.keys(items)) {
+        const size = itemSize(key, items[key])
+        if (size > quotas.bytesPerItem) {
+          const title = (items[key] && items[key].title) ? '"' + items[key].title + '"' : key
+          throw new Error('Saved window ' + title + ' is too large to store (' + size + ' bytes, limit ' +
+            quotas.bytesPerItem + '). Remove some of its tabs, or store saved windows elsewhere (see Preferences).')
+        }
+      }
+      const now = Date.now()
+      writeTimes = writeTimes.filter(t => t > now - WRITE_WINDOW_MS)
+      if (writeTimes.length >= quotas.writesPerMinute) {
+        const waitMs = writeTimes[0] + WRITE_WINDOW_MS - now
+        await new Promise(resolve => setTimeout(resolve, waitMs))
+        writeTimes = writeTimes.slice(1)
+      }
+      writeTimes.push(Date.now())
+      return storageArea.set(items)
+    }
+  })
+}
+
+export const storageIndexSchema = {
+  name: 'savedWindowsIndex',
+  keys: [INDEX_KEY],
+  currentVersion: 1,
+  decode: (items: Object) => items[INDEX_KEY],
+  encode: (contents: StorageIndex) => ({ [INDEX_KEY]: { version: 1, contents } }),
+  migrations: {},
+  validate: (contents: any) =>
+    (contents != null && typeof contents.nextId === 'number' && Array.isArray(contents.folderIds) &&
+      Array.isArray(contents.archivedFolderIds)) ? null : 'malformed saved windows index'
+}
+
+/*
+ * renumber bookmarks of a folder after a change
+ */
+const withIndexes = (folder: BookmarkNode): BookmarkNode => {
+  const children = (folder.children || []).map((bm, index) => Object.assign({}, bm, { index }))
+  return Object.assign({}, folder, { children })
+}
+
+/**
+ * saved windows kept in a chrome.storage area (or anything that behaves like one)
+ *
+ * Writes are checked against quotas, if given. Errors are passed to reportError
+ * (if given) before being re-thrown.
+ */
+export function storageAreaProvider (kind: string, rawStorageArea: StorageArea, quotas: ?StorageQuotas,
+  reportError: ?(err: Error) => void): SavedWindowProvider {
+  const storageArea = quotas ? quotaStorageArea(rawStorageArea, quotas) : rawStorageArea
+
+  let queue = Promise.resolve()
+  const serialized = (fn: Function): any => (...args) => {
+    const result = queue.then(() => fn(...args))
+    queue = result.catch(() => {})
+    return reportError ? result.catch(err => { (reportError: any)(err); throw err }) : result
+  }
+
+  // cached location of bookmarks (bookmark id to folder id), built on first use:
+  let bookmarkFolderIds: ?Map<string, string> = null
+  const indexFolder = (folder: BookmarkNode) => {
+    if (bookmarkFolderIds) {
+      for (let bm of folder.children || []) {
+        bookmarkFolderIds.set(bm.id, folder.id)
+      }
+    }
+  }
+
+  const readIndex = (): Promise<StorageIndex> =>
+    storageMigration.loadStored(storageIndexSchema, emptyIndex(), storageArea)
+  const writeIndex = (index: StorageIndex) =>
+    storageMigration.saveStored(storageIndexSchema, index, storageArea)
+
+  const readFolders = async (folderIds: Array<string>): Promise<Array<BookmarkNode>> => {
+    if (folderIds.length === 0) {
+      return []
+    }
+    const items = await storageArea.get(folderIds.map(folderKey))
+    return folderIds.map(id => items[folderKey(id)]).filter(folder => folder != null)
+  }
+  const writeFolders = async (folders: Array<BookmarkNode>) => {
+    const items = {}
+    for (let folder of folders) {
+      items[folderKey(folder.id)] = withIndexes(folder)
+    }
+    await storageArea.set(items)
+    folders.forEach(indexFolder)
+  }
+  const getFolder = async (folderId: string): Promise<BookmarkNode> => {
+    const [folder] = await readFolders([folderId])
+    if (!folder) {
+      throw new Error('saved window folder not found: ' + folderId)
+    }
+    return folder
+  }
+  const findInFolder = (folder: ?BookmarkNode, bookmarkId: string): ?BookmarkNode =>
+    folder ? (folder.children || []).find(c => c.id === bookmarkId) : null
+  // find folder containing a bookmark:
+  const findBookmark = async (bookmarkId: string): Promise<[BookmarkNode, BookmarkNode]> => {
+    const cachedFolderId = bookmarkFolderIds ? bookmarkFolderIds.get(bookmarkId) : null
+    if (cachedFolderId) {
+      const [folder] = await readFolders([cachedFolderId])
+      const bm = findInFolder(folder, bookmarkId)
+      if (folder && bm) {
+        return [folder, bm]
+      }
+    }
+    // not cached, or storage changed elsewhere (e.g. synced from another device), so rebuild cache:
+    const index = await readIndex()
+    const folders = await readFolders(index.folderIds.concat(index.archivedFolderIds))
+    bookmarkFolderIds = new Map()
+    folders.forEach(indexFolder)
+    const folderId = bookmarkFolderIds.get(bookmarkId)
+    const folder = folders.find(f => f.id === folderId)
+    const bm = findInFolder(folder, bookmarkId)
+    if (folder && bm) {
+      return [folder, bm]
+    }
+    throw new Error('saved tab bookmark not found: ' + bookmarkId)
+  }
+
+  return {
+    kind,
+    handlesExternalChanges: false,
+    init: async () => ({ folderId: ROOT_FOLDER_ID, archiveFolderId: ARCHIVE_FOLDER_ID }),
+    getSavedFolders: serialized(async (rootFolderId) => readFolders((await readIndex()).folderIds)),
+    getFolder: serialized(getFolder),
+    createFolder: serialized(async (rootFolderId, title) => {
+      const index = await readIndex()
+      const folder = { id: 'f' + index.nextId, parentId: ROOT_FOLDER_ID, title, children: [] }
+      await writeFolders([folder])
+      await writeIndex(Object.assign({}, index, {
+        nextId: index.nextId + 1,
+        folderIds: index.folderIds.concat([folder.id])
+      }))
+      return folder
+    }),
+    createBookmark: serialized(async (folderId, title, url, bmIndex) => {
+      const folder = await getFolder(folderId)
+      const index = await readIndex()
+      const children = (folder.children || []).slice()
+      const position = (bmIndex == null) ? children.length : Math.min(bmIndex, children.length)
+      const bm = { id: 'b' + index.nextId, parentId: folderId, index: position, title, url }
+      children.splice(position, 0, bm)
+      await writeIndex(Object.assign({}, index, { nextId: index.nextId + 1 }))
+      await writeFolders([Object.assign({}, folder, { children })])
+      return bm
+    }),
+    removeBookmark: serialized(async (bookmarkId) => {
+      const [folder] = await findBookmark(bookmarkId)
+      const children = (folder.children || []).filter(c => c.id !== bookmarkId)
+      await writeFolders([Object.assign({}, folder, { children })])
+      if (bookmarkFolderIds) {
+        bookmarkFolderIds.delete(bookmarkId)
+      }
+    }),
+    moveBookmark: serialized(async (bookmarkId, folderId, bmIndex) => {
+      const [srcFolder, bm] = await findBookmark(bookmarkId)
+      const srcChildren = (srcFolder.children || []).filter(c => c.id !== bookmarkId)
+      const updSrcFolder = Object.assign({}, srcFolder, { children: srcChildren })
+      const dstFolder = (srcFolder.id === folderId) ? updSrcFolder : await getFolder(folderId)
+      const dstChildren = (dstFolder.children || []).slice()
+      const position = (bmIndex == null) ? dstChildren.length : Math.min(bmIndex, dstChildren.length)
+      const movedBm = Object.assign({}, bm, { parentId: folderId, index: position })
+      dstChildren.splice(position, 0, movedBm)
+      const updDstFolder = Object.assign({}, dstFolder, { children: dstChildren })
+      await writeFolders((srcFolder.id === folderId) ? [updDstFolder] : [updSrcFolder, updDstFolder])
+      return movedBm
+    }),
+    setFolderTitle: serialized(async (folderId, title) => {
+      const folder = await getFolder(folderId)
+      await writeFolders([Object.assign({}, folder, { title })])
+    }),
+    archiveFolder: serialized(async (folderId, archiveFolderId) => {
+      const folder = await getFolder(folderId)
+      const index = await readIndex()
+      await writeFolders([Object.assign({}, folder, { parentId: archiveFolderId, dateArchived: Date.now() })])
+      await writeIndex(Object.assign({}, index, {
+        folderIds: index.folderIds.filter(id => id !== folderId),
+        archivedFolderIds: index.archivedFolderIds.concat([folderId])
+      }))
+    }),
+    getArchivedFolders: serialized(async (archiveFolderId) => readFolders((await readIndex()).archivedFolderIds)),
+    restoreFolder: serialized(async (folderId, rootFolderId) => {
+      const folder = Object.assign({}, await getFolder(folderId), { parentId: rootFolderId })
+      delete folder.dateArchived
+      const index = await readIndex()
+      await writeFolders([folder])
+      await writeIndex(Object.assign({}, index, {
+        folderIds: index.folderIds.concat([folderId]),
+        archivedFolderIds: index.archivedFolderIds.filter(id => id !== folderId)
+      }))
+      return withIndexes(folder)
+    }),
+    removeFolder: serialized(async (folderId) => {
+      const index = await readIndex()
+      await writeIndex(Object.assign({}, index, {
+        folderIds: index.folderIds.filter(id => id !== folderId),
+        archivedFolderIds: index.archivedFolderIds.filter(id => id !== folderId)
+      }))
+      await storageArea.remove([folderKey(folderId), metadataKey(folderId)])
+      // bookmarks of removed folder are left in cache, and found missing on lookup
+    }),
+    readMetadata: serialized((folderIds) => readMetadataItems(storageArea, metadataKey, folderIds)),
+    writeMetadata: serialized(async (folderId, metadata) => {
+      if (metadata == null) {
+        await storageArea.remove([metadataKey(folderId)])
+      } else {
+        await storageArea.set({ [metadataKey(folderId)]: metadata })
+      }
+    })
+  }
+}
+
+/**
+ * an in-memory StorageArea, for tests
+ */
+export function memoryStorageArea (): StorageArea {
+  const items = {}
+  // copy via JSON, as a real storage area would:
+  const copy = (v) => JSON.parse(JSON.stringify(v))
+  return {
+    get: async (keys) => {
+      const res = {}
+      for (let key of (keys != null) ? keys : Object.keys(items)) {
+        if (items[key] !== undefined) {
+          res[key] = copy(items[key])
+        }
+      }
+      return res
+    },
+    set: async (newItems) => {
+      Object.assign(items, copy(newItems))
+    },
+    remove: async (keys) => {
+      for (let key of keys) {
+        delete items[key]
+      }
+    }
+  }
+}
+
+/**
+ * saved windows in memory, for tests
+ */
+export const memoryProvider = (): SavedWindowProvider =>
+  storageAreaProvider('memory', memoryStorageArea())
+
+let storageProviders = {}
+
+/**
+ * provider for a kind of storage (the savedWindowStorage preference)
+ */
+export function getProvider (kind: StorageKind): SavedWindowProvider {
+  if (kind === 'bookmarks' || (kind !== 'local' && kind !== 'sync')) {
+    return bookmarksProvider
+  }
+  if (!storageProviders[kind]) {
+    const chromeArea = (kind === 'sync') ? chrome.storage.sync : null
+    const quotas = chromeArea
+      ? { bytesPerItem: chromeArea.QUOTA_BYTES_PER_ITEM, writesPerMinute: chromeArea.MAX_WRITE_OPERATIONS_PER_MINUTE }
+      : null
+    const reportError = (err) => alert('Could not update saved windows in ' + storageKindNames[kind] + ': ' + err.message)
+    storageProviders[kind] = storageAreaProvider(kind, chromep.storage[kind], quotas, reportError)
+  }
+  return storageProviders[kind]
+}
@@ -0,0 +1,342 @@
+// @flow
+/**
+ * Incremental persistence of snapshot state of saved windows
+ *
+ * Snapshot state is stored in chrome.storage.local as one record per saved
+ * window (see windowKey), keyed by the saved window's bookmark folder id, so
+ * that a change to one window only rewrites that window's record.
+ *
+ * Changes are first appended to a small write-ahead journal (JOURNAL_KEY),
+ * which is written within a second of each change. Every so often (or on
+ * flush) the journal is checkpointed: journaled changes are applied to the
+ * per-window records and the journal is truncated. Since replaying journal
+ * entries is idempotent, recovery after a crash at any point, even in the
+ * middle of a checkpoint, is exact: recoverWindowStates reads the per-window
+ * records and replays any journal entries on top.
+ *
+ * State written by earlier versions of Tabli as a single blob (see
+ * savedWindowStateSchema) is read as the initial contents of the per-window
+ * records.
+ */
+import * as Immutable from 'immutable'
+import throttle from 'lodash/throttle'
+import * as storageMigration from './storageMigration'
+import type { StorageArea } from './storageMigration'
+import ChromePromise from 'chrome-promise'
+const chromep = ChromePromise
+
+const _ = { throttle }
+
+// JS encoded TabWindows, by saved window bookmark folder id:
+export type WindowStates = { [bookmarkId: string]: Object }
+
+export type JournalEntry = {
+  updates: WindowStates,
+  deletes: Array<string>
+}
+
+export const WINDOW_KEY_PREFIX = 'savedWindowState.'
+export const JOURNAL_KEY = 'savedWindowStateJournal'
+const JOURNAL_VERSION = 1
+
+export const windowKey = (bookmarkId: string): string => WINDOW_KEY_PREFIX + bookmarkId
+
+const savedWindowStateVersion = 1
+
+/*
+ * check that a record is a JS encoded TabWindow
+ */
+const validateWindowState = (tw: any): ?string => {
+  if (tw == null || !Array.isArray(tw.tabItems)) {
+    return 'no tabItems'
+  }
+  if (!tw.tabItems.every(ti => ti != null && typeof ti === 'object')) {
+    return 'malformed tab item'
+  }
+  return null
+}
+
+/*
+ * check that saved window state is a map from bookmark folder id to
+ * JS encoded TabWindow
+ */
+const validateSavedWindowState = (contents) => {
+  if (contents == null || typeof contents !== 'object' || Array.isArray(contents)) {
+    return 'not an object'
+  }
+  for (let folderId of Object.keys(contents)) {
+    const err = validateWindowState(contents[folderId])
+    if (err != null) {
+      return err + ' in saved window ' + folderId
+    }
+  }
+  return null
+}
+
+/**
+ * storage schema for snapshot state of all saved windows as a single blob,
+ * as written by earlier versions (see storageMigration.js)
+ */
+export const savedWindowStateSchema = {
+  name: 'savedWindowState',
+  keys: ['savedWindowState', 'savedWindowStateVersion'],
+  currentVersion: savedWindowStateVersion,
+  decode: (items: Object) => ({
+    // state written before versions were checked is version 1:
+    version: (items.savedWindowStateVersion != null) ? items.savedWindowStateVersion : 1,
+    contents: JSON.parse(items.savedWindowState)
+  }),
+  encode: (contents: WindowStates) => ({
+    savedWindowStateVersion,
+    savedWindowState: JSON.stringify(contents, null, 2)
+  }),
+  migrations: {},
+  validate: validateSavedWindowState
+}
+
+/**
+ * JS encoding of a saved window's snapshot state
+ */
+export const encodeWindowState = (tabWindow: Object): Object =>
+  // never persist a chrome session id -- we'll set during startup from sessions API
+  tabWindow.remove('chromeSessionId').toJS()
+
+/**
+ * get diffs between old and new version of bookmark id map.
+ * Assumes an Immutable.Map() of string to Immutable.Record
+ * returns:
+ *  { deletes: Immutable.Set<string>, updates: Immutable.Seq.Keyed<string, record> }
+ */
+export const getDiffs = (prevMap: Immutable.Map<string, any>, curMap: Immutable.Map<string, any>) => {
+  // find deleted keys:
+  const prevKeySet = prevMap.keySeq().toSet()
+  const curKeySet = curMap.keySeq().toSet()
+  const deletes = prevKeySet.subtract(curKeySet)
+
+  // keyed by bookmark id:
+  const updates = curMap.toSeq().filter((tw, k) => !deletes.has(k) && (prevMap.get(k) !== tw))
+
+  return { deletes, updates }
+}
+
+/**
+ * journal entry for changes between old and new version of bookmark id map,
+ * or null if there are no changes
+ */
+export function diffEntry (prevMap: Immutable.Map<string, any>,
+  curMap: Immutable.Map<string, any>): ?JournalEntry {
+  const { deletes, updates } = getDiffs(prevMap, curMap)
+  if (deletes.count() === 0 && updates.count() === 0) {
+    return null
+  }
+  const encUpdates = {}
+  updates.forEach((tabWindow, bookmarkId) => {
+    encUpdates[bookmarkId] = encodeWindowState(tabWindow)
+  })
+  return { updates: encUpdates, deletes: deletes.toArray() }
+}
+
+/**
+ * apply journal entries, in order, to window states
+ */
+export function applyEntries (windowStates: WindowStates, entries: Array<JournalEntry>): WindowStates {
+  const res = Object.assign({}, windowStates)
+  for (let entry of entries) {
+    for (let bookmarkId of entry.deletes) {
+      delete res[bookmarkId]
+    }
+    Object.assign(res, entry.updates)
+  }
+  return res
+}
+
+/**
+ * storage changes to checkpoint journal entries into per-window records
+ */
+export function checkpointChanges (entries: Array<JournalEntry>): { items: Object, removeKeys: Array<string> } {
+  const written = applyEntries({}, entries)
+  const deleted = new Set()
+  for (let entry of entries) {
+    for (let bookmarkId of entry.deletes) {
+      deleted.add(bookmarkId)
+    }
+    for (let bookmarkId of Object.keys(entry.updates)) {
+      deleted.delete(bookmarkId)
+    }
+  }
+  const items = {}
+  for (let bookmarkId of Object.keys(written)) {
+    items[windowKey(bookmarkId)] = written[bookmarkId]
+  }
+  return { items, removeKeys: Array.from(deleted).map(windowKey) }
+}
+
+/*
+ * journal entries from stored journal; an unreadable journal is ignored
+ */
+const readJournal = (items: Object): Array<JournalEntry> => {
+  const journal = items[JOURNAL_KEY]
+  if (journal == null) {
+    return []
+  }
+  if (journal.version !== JOURNAL_VERSION || !Array.isArray(journal.entries)) {
+    console.error('savedWindowState: ignoring unreadable journal: ', journal)
+    return []
+  }
+  return journal.entries
+}
+
+/**
+ * read window states from all storage items of a storage area, replaying
+ * any journal entries not yet checkpointed
+ *
+ * Records that fail validation are dropped.
+ */
+export function readWindowStates (items: Object): WindowStates {
+  let baseStates = {}
+  for (let key of Object.keys(items)) {
+    if (key.startsWith(WINDOW_KEY_PREFIX)) {
+      baseStates[key.slice(WINDOW_KEY_PREFIX.length)] = items[key]
+    }
+  }
+  if (Object.keys(baseStates).length === 0 && storageMigration.isStored(savedWindowStateSchema, items)) {
+    try {
+      baseStates = storageMigration.decodeAndUpgrade(savedWindowStateSchema, items).contents
+    } catch (e) {
+      console.error('savedWindowState: could not read saved window state blob: ', e.message)
+    }
+  }
+  const windowStates = applyEntries(baseStates, readJournal(items))
+  const res = {}
+  for (let bookmarkId of Object.keys(windowStates)) {
+    const err = validateWindowState(windowStates[bookmarkId])
+    if (err == null) {
+      res[bookmarkId] = windowStates[bookmarkId]
+    } else {
+      console.error('savedWindowState: dropping saved window ' + bookmarkId + ': ' + err)
+    }
+  }
+  return res
+}
+
+/**
+ * read window states (see readWindowStates) and compact storage to
+ * per-window records, with an empty journal
+ *
+ * returns: Promise<WindowStates>
+ */
+export async function recoverWindowStates (storageArea: StorageArea = chromep.storage.local): Promise<WindowStates> {
+  const items = await storageArea.get(null)
+  const windowStates = readWindowStates(items)
+  const entries = readJournal(items)
+  const legacy = storageMigration.isStored(savedWindowStateSchema, items)
+  if (legacy) {
+    try {
+      storageMigration.decodeAndUpgrade(savedWindowStateSchema, items)
+    } catch (e) {
+      // keep a copy of state we couldn't read (see storageMigration.js):
+      await storageArea.set(storageMigration.quarantineItems(savedWindowStateSchema, items, e))
+    }
+  }
+  if (entries.length > 0 || legacy) {
+    console.log('savedWindowState: recovered ', entries.length, ' journal entries')
+    const writeEntry = { updates: windowStates, deletes: [] }
+    await storageArea.set(checkpointChanges([writeEntry]).items)
+    const removeKeys = [JOURNAL_KEY].concat(legacy ? savedWindowStateSchema.keys : [])
+    await storageArea.remove(removeKeys)
+  }
+  return windowStates
+}
+
+/**
+ * write records for window states, replacing any existing records for the
+ * same bookmark ids
+ */
+export function writeWindowStates (windowStates: WindowStates,
+  storageArea: StorageArea = chromep.storage.local): Promise<void> {
+  return storageArea.set(checkpointChanges([{ updates: windowStates, deletes: [] }]).items)
+}
+
+// write journal at most this often:
+const JOURNAL_WRITE_INTERVAL = 1000
+// checkpoint at most this often, unless journal gets too long:
+const CHECKPOINT_INTERVAL = 30 * 1000
+const MAX_JOURNAL_ENTRIES = 20
+
+export type StateWriter = {
+  record: (prevMap: Immutable.Map<string, any>, curMap: Immutable.Map<string, any>) => void,
+  flush: () => Promise<void>
+}
+
+/**
+ * create a writer that incrementally persists changes to the bookmark id map
+ *
+ * record() journals the changes between two versions of the map.
+ * flush() writes the journal and checkpoints it immediately, resolving once
+ * all changes recorded so far are stored.
+ *
+ * getStorageArea is only called when writing.
+ */
+export function createStateWriter (getStorageArea: () => StorageArea = () => chromep.storage.local): StateWriter {
+  let journal: Array<JournalEntry> = []
+  // chain of storage writes, so that writes are applied in order:
+  let writes: Promise<void> = Promise.resolve()
+
+  const enqueue = (writeFn: () => Promise<void>): Promise<void> => {
+    writes = writes.then(writeFn).catch(e => {
+      console.error('savedWindowState: error writing window state: ', e)
+    })
+    return writes
+  }
+
+  const writeJournal = () => enqueue(async () => {
+    const storageArea = getStorageArea()
+    if (journal.length > 0) {
+      await storageArea.set({ [JOURNAL_KEY]: { version: JOURNAL_VERSION, entries: journal } })
+    } else {
+      await storageArea.remove([JOURNAL_KEY])
+    }
+  })
+
+  const checkpoint = () => enqueue(async () => {
+    if (journal.length === 0) {
+      return
+    }
+    const storageArea = getStorageArea()
+    // copy, since record() may push to journal while we're writing:
+    const entries = journal.slice()
+    const { items, removeKeys } = checkpointChanges(entries)
+    await storageArea.set(items)
+    if (removeKeys.length > 0) {
+      await storageArea.remove(removeKeys)
+    }
+    // entries recorded during checkpoint remain in journal:
+    journal = journal.slice(entries.length)
+    console.log((new Date()).toString() + ' succesfully wrote window state')
+  }).then(writeJournal)
+
+  const throttledWriteJournal = _.throttle(writeJournal, JOURNAL_WRITE_INTERVAL, { leading: false })
+  const throttledCheckpoint = _.throttle(checkpoint, CHECKPOINT_INTERVAL, { leading: false })
+
+  return {
+    record: (prevMap, curMap) => {
+      const entry = diffEntry(prevMap, curMap)
+      if (entry == null) {
+        return
+      }
+      journal.push(entry)
+      if (journal.length >= MAX_JOURNAL_ENTRIES) {
+        throttledCheckpoint.cancel()
+        checkpoint()
+      } else {
+        throttledWriteJournal()
+        throttledCheckpoint()
+      }
+    },
+    flush: () => {
+      throttledWriteJournal.cancel()
+      throttledCheckpoint.cancel()
+      return checkpoint()
+    }
+  }
+}
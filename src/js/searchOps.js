@@ -4,16 +4,26 @@
  */
 import map from 'lodash/map'
 import filter from 'lodash/filter'
+import sortBy from 'lodash/sortBy'
 import * as Immutable from 'immutable'
 import * as TW from './tabWindow'
+import * as searchQuery from './searchQuery'
+import { metadataText } from './windowMetadata'
+import type { SearchQuery, MatchRanges } from './searchQuery'
 
-const _ = { map, filter }
+const _ = { map, filter, sortBy }
 
-type SearchSpec = string | RegExp
+/*
+ * A search is either a plain string or RegExp matched against tab title and
+ * URL, or a parsed SearchQuery (see searchQuery.js)
+ */
+type SearchSpec = string | RegExp | SearchQuery
 /*
  * note that matchURL and matchTitle are effectively OR'ed -- if matchURL and
  * matchTitle are both true, a tab will match if either the url or title
  * matches.
+ * matchURL and matchTitle only apply to a string or RegExp search; a
+ * SearchQuery specifies fields itself.
  */
 type SearchOpts = {
   matchUrl: boolean,
@@ -32,27 +42,62 @@ const defaultSearchOpts : SearchOpts = {
 const FilteredTabItem = Immutable.Record({
   tabItem: new TW.TabItem(),
 
+  // MatchRanges of url and title, or null if no match:
   urlMatches: null,
-  titleMatches: null
+  titleMatches: null,
+  score: 0 // relevance of match (only for SearchQuery matches)
 })
 
+const isPlainSearch = (searchExp: SearchSpec): boolean %checks =>
+  (typeof searchExp === 'string') || (searchExp instanceof RegExp)
+
+/**
+ * Match text with a plain string or RegExp search
+ *
+ * @return {MatchRanges} range of first match, or null if no match
+ */
+function plainMatchRanges (text: string, searchExp: string | RegExp): ?MatchRanges {
+  const m = text.match(searchExp)
+  return m ? [[m.index, m.index + m[0].length]] : null
+}
+
+/**
+ * Match a TabItem (in the given TabWindow) using a parsed SearchQuery
+ */
+function matchQueryTabItem (tabItem: TW.TabItem, query: SearchQuery,
+  tabWindow: TW.TabWindow): ?FilteredTabItem {
+  if (!searchQuery.matchQueryItem(query, tabItem, tabWindow)) {
+    return null
+  }
+  const urlMatches = searchQuery.urlMatchRanges(query, tabItem.url)
+  const titleMatches = searchQuery.titleMatchRanges(query, tabItem.title)
+  const score = searchQuery.scoreQueryItem(query, tabItem)
+  return new FilteredTabItem({ tabItem, urlMatches, titleMatches, score })
+}
+
 /**
- * Use a RegExp to match a particular TabItem
+ * Use a RegExp or SearchQuery to match a particular TabItem
+ *
+ * @param {TabWindow} tabWindow - window containing tabItem (needed for window: terms)
  *
  * @return {FilteredTabItem} filtered item (or null if no match)
  */
 export function matchTabItem (tabItem: TW.TabItem,
-  searchExp: SearchSpec, options: SearchOpts): ?FilteredTabItem {
+  searchExp: SearchSpec, options: SearchOpts,
+  tabWindow: TW.TabWindow = new TW.TabWindow()): ?FilteredTabItem {
   let urlMatches = null
   if (options.openOnly && tabItem.open === false) {
     return null
   }
+  if (!isPlainSearch(searchExp)) {
+    return matchQueryTabItem(tabItem, searchExp, tabWindow)
+  }
   if (options.matchUrl) {
-    urlMatches = tabItem.url.match(searchExp)
+    urlMatches = plainMatchRanges(tabItem.url, searchExp)
   }
   let titleMatches = null
   if (options.matchTitle) {
-    titleMatches = tabItem.title.match(searchExp)
+    titleMatches = plainMatchRanges(tabItem.title, searchExp)
   }
 
   if (urlMatches === null && titleMatches === null) {
@@ -67,34 +112,54 @@ export function matchTabItem (tabItem: TW.TabItem,
  */
 const FilteredTabWindow = Immutable.Record({
   tabWindow: new TW.TabWindow(),
-  titleMatches: [],
-  itemMatches: Immutable.Seq() // matching tab items
+  titleMatches: null, // MatchRanges of window title, or null if no match
+  metadataMatch: false, // true if saved window metadata (tags, notes, etc.) matched
+  itemMatches: Immutable.Seq(), // matching tab items
+  score: 0 // relevance of window title match (only for SearchQuery matches)
 })
 
 /**
- * Match a TabWindow using a Regexp
+ * Match a TabWindow using a RegExp or SearchQuery
  *
+ * A SearchQuery only matches the window title itself if it consists solely
+ * of free text terms; see searchQuery.matchQueryMetadata for matching of
+ * window metadata.
  */
 export function matchTabWindow (tabWindow: TW.TabWindow,
   searchExp: SearchSpec,
   options: SearchOpts): ?FilteredTabWindow {
   const itemMatches =
     tabWindow.tabItems.map((ti) =>
-      matchTabItem(ti, searchExp, options)).filter((fti) => fti !== null)
+      matchTabItem(ti, searchExp, options, tabWindow)).filter((fti) => fti !== null)
   let titleMatches = null
-  if (options.matchTitle) {
-    titleMatches = tabWindow.title.match(searchExp)
+  let metadataMatch = false
+  let score = 0
+  const metaText = metadataText(tabWindow.metadata)
+  if (isPlainSearch(searchExp)) {
+    if (options.matchTitle) {
+      titleMatches = plainMatchRanges(tabWindow.title, searchExp)
+      metadataMatch = metaText.length > 0 && plainMatchRanges(metaText, searchExp) !== null
+    }
+  } else {
+    if (searchQuery.matchQueryTitle(searchExp, tabWindow.title)) {
+      titleMatches = searchQuery.titleMatchRanges(searchExp, tabWindow.title)
+      score = searchQuery.scoreQueryTitle(searchExp, tabWindow.title)
+    }
+    if (searchQuery.matchQueryMetadata(searchExp, tabWindow)) {
+      metadataMatch = true
+      score = Math.max(score, searchQuery.scoreQueryTitle(searchExp, metaText))
+    }
   }
 
-  if (titleMatches === null && itemMatches.count() === 0) {
+  if (titleMatches === null && !metadataMatch && itemMatches.count() === 0) {
     return null
   }
 
-  return FilteredTabWindow({ tabWindow, titleMatches, itemMatches })
+  return FilteredTabWindow({ tabWindow, titleMatches, metadataMatch, itemMatches, score })
 }
 
 /**
- * filter an array of TabWindows using a searchRE to obtain
+ * filter an array of TabWindows using a RegExp or SearchQuery to obtain
  * an array of FilteredTabWindow
  */
 export function filterTabWindows (tabWindows: Array<TW.TabWindow>,
@@ -113,3 +178,37 @@ export function filterTabWindows (tabWindows: Array<TW.TabWindow>,
 
   return res
 }
+
+// maximum bonus for a recently accessed tab, and how quickly it decays:
+const RECENCY_BONUS = 8
+const RECENCY_HALF_LIFE = 4 * 60 * 60 * 1000 // ms
+
+function recencyBonus (tabItem: TW.TabItem, now: number): number {
+  const lastAccessed = tabItem.open ? tabItem.safeOpenState.lastAccessed : 0
+  if (lastAccessed <= 0) {
+    return 0
+  }
+  const age = Math.max(0, now - lastAccessed)
+  return RECENCY_BONUS * Math.pow(0.5, age / RECENCY_HALF_LIFE)
+}
+
+/**
+ * Rank the results of filtering with a SearchQuery: order matching tabs within
+ * each window, and windows themselves, by score (best first), taking
+ * into account how recently each tab was accessed.
+ *
+ * Ties retain their original order.
+ */
+export function rankTabWindows (filteredWindows: Array<FilteredTabWindow>,
+  now: number = Date.now()): Array<FilteredTabWindow> {
+  const rankedWindows = filteredWindows.map(ftw => {
+    const rankedItems = ftw.itemMatches
+      .map(fti => fti.set('score', fti.score + recencyBonus(fti.tabItem, now)))
+      .sortBy(fti => -fti.score)
+    const bestItemScore = rankedItems.count() > 0 ? rankedItems.first().score : 0
+    return ftw
+      .set('itemMatches', rankedItems)
+      .set('score', Math.max(ftw.score, bestItemScore))
+  })
+  return _.sortBy(rankedWindows, ftw => -ftw.score)
+}
@@ -0,0 +1,325 @@
+// @flow
+/**
+ * Parsing of search queries typed into the popup's search box
+ *
+ * A query is a sequence of whitespace-separated terms, all of which must
+ * match for a tab to match:
+ *
+ *   foo, "foo bar"       - tab title or URL contains text (unquoted text is a RegExp)
+ *   title:foo            - tab title contains text
+ *   url:foo              - tab URL contains text
+ *   host:foo             - host name of tab URL contains text
+ *   window:"my window"   - title of tab's window contains text
+ *   tag:foo              - a tag of tab's saved window contains text
+ *   note:foo             - description or notes of tab's saved window contain text
+ *   color:red            - color label of tab's saved window
+ *   is:open, is:saved, is:pinned, is:audible - tab state
+ *
+ * Any term may be negated with a leading '-' (e.g. -is:pinned).
+ *
+ * Unquoted plain words (no RegExp special characters) in free text and title:
+ * terms also match tab titles fuzzily (see fuzzyMatch.js). Only free text and
+ * title: terms contribute to a match's score; other terms just filter.
+ *
+ * Free text terms also match saved window metadata (see windowMetadata.js),
+ * so that a window can be found by its tags, description or notes. When
+ * matching a window itself, free text terms may match either its title or its
+ * metadata, and combine with window, tag, note and color terms.
+ *
+ * Queries are compiled to predicates evaluated by searchOps.matchTabItem and
+ * searchOps.matchTabWindow. Parsing never fails: a malformed RegExp is treated as
+ * literal text.
+ */
+import escapeStringRegexp from 'escape-string-regexp'
+import * as TW from './tabWindow'
+import { metadataText } from './windowMetadata'
+import { fuzzyMatch, substringScore } from './fuzzyMatch'
+
+type TermField = 'text' | 'title' | 'url' | 'host' | 'window' | 'tag' | 'note' | 'color' | 'is'
+
+type SearchTerm = {
+  field: TermField,
+  negate: boolean,
+  re: ?RegExp, // for text fields
+  fuzzyText: ?string, // for plain words in text and title terms
+  pred: (tabItem: TW.TabItem, tabWindow: TW.TabWindow) => boolean
+}
+
+export type SearchQuery = {
+  queryStr: string,
+  terms: Array<SearchTerm>
+}
+
+// half-open [start, end) character ranges of matched text, for highlighting:
+export type MatchRanges = Array<[number, number]>
+
+const textFields = ['title', 'url', 'host', 'window', 'tag', 'note', 'color']
+
+// fields of terms that match a tab's window rather than the tab:
+const windowFields = ['window', 'tag', 'note', 'color']
+const metadataFields = ['tag', 'note', 'color']
+
+// relative weight of URL matches vs. title matches in scores:
+const URL_SCORE_WEIGHT = 0.5
+
+const isPreds = {
+  open: (ti) => ti.open,
+  saved: (ti) => ti.saved,
+  pinned: (ti) => ti.open && ti.safeOpenState.pinned,
+  audible: (ti) => ti.open && ti.safeOpenState.audible
+}
+
+// [ '-' ] [ field ':' ] ( '"' phrase [ '"' ] | word )
+const termRE = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S*))/g
+
+/**
+ * compile text to a case-insensitive RegExp.
+ * Quoted phrases are always literal; unquoted words that aren't a valid
+ * RegExp are also treated literally.
+ */
+function textRegExp (text: string, quoted: boolean): RegExp {
+  if (!quoted) {
+    try {
+      return new RegExp(text, 'i')
+    } catch (e) {
+      // fall through to literal match
+    }
+  }
+  return new RegExp(escapeStringRegexp(text), 'i')
+}
+
+export function urlHost (url: string): string {
+  const m = url.match(/^[a-zA-Z][\w+.-]*:\/\/([^/?#]*)/)
+  return m ? m[1] : ''
+}
+
+/*
+ * text to match fuzzily for a term, or null if it should only be matched exactly
+ */
+function termFuzzyText (field: TermField, text: string, quoted: boolean): ?string {
+  const fuzzyField = field === 'text' || field === 'title'
+  return (fuzzyField && !quoted && escapeStringRegexp(text) === text) ? text : null
+}
+
+function mkTextPred (field: TermField, re: RegExp, fuzzyText: ?string) {
+  const fuzzyTest = (s) => fuzzyText != null && fuzzyMatch(fuzzyText, s) != null
+  switch (field) {
+    case 'title':
+      return (ti, tw) => re.test(ti.title) || fuzzyTest(ti.title)
+    case 'url':
+      return (ti, tw) => re.test(ti.url)
+    case 'host':
+      return (ti, tw) => re.test(urlHost(ti.url))
+    case 'window':
+      return (ti, tw) => re.test(tw.title)
+    case 'tag':
+      return (ti, tw) => tw.metadata.tags.some(tag => re.test(tag))
+    case 'note':
+      return (ti, tw) => re.test(tw.metadata.description) || re.test(tw.metadata.notes)
+    case 'color':
+      return (ti, tw) => tw.metadata.color.length > 0 && re.test(tw.metadata.color)
+    default:
+      return (ti, tw) => re.test(ti.title) || re.test(ti.url) || fuzzyTest(ti.title)
+  }
+}
+
+/**
+ * parse a single term; returns null for empty or incomplete terms
+ * (such as 'is:' while the user is still typing)
+ */
+function parseTerm (negStr: string, fieldStr: ?string, phrase: ?string, word: ?string): ?SearchTerm {
+  const negate = negStr.length > 0
+  const quoted = phrase != null
+  const value = quoted ? phrase : word
+  if (value == null || value.length === 0) {
+    return null
+  }
+  if (fieldStr == null) {
+    return mkTextTerm('text', negate, value, quoted)
+  }
+  const fieldName = fieldStr.toLowerCase()
+  if (fieldName === 'is') {
+    const pred = isPreds[value.toLowerCase()]
+    return pred ? { field: 'is', negate, re: null, fuzzyText: null, pred } : null
+  }
+  if (textFields.indexOf(fieldName) >= 0) {
+    return mkTextTerm(((fieldName: any): TermField), negate, value, quoted)
+  }
+  // not a field we know (e.g. "http://..."), so treat whole term as text:
+  return mkTextTerm('text', negate, fieldStr + ':' + value, quoted)
+}
+
+function mkTextTerm (field: TermField, negate: boolean, text: string, quoted: boolean): SearchTerm {
+  const re = textRegExp(text, quoted)
+  const fuzzyText = termFuzzyText(field, text, quoted)
+  return { field, negate, re, fuzzyText, pred: mkTextPred(field, re, fuzzyText) }
+}
+
+/**
+ * Parse a search string into a SearchQuery
+ *
+ * @return {SearchQuery} compiled query, or null for an empty query
+ */
+export function parseQuery (queryStr: string): ?SearchQuery {
+  const terms = []
+  let m
+  termRE.lastIndex = 0
+  while ((m = termRE.exec(queryStr)) !== null) {
+    if (m[0].length === 0) {
+      termRE.lastIndex++
+      continue
+    }
+    const term = parseTerm(m[1], m[2], m[3], m[4])
+    if (term) {
+      terms.push(term)
+    }
+  }
+  if (terms.length === 0) {
+    return null
+  }
+  return { queryStr, terms }
+}
+
+/**
+ * true iff query consists only of free text terms (so can match window titles)
+ */
+export function isTextOnly (query: SearchQuery): boolean {
+  return query.terms.every(t => t.field === 'text')
+}
+
+/**
+ * evaluate all terms of a query against a tab item
+ */
+export function matchQueryItem (query: SearchQuery,
+  tabItem: TW.TabItem, tabWindow: TW.TabWindow): boolean {
+  return query.terms.every(t => t.pred(tabItem, tabWindow) !== t.negate)
+}
+
+/**
+ * evaluate a text-only query against a window title
+ */
+export function matchQueryTitle (query: SearchQuery, title: string): boolean {
+  return isTextOnly(query) && query.terms.some(t => !t.negate) &&
+    query.terms.every(t => (termScore(t, title, true) > 0) !== t.negate)
+}
+
+/**
+ * evaluate a query against a window's title and metadata together
+ *
+ * Free text terms match the window title or the text of its metadata (see
+ * windowMetadata.metadataText; only exact matches of metadata count), and
+ * other terms must be window, tag, note or color terms. True only if some
+ * positive term matched metadata.
+ */
+export function matchQueryMetadata (query: SearchQuery, tabWindow: TW.TabWindow): boolean {
+  if (tabWindow.metadata.isEmpty || !query.terms.every(t => t.field === 'text' || windowFields.includes(t.field))) {
+    return false
+  }
+  const metaText = metadataText(tabWindow.metadata)
+  const metadataTextMatch = (t) => termScore(t, metaText, false) > 0
+  const termMatch = (t) => (t.field === 'text')
+    ? termScore(t, tabWindow.title, true) > 0 || metadataTextMatch(t)
+    : t.pred((null: any), tabWindow)
+  const metadataTerm = (t) => !t.negate && (metadataFields.includes(t.field) ||
+    (t.field === 'text' && metadataTextMatch(t)))
+  return query.terms.some(metadataTerm) && query.terms.every(t => termMatch(t) !== t.negate)
+}
+
+/*
+ * score a positive text term against text; 0 if no match
+ */
+function termScore (term: SearchTerm, text: string, allowFuzzy: boolean): number {
+  const m = term.re ? text.match(term.re) : null
+  const exactScore = (m && m[0].length > 0) ? substringScore(text, m.index, m[0].length) : 0
+  const fm = (allowFuzzy && term.fuzzyText != null) ? fuzzyMatch(term.fuzzyText, text) : null
+  return Math.max(exactScore, fm ? fm.score : 0)
+}
+
+const scoredTerms = (query: SearchQuery): Array<SearchTerm> =>
+  query.terms.filter(t => !t.negate && (t.field === 'text' || t.field === 'title'))
+
+/**
+ * score a tab item matched by query (higher is better)
+ */
+export function scoreQueryItem (query: SearchQuery, tabItem: TW.TabItem): number {
+  return scoredTerms(query).reduce((acc, t) => {
+    const titleScore = termScore(t, tabItem.title, true)
+    const urlScore = (t.field === 'text') ? URL_SCORE_WEIGHT * termScore(t, tabItem.url, false) : 0
+    return acc + Math.max(titleScore, urlScore)
+  }, 0)
+}
+
+/**
+ * score a window title matched by query (higher is better)
+ */
+export function scoreQueryTitle (query: SearchQuery, title: string): number {
+  return scoredTerms(query).reduce((acc, t) => acc + termScore(t, title, true), 0)
+}
+
+/**
+ * sort and merge overlapping or adjacent ranges
+ */
+export function mergeRanges (ranges: MatchRanges): MatchRanges {
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0])
+  const merged = []
+  for (let [start, end] of sorted) {
+    const last = merged[merged.length - 1]
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end)
+    } else {
+      merged.push([start, end])
+    }
+  }
+  return merged
+}
+
+/**
+ * find all (non-empty) matches of a RegExp in text
+ */
+export function regExpRanges (re: RegExp, text: string): MatchRanges {
+  const globalRE = new RegExp(re.source, 'gi')
+  const ranges = []
+  let m
+  while ((m = globalRE.exec(text)) !== null) {
+    if (m[0].length === 0) {
+      globalRE.lastIndex++
+    } else {
+      ranges.push([m.index, m.index + m[0].length])
+    }
+  }
+  return ranges
+}
+
+/**
+ * find ranges of text matched by the positive terms of a query for the given fields
+ *
+ * Fuzzy matches are only used where a term has no exact match.
+ *
+ * @return {MatchRanges} merged ranges, or null if no matches
+ */
+export function matchRanges (query: SearchQuery, text: string,
+  fields: Array<TermField>): ?MatchRanges {
+  let ranges = []
+  for (let t of query.terms) {
+    if (t.negate || !t.re || fields.indexOf(t.field) < 0) {
+      continue
+    }
+    const termRanges = regExpRanges(t.re, text)
+    const fm = (termRanges.length === 0 && t.fuzzyText != null) ? fuzzyMatch(t.fuzzyText, text) : null
+    const fuzzyRanges = fm ? fm.positions.map(p => [p, p + 1]) : []
+    ranges = ranges.concat(termRanges, fuzzyRanges)
+  }
+  return (ranges.length > 0) ? mergeRanges(ranges) : null
+}
+
+/**
+ * ranges of a tab or window title matched by query
+ */
+export const titleMatchRanges = (query: SearchQuery, title: string): ?MatchRanges =>
+  matchRanges(query, title, ['text', 'title'])
+
+/**
+ * ranges of a tab URL matched by query
+ */
+export const urlMatchRanges = (query: SearchQuery, url: string): ?MatchRanges =>
+  matchRanges(query, url, ['text', 'url', 'host'])
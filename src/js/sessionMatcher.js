@@ -0,0 +1,102 @@
+// @flow
+/**
+ * Matching of closed windows with entries from the Chrome sessions API
+ *
+ * When a saved window is closed, Chrome records it as a recently closed session
+ * that can be restored with full tab history via chrome.sessions.restore.
+ * The sessions API doesn't tell us which saved window a closed session came
+ * from, so we match on the URLs of the tabs that were open in the window
+ * when it was closed (available from the window's snapshot).
+ */
+import * as Immutable from 'immutable'
+import * as TW from './tabWindow'
+
+// minimum similarity between snapshot URLs and session URLs for a match:
+export const SESSION_MATCH_THRESHOLD = 0.5
+
+/**
+ * get the set of URLs that were open in a closed window when it was closed
+ */
+const snapshotUrls = (tabWindow: TW.TabWindow): Immutable.Set<string> =>
+  Immutable.Set(tabWindow.tabItems.filter(ti => ti.open).map(ti => ti.url))
+
+/**
+ * Compute a similarity score in [0,1] between the URLs of a snapshot and a
+ * session window (Jaccard index of the two URL sets)
+ */
+export function sessionMatchScore (urlsA: Immutable.Set<string>, urlsB: Immutable.Set<string>): number {
+  const unionCount = urlsA.union(urlsB).count()
+  if (unionCount === 0) {
+    return 0
+  }
+  return urlsA.intersect(urlsB).count() / unionCount
+}
+
+/**
+ * Match candidate windows (given as URL sets) with recently closed session
+ * windows.
+ *
+ * Sessions are considered most recent first (the order returned by
+ * chrome.sessions.getRecentlyClosed), and each session is assigned to at most
+ * one candidate: the candidate with the highest score above
+ * SESSION_MATCH_THRESHOLD, provided that match is unambiguous.
+ */
+function matchSessions (
+  windowUrls: Immutable.Map<string, Immutable.Set<string>>,
+  recentlyClosed: Array<Object>): Immutable.Map<string, string> {
+  let candidates = windowUrls.filter(urls => urls.count() > 0)
+
+  let matches = Immutable.Map()
+  const sessionWindows = recentlyClosed.filter(s => s.window && s.window.sessionId)
+  for (let session of sessionWindows) {
+    const sessionWindow = session.window
+    const sessionUrls = Immutable.Set((sessionWindow.tabs || []).map(tab => tab.url))
+    const scores = candidates
+      .map(urls => sessionMatchScore(urls, sessionUrls))
+      .filter(score => score >= SESSION_MATCH_THRESHOLD)
+      .sortBy(score => -score)
+    if (scores.count() > 0) {
+      const [[bestId, bestScore], runnerUp] = scores.entrySeq().take(2).toArray()
+      if (!runnerUp || runnerUp[1] < bestScore) {
+        matches = matches.set(bestId, sessionWindow.sessionId)
+        candidates = candidates.delete(bestId)
+      }
+    }
+  }
+  return matches
+}
+
+/**
+ * Match closed, saved windows with recently closed session windows.
+ *
+ * @param {Array<TabWindow>} closedWindows - closed, saved windows with snapshots
+ * @param {Array<sessions.Session>} recentlyClosed - from chrome.sessions.getRecentlyClosed
+ *
+ * @return {Immutable.Map<string,string>} map from saved window folder id to Chrome session id
+ */
+export function matchSavedWindowSessions (
+  closedWindows: Array<TW.TabWindow>,
+  recentlyClosed: Array<Object>): Immutable.Map<string, string> {
+  const windowUrls = Immutable.Map(closedWindows
+    .filter(tw => tw.saved && !tw.open && tw.snapshot)
+    .map(tw => [tw.savedFolderId, snapshotUrls(tw)]))
+  return matchSessions(windowUrls, recentlyClosed)
+}
+
+/**
+ * Match closed, unsaved windows from Tabli's log of closed windows with
+ * recently closed session windows.
+ *
+ * @param {Array<TabWindow>} closedWindows - logged closed windows
+ * @param {Array<sessions.Session>} recentlyClosed - from chrome.sessions.getRecentlyClosed
+ *
+ * @return {Immutable.Map<string,string>} map from window id to Chrome session id
+ */
+export function matchClosedWindowSessions (
+  closedWindows: Array<TW.TabWindow>,
+  recentlyClosed: Array<Object>): Immutable.Map<string, string> {
+  const windowUrls = Immutable.Map(closedWindows
+    .filter(tw => !tw.saved && !tw.open)
+    .map(tw => [tw.id, snapshotUrls(tw)]))
+  return matchSessions(windowUrls, recentlyClosed)
+}
@@ -0,0 +1,157 @@
+// @flow
+/**
+ * Rolling crash-recovery snapshots of all open windows
+ *
+ * Snapshot state of saved windows is persisted by savedWindowState.js, but
+ * unsaved windows only exist in Chrome. To be able to recover them after a
+ * crash, the background page periodically records a snapshot of the titles
+ * and tabs of all open windows, saved or not.
+ *
+ * Each run of the background page is a session, identified by its start
+ * time. Up to MAX_SNAPSHOTS_PER_SESSION of the most recent snapshots of each
+ * of the last MAX_SESSIONS sessions are kept. Several snapshots per session
+ * are kept since windows closed one by one at shutdown may be recorded in
+ * a session's last snapshot.
+ *
+ * Snapshots share chrome.storage.local (limited to 5MB, as Tabli doesn't
+ * request unlimitedStorage) with other state, so the oldest snapshots are
+ * also dropped to keep all snapshots within MAX_SNAPSHOTS_SIZE.
+ */
+import * as Immutable from 'immutable'
+import * as storageMigration from './storageMigration'
+import type { StorageArea } from './storageMigration'
+import TabManagerState from './tabManagerState'
+import ChromePromise from 'chrome-promise'
+const chromep = ChromePromise
+
+export type SnapshotTab = {
+  title: string,
+  url: string,
+  pinned: boolean
+}
+
+export type SnapshotWindow = {
+  title: string,
+  savedTitle: ?string, // title of saved window, if saved
+  savedFolderId?: ?string, // bookmark folder id of saved window, if saved
+  tabs: Array<SnapshotTab>
+}
+
+export type SessionSnapshot = {
+  sessionId: number, // start time of session
+  time: number,
+  windows: Array<SnapshotWindow>
+}
+
+export type Session = {
+  sessionId: number,
+  snapshots: Array<SessionSnapshot> // newest first
+}
+
+export const MAX_SESSIONS = 10
+export const MAX_SNAPSHOTS_PER_SESSION = 5
+// maximum size (as JSON) of all stored snapshots:
+export const MAX_SNAPSHOTS_SIZE = 1024 * 1024
+
+const SNAPSHOTS_KEY = 'sessionSnapshots'
+
+/**
+ * storage schema for session snapshots (see storageMigration.js)
+ */
+export const sessionSnapshotsSchema = {
+  name: 'sessionSnapshots',
+  keys: [SNAPSHOTS_KEY],
+  currentVersion: 1,
+  decode: (items: Object) => items[SNAPSHOTS_KEY],
+  encode: (snapshots: Array<SessionSnapshot>) => ({ [SNAPSHOTS_KEY]: { version: 1, contents: snapshots } }),
+  migrations: {},
+  validate: (contents: any) =>
+    (Array.isArray(contents) && contents.every(s => s != null && Array.isArray(s.windows))) ? null : 'malformed snapshots'
+}
+
+/**
+ * snapshot of the open tabs of all open, normal windows
+ */
+export function snapshotWindows (winStore: TabManagerState): Array<SnapshotWindow> {
+  return winStore.getTabWindowsByType('normal')
+    .map(tw => ({
+      title: tw.title,
+      savedTitle: tw.saved ? tw.savedTitle : null,
+      savedFolderId: tw.saved ? tw.savedFolderId : null,
+      tabs: tw.tabItems.filter(ti => ti.open)
+        .map(ti => ({ title: ti.title, url: ti.url, pinned: ti.pinned })).toArray()
+    }))
+    .filter(sw => sw.tabs.length > 0)
+    .toArray()
+}
+
+/**
+ * add a snapshot to a list of snapshots (newest first), dropping the oldest
+ * snapshots beyond the retention limits
+ *
+ * The newest snapshot is always kept, whatever its size.
+ */
+export function addSnapshot (snapshots: Array<SessionSnapshot>, snapshot: SessionSnapshot,
+  maxSessions: number = MAX_SESSIONS,
+  maxSnapshotsPerSession: number = MAX_SNAPSHOTS_PER_SESSION,
+  maxSize: number = MAX_SNAPSHOTS_SIZE): Array<SessionSnapshot> {
+  const allSnapshots = [snapshot].concat(snapshots).sort((a, b) => b.time - a.time)
+  const sessionIds = Immutable.OrderedSet(allSnapshots.map(s => s.sessionId)).take(maxSessions)
+  const sessionCounts = {}
+  let size = 0
+  return allSnapshots.filter((s, index) => {
+    if (!sessionIds.has(s.sessionId)) {
+      return false
+    }
+    sessionCounts[s.sessionId] = (sessionCounts[s.sessionId] || 0) + 1
+    if (sessionCounts[s.sessionId] > maxSnapshotsPerSession) {
+      return false
+    }
+    size += JSON.stringify(s).length
+    return index === 0 || size <= maxSize
+  })
+}
+
+/**
+ * group snapshots by session, newest session first
+ */
+export function getSessions (snapshots: Array<SessionSnapshot>): Array<Session> {
+  return Immutable.Seq(snapshots)
+    .sortBy(s => -s.time)
+    .groupBy(s => s.sessionId)
+    .map((sessionSnapshots, sessionId) => ({ sessionId, snapshots: sessionSnapshots.toArray() }))
+    .toIndexedSeq()
+    .sortBy(session => -session.sessionId)
+    .toArray()
+}
+
+/**
+ * read all snapshots, newest first
+ */
+export function loadSnapshots (storageArea: StorageArea = chromep.storage.local): Promise<Array<SessionSnapshot>> {
+  return storageMigration.loadStored(sessionSnapshotsSchema, [], storageArea)
+}
+
+/**
+ * record a snapshot of open windows of current session.
+ *
+ * returns: Promise<?SessionSnapshot> -- the recorded snapshot, or null if
+ * there were no open windows
+ */
+export async function recordSnapshot (winStore: TabManagerState, sessionId: number,
+  time: number = Date.now(), storageArea: StorageArea = chromep.storage.local): Promise<?SessionSnapshot> {
+  const windows = snapshotWindows(winStore)
+  if (windows.length === 0) {
+    return null
+  }
+  const snapshot = { sessionId, time, windows }
+  const snapshots = await loadSnapshots(storageArea)
+  try {
+    await storageMigration.saveStored(sessionSnapshotsSchema, addSnapshot(snapshots, snapshot), storageArea)
+  } catch (e) {
+    // most likely out of storage, so make room by keeping only the new snapshot:
+    console.warn('recordSnapshot: error saving snapshots, keeping only latest: ', e.message)
+    await storageMigration.saveStored(sessionSnapshotsSchema, [snapshot], storageArea)
+  }
+  return snapshot
+}
@@ -0,0 +1,154 @@
+// @flow
+/**
+ * Versioned schemas and migrations for state Tabli persists in chrome.storage.local
+ *
+ * Each persisted blob is described by a StorageSchema, which knows how to
+ * decode the blob's storage items to a VersionedObject, how to encode current
+ * contents back to storage items, how to upgrade contents one version at a time,
+ * and how to validate fully upgraded contents.
+ *
+ * loadStored reads a blob and runs it through this pipeline. If any step
+ * fails, a copy of the raw storage items is written to a quarantine key
+ * (see quarantineKey) before falling back to defaults, so that a bad upgrade
+ * never silently loses persisted state.
+ */
+import ChromePromise from 'chrome-promise'
+const chromep = ChromePromise
+
+export type VersionedObject = { version: number, contents: any }
+
+export type StorageSchema = {
+  name: string,
+  keys: Array<string>, // storage keys of blob; first key determines whether blob is present
+  currentVersion: number,
+  decode: (items: Object) => VersionedObject, // may throw if items can't be parsed
+  encode: (contents: any) => Object, // storage items for contents at currentVersion
+  migrations: { [fromVersion: number]: (contents: any) => any }, // upgrade to fromVersion + 1
+  validate: (contents: any) => ?string // error message, or null if contents valid
+}
+
+export type UpgradeResult = {
+  contents: any,
+  fromVersion: number
+}
+
+export const QUARANTINE_KEY_PREFIX = 'quarantine.'
+
+/**
+ * storage key for quarantined copy of a blob
+ */
+export const quarantineKey = (schema: StorageSchema): string => QUARANTINE_KEY_PREFIX + schema.name
+
+/**
+ * true iff storage items contain a blob for schema
+ */
+export function isStored (schema: StorageSchema, items: ?Object): boolean {
+  return items != null && items[schema.keys[0]] != null
+}
+
+/**
+ * upgrade versioned contents to schema's current version, one version at a time,
+ * and validate the result
+ *
+ * @throws {Error} if version is unknown or any migration step or validation fails
+ */
+export function upgrade (schema: StorageSchema, versioned: VersionedObject): any {
+  const { version } = versioned
+  if (typeof version !== 'number' || !Number.isInteger(version) || version < 1) {
+    throw new Error(schema.name + ': invalid schema version ' + String(version))
+  }
+  if (version > schema.currentVersion) {
+    throw new Error(schema.name + ': schema version ' + version +
+      ' is newer than supported version ' + schema.currentVersion)
+  }
+  let contents = versioned.contents
+  for (let v = version; v < schema.currentVersion; v++) {
+    const migration = schema.migrations[v]
+    if (!migration) {
+      throw new Error(schema.name + ': no migration from version ' + v)
+    }
+    try {
+      contents = migration(contents)
+    } catch (e) {
+      throw new Error(schema.name + ': migration from version ' + v + ' failed: ' + e.message)
+    }
+  }
+  const validationError = schema.validate(contents)
+  if (validationError != null) {
+    throw new Error(schema.name + ': invalid contents: ' + validationError)
+  }
+  return contents
+}
+
+/**
+ * decode storage items and upgrade to current version
+ *
+ * @throws {Error} if items can't be decoded or upgraded
+ */
+export function decodeAndUpgrade (schema: StorageSchema, items: Object): UpgradeResult {
+  let versioned
+  try {
+    versioned = schema.decode(items)
+  } catch (e) {
+    throw new Error(schema.name + ': could not decode stored data: ' + e.message)
+  }
+  const contents = upgrade(schema, versioned)
+  return { contents, fromVersion: versioned.version }
+}
+
+/**
+ * storage items holding a quarantined copy of the raw items of a blob
+ */
+export function quarantineItems (schema: StorageSchema, items: Object, error: Error,
+  quarantineTime: number = Date.now()): Object {
+  const rawItems = {}
+  for (let key of schema.keys) {
+    if (items[key] !== undefined) {
+      rawItems[key] = items[key]
+    }
+  }
+  return { [quarantineKey(schema)]: { quarantineTime, error: error.message, items: rawItems } }
+}
+
+// the subset of chrome.storage.StorageArea (promisified) that we use:
+export type StorageArea = {
+  get: (keys: ?Array<string>) => Promise<Object>, // null keys gets all items
+  set: (items: Object) => Promise<void>,
+  remove: (keys: Array<string>) => Promise<void>
+}
+
+/**
+ * read a blob from a storage area (chrome.storage.local by default), upgrading
+ * it to the current version
+ *
+ * Upgraded contents are written back. If the blob can't be read, it's
+ * quarantined and defaultContents is returned.
+ */
+export async function loadStored (schema: StorageSchema, defaultContents: any,
+  storageArea: StorageArea = chromep.storage.local): Promise<any> {
+  const items = await storageArea.get(schema.keys)
+  if (!isStored(schema, items)) {
+    return defaultContents
+  }
+  try {
+    const { contents, fromVersion } = decodeAndUpgrade(schema, items)
+    if (fromVersion !== schema.currentVersion) {
+      console.log(schema.name + ': upgraded stored data from version ', fromVersion,
+        ' to ', schema.currentVersion)
+      await storageArea.set(schema.encode(contents))
+    }
+    return contents
+  } catch (e) {
+    console.error('loadStored: ', e.message, ' -- quarantining stored data under ', quarantineKey(schema))
+    await storageArea.set(quarantineItems(schema, items, e))
+    return defaultContents
+  }
+}
+
+/**
+ * write contents at schema's current version to a storage area
+ */
+export function saveStored (schema: StorageSchema, contents: any,
+  storageArea: StorageArea = chromep.storage.local): Promise<void> {
+  return storageArea.set(schema.encode(contents))
+}
@@ -0,0 +1,152 @@
+// @flow
+/**
+ * Parsing of tab lists exported by other tab managers, for import as saved windows
+ *
+ * Supported formats:
+ *
+ *   oneTab       - OneTab export: one 'url | title' line per tab, with tab
+ *                  groups separated by blank lines
+ *   sessionBuddy - Session Buddy JSON export (both the older 'sessions' and
+ *                  newer 'collections' layouts)
+ *   urlList      - plain list of URLs, one per line
+ *
+ * Each group of tabs becomes an ImportedWindow, which actions.importWindows
+ * saves as a bookmark folder.
+ */
+
+export type ImportFormat = 'oneTab' | 'sessionBuddy' | 'urlList'
+
+export type ImportedTab = {
+  title: string,
+  url: string
+}
+
+export type ImportedWindow = {
+  title: string,
+  tabs: Array<ImportedTab>
+}
+
+export const formatNames: { [ImportFormat]: string } = {
+  oneTab: 'OneTab',
+  sessionBuddy: 'Session Buddy',
+  urlList: 'URL List'
+}
+
+// only URLs with these schemes are imported:
+const schemeRE = /^(https?|ftp|file):/i
+const hostLikeRE = /^[\w-]+(\.[\w-]+)+([:/?#]\S*)?$/
+
+/*
+ * normalize a URL from an import file, or return null if it doesn't look like a URL
+ */
+function importURL (s: string): ?string {
+  const url = s.trim()
+  if (schemeRE.test(url) && !/\s/.test(url)) {
+    return url
+  }
+  return hostLikeRE.test(url) ? 'http://' + url : null
+}
+
+function mkTab (url: string, title: ?string): ImportedTab {
+  return { url, title: (title && title.trim().length > 0) ? title.trim() : url }
+}
+
+/**
+ * guess format of import text
+ */
+export function detectFormat (text: string): ImportFormat {
+  const trimmed = text.trim()
+  if (trimmed[0] === '{' || trimmed[0] === '[') {
+    return 'sessionBuddy'
+  }
+  return (trimmed.split('\n').some(line => line.indexOf(' | ') >= 0)) ? 'oneTab' : 'urlList'
+}
+
+/**
+ * parse a OneTab export; each blank-line separated group becomes a window
+ */
+export function parseOneTab (text: string): Array<ImportedWindow> {
+  const groups = [[]]
+  for (let line of text.split(/\r?\n/)) {
+    if (line.trim().length === 0) {
+      if (groups[groups.length - 1].length > 0) {
+        groups.push([])
+      }
+      continue
+    }
+    const sepIndex = line.indexOf(' | ')
+    const urlStr = (sepIndex >= 0) ? line.slice(0, sepIndex) : line
+    const url = importURL(urlStr)
+    if (url) {
+      groups[groups.length - 1].push(mkTab(url, (sepIndex >= 0) ? line.slice(sepIndex + 3) : null))
+    }
+  }
+  return groups.filter(tabs => tabs.length > 0)
+    .map((tabs, i) => ({ title: 'OneTab ' + (i + 1), tabs }))
+}
+
+/*
+ * windows from a named group (session or collection) of tab lists
+ */
+function groupWindows (groupTitle: string, tabLists: Array<Array<Object>>): Array<ImportedWindow> {
+  const windows = []
+  const nonEmpty = tabLists.filter(tabs => tabs.length > 0)
+  nonEmpty.forEach((tabs, i) => {
+    const validTabs = tabs.filter(t => t && typeof t.url === 'string' && importURL(t.url))
+    const title = (nonEmpty.length > 1) ? groupTitle + ' (' + (i + 1) + ')' : groupTitle
+    if (validTabs.length > 0) {
+      windows.push({ title, tabs: validTabs.map(t => mkTab(t.url.trim(), t.title)) })
+    }
+  })
+  return windows
+}
+
+/**
+ * parse a Session Buddy JSON export
+ *
+ * @throws {Error} if text isn't a Session Buddy export
+ */
+export function parseSessionBuddy (text: string): Array<ImportedWindow> {
+  let exportObj
+  try {
+    exportObj = JSON.parse(text)
+  } catch (e) {
+    throw new Error('Session Buddy export is not valid JSON: ' + e.message)
+  }
+  const groupName = (g, kind, i) => (g.name || g.title || (kind + ' ' + (i + 1)))
+  if (exportObj && Array.isArray(exportObj.collections)) {
+    // Session Buddy 4: collections of folders of links
+    return [].concat(...exportObj.collections.map((c, i) =>
+      groupWindows(groupName(c, 'Collection', i), (c.folders || []).map(f => f.links || []))))
+  }
+  const sessions = Array.isArray(exportObj) ? exportObj : (exportObj && exportObj.sessions)
+  if (Array.isArray(sessions)) {
+    // Session Buddy 3: sessions of windows of tabs
+    return [].concat(...sessions.map((s, i) =>
+      groupWindows(groupName(s, 'Session', i), (s.windows || []).map(w => w.tabs || []))))
+  }
+  throw new Error('Not a Session Buddy export: no sessions or collections found')
+}
+
+/**
+ * parse a plain list of URLs as a single window
+ */
+export function parseURLList (text: string): Array<ImportedWindow> {
+  const urls = text.split(/\r?\n/).map(importURL).filter(url => url != null)
+  return (urls.length > 0) ? [{ title: 'Imported URLs', tabs: urls.map(url => mkTab((url: any))) }] : []
+}
+
+const parsers = {
+  oneTab: parseOneTab,
+  sessionBuddy: parseSessionBuddy,
+  urlList: parseURLList
+}
+
+/**
+ * parse import text in the given format (detected from text by default)
+ *
+ * @throws {Error} if text can't be parsed in that format
+ */
+export function parseImport (text: string, format: ImportFormat = detectFormat(text)): Array<ImportedWindow> {
+  return parsers[format](text)
+}
@@ -5,17 +5,22 @@
  * and then retrieve the instance from the background window in the popup
  */
 import filter from 'lodash/filter'
-import flatten from 'lodash/flatten'
 import get from 'lodash/get'
 import map from 'lodash/map'
 import reduce from 'lodash/reduce'
 import * as Immutable from 'immutable'
 import * as TabWindow from './tabWindow'
 import * as prefs from './preferences'
-import * as searchOps from './searchOps'
-import escapeStringRegexp from 'escape-string-regexp'
+import * as sessionMatcher from './sessionMatcher'
+import { MAX_UNDO_ENTRIES } from './undo'
 
-const _ = { filter, flatten, get, map, reduce }
+const _ = { filter, get, map, reduce }
+
+// maximum number of closed, unsaved windows retained in closedWindowLog:
+export const MAX_CLOSED_WINDOW_LOG = 20
+
+// title of pseudo-window of recently closed tabs:
+export const RECENTLY_CLOSED_TABS_TITLE = 'Closed Tabs'
 
 function validChromeWindow (cw, normalOnly) {
   if (!cw) {
@@ -35,6 +40,10 @@ export default class TabManagerState extends Immutable.Record({
   currentWindowId: -1, // chrome window id of window with focus
   showRelNotes: true,
   expandAll: true, // state of global collapse / expand toggle button
+  closedWindowLog: Immutable.List(), // closed, unsaved windows, most recent first
+  recentlyClosedSessions: Immutable.List(), // from chrome.sessions.getRecentlyClosed
+  recentlyClosedExpanded: Immutable.Map(), // expand state of recently closed windows, by id
+  undoStack: Immutable.List(), // UndoEntry for each undoable action, most recent last (see undo.js)
   preferences: new prefs.Preferences()
 }) {
   /**
@@ -44,7 +53,9 @@ export default class TabManagerState extends Immutable.Record({
    * Note that if an earlier snapshot of tabWindow is in the store, it will be
    * replaced
    */
-  registerTabWindow (tabWindow) {
+  registerTabWindow (origTabWindow) {
+    // keep pinned and active flags of saved tabs current:
+    const tabWindow = TabWindow.syncSavedTabFlags(origTabWindow)
     const nextWindowIdMap =
     (tabWindow.open) ? this.windowIdMap.set(tabWindow.openWindowId, tabWindow) : this.windowIdMap
     const nextBookmarkIdMap =
@@ -59,6 +70,17 @@ export default class TabManagerState extends Immutable.Record({
 
   handleTabWindowClosed (tabWindow) {
     // console.log("handleTabWindowClosed: ", tabWindow.toJS())
+    const st = this.closeTabWindow(tabWindow)
+    const logClosed = !tabWindow.saved && tabWindow.windowType === 'normal' &&
+      tabWindow.openTabCount > 0
+    return logClosed ? st.logClosedWindow(tabWindow) : st
+  }
+
+  /**
+   * remove an open window from the store, retaining a closed version
+   * if it is a saved window
+   */
+  closeTabWindow (tabWindow) {
     /*
      * We remove window from map of open windows (windowIdMap) but then we re-register
      * closed window to ensure that a version of saved window stays in
@@ -70,7 +92,71 @@ export default class TabManagerState extends Immutable.Record({
       closedWindowIdMap).registerTabWindow(closedWindow)
   }
 
+  /**
+   * add a closed, unsaved window to our log of recently closed windows
+   */
+  logClosedWindow (tabWindow) {
+    const closedTime = Date.now()
+    // windows may be closed in the same millisecond (e.g. on shutdown):
+    let closedLogId = String(closedTime)
+    for (let seq = 1; this.closedWindowLog.some(tw => tw.closedLogId === closedLogId); seq++) {
+      closedLogId = closedTime + '-' + seq
+    }
+    const closedWindow = TabWindow.removeOpenWindowState(tabWindow)
+      .set('closedTime', closedTime)
+      .set('closedLogId', closedLogId)
+    const updLog = this.closedWindowLog.unshift(closedWindow).take(MAX_CLOSED_WINDOW_LOG)
+    return this.set('closedWindowLog', updLog)
+  }
+
+  /**
+   * remove a restored window from our log of recently closed windows
+   */
+  removeClosedWindowLogEntry (tabWindow) {
+    // windows of Chrome sessions that aren't in the log have no log id:
+    if (!tabWindow.closedLogId) {
+      return this
+    }
+    const updLog = this.closedWindowLog.filter(tw => tw.closedLogId !== tabWindow.closedLogId)
+    return this.set('closedWindowLog', updLog)
+  }
+
+  /**
+   * remove a single restored tab from a window in our log of recently closed
+   * windows, removing the window once it has no tabs left
+   */
+  removeClosedWindowLogTab (tabWindow, tabItem) {
+    if (!tabWindow.closedLogId) {
+      return this
+    }
+    const updLog = this.closedWindowLog
+      .map(tw => (tw.closedLogId === tabWindow.closedLogId)
+        ? tw.set('tabItems', tw.tabItems.filterNot(ti => Immutable.is(ti, tabItem)))
+        : tw)
+      .filter(tw => tw.tabItems.count() > 0)
+    return this.set('closedWindowLog', updLog)
+  }
+
+  /**
+   * record how to undo an action, discarding the oldest entries beyond MAX_UNDO_ENTRIES
+   */
+  pushUndo (undoEntry) {
+    return this.set('undoStack', this.undoStack.push(undoEntry).takeLast(MAX_UNDO_ENTRIES))
+  }
+
+  popUndo () {
+    return this.set('undoStack', this.undoStack.pop())
+  }
+
+  setRecentlyClosedSessions (recentlyClosed) {
+    return this.set('recentlyClosedSessions', Immutable.List(recentlyClosed))
+  }
+
   handleTabWindowExpand (tabWindow, expand) {
+    if (!tabWindow.open && !tabWindow.saved) {
+      // recently closed windows aren't registered, so track their state separately:
+      return this.set('recentlyClosedExpanded', this.recentlyClosedExpanded.set(tabWindow.id, expand))
+    }
     var updWindow = tabWindow.set('expanded', expand)
 
     return this.registerTabWindow(updWindow)
@@ -83,6 +169,20 @@ export default class TabManagerState extends Immutable.Record({
     return this.registerTabWindow(updWindow)
   }
 
+  /**
+   * handle closing of several tabs of a window at once, closing the window
+   * itself if no open tabs remain
+   */
+  handleTabsClosed (tabWindow, tabIds) {
+    const closedTabIds = new Set(tabIds)
+    const remainingTabs = tabWindow.tabItems.filter(ti => ti.open && !closedTabIds.has(ti.safeOpenState.openTabId))
+    if (remainingTabs.count() === 0) {
+      return this.handleTabWindowClosed(tabWindow)
+    }
+    const updWindow = _.reduce(tabIds, (tw, tabId) => TabWindow.closeTab(tw, tabId), tabWindow)
+    return this.registerTabWindow(updWindow)
+  }
+
   handleTabSaved (tabWindow, tabItem, tabNode) {
     var updWindow = TabWindow.saveTab(tabWindow, tabItem, tabNode)
     return this.registerTabWindow(updWindow)
@@ -124,6 +224,38 @@ export default class TabManagerState extends Immutable.Record({
     return this.registerTabWindow(updWindow)
   }
 
+  handleTabGroupUpdated (tabWindow, tabGroup) {
+    const updWindow = TabWindow.updateTabGroup(tabWindow, tabGroup)
+    return this.registerTabWindow(updWindow)
+  }
+
+  handleTabGroupRemoved (tabWindow, groupId) {
+    const updWindow = TabWindow.removeTabGroup(tabWindow, groupId)
+    return this.registerTabWindow(updWindow)
+  }
+
+  /**
+   * Synchronize tab groups of an open window with a snapshot of the
+   * groups obtained from chrome.tabGroups.query
+   */
+  syncTabGroups (tabWindow, chromeGroups) {
+    const updWindow = TabWindow.setTabGroups(tabWindow, chromeGroups)
+    return this.registerTabWindow(updWindow)
+  }
+
+  /**
+   * update position, size and state of an open window from a Chrome window
+   * (which need not include tabs)
+   */
+  updateWindowGeometry (chromeWindow) {
+    const tabWindow = this.windowIdMap.get(chromeWindow.id)
+    if (!tabWindow) {
+      return this
+    }
+    const updWindow = TabWindow.updateWindowGeometry(tabWindow, chromeWindow)
+    return (updWindow === tabWindow) ? this : this.registerTabWindow(updWindow)
+  }
+
   updateSavedWindowTitle (tabWindow, title) {
     const updWindow = tabWindow.updateSavedTitle(title)
     return this.registerTabWindow(updWindow)
@@ -139,7 +271,7 @@ export default class TabManagerState extends Immutable.Record({
     const oldTabWindow = this.windowIdMap.get(chromeWindow.id)
 
     // A store without oldTabWindow
-    const rmStore = oldTabWindow ? this.handleTabWindowClosed(oldTabWindow) : this
+    const rmStore = oldTabWindow ? this.closeTabWindow(oldTabWindow) : this
 
     const attachedTabWindow = TabWindow.updateWindow(tabWindow, chromeWindow).remove('expanded')
 
@@ -218,6 +350,16 @@ export default class TabManagerState extends Immutable.Record({
     return tabId
   }
 
+  /**
+   * set chromeSessionId of closed, saved windows from a map of bookmark
+   * folder id to Chrome session id, clearing any stale session ids
+   */
+  setChromeSessionIds (sessionIdMap) {
+    const updBookmarkIdMap = this.bookmarkIdMap.map((tw, bmId) =>
+      tw.open ? tw : tw.set('chromeSessionId', sessionIdMap.get(bmId, null)))
+    return this.set('bookmarkIdMap', updBookmarkIdMap)
+  }
+
   removeBookmarkIdMapEntry (tabWindow) {
     return this.set('bookmarkIdMap', this.bookmarkIdMap.delete(tabWindow.savedFolderId))
   }
@@ -231,11 +373,21 @@ export default class TabManagerState extends Immutable.Record({
     return rmStore.registerTabWindow(umWindow)
   }
 
+  /**
+   * re-read saved tabs and title of a saved window from its bookmark folder
+   */
+  syncBookmarkFolder (tabWindow, bookmarkFolder) {
+    return this.registerTabWindow(TabWindow.resyncBookmarkFolder(tabWindow, bookmarkFolder))
+  }
+
   /**
    * attach a bookmark folder to a specific chrome window
    */
   attachBookmarkFolder (bookmarkFolder, chromeWindow) {
-    const folderTabWindow = TabWindow.makeFolderTabWindow(bookmarkFolder)
+    // carry over tab groups of the open window being saved:
+    const prevTabWindow = this.windowIdMap.get(chromeWindow.id)
+    const baseTabWindow = TabWindow.makeFolderTabWindow(bookmarkFolder)
+    const folderTabWindow = prevTabWindow ? baseTabWindow.set('tabGroups', prevTabWindow.tabGroups) : baseTabWindow
 
     const mergedTabWindow = TabWindow.updateWindow(folderTabWindow, chromeWindow)
 
@@ -260,6 +412,44 @@ export default class TabManagerState extends Immutable.Record({
     return openWindows.concat(closedSavedWindows)
   }
 
+  /**
+   * get recently closed windows, most recent first.
+   *
+   * Combines our log of closed, unsaved windows with recently closed
+   * Chrome sessions, omitting sessions of saved windows (which appear as
+   * saved windows). Recently closed tabs are collected into a single
+   * pseudo-window.
+   *
+   * N.B. returns a JavaScript Array, not an Immutable Seq
+   */
+  getRecentlyClosed () {
+    const savedSessionIds = Immutable.Set(this.bookmarkIdMap.toIndexedSeq()
+      .map(tw => tw.chromeSessionId)
+      .filter(sessionId => sessionId != null))
+    const sessions = this.recentlyClosedSessions
+      .filter(s => !(s.window && savedSessionIds.has(s.window.sessionId)))
+    const windowSessions = sessions.filter(s => s.window).toArray()
+    const tabSessions = sessions.filter(s => s.tab).toArray()
+
+    // attach session ids to logged windows so they restore with history:
+    const logSessionIds = sessionMatcher.matchClosedWindowSessions(this.closedWindowLog.toArray(), windowSessions)
+    const loggedWindows = this.closedWindowLog.map(tw => tw.set('chromeSessionId', logSessionIds.get(tw.id, null)))
+    const loggedSessionIds = Immutable.Set(logSessionIds.valueSeq())
+    const sessionWindows = windowSessions
+      .filter(s => !loggedSessionIds.has(s.window.sessionId))
+      .map(TabWindow.makeSessionTabWindow)
+
+    const closedWindows = loggedWindows.concat(sessionWindows)
+    const allClosed = (tabSessions.length > 0)
+      ? closedWindows.push(TabWindow.makeClosedTabsTabWindow(RECENTLY_CLOSED_TABS_TITLE, tabSessions))
+      : closedWindows
+
+    return allClosed
+      .sortBy(tw => -tw.closedTime)
+      .map(tw => tw.set('expanded', this.recentlyClosedExpanded.get(tw.id, null)))
+      .toArray()
+  }
+
   getTabWindowsByType (windowType) {
     const openWindows = this.getOpen()
     return openWindows.filter(w => w.windowType === windowType)
@@ -326,27 +516,4 @@ export default class TabManagerState extends Immutable.Record({
     }
     return null
   }
-
-  /**
-   * find tabs matching a given URL
-   *
-   * returns: Array<[TabWindow, TabItem]>
-   */
-  findURL (url: string) {
-    // TODO: && !url.startsWith('chrome-extension://')
-    if (url !== 'chrome://newtab/') {
-      const urlRE = new RegExp('^' + escapeStringRegexp(url) + '$')
-      const openWindows = this.getOpen().toArray()
-      const filteredWindows = searchOps.filterTabWindows(openWindows,
-        urlRE, {matchUrl: true, matchTitle: false, openOnly: true})
-      // expand to a simple array of [TabWindow,TabItem] pairs:
-      const matchPairs = _.flatten(filteredWindows.map(ftw => {
-        const {tabWindow: targetTabWindow, itemMatches} = ftw
-        return itemMatches.map(match => [targetTabWindow, match.tabItem]).toArray()
-      }))
-      return matchPairs
-    } else {
-      return []
-    }
-  }
 }
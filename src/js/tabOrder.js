@@ -0,0 +1,115 @@
+// @flow
+/**
+ * Reordering the tabs of a window
+ *
+ * Each TabOrder gives a new order for all tab items of a window, open and
+ * closed. actions.reorderWindowTabs applies it to the window's browser tabs
+ * and, for saved windows, to the bookmarks of its saved tabs.
+ *
+ * Pinned tabs always come before other tabs in a browser window, so
+ * they are ordered separately, ahead of the rest. Tabs of a tab group must
+ * stay together, so each tab group, and each run of tabs between groups, is
+ * ordered in place.
+ */
+import * as Immutable from 'immutable'
+import * as TW from './tabWindow'
+
+export type TabOrder =
+  'domain' | // by domain, then title
+  'title' | // by title
+  'lastAccessed' | // most recently active first
+  'groupByDomain' // tabs of same domain together, domains in order of first tab
+
+export const tabOrderNames: { [TabOrder]: string } = {
+  domain: 'Sort by Domain',
+  title: 'Sort by Title',
+  lastAccessed: 'Sort by Last Access',
+  groupByDomain: 'Group by Domain'
+}
+
+/**
+ * domain of a URL, without any leading 'www.'
+ */
+export function urlDomain (url: string): string {
+  const match = /^[a-z][a-z0-9+.-]*:\/\/([^/?#:]*)/i.exec(url)
+  const host = match ? match[1].toLowerCase() : ''
+  return host.replace(/^www\./, '')
+}
+
+const lastAccessed = (ti: TW.TabItem): number => ti.open ? ti.safeOpenState.lastAccessed : 0
+
+const strCmp = (a: string, b: string): number => a.localeCompare(b, undefined, { sensitivity: 'base' })
+
+const comparators = {
+  domain: (a, b) => strCmp(urlDomain(a.url), urlDomain(b.url)) || strCmp(a.title, b.title),
+  title: (a, b) => strCmp(a.title, b.title),
+  lastAccessed: (a, b) => lastAccessed(b) - lastAccessed(a)
+}
+
+const orderItems = (tabItems: Immutable.List<TW.TabItem>, order: TabOrder): Immutable.List<TW.TabItem> => {
+  if (order === 'groupByDomain') {
+    // groupBy keeps groups in order of their first member:
+    return tabItems.groupBy(ti => urlDomain(ti.url)).toList().flatten(true)
+  }
+  // N.B. Immutable's sort is stable, so ties keep their current order:
+  return tabItems.sort(comparators[order])
+}
+
+// split tab items into runs of consecutive items with the same tab group:
+const groupRuns = (tabItems: Immutable.List<TW.TabItem>): Array<Immutable.List<TW.TabItem>> =>
+  tabItems.reduce((runs, ti) => {
+    const lastRun = runs[runs.length - 1]
+    if (lastRun && lastRun.last().groupId === ti.groupId) {
+      runs[runs.length - 1] = lastRun.push(ti)
+    } else {
+      runs.push(Immutable.List([ti]))
+    }
+    return runs
+  }, [])
+
+/**
+ * the tab items of a window in a new order
+ */
+export function orderTabItems (tabWindow: TW.TabWindow, order: TabOrder): Immutable.List<TW.TabItem> {
+  const pinnedItems = tabWindow.tabItems.filter(ti => ti.pinned)
+  const otherItems = tabWindow.tabItems.filter(ti => !ti.pinned)
+  const orderedRuns = groupRuns(otherItems).map(run => orderItems(run, order))
+  return orderItems(pinnedItems, order).concat(...orderedRuns)
+}
+
+/**
+ * the moves that rearrange items from currentIds into orderedIds, as
+ * [id, index] pairs to be applied in turn
+ *
+ * Each item is moved to its final position in turn, which only ever moves
+ * items towards the front and so avoids any ambiguity in target indices.
+ * Items already at their final position aren't moved.
+ */
+export function orderMoves<T> (currentIds: Array<T>, orderedIds: Array<T>): Array<[T, number]> {
+  const ids = currentIds.slice()
+  const moves = []
+  orderedIds.forEach((id, index) => {
+    if (ids[index] !== id) {
+      ids.splice(ids.indexOf(id), 1)
+      ids.splice(index, 0, id)
+      moves.push([id, index])
+    }
+  })
+  return moves
+}
+
+/**
+ * the bookmark moves that put the bookmarks orderedIds in a folder, whose
+ * children are childIds, in that order (see orderMoves)
+ *
+ * Other children of the folder, such as subfolders and separators, keep
+ * their positions, and move indices are relative to all children.
+ */
+export function folderOrderMoves (childIds: Array<string>, orderedIds: Array<string>): Array<[string, number]> {
+  const childSet = new Set(childIds)
+  const presentIds = orderedIds.filter(id => childSet.has(id))
+  const orderedSet = new Set(presentIds)
+  let pos = 0
+  const targetIds = childIds.map(id => orderedSet.has(id) ? presentIds[pos++] : id)
+  return orderMoves(childIds, targetIds)
+}
@@ -0,0 +1,123 @@
+// @flow
+/**
+ * Multi-selection of tabs in the popup
+ *
+ * A selection is an Immutable.OrderedSet of tab keys. A key identifies a tab
+ * within its window independently of the tab's position in the (filtered and
+ * ranked) list of windows, so that a selection survives changes to the
+ * search or to the store.
+ *
+ * Positions in the list of filtered windows are [windowIndex, tabIndex] pairs,
+ * where tabIndex is an index into the tabs displayed for that window (the
+ * matching tabs while searching).
+ */
+import * as Immutable from 'immutable'
+import * as TW from './tabWindow'
+import TabManagerState from './tabManagerState'
+
+type ListPos = [number, number]
+
+/**
+ * get a key for a tab in a window
+ */
+export function tabItemKey (tabWindow: TW.TabWindow, tabItem: TW.TabItem): string {
+  const tabId = tabItem.open ? 'tab' + tabItem.safeOpenState.openTabId
+    : 'bm' + tabItem.safeSavedState.bookmarkId
+  return tabWindow.id + '/' + tabId
+}
+
+/**
+ * tab items displayed for a filtered window
+ */
+export function displayedTabItems (filteredTabWindow: Object, searchStr: string): Immutable.List<TW.TabItem> {
+  return (searchStr.length > 0)
+    ? filteredTabWindow.itemMatches.map(fti => fti.tabItem).toList()
+    : filteredTabWindow.tabWindow.tabItems
+}
+
+/**
+ * key of the tab at a position, or null if no tab there
+ */
+export function keyAt (filteredWindows: Array<Object>, searchStr: string, pos: ListPos): ?string {
+  const [windowIndex, tabIndex] = pos
+  const filteredTabWindow = filteredWindows[windowIndex]
+  if (!filteredTabWindow || tabIndex < 0) {
+    return null
+  }
+  const tabItem = displayedTabItems(filteredTabWindow, searchStr).get(tabIndex)
+  return tabItem ? tabItemKey(filteredTabWindow.tabWindow, tabItem) : null
+}
+
+const posCmp = (a: ListPos, b: ListPos): number =>
+  (a[0] !== b[0]) ? a[0] - b[0] : a[1] - b[1]
+
+/**
+ * keys of all tabs between two positions (inclusive), in list order
+ *
+ * Only tabs of expanded windows are included, other than those at the end points.
+ */
+export function rangeKeys (filteredWindows: Array<Object>, searchStr: string,
+  winStore: TabManagerState, from: ListPos, to: ListPos): Array<string> {
+  const [start, end] = (posCmp(from, to) <= 0) ? [from, to] : [to, from]
+  const keys = []
+  for (let windowIndex = start[0]; windowIndex <= end[0]; windowIndex++) {
+    const filteredTabWindow = filteredWindows[windowIndex]
+    if (!filteredTabWindow) {
+      continue
+    }
+    const tabWindow = filteredTabWindow.tabWindow
+    const expanded = tabWindow.isExpanded(winStore)
+    const tabItems = displayedTabItems(filteredTabWindow, searchStr)
+    tabItems.forEach((tabItem, tabIndex) => {
+      const pos = [windowIndex, tabIndex]
+      const isEndPoint = posCmp(pos, start) === 0 || posCmp(pos, end) === 0
+      if (posCmp(pos, start) >= 0 && posCmp(pos, end) <= 0 && (expanded || isEndPoint)) {
+        keys.push(tabItemKey(tabWindow, tabItem))
+      }
+    })
+  }
+  return keys
+}
+
+/**
+ * keys of all tabs matching a search
+ */
+export function allMatchKeys (filteredWindows: Array<Object>, searchStr: string): Array<string> {
+  const keyLists = filteredWindows.map(ftw =>
+    displayedTabItems(ftw, searchStr).map(ti => tabItemKey(ftw.tabWindow, ti)).toArray())
+  return [].concat(...keyLists)
+}
+
+/**
+ * resolve a selection to the current [TabWindow, TabItem] pairs in the store.
+ *
+ * Keys of tabs that no longer exist are ignored.
+ */
+export function resolveSelection (winStore: TabManagerState,
+  selection: Immutable.Set<string>): Array<[TW.TabWindow, TW.TabItem]> {
+  const pairs = []
+  for (let tabWindow of winStore.getAll()) {
+    tabWindow.tabItems.forEach(tabItem => {
+      if (selection.has(tabItemKey(tabWindow, tabItem))) {
+        pairs.push([tabWindow, tabItem])
+      }
+    })
+  }
+  return pairs
+}
+
+/**
+ * selection of all tabs of a window, for merging it into a target window
+ * (see actions.mergeWindows)
+ *
+ * Closed, saved tabs with the same URL as a saved tab of the target window
+ * are left out, so that merging doesn't duplicate bookmarks.
+ */
+export function mergeSelection (sourceTabWindow: TW.TabWindow,
+  targetTabWindow: TW.TabWindow): Array<[TW.TabWindow, TW.TabItem]> {
+  const targetUrls = new Set(targetTabWindow.tabItems.filter(ti => ti.saved).map(ti => ti.url).toArray())
+  return sourceTabWindow.tabItems
+    .filter(ti => ti.open || !ti.saved || !targetUrls.has(ti.url))
+    .map(ti => [sourceTabWindow, ti])
+    .toArray()
+}
@@ -7,23 +7,34 @@ import has from 'lodash/has'
 import keys from 'lodash/keys'
 import intersection from 'lodash/intersection'
 import reduce from 'lodash/reduce'
+import pickBy from 'lodash/pickBy'
 import * as Immutable from 'immutable'
+import { WindowMetadata } from './windowMetadata'
+import { lazyTabTargetUrl } from './lazyTab'
 
-const _ = { get, has, keys, intersection, reduce }
+const _ = { get, has, keys, intersection, reduce, pickBy }
 
 /**
  * Tab state that is persisted as a bookmark
+ *
+ * pinned and active aren't part of the bookmark; they are kept in sync with
+ * the open tab while the saved window is open (see syncSavedTabFlags), and
+ * persisted with the saved window's snapshot state (see savedWindowState.js)
  */
 export class SavedTabState extends Immutable.Record({
   bookmarkId: '',
   bookmarkIndex: 0, // position in bookmark folder
   title: '',
-  url: ''
+  url: '',
+  pinned: false, // tab was pinned when window was last open
+  active: false // tab was the active tab when window was last open
 }) {
   bookmarkId: string
   bookmarkIndex: number
   title: string
   url: string
+  pinned: boolean
+  active: boolean
 }
 
 /**
@@ -37,7 +48,11 @@ export class OpenTabState extends Immutable.Record({
   favIconUrl: '',
   title: '',
   audible: false,
-  pinned: false
+  pinned: false,
+  groupId: -1, // chrome tab group id, or -1 if not in a group
+  chromeSessionId: null, // Chrome session id (only for recently closed tabs)
+  lastAccessed: 0, // time tab was last active (ms since epoch), or 0 if unknown
+  discarded: false // unloaded from memory by browser, until next activated
 }) {
   url: string
   openTabId: number
@@ -47,6 +62,68 @@ export class OpenTabState extends Immutable.Record({
   title: string
   audible: boolean
   pinned: boolean
+  groupId: number
+  chromeSessionId: ?string
+  lastAccessed: number
+  discarded: boolean
+}
+
+/**
+ * sentinel groupId for tabs that don't belong to any tab group
+ * (same value as chrome.tabGroups.TAB_GROUP_ID_NONE)
+ */
+export const TAB_GROUP_ID_NONE = -1
+
+/**
+ * A Chrome tab group within a window
+ *
+ * Member tabs are the open tab items whose openState.groupId matches groupId.
+ * Note that groupIds are only valid for the lifetime of a browser session;
+ * for snapshots of closed windows the groupId is used solely to associate
+ * member tabs with their group.
+ */
+export class TabGroup extends Immutable.Record({
+  groupId: TAB_GROUP_ID_NONE,
+  title: '',
+  color: 'grey',
+  collapsed: false
+}) {
+  groupId: number
+  title: string
+  color: string
+  collapsed: boolean
+}
+
+/**
+ * Initialize a TabGroup from a Chrome tabGroups.TabGroup
+ */
+export function makeTabGroup (chromeGroup: Object): TabGroup {
+  return new TabGroup({
+    groupId: chromeGroup.id,
+    title: _.get(chromeGroup, 'title', ''),
+    color: _.get(chromeGroup, 'color', 'grey'),
+    collapsed: _.get(chromeGroup, 'collapsed', false)
+  })
+}
+
+/**
+ * Position, size and state of a window
+ *
+ * Recorded when a saved window is closed, so that it can be re-opened where
+ * it was (see windowGeometry.js)
+ */
+export class WindowGeometry extends Immutable.Record({
+  left: 0,
+  top: 0,
+  width: 0,
+  height: 0,
+  state: 'normal' // Chrome window state: 'normal', 'minimized', 'maximized' or 'fullscreen'
+}) {
+  left: number
+  top: number
+  width: number
+  height: number
+  state: string
 }
 
 /**
@@ -86,7 +163,14 @@ export class TabItem extends Immutable.Record({
     if (this.open && this.openState) {
       return this.openState.pinned
     }
-    return false
+    return this.savedState ? this.savedState.pinned : false
+  }
+
+  get groupId (): number {
+    if (this.open && this.openState) {
+      return this.openState.groupId
+    }
+    return TAB_GROUP_ID_NONE
   }
 
   // safe accessor for savedState:
@@ -191,7 +275,10 @@ function makeBookmarkedTabItem (bm) {
  * initialize OpenTabState from a browser tab
  */
 function makeOpenTabState (tab) {
-  const url = _.get(tab, 'url', '')
+  const tabUrl = _.get(tab, 'url', '')
+  // placeholder tabs of restored windows are unloaded tabs of their real URL:
+  const lazyUrl = lazyTabTargetUrl(tabUrl)
+  const url = lazyUrl || tabUrl
   const ts = new OpenTabState({
     url,
     audible: tab.audible,
@@ -200,7 +287,11 @@ function makeOpenTabState (tab) {
     openTabId: tab.id,
     active: tab.active,
     openTabIndex: tab.index,
-    pinned: tab.pinned
+    pinned: tab.pinned,
+    groupId: _.get(tab, 'groupId', TAB_GROUP_ID_NONE),
+    chromeSessionId: _.get(tab, 'sessionId', null),
+    lastAccessed: Math.floor(_.get(tab, 'lastAccessed', 0)),
+    discarded: lazyUrl != null || _.get(tab, 'discarded', false)
   })
   return ts
 }
@@ -243,21 +334,6 @@ function resetOpenItem (ti: TabItem): TabItem {
   return ti.remove('saved').remove('savedState')
 }
 
-/**
- * escape table cell for use in Github-Flavored Markdown
- * Since just used on a page title, just rewrite pipes to -s; GFM actually
- * buggy here: https://github.com/gitlabhq/gitlabhq/issues/1238
- */
-function escapeTableCell (s: ?string): string {
-  if (s && s.indexOf('|') >= 0) {
-    return s.replace(/\|/g, '-')
-  }
-  if (s != null) {
-    return s
-  }
-  return ''
-}
-
 /**
  * A TabWindow
  *
@@ -282,13 +358,22 @@ export class TabWindow extends Immutable.Record({
   open: false,
   openWindowId: -1,
   windowType: '',
+  left: 0,
+  top: 0,
   width: 0,
   height: 0,
+  windowState: '', // Chrome window state of open window
+
+  savedGeometry: null, // WindowGeometry of saved window when last closed
+  metadata: new WindowMetadata(), // tags, notes, etc. of saved window (see windowMetadata.js)
 
   tabItems: Immutable.List(), // <TabItem>
+  tabGroups: Immutable.Map(), // <groupId, TabGroup>
 
   snapshot: false, // Set if tabItems contains snapshot of last open state
   chromeSessionId: null, // Chrome session id for restore (if found)
+  closedTime: 0, // time window was closed (ms since epoch); only for recently closed windows
+  closedLogId: '', // unique id of entry in log of recently closed windows (see TabManagerState.logClosedWindow)
 
   // This is view state, so technically doesn't belong here, but we only have
   // one window component per window right now, we want to be able to toggle
@@ -303,11 +388,19 @@ export class TabWindow extends Immutable.Record({
   open: boolean
   openWindowId: number
   windowType: string
+  left: number
+  top: number
   width: number
   height: number
+  windowState: string
+  savedGeometry: ?WindowGeometry
+  metadata: WindowMetadata
   tabItems: Immutable.List<TabItem>
+  tabGroups: Immutable.Map<number, TabGroup>
   snapshot: boolean
   chromeSessionId: ?string
+  closedTime: number
+  closedLogId: string
   expanded: ?boolean
 
   get title (): string {
@@ -319,7 +412,9 @@ export class TabWindow extends Immutable.Record({
   }
 
   computeTitle (): string {
-    if (this.saved) {
+    // N.B. unsaved windows may also have an explicit title (such as
+    // the pseudo-window of recently closed tabs):
+    if (this.saved || this.savedTitle.length > 0) {
       return this.savedTitle
     }
 
@@ -350,8 +445,14 @@ export class TabWindow extends Immutable.Record({
     if (this._id === undefined) {
       if (this.saved) {
         this._id = '_saved' + this.savedFolderId
-      } else {
+      } else if (this.open) {
         this._id = '_open' + this.openWindowId
+      } else if (this.chromeSessionId) {
+        this._id = '_session' + this.chromeSessionId
+      } else if (this.closedLogId) {
+        this._id = '_logged' + this.closedLogId
+      } else {
+        this._id = '_closed' + this.closedTime
       }
     }
     return this._id
@@ -376,6 +477,20 @@ export class TabWindow extends Immutable.Record({
       ti.savedState && ti.savedState.bookmarkId === bookmarkId)
   }
 
+  /*
+   * Returns the TabGroup with the given groupId or undefined
+   */
+  getTabGroup (groupId: number): ?TabGroup {
+    return this.tabGroups.get(groupId)
+  }
+
+  /*
+   * Returns the tab items belonging to the specified tab group
+   */
+  getTabGroupItems (groupId: number): Immutable.List<TabItem> {
+    return this.tabItems.filter((ti) => ti.groupId === groupId)
+  }
+
   getActiveTabId (): ?string {
     const activeTab = this.tabItems.find((t) => t.open && t.openState.active)
     const tabId = activeTab ? activeTab.openState.openTabId : undefined
@@ -406,22 +521,6 @@ export class TabWindow extends Immutable.Record({
     return this.tabItems.indexOf(target)
   }
 
-  exportStr (): string {
-    const fmtTabItem = ti => {
-      const urls = (ti.url != null) ? ti.url : ''
-      const ret = escapeTableCell(ti.title) + ' | ' + urls + '\n'
-      return ret
-    }
-    const titleStr = '### ' + this.title
-    const headerStr = `
-Title                                  | URL
----------------------------------------|-----------
-`
-    const s0 = titleStr + '\n' + headerStr
-    const s = this.tabItems.reduce((rs, ti) => rs + fmtTabItem(ti), s0)
-    return s
-  }
-
   // combine local expanded state with global expanded state to determine if expanded:
   isExpanded (winStore: any): ?boolean {
     if (this.expanded === null) {
@@ -441,11 +540,14 @@ export function removeOpenWindowState (tabWindow: TabWindow,
   // update tabItems by removing openTabId from any open items:
   const tabItems = tabWindow.tabItems
   let updTabItems
+  let updTabGroups = tabWindow.tabGroups
   if (!snapshot) {
     // Not snapshotting, so revert -- only keep saved items,
     // and discard their open state.
     const savedTabItems = tabItems.filter(ti => ti.saved)
     updTabItems = savedTabItems.map(resetSavedItem)
+    // tab group membership is open tab state, so goes too:
+    updTabGroups = Immutable.Map()
   } else {
     // Snapshot -- leave the tab items untouched and
     // set snapshot to true so that we can restore
@@ -453,13 +555,21 @@ export function removeOpenWindowState (tabWindow: TabWindow,
     updTabItems = tabItems.map(cleanOpenState)
   }
 
+  // remember where a saved window was, to re-open it there:
+  const savedGeometry = tabWindow.saved ? (windowGeometry(tabWindow) || tabWindow.savedGeometry) : null
+
   return (tabWindow
     .remove('open')
     .remove('openWindowId')
     .remove('windowType')
+    .remove('left')
+    .remove('top')
     .remove('width')
     .remove('height')
+    .remove('windowState')
+    .set('savedGeometry', savedGeometry)
     .set('tabItems', updTabItems)
+    .set('tabGroups', updTabGroups)
     .set('snapshot', true))
 }
 
@@ -469,7 +579,57 @@ export function removeOpenWindowState (tabWindow: TabWindow,
  * Used when unsave'ing a saved window
  */
 export function removeSavedWindowState (tabWindow: TabWindow): TabWindow {
-  return tabWindow.remove('saved').remove('savedFolderId').remove('savedTitle')
+  return tabWindow.remove('saved').remove('savedFolderId').remove('savedTitle').remove('savedGeometry')
+    .remove('metadata')
+}
+
+/*
+ * position, size and state of an open Chrome window, as TabWindow fields
+ *
+ * Only includes the fields that chromeWindow specifies.
+ */
+function chromeWindowGeometry (chromeWindow: any): Object {
+  const fields = {
+    left: chromeWindow.left,
+    top: chromeWindow.top,
+    width: chromeWindow.width,
+    height: chromeWindow.height,
+    windowState: chromeWindow.state
+  }
+  return _.pickBy(fields, v => v != null)
+}
+
+/**
+ * update position, size and state of an open TabWindow from a Chrome window
+ *
+ * chromeWindow need not include tabs, as for windows.onBoundsChanged
+ */
+export function updateWindowGeometry (tabWindow: TabWindow, chromeWindow: any): TabWindow {
+  return tabWindow.merge(chromeWindowGeometry(chromeWindow))
+}
+
+/**
+ * current geometry of an open TabWindow, or null if not known
+ */
+export function windowGeometry (tabWindow: TabWindow): ?WindowGeometry {
+  if (!tabWindow.open || !(tabWindow.width > 0 && tabWindow.height > 0)) {
+    return null
+  }
+  return new WindowGeometry({
+    left: tabWindow.left,
+    top: tabWindow.top,
+    width: tabWindow.width,
+    height: tabWindow.height,
+    state: tabWindow.windowState || 'normal'
+  })
+}
+
+/**
+ * restore geometry of a closed, saved window from its JS encoded snapshot
+ * state (see savedWindowState.js)
+ */
+export function restoreSavedGeometry (tabWindow: TabWindow, snapState: Object): TabWindow {
+  return snapState.savedGeometry ? tabWindow.set('savedGeometry', new WindowGeometry(snapState.savedGeometry)) : tabWindow
 }
 
 /**
@@ -503,17 +663,50 @@ export function makeFolderTabWindow (bookmarkFolder: any): TabWindow {
 export function makeChromeTabWindow (chromeWindow: any): TabWindow {
   const chromeTabs = chromeWindow.tabs ? chromeWindow.tabs : []
   const tabItems = chromeTabs.map(makeOpenTabItem)
-  const tabWindow = new TabWindow({
+  const tabWindow = new TabWindow(Object.assign({
     open: true,
     openWindowId: chromeWindow.id,
     windowType: chromeWindow.type,
-    width: chromeWindow.width,
-    height: chromeWindow.height,
+    tabItems: Immutable.List(tabItems).sort(tabItemCompare)
+  }, chromeWindowGeometry(chromeWindow)))
+  return tabWindow
+}
+
+/**
+ * Initialize a closed TabWindow from a recently closed Chrome session
+ * for a window (a sessions.Session with a window)
+ */
+export function makeSessionTabWindow (session: Object): TabWindow {
+  const sessionWindow = session.window
+  const chromeTabs = sessionWindow.tabs ? sessionWindow.tabs : []
+  const tabItems = chromeTabs.map(makeOpenTabItem)
+  const tabWindow = new TabWindow({
+    snapshot: true,
+    chromeSessionId: sessionWindow.sessionId,
+    closedTime: session.lastModified * 1000,
     tabItems: Immutable.List(tabItems).sort(tabItemCompare)
   })
   return tabWindow
 }
 
+/**
+ * Initialize a closed pseudo-window containing recently closed tabs,
+ * from Chrome sessions for individual tabs, most recent first.
+ *
+ * Each tab item retains the session id of its closed tab.
+ */
+export function makeClosedTabsTabWindow (title: string, sessions: Array<Object>): TabWindow {
+  const tabItems = sessions.map(s => makeOpenTabItem(s.tab))
+  const closedTime = sessions.reduce((t, s) => Math.max(t, s.lastModified * 1000), 0)
+  const tabWindow = new TabWindow({
+    savedTitle: title,
+    snapshot: true,
+    closedTime,
+    tabItems: Immutable.List(tabItems)
+  })
+  return tabWindow
+}
+
 /**
  * merge saved and currently open tab states into tab items by joining on URL
  *
@@ -561,7 +754,15 @@ export function mergeSavedOpenTabs (savedItems: Immutable.List<TabItem>,
  */
 function mergeOpenTabs (tabItems, openTabs) {
   const baseSavedItems = tabItems.filter(ti => ti.saved).map(resetSavedItem)
-  const chromeOpenTabItems = Immutable.List(openTabs.map(makeOpenTabItem))
+  // Not all versions of Chrome report lastAccessed, so retain our own record of it:
+  const prevAccessTimes = Immutable.Map(tabItems.filter(ti => ti.open)
+    .map(ti => [ti.safeOpenState.openTabId, ti.safeOpenState.lastAccessed]))
+  const retainLastAccessed = (ti) => {
+    const prevAccessed = prevAccessTimes.get(ti.safeOpenState.openTabId, 0)
+    return (prevAccessed > ti.safeOpenState.lastAccessed)
+      ? ti.set('openState', ti.safeOpenState.set('lastAccessed', prevAccessed)) : ti
+  }
+  const chromeOpenTabItems = Immutable.List(openTabs.map(makeOpenTabItem)).map(retainLastAccessed)
 
   const mergedTabItems = mergeSavedOpenTabs(baseSavedItems, chromeOpenTabItems)
 
@@ -592,6 +793,95 @@ function mergeTabWindowTabItems (tabWindow, optChromeTab, optBookmark) {
   return updWindow
 }
 
+/**
+ * Re-read the saved tabs and title of a saved TabWindow from its bookmark
+ * folder, keeping its open tabs
+ *
+ * @param {TabWindow} tabWindow - saved TabWindow to be updated
+ * @param {BookmarkTreeNode} bookmarkFolder - bookmark folder of tabWindow, with children populated
+ */
+export function resyncBookmarkFolder (tabWindow: TabWindow, bookmarkFolder: any): TabWindow {
+  const folderTabWindow = makeFolderTabWindow(bookmarkFolder)
+  // only one saved tab per url, for the first bookmark with that url:
+  const folderItems = folderTabWindow.tabItems.groupBy(ti => ti.url).toIndexedSeq().map(tis => tis.first()).toList()
+  // pinned and active flags aren't stored in bookmarks, so carry them over:
+  const savedItems = copySavedTabFlags(folderItems, tabWindow.tabItems.filter(ti => ti.saved).map(ti => ti.savedState))
+  const baseOpenItems = tabWindow.tabItems.filter(ti => ti.open).map(resetOpenItem)
+  const mergedItems = mergeSavedOpenTabs(savedItems, baseOpenItems)
+  return tabWindow.set('savedTitle', folderTabWindow.savedTitle).setTabItems(mergedItems)
+}
+
+/*
+ * copy pinned and active flags of saved tab states to saved tab items with
+ * the same bookmark ids
+ */
+function copySavedTabFlags (tabItems: Immutable.List<TabItem>,
+  savedStates: Immutable.List<Object>): Immutable.List<TabItem> {
+  const flagsMap = Immutable.Map(savedStates.map(ss => [ss.bookmarkId, ss]))
+  return tabItems.map(ti => {
+    const flags = ti.saved ? flagsMap.get(ti.safeSavedState.bookmarkId) : null
+    return flags
+      ? ti.set('savedState', ti.safeSavedState.set('pinned', !!flags.pinned).set('active', !!flags.active))
+      : ti
+  })
+}
+
+/**
+ * restore pinned and active flags of saved tabs from the JS encoded snapshot
+ * state of a saved window (see savedWindowState.js)
+ */
+export function restoreSavedTabFlags (tabWindow: TabWindow, snapState: Object): TabWindow {
+  const savedStates = Immutable.List((snapState.tabItems || []).filter(ti => ti.saved && ti.savedState)
+    .map(ti => ti.savedState))
+  return tabWindow.setTabItems(copySavedTabFlags(tabWindow.tabItems, savedStates))
+}
+
+/**
+ * update the pinned and active flags of the saved tabs of an open, saved
+ * window to the current state of their open tabs
+ *
+ * Returns tabWindow itself if no flags changed.
+ */
+export function syncSavedTabFlags (tabWindow: TabWindow): TabWindow {
+  if (!tabWindow.open || !tabWindow.saved) {
+    return tabWindow
+  }
+  let changed = false
+  const updItems = tabWindow.tabItems.map(ti => {
+    if (!ti.saved) {
+      return ti
+    }
+    const savedState = ti.safeSavedState
+    const pinned = ti.open ? ti.safeOpenState.pinned : savedState.pinned
+    const active = ti.open && ti.safeOpenState.active
+    if (pinned === savedState.pinned && active === savedState.active) {
+      return ti
+    }
+    changed = true
+    return ti.set('savedState', savedState.set('pinned', pinned).set('active', active))
+  })
+  return changed ? tabWindow.setTabItems(updItems) : tabWindow
+}
+
+/**
+ * bookmark ids of the saved tabs of an open window in the order that
+ * matches the order of its open tabs, or null if bookmarks are already in
+ * that order
+ *
+ * Saved tabs that aren't open keep their positions in the bookmark folder.
+ */
+export function syncedBookmarkOrder (tabWindow: TabWindow): ?Array<string> {
+  const savedItems = tabWindow.tabItems.filter(ti => ti.saved)
+  const bookmarkOrderItems = savedItems.sortBy(ti => ti.safeSavedState.bookmarkIndex)
+  // tab items of an open window are in tab order:
+  const openSavedItems = savedItems.filter(ti => ti.open)
+  let openPos = 0
+  const syncedItems = bookmarkOrderItems.map(ti => ti.open ? openSavedItems.get(openPos++) : ti)
+  const bookmarkIds = (tis) => tis.map(ti => ti.safeSavedState.bookmarkId).toList()
+  const syncedIds = bookmarkIds(syncedItems)
+  return Immutable.is(syncedIds, bookmarkIds(bookmarkOrderItems)) ? null : syncedIds.toArray()
+}
+
 /**
  * Update a TabWindow by adding a newly created tab
  *
@@ -633,8 +923,9 @@ export function createBookmark (tabWindow: TabWindow, bm: any): TabWindow {
  */
 export function updateWindow (tabWindow: TabWindow, chromeWindow: any): TabWindow {
   const mergedTabItems = mergeOpenTabs(tabWindow.tabItems, chromeWindow.tabs)
-  const updWindow = tabWindow
+  const updWindow = updateWindowGeometry(tabWindow, chromeWindow)
     .setTabItems(mergedTabItems)
+    .set('tabGroups', pruneTabGroups(tabWindow.tabGroups, mergedTabItems))
     .set('windowType', chromeWindow.type)
     .set('open', true)
     .set('openWindowId', chromeWindow.id)
@@ -643,6 +934,94 @@ export function updateWindow (tabWindow: TabWindow, chromeWindow: any): TabWindo
   return updWindow
 }
 
+/**
+ * restrict a map of tab groups to those groups that still have
+ * at least one open member tab
+ */
+function pruneTabGroups (tabGroups: Immutable.Map<number, TabGroup>,
+  tabItems: Immutable.List<TabItem>): Immutable.Map<number, TabGroup> {
+  const liveGroupIds = Immutable.Set(tabItems.filter(ti => ti.open).map(ti => ti.groupId))
+  return tabGroups.filter((tg, groupId) => liveGroupIds.has(groupId))
+}
+
+/**
+ * Add or update a tab group in a TabWindow
+ *
+ * @param {TabWindow} tabWindow - tab window containing the group
+ * @param {TabGroup} tabGroup - latest group state
+ *
+ * @return {TabWindow} tabWindow with tabGroups updated
+ */
+export function updateTabGroup (tabWindow: TabWindow, tabGroup: TabGroup): TabWindow {
+  return tabWindow.set('tabGroups', tabWindow.tabGroups.set(tabGroup.groupId, tabGroup))
+}
+
+/**
+ * Remove a tab group from a TabWindow
+ *
+ * Member tabs are left untouched; Chrome will send tab updates
+ * with a new groupId for any tabs that remain open.
+ *
+ * @param {TabWindow} tabWindow - tab window containing the group
+ * @param {Number} groupId - Chrome id of removed group
+ *
+ * @return {TabWindow} tabWindow with group removed
+ */
+export function removeTabGroup (tabWindow: TabWindow, groupId: number): TabWindow {
+  return tabWindow.set('tabGroups', tabWindow.tabGroups.delete(groupId))
+}
+
+/**
+ * Replace all tab groups of a TabWindow with a snapshot of the groups
+ * of the corresponding Chrome window
+ *
+ * @param {TabWindow} tabWindow - tab window to be updated
+ * @param {Array<tabGroups.TabGroup>} chromeGroups - result of chrome.tabGroups.query
+ *
+ * @return {TabWindow} tabWindow with tabGroups updated
+ */
+export function setTabGroups (tabWindow: TabWindow, chromeGroups: Array<Object>): TabWindow {
+  const tabGroups = Immutable.Map(chromeGroups.map(cg => [cg.id, makeTabGroup(cg)]))
+  return tabWindow.set('tabGroups', tabGroups)
+}
+
+/**
+ * convert a JS object (such as a window snapshot read from local storage)
+ * to a Map of TabGroups
+ */
+export function tabGroupsFromJS (js: ?Object): Immutable.Map<number, TabGroup> {
+  if (js == null) {
+    return Immutable.Map()
+  }
+  // keys of JSON-encoded maps are strings, so use groupId from each value:
+  const groups = Object.keys(js).map(k => new TabGroup(js[k]))
+  return Immutable.Map(groups.map(tg => [tg.groupId, tg]))
+}
+
+/**
+ * Restore snapshot state of a saved window, as written to local storage
+ * (or to a backup file), to a closed, saved window
+ *
+ * @param {TabWindow} tabWindow - closed, saved window
+ * @param {Object} snapState - JS encoded TabWindow with (at least) tabItems and tabGroups
+ *
+ * @return {TabWindow} tabWindow with snapshot open tabs merged in, or tabWindow
+ * unchanged if snapshot has no open tabs
+ */
+export function restoreSnapshot (tabWindow: TabWindow, snapState: Object): TabWindow {
+  const openTabItems = (snapState.tabItems || []).filter(ti => ti.open)
+  if (openTabItems.length === 0) {
+    return tabWindow
+  }
+  const snapTabs = Immutable.List(openTabItems.map(ti => tabItemFromJS(ti)))
+  const baseSavedItems = tabWindow.tabItems.filter(ti => ti.saved).map(resetSavedItem)
+  const mergedTabs = mergeSavedOpenTabs(baseSavedItems, snapTabs)
+  return (tabWindow
+    .set('tabItems', mergedTabs)
+    .set('tabGroups', tabGroupsFromJS(snapState.tabGroups))
+    .set('snapshot', true))
+}
+
 /**
  * handle a tab that's been closed
  *
@@ -742,10 +1121,11 @@ export function unsaveTab (tabWindow: TabWindow, tabItem: TabItem) {
  *
  * @param {TabWindow} tabWindow -- tab window to be updated
  * @param {tabId} activeTabId - chrome tab id of active tab
+ * @param {number} accessTime - time of activation, recorded as tab's lastAccessed
  *
  * @return {TabWindow} tabWindow updated with specified tab as active tab.
  */
-export function setActiveTab (tabWindow: TabWindow, tabId: number) {
+export function setActiveTab (tabWindow: TabWindow, tabId: number, accessTime: number = Date.now()) {
   const tabPos = tabWindow.findChromeTabId(tabId)
 
   if (!tabPos) {
@@ -759,14 +1139,19 @@ export function setActiveTab (tabWindow: TabWindow, tabId: number) {
     return tabWindow
   }
 
-  // mark all other tabs as not active:
+  // mark all other tabs as not active, noting the previously active tab was in use until now:
   const tabItemRemoveActive = (ti) => {
-    return (ti.open ? ti.set('openState', ti.safeOpenState.remove('active')) : ti)
+    if (!ti.open) {
+      return ti
+    }
+    const openState = ti.safeOpenState
+    return ti.set('openState', openState.active
+      ? openState.remove('active').set('lastAccessed', accessTime) : openState.remove('active'))
   }
 
   const nonActiveItems = tabWindow.tabItems.map(tabItemRemoveActive)
 
-  const updOpenState = tabItem.safeOpenState.set('active', true)
+  const updOpenState = tabItem.safeOpenState.set('active', true).set('lastAccessed', accessTime)
   const updActiveTab = tabItem.set('openState', updOpenState)
   const updItems = nonActiveItems.splice(index, 1, updActiveTab)
 
@@ -831,7 +1216,7 @@ export function updateTabItem (tabWindow: TabWindow, tabId: number, changeInfo:
  */
 export function updateTabBookmark (tabWindow: TabWindow, tabItem: TabItem, changeInfo: Object) {
   const index = tabWindow.indexOf(tabItem)
-  if (!index) {
+  if (index == null || index < 0) {
     console.error('tabItem not found in TabWindow: ', tabWindow.toJS(), tabItem.toJS())
     return tabWindow
   }
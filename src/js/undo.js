@@ -0,0 +1,108 @@
+// @flow
+/**
+ * Undo of destructive actions
+ *
+ * Closing tabs and windows, reverting a window, unsaving tabs and unmanaging
+ * a window each push an UndoEntry on to TabManagerState.undoStack listing the
+ * inverse operations that undo the action; actions.undo pops the most recent
+ * entry and applies its operations in order.
+ *
+ * Entries are plain data captured at the time of the action, since the tab
+ * windows involved will have changed (or gone) by the time of the undo.
+ */
+import * as TabWindow from './tabWindow'
+
+export type UndoTab = {
+  url: string,
+  index: number, // position in window when closed
+  pinned: boolean
+}
+
+export type UndoBookmark = {
+  title: string,
+  url: string,
+  index: number // position in saved window folder when removed
+}
+
+export type UndoOp =
+  // re-open closed tabs in their window, or a new window if it has been closed:
+  { kind: 'reopenTabs', windowId: number, savedFolderId: ?string, tabs: Array<UndoTab> } |
+  // re-open a closed window, attached to its saved window (if any):
+  { kind: 'reopenWindow', savedFolderId: ?string, width: number, height: number, tabs: Array<UndoTab> } |
+  // close tabs opened by the action:
+  { kind: 'closeTabs', tabIds: Array<number> } |
+  // re-create removed bookmarks of a saved window:
+  { kind: 'createBookmarks', folderId: string, bookmarks: Array<UndoBookmark> } |
+  // move a saved window folder back from the archive folder:
+  { kind: 'restoreFolder', folderId: string, windowId: ?number }
+
+export type UndoEntry = {
+  description: string,
+  time: number,
+  ops: Array<UndoOp>
+}
+
+// maximum number of entries retained in undoStack:
+export const MAX_UNDO_ENTRIES = 20
+
+// how long the popup offers to undo an action:
+export const UNDO_TOAST_MS = 8000
+
+export const mkUndoEntry = (description: string, ops: Array<UndoOp>, time: number = Date.now()): UndoEntry =>
+  ({ description, time, ops })
+
+// open tabs in window order:
+const undoTabs = (tabItems: Array<TabWindow.TabItem>): Array<UndoTab> =>
+  tabItems.filter(ti => ti.open)
+    .map(ti => ({ url: ti.url, index: ti.safeOpenState.openTabIndex, pinned: ti.safeOpenState.pinned }))
+    .sort((a, b) => a.index - b.index)
+
+/**
+ * re-open open tabItems of an open tabWindow
+ */
+export const reopenTabsOp = (tabWindow: TabWindow.TabWindow, tabItems: Array<TabWindow.TabItem>): UndoOp =>
+  ({
+    kind: 'reopenTabs',
+    windowId: tabWindow.openWindowId,
+    savedFolderId: tabWindow.saved ? tabWindow.savedFolderId : null,
+    tabs: undoTabs(tabItems)
+  })
+
+/**
+ * re-open the open tabs of an open tabWindow in a new window
+ */
+export const reopenWindowOp = (tabWindow: TabWindow.TabWindow): UndoOp =>
+  ({
+    kind: 'reopenWindow',
+    savedFolderId: tabWindow.saved ? tabWindow.savedFolderId : null,
+    width: tabWindow.width,
+    height: tabWindow.height,
+    tabs: undoTabs(tabWindow.tabItems.toArray())
+  })
+
+export const closeTabsOp = (tabIds: Array<number>): UndoOp => ({ kind: 'closeTabs', tabIds })
+
+/**
+ * re-create the bookmarks of saved tabItems of a saved tabWindow
+ */
+export const createBookmarksOp = (tabWindow: TabWindow.TabWindow,
+  tabItems: Array<TabWindow.TabItem>): UndoOp => {
+  const bookmarks = tabItems.filter(ti => ti.saved)
+    .map(ti => {
+      const { title, url, bookmarkIndex } = ti.safeSavedState
+      return { title, url, index: bookmarkIndex }
+    })
+    .sort((a, b) => a.index - b.index)
+  return { kind: 'createBookmarks', folderId: tabWindow.savedFolderId, bookmarks }
+}
+
+/**
+ * move the folder of a saved tabWindow back from the archive, re-attaching it
+ * to its Chrome window if still open
+ */
+export const restoreFolderOp = (tabWindow: TabWindow.TabWindow): UndoOp =>
+  ({
+    kind: 'restoreFolder',
+    folderId: tabWindow.savedFolderId,
+    windowId: tabWindow.open ? tabWindow.openWindowId : null
+  })
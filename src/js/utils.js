@@ -1,3 +1,4 @@
+/* global Blob, URL */
 // This function creates a new anchor element and uses location
 // properties (inherent) to get the desired URL data. Some String
 // operations are used (to normalize results across browsers).
@@ -110,3 +111,41 @@ export function logWrap (f) {
 
   return wf
 }
+
+/**
+ * Download text as a file
+ *
+ * Uses an anchor with a download attribute, so doesn't require the "downloads"
+ * permission.
+ */
+export function downloadText (text, filename, mimeType = 'text/plain') {
+  const blob = new Blob([text], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  // give the download a chance to start before releasing the blob:
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Download the specified object as a JSON file
+ */
+export function downloadJSON (dumpObj, filename) {
+  downloadText(JSON.stringify(dumpObj, null, 2), filename, 'application/json')
+}
+
+// The dreaded routine copied from SO
+// http://stackoverflow.com/a/18455088/3272482
+export function copyTextToClipboard (text) {
+  var copyFrom = document.createElement('textarea')
+  copyFrom.textContent = text
+  var body = document.getElementsByTagName('body')[0]
+  body.appendChild(copyFrom)
+  copyFrom.select()
+  document.execCommand('copy')
+  body.removeChild(copyFrom)
+}
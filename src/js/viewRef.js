@@ -1,7 +1,5 @@
 import * as OneRef from 'oneref'
-import throttle from 'lodash/throttle'
-
-const _ = { throttle }
+import { createStateWriter } from './savedWindowState'
 
 /**
  * A wrapper around OneRef.Ref that tracks listeners by numeric id
@@ -12,54 +10,10 @@ const _ = { throttle }
  */
 
 // Save previous bookmarkIdMap for efficient diff
-let prevBookmarkIdMap = null // last bookmarkIdMap written
-
-let latestBookmarkIdMap = null // most recent bookmark map
-
-/**
- * get diffs between old and new version of bookmark id map.
- * Assumes an Immutable.Map() of string to Immutable.Record
- * returns:
- *  { deletes: Immutable.Set<string>, updates: Immutable.Seq<record> }
- */
-const getDiffs = (prevMap, curMap) => {
-  // find deleted keys:
-  const prevKeySet = prevMap.keySeq().toSet()
-  const curKeySet = curMap.keySeq().toSet()
-  const deletes = prevKeySet.subtract(curKeySet)
-
-  const updatedKeys = curMap.keySeq().filter(k => !deletes.has(k) && (prevMap.get(k) !== curMap.get(k)))
-  const updates = updatedKeys.map(k => curMap.get(k))
-
-  return { deletes, updates }
-}
-
-/**
- * determines if there are any diffs between prevMap and curMap
- */
-const hasDiffs = (prevMap, curMap) => {
-  const diffs = getDiffs(prevMap, curMap)
-  return ((diffs.deletes.count() > 0) ||
-    (diffs.updates.count() > 0))
-}
+let prevBookmarkIdMap = null // last bookmarkIdMap recorded
 
-const savedWindowStateVersion = 1
-
-// persist bookmarkIdMap to local storage
-const saveState = () => {
-  prevBookmarkIdMap = latestBookmarkIdMap
-  // never persist a chrome session id -- we'll set during startup from sessions API
-  const serBookmarkIdMap = latestBookmarkIdMap.map(tw => tw.remove('chromeSessionId'))
-  const savedWindowState = JSON.stringify(serBookmarkIdMap, null, 2)
-  const savedState = { savedWindowStateVersion, savedWindowState }
-  chrome.storage.local.set(savedState, () => {
-    console.log((new Date()).toString() + ' succesfully wrote window state')
-  })
-}
-
-// A throttled version of saveState that will update our saved
-// bookmark state at most once every 30 sec
-const throttledSaveState = _.throttle(saveState, 30 * 1000)
+// persists changes to bookmarkIdMap to local storage
+const stateWriter = createStateWriter()
 
 export default class ViewRef extends OneRef.Ref {
   /**
@@ -68,6 +22,9 @@ export default class ViewRef extends OneRef.Ref {
   constructor (v) {
     super(v)
     this.viewListeners = []
+    if (prevBookmarkIdMap == null) {
+      prevBookmarkIdMap = v.bookmarkIdMap
+    }
   }
 
   /*
@@ -103,14 +60,19 @@ export default class ViewRef extends OneRef.Ref {
   }
 
   setValue (appState) {
-    latestBookmarkIdMap = appState.bookmarkIdMap
-    if (prevBookmarkIdMap == null) {
-      prevBookmarkIdMap = latestBookmarkIdMap
-    } else {
-      if (hasDiffs(prevBookmarkIdMap, latestBookmarkIdMap)) {
-        throttledSaveState()
-      }
+    const latestBookmarkIdMap = appState.bookmarkIdMap
+    if (prevBookmarkIdMap != null) {
+      stateWriter.record(prevBookmarkIdMap, latestBookmarkIdMap)
     }
+    prevBookmarkIdMap = latestBookmarkIdMap
     super.setValue(appState)
   }
+
+  /*
+   * write any unsaved changes to saved window state now, rather than
+   * waiting for next periodic write
+   */
+  flushState () {
+    return stateWriter.flush()
+  }
 }
@@ -0,0 +1,62 @@
+// @flow
+/**
+ * Restoring the position, size and state of saved windows
+ *
+ * When a saved window is closed, its geometry (left, top, width, height and
+ * window state) is recorded with the window's snapshot state (see
+ * TabWindow.removeOpenWindowState). When the window is re-opened (see
+ * restoreFromAppState in actions.js), it is put back where it was.
+ *
+ * Since displays may have been rearranged or disconnected since the window
+ * was closed, the recorded bounds are first clamped to the work area of the
+ * display they overlap the most.
+ */
+import type { WindowGeometry } from './tabWindow'
+
+export type Bounds = {
+  left: number,
+  top: number,
+  width: number,
+  height: number
+}
+
+// window states restored on re-open; minimized windows are re-opened normally:
+const RESTORED_STATES = ['maximized', 'fullscreen']
+
+// area of the intersection of two rectangles:
+const overlapArea = (a: Bounds, b: Bounds): number => {
+  const w = Math.min(a.left + a.width, b.left + b.width) - Math.max(a.left, b.left)
+  const h = Math.min(a.top + a.height, b.top + b.height) - Math.max(a.top, b.top)
+  return (w > 0 && h > 0) ? w * h : 0
+}
+
+const clamp = (x: number, lo: number, hi: number): number => Math.max(lo, Math.min(x, hi))
+
+/**
+ * clamp window bounds to fit within the display work area they overlap
+ * the most, or the first (primary) work area if they overlap none
+ *
+ * Returns bounds unchanged if no work areas are known.
+ */
+export function clampBounds (bounds: Bounds, workAreas: Array<Bounds>): Bounds {
+  if (workAreas.length === 0) {
+    return bounds
+  }
+  const workArea = workAreas.reduce((best, wa) =>
+    (overlapArea(bounds, wa) > overlapArea(bounds, best)) ? wa : best)
+  const width = Math.min(bounds.width, workArea.width)
+  const height = Math.min(bounds.height, workArea.height)
+  return {
+    left: clamp(bounds.left, workArea.left, workArea.left + workArea.width - width),
+    top: clamp(bounds.top, workArea.top, workArea.top + workArea.height - height),
+    width,
+    height
+  }
+}
+
+/**
+ * window state to restore after re-creating a window with geometry, if any
+ */
+export function restoredState (geometry: WindowGeometry): ?string {
+  return RESTORED_STATES.includes(geometry.state) ? geometry.state : null
+}
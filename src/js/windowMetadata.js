@@ -0,0 +1,73 @@
+// @flow
+/**
+ * Metadata of saved windows: tags, a description, free-text notes and a
+ * color label
+ *
+ * Metadata isn't part of a saved window's bookmark folder. Each saved window
+ * provider stores it JS encoded (see metadataToJS), keyed by folder id,
+ * alongside its folders (see SavedWindowProvider.readMetadata). It is read
+ * when saved windows are loaded or restored from the archive, written by
+ * setWindowMetadata in actions.js, and removed with its folder.
+ */
+import * as Immutable from 'immutable'
+
+export class WindowMetadata extends Immutable.Record({
+  tags: Immutable.List(), // <string>
+  description: '',
+  notes: '',
+  color: '' // Chrome tab group color name (see colors.tabGroupColors), or '' for none
+}) {
+  tags: Immutable.List<string>
+  description: string
+  notes: string
+  color: string
+
+  get isEmpty (): boolean {
+    return this.tags.count() === 0 && this.description.length === 0 &&
+      this.notes.length === 0 && this.color.length === 0
+  }
+}
+
+/**
+ * parse a user entered, comma separated list of tags
+ */
+export function parseTags (str: string): Immutable.List<string> {
+  const tags = str.split(',').map(t => t.trim()).filter(t => t.length > 0)
+  return Immutable.OrderedSet(tags).toList()
+}
+
+/**
+ * JS encoding of metadata, as stored by saved window providers
+ */
+export function metadataToJS (metadata: WindowMetadata): Object {
+  return metadata.toJS()
+}
+
+/**
+ * decode stored metadata; missing or malformed metadata is empty
+ */
+export function metadataFromJS (js: any): WindowMetadata {
+  if (js == null) {
+    return new WindowMetadata()
+  }
+  if (typeof js !== 'object') {
+    console.warn('metadataFromJS: malformed window metadata: ', js)
+    return new WindowMetadata()
+  }
+  const str = (v) => (typeof v === 'string') ? v : ''
+  const tags = Array.isArray(js.tags) ? js.tags.filter(t => typeof t === 'string') : []
+  return new WindowMetadata({
+    tags: Immutable.List(tags),
+    description: str(js.description),
+    notes: str(js.notes),
+    color: str(js.color)
+  })
+}
+
+/**
+ * text of metadata matched by free text searches
+ */
+export function metadataText (metadata: WindowMetadata): string {
+  return metadata.tags.toArray().concat([metadata.description, metadata.notes])
+    .filter(s => s.length > 0).join('\n')
+}
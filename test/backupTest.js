@@ -0,0 +1,100 @@
+import test from 'tape'
+import * as TabWindow from '../src/js/tabWindow'
+import * as backup from '../src/js/backup'
+import * as Immutable from 'immutable'
+import { WindowMetadata, metadataToJS } from '../src/js/windowMetadata'
+import { Preferences } from '../src/js/preferences'
+import * as testData from './testData'
+
+test('makeBackup', (t) => {
+  const st = testData.mkAttachedD3State()
+  const backupObj = backup.makeBackup(st, '1.1.1', 1000)
+  t.equal(backupObj.format, backup.BACKUP_FORMAT, 'backup format')
+  t.equal(backupObj.version, backup.BACKUP_VERSION, 'backup version')
+  t.equal(backupObj.exportTime, 1000, 'export time')
+  t.equal(backupObj.savedWindows.length, 1, 'one saved window')
+
+  const [bw] = backupObj.savedWindows
+  const savedWindow = st.bookmarkIdMap.first()
+  t.equal(bw.title, savedWindow.savedTitle, 'saved window title')
+  t.equal(bw.bookmarks.length, testData.d3BookmarkFolder.children.length, 'all bookmarks')
+  t.deepEqual(bw.bookmarks[0], { title: testData.d3BookmarkFolder.children[0].title,
+    url: testData.d3BookmarkFolder.children[0].url, pinned: false, active: true }, 'bookmarks in folder order')
+  t.equal(bw.metadata, null, 'no metadata')
+  t.equal(bw.snapshot.tabItems.length, savedWindow.openTabCount, 'snapshot of open tabs')
+  t.ok(bw.snapshot.tabItems.every(ti => ti.openState.openTabId === -1), 'no open tab ids in snapshot')
+
+  const parsed = backup.parseBackup(JSON.stringify(backupObj))
+  t.deepEqual(parsed, JSON.parse(JSON.stringify(backupObj)), 'backup round trip')
+  t.end()
+})
+
+test('parseBackup errors', (t) => {
+  t.throws(() => backup.parseBackup('{ not json'), /not valid JSON/, 'invalid JSON')
+  t.throws(() => backup.parseBackup(JSON.stringify({ format: 'other' })), /Not a Tabli backup/, 'wrong format')
+  const newer = { format: backup.BACKUP_FORMAT, version: backup.BACKUP_VERSION + 1, savedWindows: [] }
+  t.throws(() => backup.parseBackup(JSON.stringify(newer)), /newer version/, 'newer version')
+  const malformed = { format: backup.BACKUP_FORMAT, version: 1, savedWindows: [{ title: 'w', bookmarks: [{}] }] }
+  t.throws(() => backup.parseBackup(JSON.stringify(malformed)), /Malformed saved window/, 'malformed window')
+  t.end()
+})
+
+test('planImport', (t) => {
+  const st = testData.mkAttachedD3State()
+  const backupObj = backup.makeBackup(st, '1.1.1')
+  const [bw] = backupObj.savedWindows
+  const extraBookmark = { title: 'Example', url: 'http://example.com/' }
+  const newWindow = { title: 'New Window', bookmarks: [extraBookmark], snapshot: null }
+  const importObj = Object.assign({}, backupObj, {
+    savedWindows: [Object.assign({}, bw, { bookmarks: bw.bookmarks.concat([extraBookmark]) }), newWindow]
+  })
+
+  const mergePlan = backup.planImport(st, importObj, 'merge')
+  t.deepEqual(mergePlan.creates, [newWindow], 'merge: create new window')
+  t.equal(mergePlan.merges.length, 1, 'merge: one window merged')
+  t.deepEqual(mergePlan.merges[0][1], [extraBookmark], 'merge: only missing bookmarks added')
+  t.equal(mergePlan.replaces.length, 0, 'merge: nothing replaced')
+
+  const replacePlan = backup.planImport(st, importObj, 'replace')
+  t.deepEqual(replacePlan.creates, [newWindow], 'replace: create new window')
+  t.equal(replacePlan.merges.length, 0, 'replace: nothing merged')
+  t.equal(replacePlan.replaces[0][0].savedTitle, bw.title, 'replace: matching window replaced')
+  t.end()
+})
+
+test('backup metadata, tab flags and preferences', (t) => {
+  const metadata = new WindowMetadata({ tags: Immutable.List(['docs']), color: 'blue' })
+  const st = testData.mkAttachedD3State()
+  const savedWindow = st.bookmarkIdMap.first()
+  const activeItem = savedWindow.tabItems.find(ti => ti.saved && ti.open && ti.openState.active)
+  const metaSt = st.registerTabWindow(savedWindow.set('metadata', metadata))
+  const [bw] = JSON.parse(JSON.stringify(backup.makeBackup(metaSt, '1.1.1'))).savedWindows
+  t.deepEqual(bw.metadata, metadataToJS(metadata), 'metadata backed up')
+  t.deepEqual(bw.bookmarks.filter(bm => bm.active).map(bm => bm.url), [activeItem.url], 'active flag backed up')
+
+  const folderWindow = TabWindow.makeFolderTabWindow(testData.d3BookmarkFolder)
+  const flagsWindow = backup.restoreBackupTabFlags(folderWindow, bw)
+  t.deepEqual(flagsWindow.tabItems.filter(ti => ti.savedState.active).map(ti => ti.url).toArray(), [activeItem.url],
+    'active flag restored')
+  const oldBw = Object.assign({}, bw, { bookmarks: bw.bookmarks.map(({ title, url }) => ({ title, url })) })
+  t.ok(backup.restoreBackupTabFlags(folderWindow, oldBw).tabItems.every(ti => !ti.savedState.active),
+    'older backups without flags')
+
+  const backupObj = { preferences: { savedWindowStorage: 'sync', dedupeTabs: true } }
+  const restoredPrefs = backup.backupPreferences(backupObj, new Preferences({ savedWindowStorage: 'local' }))
+  t.equal(restoredPrefs.savedWindowStorage, 'local', 'saved window storage not restored')
+  t.end()
+})
+
+test('restoreSnapshot', (t) => {
+  const st = testData.mkAttachedD3State()
+  const [bw] = backup.makeBackup(st, '1.1.1').savedWindows
+  const folderWindow = TabWindow.makeFolderTabWindow(testData.d3BookmarkFolder)
+  const snapWindow = TabWindow.restoreSnapshot(folderWindow, JSON.parse(JSON.stringify(bw.snapshot)))
+  const savedWindow = st.bookmarkIdMap.first()
+  t.ok(snapWindow.snapshot, 'snapshot flag set')
+  t.equal(snapWindow.openTabCount, savedWindow.openTabCount, 'open tabs restored')
+  t.equal(snapWindow.tabItems.count(), savedWindow.tabItems.count(), 'saved and open tabs merged')
+  t.equal(TabWindow.restoreSnapshot(folderWindow, { tabItems: [] }), folderWindow, 'empty snapshot ignored')
+  t.end()
+})
@@ -0,0 +1,58 @@
+import test from 'tape'
+import * as TabWindow from '../src/js/tabWindow'
+import * as bookmarkConsistency from '../src/js/bookmarkConsistency'
+import * as testData from './testData'
+
+// d3 folder after edits in Chrome's Bookmark Manager: renamed, first two
+// bookmarks swapped, last bookmark removed, a new bookmark and a duplicate added
+function mkEditedFolder () {
+  const [b0, b1, b2, b3, b4] = testData.d3BookmarkFolder.children
+  const children = [b1, b0, b2, b3, b4,
+    { id: '700', parentId: '431', title: 'New', url: 'http://example.com/new' },
+    { id: '701', parentId: '431', title: 'Dup', url: b2.url }
+  ].map((bm, index) => Object.assign({}, bm, { index }))
+  return Object.assign({}, testData.d3BookmarkFolder, { title: 'd3', children })
+}
+
+const kinds = (issues) => issues.map(issue => issue.kind).sort()
+
+test('checkConsistency', (t) => {
+  const st = testData.mkAttachedD3State()
+  t.deepEqual(bookmarkConsistency.checkConsistency(st, [testData.d3BookmarkFolder]), [], 'consistent state')
+
+  const issues = bookmarkConsistency.checkConsistency(st, [mkEditedFolder()])
+  t.deepEqual(kinds(issues), ['duplicateBookmark', 'misorderedTabs', 'missingTab', 'orphanTab', 'windowTitle'],
+    'edits detected')
+  t.equal(issues.find(issue => issue.kind === 'orphanTab').bookmarkId, '613', 'removed bookmark')
+  t.equal(issues.find(issue => issue.kind === 'missingTab').bookmarkId, '700', 'added bookmark')
+  t.equal(issues.find(issue => issue.kind === 'duplicateBookmark').bookmarkId, '701', 'later duplicate reported')
+
+  const otherFolder = { id: '900', title: 'Other', children: [] }
+  t.deepEqual(kinds(bookmarkConsistency.checkConsistency(st, [otherFolder])), ['missingWindow', 'orphanWindow'],
+    'missing folder and unknown folder')
+  t.end()
+})
+
+test('repairState', (t) => {
+  const folder = mkEditedFolder()
+  const otherFolder = { id: '900', title: 'Other', children: [] }
+  const repaired = bookmarkConsistency.repairState(testData.mkAttachedD3State(), [folder, otherFolder])
+  t.deepEqual(kinds(bookmarkConsistency.checkConsistency(repaired, [folder, otherFolder])), ['duplicateBookmark'],
+    'only duplicate bookmarks remain')
+  const d3Window = repaired.bookmarkIdMap.get('431')
+  t.equal(d3Window.savedTitle, 'd3', 'title updated')
+  t.ok(d3Window.open, 'open window state kept')
+  t.ok(repaired.bookmarkIdMap.has('900'), 'missing window registered')
+
+  const orphaned = bookmarkConsistency.repairState(testData.mkAttachedD3State(), [])
+  t.equal(orphaned.bookmarkIdMap.count(), 0, 'orphan window unmanaged')
+  t.end()
+})
+
+test('updateTabBookmark first tab', (t) => {
+  const tabWindow = TabWindow.makeFolderTabWindow(testData.d3BookmarkFolder)
+  const firstItem = tabWindow.tabItems.get(0)
+  const updWindow = TabWindow.updateTabBookmark(tabWindow, firstItem, { title: 'Renamed' })
+  t.equal(updWindow.tabItems.get(0).title, 'Renamed', 'first saved tab updated')
+  t.end()
+})
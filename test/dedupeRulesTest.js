@@ -0,0 +1,78 @@
+import test from 'tape'
+import * as dedupeRules from '../src/js/dedupeRules'
+import { mkChromeTab, mkChromeWindowsState, rulesFromPrefs, openTabIds as tabIds } from './testData'
+
+const mkRules = rulesFromPrefs(dedupeRules.getDedupeRules)
+
+const mkTab = (windowId, index, url, lastAccessed = 0, pinned = false) =>
+  mkChromeTab(windowId, index, url, { lastAccessed, pinned })
+
+// two open windows with some (near) duplicate tabs:
+function mkTestState () {
+  return mkChromeWindowsState([{ id: 1,
+    type: 'normal',
+    tabs: [
+      mkTab(1, 0, 'https://example.com/a', 10),
+      mkTab(1, 1, 'https://example.com/a#section', 30),
+      mkTab(1, 2, 'https://docs.example.org/guide/?utm_source=x', 20, true)
+    ] }, { id: 2,
+    type: 'normal',
+    tabs: [
+      mkTab(2, 0, 'https://example.com/a', 40),
+      mkTab(2, 1, 'https://docs.example.org/guide', 50),
+      mkTab(2, 2, 'chrome://newtab/'),
+      mkTab(2, 3, 'chrome://newtab/')
+    ] }])
+}
+
+test('normalizeURL', (t) => {
+  const url = 'https://example.com/path/?utm_source=x&id=3&utm_medium=y#top'
+  t.equal(dedupeRules.normalizeURL(url, mkRules({})), url, 'default rules keep whole URL')
+  const rules = mkRules({ dedupeIgnoreFragment: true, dedupeIgnoreTrailingSlash: true, dedupeIgnoredParams: 'utm_*' })
+  t.equal(dedupeRules.normalizeURL(url, rules), 'https://example.com/path?id=3', 'ignored parts removed')
+  t.equal(dedupeRules.normalizeURL(url, mkRules({ dedupeIgnoredParams: '*' })), 'https://example.com/path/#top',
+    'whole query ignored')
+  t.end()
+})
+
+test('isDedupeCandidate', (t) => {
+  t.notOk(dedupeRules.isDedupeCandidate('chrome://newtab/', mkRules({})), 'new tab page ignored')
+  const excludeRules = mkRules({ dedupeExcludeDomains: 'www.example.org' })
+  t.notOk(dedupeRules.isDedupeCandidate('https://docs.example.org/x', excludeRules), 'subdomain excluded')
+  t.ok(dedupeRules.isDedupeCandidate('https://example.com/x', excludeRules), 'other domain allowed')
+  const includeRules = mkRules({ dedupeIncludeDomains: 'example.com, github.com' })
+  t.ok(dedupeRules.isDedupeCandidate('https://github.com/x', includeRules), 'included domain allowed')
+  t.notOk(dedupeRules.isDedupeCandidate('https://example.org/x', includeRules), 'other domain not included')
+  t.end()
+})
+
+test('findDuplicates', (t) => {
+  const st = mkTestState()
+  t.deepEqual(tabIds(dedupeRules.findDuplicates(st, 1, 100, 'https://example.com/a', mkRules({}))), [200],
+    'exact match in other window, ignoring self')
+  t.deepEqual(tabIds(dedupeRules.findDuplicates(st, 1, 100, 'https://example.com/a',
+    mkRules({ dedupeScope: 'window' }))), [], 'no match in same window')
+  t.deepEqual(tabIds(dedupeRules.findDuplicates(st, 1, 100, 'https://example.com/a',
+    mkRules({ dedupeScope: 'window', dedupeIgnoreFragment: true }))), [101], 'fragment ignored')
+  t.deepEqual(tabIds(dedupeRules.findDuplicates(st, 2, 203, 'chrome://newtab/', mkRules({}))), [],
+    'new tab pages never duplicates')
+  t.end()
+})
+
+test('findAllDuplicates', (t) => {
+  const st = mkTestState()
+  const groups = dedupeRules.findAllDuplicates(st, mkRules({}))
+  t.equal(groups.length, 1, 'one set of exact duplicates')
+  t.equal(groups[0].keep[1].safeOpenState.openTabId, 200, 'most recently accessed tab kept')
+  t.deepEqual(tabIds(groups[0].duplicates), [100], 'other tab closed')
+
+  const looseRules = mkRules({ dedupeIgnoreFragment: true, dedupeIgnoreTrailingSlash: true, dedupeIgnoredParams: '*' })
+  const looseGroups = dedupeRules.findAllDuplicates(st, looseRules)
+  t.equal(looseGroups.length, 2, 'two sets of near duplicates')
+  const docsGroup = looseGroups.find(group => group.keep[1].url.includes('docs'))
+  t.equal(docsGroup.keep[1].safeOpenState.openTabId, 102, 'pinned tab kept')
+
+  const windowGroups = dedupeRules.findAllDuplicates(st, mkRules({ dedupeScope: 'window', dedupeIgnoreFragment: true }))
+  t.deepEqual(windowGroups.map(group => tabIds(group.duplicates)), [[100]], 'duplicates within window only')
+  t.end()
+})
@@ -0,0 +1,54 @@
+import test from 'tape'
+import * as TabWindow from '../src/js/tabWindow'
+import * as exporters from '../src/js/exporters'
+import * as testData from './testData'
+
+const testWindows = [
+  { title: 'Work', tabs: [
+    { title: 'Tabs | Manager', url: 'http://example.com/a?x=1&y=2' },
+    { title: 'Say "hi", [you]', url: 'http://example.com/b' }
+  ] },
+  { title: 'Home <3', tabs: [{ title: 'News', url: 'http://news.example.com/' }] }
+]
+
+const format = (id) => exporters.getExporter(id).format(testWindows)
+
+test('exportWindow', (t) => {
+  const tabWindow = TabWindow.makeChromeTabWindow(testData.chromeWindowSnap)
+  const ew = exporters.exportWindow(tabWindow)
+  t.equal(ew.title, tabWindow.title, 'window title')
+  t.equal(ew.tabs.length, tabWindow.tabItems.count(), 'all tabs')
+  const someTabs = exporters.exportWindow(tabWindow, tabWindow.tabItems.take(2))
+  t.deepEqual(someTabs.tabs.map(tab => tab.url), tabWindow.tabItems.take(2).map(ti => ti.url).toArray(), 'selected tabs')
+  t.end()
+})
+
+test('exporter formats', (t) => {
+  t.ok(format('markdownTable').indexOf('Tabs - Manager | http://example.com/a?x=1&y=2\n') >= 0, 'markdown table escapes pipes')
+  t.ok(format('markdownList').indexOf('- [Say "hi", \\[you\\]](http://example.com/b)\n') >= 0, 'markdown list link')
+  t.ok(format('html').indexOf('<a href="http://example.com/a?x=1&amp;y=2">Tabs | Manager</a>') >= 0, 'html link escaped')
+  t.ok(format('html').indexOf('<h3>Home &lt;3</h3>') >= 0, 'html window title escaped')
+
+  const csvLines = format('csv').split('\r\n')
+  t.equal(csvLines[0], 'Window,Title,URL', 'csv header')
+  t.equal(csvLines[2], 'Work,"Say ""hi"", [you]",http://example.com/b', 'csv quoting')
+  t.equal(csvLines.length, 5, 'csv row per tab')
+
+  t.equal(format('urls'), 'http://example.com/a?x=1&y=2\nhttp://example.com/b\n\nhttp://news.example.com/\n', 'plain urls')
+  t.deepEqual(JSON.parse(format('json')), { windows: testWindows }, 'json')
+
+  const bookmarks = format('bookmarks')
+  t.ok(bookmarks.startsWith('<!DOCTYPE NETSCAPE-Bookmark-file-1>'), 'netscape bookmark header')
+  t.ok(bookmarks.indexOf('<DT><H3>Work</H3>') >= 0, 'folder per window')
+  t.ok(bookmarks.indexOf('<DT><A HREF="http://news.example.com/">News</A>') >= 0, 'bookmark per tab')
+  t.end()
+})
+
+test('registerExporter', (t) => {
+  const countExporter = { id: 'count', name: 'Count', fileExtension: 'txt', mimeType: 'text/plain',
+    format: (windows) => String(windows.length) }
+  exporters.registerExporter(countExporter)
+  t.equal(exporters.getExporters().slice(-1)[0].id, 'count', 'exporter added')
+  t.equal(format('count'), '2', 'registered exporter used')
+  t.end()
+})
@@ -0,0 +1,19 @@
+import test from 'tape'
+import { fuzzyMatch, substringScore } from '../src/js/fuzzyMatch'
+
+test('fuzzyMatch', (t) => {
+  t.equal(fuzzyMatch('xyz', 'React'), null, 'no subsequence match')
+  t.equal(fuzzyMatch('', 'React'), null, 'empty pattern')
+  t.deepEqual(fuzzyMatch('rct', 'React').positions, [0, 3, 4], 'subsequence positions')
+  t.deepEqual(fuzzyMatch('gh', 'GitHub').positions, [0, 3], 'camel case word boundaries')
+  t.equal(fuzzyMatch('git', 'integrate d3.js graphics into'), null, 'scattered match rejected')
+
+  // prefer the best of several possible matches:
+  t.deepEqual(fuzzyMatch('doc', 'a dodo docs').positions, [7, 8, 9], 'consecutive match preferred')
+
+  const prefix = fuzzyMatch('rea', 'React docs')
+  const inner = fuzzyMatch('rea', 'Thread area')
+  t.ok(prefix.score > inner.score, 'word prefix scores higher')
+  t.equal(substringScore('React docs', 0, 3), prefix.score, 'substring score')
+  t.end()
+})
@@ -0,0 +1,53 @@
+import test from 'tape'
+import * as TabWindow from '../src/js/tabWindow'
+import * as idleTabs from '../src/js/idleTabs'
+import { mkChromeTab, mkChromeWindowsState, rulesFromPrefs, openTabIds as tabIds } from './testData'
+
+const MINUTE_MS = 60 * 1000
+const START = 1000 * MINUTE_MS // start of tracking
+
+const mkRules = rulesFromPrefs(idleTabs.getIdleTabRules)
+
+const mkTab = (index, url, lastAccessed, extra = {}) =>
+  mkChromeTab(1, index, url, Object.assign({ lastAccessed }, extra))
+
+// a normal window with tabs last accessed at various times, and a popup window:
+function mkTestState () {
+  return mkChromeWindowsState([{ id: 1,
+    type: 'normal',
+    tabs: [
+      mkTab(0, 'https://example.com/active', 0, { active: true }),
+      mkTab(1, 'https://example.com/old', START - 10 * MINUTE_MS),
+      mkTab(2, 'https://example.com/recent', START + 50 * MINUTE_MS),
+      mkTab(3, 'https://example.com/pinned', 0, { pinned: true }),
+      mkTab(4, 'https://example.com/audible', 0, { audible: true }),
+      mkTab(5, 'https://music.example.org/', 0),
+      mkTab(6, 'https://example.com/discarded', 0, { discarded: true })
+    ] }, { id: 2,
+    type: 'popup',
+    tabs: [mkChromeTab(2, 0, 'chrome-extension://x/popout.html', { title: 'Popout' })]
+  }])
+}
+
+test('findIdleTabs', (t) => {
+  const st = mkTestState()
+  const rules = mkRules({ discardIdleMinutes: 30, discardExemptDomains: 'example.org' })
+  t.deepEqual(tabIds(idleTabs.findIdleTabs(st, rules, START + 20 * MINUTE_MS, START)), [],
+    'no tabs idle since tracking started')
+  t.deepEqual(tabIds(idleTabs.findIdleTabs(st, rules, START + 60 * MINUTE_MS, START)), [101],
+    'unknown access times start with tracking, exempt tabs skipped')
+  t.deepEqual(tabIds(idleTabs.findIdleTabs(st, rules, START + 90 * MINUTE_MS, START)), [101, 102],
+    'recently accessed tab idle later')
+  t.deepEqual(tabIds(idleTabs.findIdleTabs(st, mkRules({ discardIdleMinutes: 30 }), START + 90 * MINUTE_MS, START)),
+    [101, 102, 105], 'domain no longer exempt')
+  t.end()
+})
+
+test('setActiveTab records idle start of previous tab', (t) => {
+  const tabWindow = mkTestState().getTabWindowByChromeId(1)
+  const updWindow = TabWindow.setActiveTab(tabWindow, 101, START + 5 * MINUTE_MS)
+  const prevActive = updWindow.tabItems.find(ti => ti.safeOpenState.openTabId === 100)
+  t.notOk(prevActive.safeOpenState.active, 'previous tab no longer active')
+  t.equal(prevActive.safeOpenState.lastAccessed, START + 5 * MINUTE_MS, 'previous tab accessed until now')
+  t.end()
+})
@@ -0,0 +1,48 @@
+import test from 'tape'
+import * as TabWindow from '../src/js/tabWindow'
+import * as lazyTab from '../src/js/lazyTab'
+import * as testData from './testData'
+
+const PAGE_URL = 'chrome-extension://abcdef/lazyTab.html'
+
+const mkTestWindow = (activeIndex) => TabWindow.makeChromeTabWindow({ id: 1,
+  type: 'normal',
+  tabs: ['https://example.com/a', 'https://example.com/b?x=1&y=2', 'https://example.com/c']
+    .map((url, i) => testData.mkChromeTab(1, i, url, { active: i === activeIndex }))
+})
+
+test('lazy tab URLs', (t) => {
+  const realUrl = 'https://example.com/b?x=1&y=2#top'
+  const url = lazyTab.lazyTabUrl(realUrl, 'B & co', PAGE_URL)
+  t.ok(url.startsWith(PAGE_URL + '?'), 'placeholder page URL')
+  t.equal(lazyTab.lazyTabTargetUrl(url), realUrl, 'real URL recovered')
+  t.equal(lazyTab.lazyTabTargetUrl(realUrl), null, 'other URLs are not placeholders')
+
+  const tabWindow = TabWindow.makeChromeTabWindow({ id: 1,
+    type: 'normal',
+    tabs: [testData.mkChromeTab(1, 0, url)] })
+  const tabItem = tabWindow.tabItems.get(0)
+  t.equal(tabItem.url, realUrl, 'open tab state uses real URL')
+  t.ok(tabItem.safeOpenState.discarded, 'placeholder tab not loaded')
+  t.end()
+})
+
+test('activeItemIndex', (t) => {
+  t.equal(lazyTab.activeItemIndex(mkTestWindow(2).tabItems), 2, 'active open tab')
+  const folderWindow = TabWindow.makeFolderTabWindow(testData.d3BookmarkFolder)
+  t.equal(lazyTab.activeItemIndex(folderWindow.tabItems), 0, 'first tab when none known')
+  const savedItems = folderWindow.tabItems.update(1, ti => ti.set('savedState', ti.savedState.set('active', true)))
+  t.equal(lazyTab.activeItemIndex(savedItems), 1, 'tab active when saved window was last open')
+  t.end()
+})
+
+test('lazyTabsCreateProps', (t) => {
+  const tabItems = mkTestWindow(1).tabItems
+  const activeIndex = lazyTab.activeItemIndex(tabItems)
+  const createProps = lazyTab.lazyTabsCreateProps(7, tabItems, activeIndex, PAGE_URL)
+  t.deepEqual(createProps.map(p => p.index), [0, 2], 'tabs created in order, skipping active tab')
+  t.deepEqual(createProps.map(p => lazyTab.lazyTabTargetUrl(p.url)), ['https://example.com/a', 'https://example.com/c'],
+    'tabs created with placeholder URLs')
+  t.ok(createProps.every(p => p.windowId === 7 && !p.active), 'tabs created inactive in window')
+  t.end()
+})
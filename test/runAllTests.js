@@ -7,4 +7,23 @@ global.chrome = {
 // N.B. using require() instead of import so global setting above can take effect
 require('./semVerTests')
 require('./tabWindowTest')
+require('./sessionMatcherTest')
+require('./fuzzyMatchTest')
+require('./searchQueryTest')
+require('./tabSelectionTest')
+require('./backupTest')
+require('./tabImportTest')
+require('./exportersTest')
+require('./storageMigrationTest')
+require('./savedWindowProviderTest')
+require('./savedWindowStateTest')
+require('./sessionSnapshotsTest')
+require('./bookmarkConsistencyTest')
+require('./undoTest')
+require('./tabOrderTest')
+require('./lazyTabTest')
+require('./dedupeRulesTest')
+require('./idleTabsTest')
+require('./windowGeometryTest')
+require('./windowMetadataTest')
 require('./viewTests')
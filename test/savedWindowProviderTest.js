@@ -0,0 +1,144 @@
+import test from 'tape'
+import * as TabWindow from '../src/js/tabWindow'
+import * as savedWindowProvider from '../src/js/savedWindowProvider'
+
+test('memoryProvider saved windows', async (t) => {
+  const provider = savedWindowProvider.memoryProvider()
+  const { folderId, archiveFolderId } = await provider.init()
+  t.deepEqual(await provider.getSavedFolders(folderId), [], 'initially no saved windows')
+
+  const workFolder = await provider.createFolder(folderId, 'Work')
+  const a = await provider.createBookmark(workFolder.id, 'A', 'http://example.com/a')
+  const b = await provider.createBookmark(workFolder.id, 'B', 'http://example.com/b')
+  t.notEqual(a.id, b.id, 'distinct bookmark ids')
+  t.equal(b.index, 1, 'bookmark index')
+
+  const folders = await provider.getSavedFolders(folderId)
+  t.equal(folders.length, 1, 'one saved window')
+  const tabWindow = TabWindow.makeFolderTabWindow(folders[0])
+  t.equal(tabWindow.title, 'Work', 'folder usable as saved window')
+  t.deepEqual(tabWindow.tabItems.map(ti => ti.url).toArray(), ['http://example.com/a', 'http://example.com/b'],
+    'bookmarks usable as saved tabs')
+
+  await provider.setFolderTitle(workFolder.id, 'Work Stuff')
+  await provider.removeBookmark(a.id)
+  const updFolder = await provider.getFolder(workFolder.id)
+  t.equal(updFolder.title, 'Work Stuff', 'folder title updated')
+  t.deepEqual(updFolder.children.map(bm => [bm.id, bm.index]), [[b.id, 0]], 'bookmark removed and reindexed')
+  t.end()
+})
+
+test('memoryProvider move and archive', async (t) => {
+  const provider = savedWindowProvider.memoryProvider()
+  const { folderId, archiveFolderId } = await provider.init()
+  const src = await provider.createFolder(folderId, 'Src')
+  const dst = await provider.createFolder(folderId, 'Dst')
+  const bm = await provider.createBookmark(src.id, 'A', 'http://example.com/a')
+
+  const movedBm = await provider.moveBookmark(bm.id, dst.id)
+  t.equal(movedBm.parentId, dst.id, 'moved bookmark parent')
+  t.equal((await provider.getFolder(src.id)).children.length, 0, 'removed from source folder')
+  t.deepEqual((await provider.getFolder(dst.id)).children.map(c => c.url), ['http://example.com/a'],
+    'added to target folder')
+
+  await provider.archiveFolder(src.id, archiveFolderId)
+  const folders = await provider.getSavedFolders(folderId)
+  t.deepEqual(folders.map(f => f.title), ['Dst'], 'archived folder no longer a saved window')
+  t.equal((await provider.getFolder(src.id)).parentId, archiveFolderId, 'archived folder kept')
+
+  try {
+    await provider.removeBookmark('nonexistent')
+    t.fail('removing unknown bookmark should fail')
+  } catch (e) {
+    t.ok(/not found/.test(e.message), 'unknown bookmark rejected')
+  }
+  t.end()
+})
+
+test('storage area provider serializes concurrent updates', async (t) => {
+  const provider = savedWindowProvider.memoryProvider()
+  const { folderId } = await provider.init()
+  // started together, each read-modify-write of the index and folder must see the previous one's result:
+  const folders = await Promise.all(['A', 'B', 'C'].map(title => provider.createFolder(folderId, title)))
+  t.equal(new Set(folders.map(f => f.id)).size, 3, 'distinct folder ids')
+  t.deepEqual((await provider.getSavedFolders(folderId)).map(f => f.title), ['A', 'B', 'C'], 'all folders indexed')
+
+  const bms = await Promise.all([1, 2, 3].map(i => provider.createBookmark(folders[0].id, 'T' + i, 'http://example.com/' + i)))
+  await Promise.all([provider.removeBookmark(bms[0].id), provider.moveBookmark(bms[1].id, folders[1].id)])
+  t.deepEqual((await provider.getFolder(folders[0].id)).children.map(c => c.title), ['T3'], 'concurrent remove and move')
+  t.deepEqual((await provider.getFolder(folders[1].id)).children.map(c => c.title), ['T2'], 'bookmark moved')
+  t.end()
+})
+
+test('storage area provider quotas', async (t) => {
+  const errors = []
+  const quotas = { bytesPerItem: 400, writesPerMinute: 100 }
+  const provider = savedWindowProvider.storageAreaProvider('test', savedWindowProvider.memoryStorageArea(),
+    quotas, err => errors.push(err))
+  const { folderId } = await provider.init()
+  const folder = await provider.createFolder(folderId, 'Big')
+  await provider.createBookmark(folder.id, 'A', 'http://example.com/a')
+  try {
+    await provider.createBookmark(folder.id, 'B', 'http://example.com/' + 'b'.repeat(400))
+    t.fail('oversize folder should be rejected')
+  } catch (e) {
+    t.ok(/"Big" is too large/.test(e.message), 'oversize write rejected')
+  }
+  t.equal(errors.length, 1, 'error reported')
+  t.deepEqual((await provider.getFolder(folder.id)).children.map(c => c.title), ['A'], 'folder unchanged')
+  t.end()
+})
+
+test('memoryProvider reorder bookmarks', async (t) => {
+  const provider = savedWindowProvider.memoryProvider()
+  const { folderId } = await provider.init()
+  const folder = await provider.createFolder(folderId, 'Work')
+  const a = await provider.createBookmark(folder.id, 'A', 'http://example.com/a')
+  await provider.createBookmark(folder.id, 'B', 'http://example.com/b')
+  const c = await provider.createBookmark(folder.id, 'C', 'http://example.com/c')
+  const movedBm = await provider.moveBookmark(c.id, folder.id, 0)
+  t.equal(movedBm.index, 0, 'moved to index')
+  await provider.moveBookmark(a.id, folder.id, 1)
+  const updFolder = await provider.getFolder(folder.id)
+  t.deepEqual(updFolder.children.map(bm => [bm.title, bm.index]), [['C', 0], ['A', 1], ['B', 2]],
+    'bookmarks reordered within folder')
+  t.end()
+})
+
+test('memoryProvider archive browsing', async (t) => {
+  const provider = savedWindowProvider.memoryProvider()
+  const { folderId, archiveFolderId } = await provider.init()
+  const work = await provider.createFolder(folderId, 'Work')
+  const old = await provider.createFolder(folderId, 'Old')
+  await provider.createBookmark(work.id, 'A', 'http://example.com/a')
+  t.deepEqual(await provider.getArchivedFolders(archiveFolderId), [], 'initially empty archive')
+
+  await provider.archiveFolder(work.id, archiveFolderId)
+  await provider.archiveFolder(old.id, archiveFolderId)
+  const archived = await provider.getArchivedFolders(archiveFolderId)
+  t.deepEqual(archived.map(f => f.title), ['Work', 'Old'], 'archived folders listed')
+  t.ok(archived.every(f => typeof f.dateArchived === 'number'), 'archive date recorded')
+  t.deepEqual(archived[0].children.map(bm => bm.url), ['http://example.com/a'], 'archived tabs listed')
+
+  const restored = await provider.restoreFolder(work.id, folderId)
+  t.equal(restored.parentId, folderId, 'restored folder parent')
+  t.notOk('dateArchived' in restored, 'archive date cleared')
+  t.deepEqual((await provider.getSavedFolders(folderId)).map(f => f.title), ['Work'], 'restored as saved window')
+
+  await provider.removeFolder(old.id)
+  t.deepEqual(await provider.getArchivedFolders(archiveFolderId), [], 'archived folder deleted')
+  try {
+    await provider.getFolder(old.id)
+    t.fail('deleted folder should not be found')
+  } catch (e) {
+    t.ok(/not found/.test(e.message), 'deleted folder removed from storage')
+  }
+  t.end()
+})
+
+test('isValidWindowFolder', (t) => {
+  t.ok(savedWindowProvider.isValidWindowFolder({ id: '1', title: 'Work' }), 'folder')
+  t.notOk(savedWindowProvider.isValidWindowFolder({ id: '2', title: '_Archive' }), 'archive folder')
+  t.notOk(savedWindowProvider.isValidWindowFolder({ id: '3', title: 'A', url: 'http://example.com' }), 'bookmark')
+  t.end()
+})
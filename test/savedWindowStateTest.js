@@ -0,0 +1,111 @@
+import test from 'tape'
+import * as Immutable from 'immutable'
+import * as TabWindow from '../src/js/tabWindow'
+import * as savedWindowState from '../src/js/savedWindowState'
+import { memoryStorageArea } from '../src/js/savedWindowProvider'
+
+const folderWindow = (id, title, urls) => TabWindow.makeFolderTabWindow({
+  id,
+  title,
+  children: urls.map((url, index) => ({ id: id + '.' + index, parentId: id, index, title: url, url }))
+})
+
+const work = folderWindow('10', 'Work', ['http://example.com/a', 'http://example.com/b'])
+const home = folderWindow('20', 'Home', ['http://example.com/c'])
+const baseMap = Immutable.Map({ '10': work, '20': home })
+
+test('diffEntry and checkpointChanges', (t) => {
+  t.equal(savedWindowState.diffEntry(baseMap, baseMap), null, 'no changes')
+
+  const renamed = work.set('savedTitle', 'Work Stuff')
+  const entry1 = savedWindowState.diffEntry(baseMap, baseMap.set('10', renamed).delete('20'))
+  t.deepEqual(Object.keys(entry1.updates), ['10'], 'only changed window written')
+  t.equal(entry1.updates['10'].savedTitle, 'Work Stuff', 'window JS encoded')
+  t.deepEqual(entry1.deletes, ['20'], 'removed window deleted')
+
+  const entry2 = { updates: { '20': savedWindowState.encodeWindowState(home) }, deletes: [] }
+  const { items, removeKeys } = savedWindowState.checkpointChanges([entry1, entry2])
+  t.deepEqual(Object.keys(items).sort(), ['savedWindowState.10', 'savedWindowState.20'], 'records for updated windows')
+  t.deepEqual(removeKeys, [], 'later update cancels delete')
+  t.end()
+})
+
+test('readWindowStates replays journal', (t) => {
+  const items = {
+    'savedWindowState.10': savedWindowState.encodeWindowState(work),
+    'savedWindowState.20': savedWindowState.encodeWindowState(home),
+    'savedWindowState.30': { savedTitle: 'bad' },
+    [savedWindowState.JOURNAL_KEY]: {
+      version: 1,
+      entries: [
+        { updates: { '10': savedWindowState.encodeWindowState(work.set('savedTitle', 'W2')) }, deletes: [] },
+        { updates: {}, deletes: ['20'] }
+      ]
+    }
+  }
+  const states = savedWindowState.readWindowStates(items)
+  t.deepEqual(Object.keys(states), ['10'], 'deleted and malformed records dropped')
+  t.equal(states['10'].savedTitle, 'W2', 'journaled update applied')
+
+  const legacyItems = savedWindowState.savedWindowStateSchema.encode({ '20': savedWindowState.encodeWindowState(home) })
+  t.deepEqual(Object.keys(savedWindowState.readWindowStates(legacyItems)), ['20'], 'legacy blob read')
+  t.end()
+})
+
+test('createStateWriter and recoverWindowStates', async (t) => {
+  const storageArea = memoryStorageArea()
+  const writer = savedWindowState.createStateWriter(() => storageArea)
+  const nextMap = baseMap.set('10', work.set('savedTitle', 'Work Stuff'))
+  writer.record(Immutable.Map(), baseMap)
+  writer.record(baseMap, nextMap)
+  writer.record(nextMap, nextMap.delete('20'))
+  await writer.flush()
+
+  const items = await storageArea.get(null)
+  t.deepEqual(Object.keys(items), ['savedWindowState.10'], 'per-window records written and journal cleared')
+  t.equal(items['savedWindowState.10'].savedTitle, 'Work Stuff', 'latest state written')
+
+  // simulate a crash before a checkpoint:
+  const journal = { version: 1, entries: [{ updates: { '20': savedWindowState.encodeWindowState(home) }, deletes: [] }] }
+  await storageArea.set({ [savedWindowState.JOURNAL_KEY]: journal })
+  const recovered = await savedWindowState.recoverWindowStates(storageArea)
+  t.deepEqual(Object.keys(recovered).sort(), ['10', '20'], 'journal replayed on recovery')
+  const compacted = await storageArea.get(null)
+  t.deepEqual(Object.keys(compacted).sort(), ['savedWindowState.10', 'savedWindowState.20'], 'journal compacted')
+
+  const legacyArea = memoryStorageArea()
+  await legacyArea.set(savedWindowState.savedWindowStateSchema.encode({ '10': savedWindowState.encodeWindowState(work) }))
+  await savedWindowState.recoverWindowStates(legacyArea)
+  t.deepEqual(Object.keys(await legacyArea.get(null)), ['savedWindowState.10'], 'legacy blob converted to records')
+  t.end()
+})
+
+test('createStateWriter keeps changes recorded during a checkpoint', async (t) => {
+  const storageArea = memoryStorageArea()
+  // hold the first write until released:
+  let releaseSet
+  const setPending = new Promise(resolve => { releaseSet = resolve })
+  let setStarted
+  const setCalled = new Promise(resolve => { setStarted = resolve })
+  const slowArea = Object.assign({}, storageArea, {
+    set: async (items) => {
+      setStarted()
+      await setPending
+      return storageArea.set(items)
+    }
+  })
+  const writer = savedWindowState.createStateWriter(() => slowArea)
+  const nextMap = baseMap.set('10', work.set('savedTitle', 'Work Stuff'))
+  writer.record(Immutable.Map(), baseMap)
+  const flushed = writer.flush()
+  await setCalled
+  writer.record(baseMap, nextMap)
+  releaseSet()
+  await flushed
+  await writer.flush()
+
+  const items = await storageArea.get(null)
+  t.equal(items['savedWindowState.10'].savedTitle, 'Work Stuff', 'change recorded during checkpoint written')
+  t.notOk(items[savedWindowState.JOURNAL_KEY], 'journal cleared')
+  t.end()
+})
@@ -0,0 +1,81 @@
+import test from 'tape'
+import * as TabWindow from '../src/js/tabWindow'
+import * as searchOps from '../src/js/searchOps'
+import * as searchQuery from '../src/js/searchQuery'
+import * as testData from './testData'
+
+function matchingTitles (tabWindow, queryStr) {
+  const query = searchQuery.parseQuery(queryStr)
+  const [filteredWindow] = searchOps.filterTabWindows([tabWindow], query)
+  return filteredWindow ? filteredWindow.itemMatches.map(fti => fti.tabItem.title).toArray() : []
+}
+
+test('parseQuery', (t) => {
+  t.equal(searchQuery.parseQuery('   '), null, 'empty query')
+  t.equal(searchQuery.parseQuery('is:'), null, 'incomplete term ignored')
+
+  const query = searchQuery.parseQuery('-title:"foo bar" url:baz is:pinned http://x.com')
+  t.deepEqual(query.terms.map(term => [term.field, term.negate]),
+    [['title', true], ['url', false], ['is', false], ['text', false]], 'fields and negation')
+  t.equal(query.terms[3].re.source, 'http:\\/\\/x.com', 'unknown field kept as text')
+
+  // malformed RegExp falls back to literal match:
+  const badQuery = searchQuery.parseQuery('foo(')
+  t.ok(badQuery.terms[0].re.test('a foo( b'), 'malformed pattern matched literally')
+  t.equal(searchQuery.urlHost('https://developer.chrome.com/extensions'), 'developer.chrome.com', 'urlHost')
+  t.end()
+})
+
+test('query matching', (t) => {
+  const tabWindow = TabWindow.makeChromeTabWindow(testData.chromeWindowSnap)
+  t.deepEqual(matchingTitles(tabWindow, 'title:flux'),
+    ['Flux | Application Architecture for Building User Interfaces', 'Fluxxor - Home'], 'title: term')
+  t.deepEqual(matchingTitles(tabWindow, 'host:fluxxor'), ['Fluxxor - Home'], 'host: term')
+  t.deepEqual(matchingTitles(tabWindow, 'react -tutorial'),
+    ['Component API | React',
+      'javascript - Is there any proper way to integrate d3.js graphics into Facebook React application? - Stack Overflow'],
+    'negated text term')
+  t.deepEqual(matchingTitles(tabWindow, '"| react"'), ['Component API | React', 'Tutorial | React'], 'quoted phrase')
+  t.equal(matchingTitles(tabWindow, 'is:open').length, tabWindow.tabItems.count(), 'is:open')
+  t.equal(matchingTitles(tabWindow, 'is:pinned').length, 0, 'is:pinned')
+  t.equal(matchingTitles(tabWindow, 'window:"declare permissions" url:chrome').length, 1, 'window: term')
+
+  const query = searchQuery.parseQuery('title:react')
+  const fti = searchOps.matchTabItem(tabWindow.tabItems.get(0), query, { matchUrl: true, matchTitle: true, openOnly: false })
+  t.deepEqual(fti.titleMatches, [[16, 21]], 'title matches for highlighting')
+  t.equal(fti.urlMatches, null, 'no url matches for title: term')
+  t.end()
+})
+
+test('rankTabWindows', (t) => {
+  const tabWindow = TabWindow.makeChromeTabWindow(testData.chromeWindowSnap)
+  const query = searchQuery.parseQuery('react')
+  const filteredWindows = searchOps.filterTabWindows([tabWindow], query)
+  const [ranked] = searchOps.rankTabWindows(filteredWindows, 0)
+  const rankedTitles = ranked.itemMatches.map(fti => fti.tabItem.title).toArray()
+  t.deepEqual(rankedTitles.slice(0, 2), ['Component API | React', 'Tutorial | React'], 'title matches ranked first')
+  t.equal(ranked.score, ranked.itemMatches.first().score, 'window score is best item score')
+
+  // a recently accessed tab ranks above an equally good match:
+  const now = 10 * 60 * 60 * 1000
+  const tutorialId = tabWindow.tabItems.get(1).safeOpenState.openTabId
+  const accessedWindow = TabWindow.setActiveTab(tabWindow, tutorialId, now)
+  const [recentRanked] = searchOps.rankTabWindows(searchOps.filterTabWindows([accessedWindow], query), now)
+  t.equal(recentRanked.itemMatches.first().tabItem.title, 'Tutorial | React', 'recently accessed tab first')
+  t.end()
+})
+
+test('matchRanges', (t) => {
+  t.deepEqual(searchQuery.mergeRanges([[5, 7], [0, 2], [1, 3], [7, 8]]), [[0, 3], [5, 8]], 'mergeRanges')
+
+  const query = searchQuery.parseQuery('re -tutorial url:docs')
+  t.deepEqual(searchQuery.titleMatchRanges(query, 'React: render and re-render'),
+    [[0, 2], [7, 9], [18, 20], [21, 23]], 'all matches of text term in title')
+  t.deepEqual(searchQuery.urlMatchRanges(query, 'http://x.com/docs/re'),
+    [[13, 17], [18, 20]], 'text and url: terms in url')
+  t.equal(searchQuery.titleMatchRanges(query, 'Flux'), null, 'no title matches')
+
+  const fuzzyQuery = searchQuery.parseQuery('rct')
+  t.deepEqual(searchQuery.titleMatchRanges(fuzzyQuery, 'React'), [[0, 1], [3, 5]], 'fuzzy match ranges')
+  t.end()
+})
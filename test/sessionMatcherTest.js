@@ -0,0 +1,140 @@
+import test from 'tape'
+import * as Immutable from 'immutable'
+import * as TabWindow from '../src/js/tabWindow'
+import * as sessionMatcher from '../src/js/sessionMatcher'
+import TabManagerState from '../src/js/tabManagerState'
+import { memoryStorageArea } from '../src/js/savedWindowProvider'
+import { loadClosedWindowLog, saveClosedWindowLog } from '../src/js/closedWindowLog'
+import * as testData from './testData'
+
+// A closed, saved window with a snapshot of its open tabs:
+function closedD3Window () {
+  return TabWindow.removeOpenWindowState(testData.mkAttachedD3Window())
+}
+
+function mkSession (sessionId, urls) {
+  return {
+    lastModified: 0,
+    window: { sessionId, tabs: urls.map(url => ({ url })) }
+  }
+}
+
+test('sessionMatchScore', (t) => {
+  const a = Immutable.Set(['a', 'b', 'c'])
+  t.equal(sessionMatcher.sessionMatchScore(a, a), 1, 'identical url sets')
+  t.equal(sessionMatcher.sessionMatchScore(a, Immutable.Set(['d'])), 0, 'disjoint url sets')
+  t.equal(sessionMatcher.sessionMatchScore(a, Immutable.Set(['a', 'b'])), 2 / 3, 'partial overlap')
+  t.end()
+})
+
+test('matchSavedWindowSessions', (t) => {
+  const closedWindow = closedD3Window()
+  const urls = closedWindow.tabItems.filter(ti => ti.open).map(ti => ti.url).toArray()
+
+  const sessions = [
+    mkSession('s1', ['http://example.com/']),
+    mkSession('s2', urls),
+    { lastModified: 0, tab: { sessionId: 's3', url: urls[0] } }
+  ]
+  const matches = sessionMatcher.matchSavedWindowSessions([closedWindow], sessions)
+  t.equal(matches.get(closedWindow.savedFolderId), 's2', 'matched closed window with session')
+
+  // Most recent session wins when two sessions match equally well:
+  const dupSessions = [mkSession('s4', urls), mkSession('s2', urls)]
+  const dupMatches = sessionMatcher.matchSavedWindowSessions([closedWindow], dupSessions)
+  t.equal(dupMatches.get(closedWindow.savedFolderId), 's4', 'most recent session matched')
+
+  const noMatches = sessionMatcher.matchSavedWindowSessions([closedWindow], [mkSession('s1', urls.slice(0, 1))])
+  t.equal(noMatches.count(), 0, 'no match below threshold')
+  t.end()
+})
+
+test('recentlyClosed', (t) => {
+  const openWindow = TabWindow.makeChromeTabWindow(testData.chromeWindowSnap)
+  const urls = openWindow.tabItems.map(ti => ti.url).toArray()
+  const st0 = new TabManagerState().registerTabWindow(openWindow)
+
+  const st1 = st0.handleTabWindowClosed(openWindow)
+  t.equal(st1.windowIdMap.count(), 0, 'closed window removed from open windows')
+  t.equal(st1.closedWindowLog.count(), 1, 'closed unsaved window logged')
+  const [loggedWindow] = st1.getRecentlyClosed()
+  t.ok(!loggedWindow.open && !loggedWindow.saved, 'logged window is closed and unsaved')
+  t.equal(loggedWindow.chromeSessionId, null, 'no session for logged window')
+
+  // logged window is matched with its session, and the session isn't listed twice:
+  const closedTime = loggedWindow.closedTime
+  const sessions = [
+    { lastModified: Math.floor(closedTime / 1000) + 10, tab: { sessionId: 't1', url: 'http://example.com/', title: 'Example' } },
+    mkSession('s1', urls),
+    mkSession('s2', ['http://example.org/'])
+  ]
+  const st2 = st1.setRecentlyClosedSessions(sessions)
+  const recentlyClosed = st2.getRecentlyClosed()
+  t.equal(recentlyClosed.length, 3, 'closed tabs, logged window and unmatched session')
+  t.equal(recentlyClosed[0].title, 'Closed Tabs', 'closed tabs pseudo-window is most recent')
+  t.equal(recentlyClosed[0].tabItems.get(0).openState.chromeSessionId, 't1', 'closed tab retains session id')
+  t.equal(recentlyClosed[1].chromeSessionId, 's1', 'logged window matched with session')
+  t.equal(recentlyClosed[2].chromeSessionId, 's2', 'unmatched session window')
+
+  // expand state is tracked for recently closed windows:
+  const st3 = st2.handleTabWindowExpand(recentlyClosed[1], true)
+  t.equal(st3.getRecentlyClosed()[1].expanded, true, 'recently closed window expanded')
+
+  const st4 = st3.removeClosedWindowLogEntry(recentlyClosed[1])
+  t.equal(st4.closedWindowLog.count(), 0, 'restored window removed from log')
+  t.end()
+})
+
+test('closedWindowLog persistence and single tab restore', async (t) => {
+  const openWindow = TabWindow.makeChromeTabWindow(testData.chromeWindowSnap)
+  const st1 = new TabManagerState().registerTabWindow(openWindow).handleTabWindowClosed(openWindow)
+  const [loggedWindow] = st1.getRecentlyClosed()
+
+  const storageArea = memoryStorageArea()
+  t.equal((await loadClosedWindowLog(storageArea)).count(), 0, 'empty log when nothing stored')
+  await saveClosedWindowLog(st1.closedWindowLog, storageArea)
+  const log = await loadClosedWindowLog(storageArea)
+  t.equal(log.count(), 1, 'logged window read back')
+  const [readWindow] = st1.set('closedWindowLog', log).getRecentlyClosed()
+  t.equal(readWindow.closedTime, loggedWindow.closedTime, 'closed time retained')
+  t.equal(readWindow.id, loggedWindow.id, 'log id retained')
+  t.deepEqual(readWindow.tabItems.map(ti => ti.url).toArray(),
+    loggedWindow.tabItems.map(ti => ti.url).toArray(), 'tabs retained')
+
+  // restoring a single tab removes only that tab from the log:
+  const tabItem = loggedWindow.tabItems.get(0)
+  const st2 = st1.removeClosedWindowLogTab(loggedWindow, tabItem)
+  t.equal(st2.closedWindowLog.get(0).tabItems.count(), loggedWindow.tabItems.count() - 1, 'restored tab removed')
+  const lastWindow = loggedWindow.set('tabItems', loggedWindow.tabItems.take(1))
+  const st3 = st1.set('closedWindowLog', Immutable.List([lastWindow])).removeClosedWindowLogTab(lastWindow, tabItem)
+  t.equal(st3.closedWindowLog.count(), 0, 'window removed with its last tab')
+  t.end()
+})
+
+test('closedWindowLog entries closed at the same time', (t) => {
+  const w1 = TabWindow.makeChromeTabWindow(testData.chromeWindowSnap)
+  const w2 = TabWindow.makeChromeTabWindow(testData.chromeWindowSnap2)
+  const realNow = Date.now
+  Date.now = () => 1000
+  let st
+  try {
+    st = new TabManagerState().registerTabWindows([w1, w2]).handleTabWindowClosed(w1).handleTabWindowClosed(w2)
+  } finally {
+    Date.now = realNow
+  }
+  const recentlyClosed = st.getRecentlyClosed()
+  t.equal(recentlyClosed.length, 2, 'both windows logged')
+  t.notEqual(recentlyClosed[0].id, recentlyClosed[1].id, 'logged windows have distinct ids')
+
+  const st1 = st.removeClosedWindowLogEntry(recentlyClosed[0])
+  t.deepEqual(st1.getRecentlyClosed().map(tw => tw.id), [recentlyClosed[1].id], 'only restored window removed')
+  const st2 = st.removeClosedWindowLogTab(recentlyClosed[0], recentlyClosed[0].tabItems.get(0))
+  t.equal(st2.closedWindowLog.find(tw => tw.id === recentlyClosed[1].id).tabItems.count(),
+    recentlyClosed[1].tabItems.count(), 'tab only removed from its own window')
+
+  const sessionWindow = TabWindow.makeSessionTabWindow(mkSession('s1', ['http://example.org/']))
+    .set('closedTime', 1000)
+  t.equal(st.removeClosedWindowLogEntry(sessionWindow).closedWindowLog.count(), 2,
+    'restoring a session window that is not logged leaves the log alone')
+  t.end()
+})
@@ -0,0 +1,76 @@
+import test from 'tape'
+import * as TabWindow from '../src/js/tabWindow'
+import * as sessionSnapshots from '../src/js/sessionSnapshots'
+import { memoryStorageArea } from '../src/js/savedWindowProvider'
+import TabManagerState from '../src/js/tabManagerState'
+import * as testData from './testData'
+
+// state with an unsaved open window and the d3 saved window attached to an open Chrome window:
+function mkTestState () {
+  const unsavedWindow = TabWindow.makeChromeTabWindow(testData.chromeWindowSnap)
+  return testData.mkAttachedD3State().registerTabWindow(unsavedWindow)
+}
+
+const mkSnapshot = (sessionId, time) => ({ sessionId, time, windows: [] })
+
+test('snapshotWindows', (t) => {
+  const st = mkTestState()
+  const snapWindows = sessionSnapshots.snapshotWindows(st)
+  t.equal(snapWindows.length, 2, 'saved and unsaved windows')
+  const savedSnap = snapWindows.find(sw => sw.savedTitle != null)
+  const unsavedSnap = snapWindows.find(sw => sw.savedTitle == null)
+  t.equal(savedSnap.savedTitle, testData.d3BookmarkFolder.title, 'saved window title')
+  t.equal(savedSnap.savedFolderId, testData.d3BookmarkFolder.id, 'saved window folder id')
+  t.equal(unsavedSnap.savedFolderId, null, 'no folder id for unsaved window')
+  t.equal(savedSnap.tabs.length, testData.d3OpenedChromeWindow.tabs.length, 'only open tabs of saved window')
+  t.deepEqual(unsavedSnap.tabs.map(tab => tab.url), testData.chromeWindowSnap.tabs.map(tab => tab.url),
+    'tabs of unsaved window')
+  t.end()
+})
+
+test('addSnapshot retention', (t) => {
+  let snapshots = []
+  for (let session = 1; session <= 4; session++) {
+    for (let i = 0; i < 4; i++) {
+      snapshots = sessionSnapshots.addSnapshot(snapshots, mkSnapshot(session, session * 100 + i), 3, 2)
+    }
+  }
+  t.deepEqual(snapshots.map(s => s.time), [403, 402, 303, 302, 203, 202], 'newest snapshots of newest sessions kept')
+
+  const sessions = sessionSnapshots.getSessions(snapshots)
+  t.deepEqual(sessions.map(s => s.sessionId), [4, 3, 2], 'sessions newest first')
+  t.deepEqual(sessions[0].snapshots.map(s => s.time), [403, 402], 'session snapshots newest first')
+
+  const snapSize = JSON.stringify(mkSnapshot(1, 100)).length
+  const sized = sessionSnapshots.addSnapshot([mkSnapshot(1, 100), mkSnapshot(1, 101)], mkSnapshot(1, 102),
+    10, 10, 2 * snapSize)
+  t.deepEqual(sized.map(s => s.time), [102, 101], 'oldest snapshots dropped beyond size limit')
+  t.deepEqual(sessionSnapshots.addSnapshot(snapshots, mkSnapshot(5, 500), 10, 10, 1).map(s => s.time), [500],
+    'newest snapshot always kept')
+  t.end()
+})
+
+test('recordSnapshot', async (t) => {
+  const storageArea = memoryStorageArea()
+  t.equal(await sessionSnapshots.recordSnapshot(new TabManagerState(), 1, 100, storageArea), null,
+    'no snapshot without open windows')
+  await sessionSnapshots.recordSnapshot(mkTestState(), 1, 200, storageArea)
+  await sessionSnapshots.recordSnapshot(mkTestState(), 2, 300, storageArea)
+  const snapshots = await sessionSnapshots.loadSnapshots(storageArea)
+  t.deepEqual(snapshots.map(s => [s.sessionId, s.time]), [[2, 300], [1, 200]], 'snapshots stored newest first')
+  t.equal(snapshots[0].windows.length, 2, 'windows stored')
+
+  // a storage area that fails to store more than one snapshot, as when out of space:
+  const fullArea = Object.assign({}, storageArea, {
+    set: async (items) => {
+      if (items.sessionSnapshots.contents.length > 1) {
+        throw new Error('QUOTA_BYTES quota exceeded')
+      }
+      return storageArea.set(items)
+    }
+  })
+  await sessionSnapshots.recordSnapshot(mkTestState(), 2, 400, fullArea)
+  const fullSnapshots = await sessionSnapshots.loadSnapshots(storageArea)
+  t.deepEqual(fullSnapshots.map(s => s.time), [400], 'only latest snapshot kept when storage full')
+  t.end()
+})
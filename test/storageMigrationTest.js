@@ -0,0 +1,90 @@
+import test from 'tape'
+import * as storageMigration from '../src/js/storageMigration'
+import * as prefs from '../src/js/preferences'
+import { savedWindowStateSchema } from '../src/js/savedWindowState'
+
+// A schema whose contents are a list of names, stored as:
+//   v1: comma-separated string
+//   v2: array of names
+//   v3: { names: array of names }
+const namesSchema = {
+  name: 'names',
+  keys: ['names', 'namesVersion'],
+  currentVersion: 3,
+  decode: (items) => ({ version: items.namesVersion, contents: JSON.parse(items.names) }),
+  encode: (contents) => ({ namesVersion: 3, names: JSON.stringify(contents) }),
+  migrations: {
+    1: (s) => s.split(','),
+    2: (names) => ({ names })
+  },
+  validate: (contents) => Array.isArray(contents.names) ? null : 'names not an array'
+}
+
+test('upgrade', (t) => {
+  t.deepEqual(storageMigration.upgrade(namesSchema, { version: 1, contents: 'a,b' }),
+    { names: ['a', 'b'] }, 'step-wise upgrade from version 1')
+  t.deepEqual(storageMigration.upgrade(namesSchema, { version: 3, contents: { names: ['c'] } }),
+    { names: ['c'] }, 'current version unchanged')
+  t.throws(() => storageMigration.upgrade(namesSchema, { version: 4, contents: {} }), /newer than supported/,
+    'future version rejected')
+  t.throws(() => storageMigration.upgrade(namesSchema, { contents: {} }), /invalid schema version/,
+    'missing version rejected')
+  t.throws(() => storageMigration.upgrade(namesSchema, { version: 1, contents: 42 }), /migration from version 1 failed/,
+    'failed migration step')
+  t.throws(() => storageMigration.upgrade(namesSchema, { version: 3, contents: { names: 'x' } }), /invalid contents/,
+    'validation failure')
+  const gapSchema = Object.assign({}, namesSchema, { migrations: { 2: namesSchema.migrations[2] } })
+  t.throws(() => storageMigration.upgrade(gapSchema, { version: 1, contents: 'a' }), /no migration from version 1/,
+    'missing migration step')
+  t.end()
+})
+
+test('decodeAndUpgrade', (t) => {
+  const res = storageMigration.decodeAndUpgrade(namesSchema, { names: '["a"]', namesVersion: 2 })
+  t.deepEqual(res, { contents: { names: ['a'] }, fromVersion: 2 }, 'decoded and upgraded')
+  t.throws(() => storageMigration.decodeAndUpgrade(namesSchema, { names: '[', namesVersion: 2 }),
+    /could not decode/, 'unparseable data')
+  t.ok(storageMigration.isStored(namesSchema, { names: '[]' }), 'stored')
+  t.notOk(storageMigration.isStored(namesSchema, { namesVersion: 2 }), 'not stored without primary key')
+  t.end()
+})
+
+test('quarantineItems', (t) => {
+  const items = { names: '[', namesVersion: 2 }
+  const qItems = storageMigration.quarantineItems(namesSchema, items, new Error('bad'), 1000)
+  t.deepEqual(qItems, {
+    'quarantine.names': { quarantineTime: 1000, error: 'bad', items }
+  }, 'raw items copied to quarantine key')
+  t.end()
+})
+
+test('prefsSchema', (t) => {
+  const v1Items = { UserPreferences: JSON.stringify({ version: 1, contents: { popoutOnStart: true } }) }
+  const v1Res = storageMigration.decodeAndUpgrade(prefs.prefsSchema, v1Items)
+  t.deepEqual(v1Res.contents, prefs.defaultPrefsJS, 'v1 preferences reverted to defaults')
+
+  const v4Items = { UserPreferences: JSON.stringify({ version: 4, contents: { dedupeTabs: true } }) }
+  const v4Prefs = prefs.Preferences.fromJS(storageMigration.decodeAndUpgrade(prefs.prefsSchema, v4Items).contents)
+  t.equal(v4Prefs.dedupeTabs, true, 'v4 preferences kept')
+  t.equal(v4Prefs.revertOnOpen, true, 'missing preferences defaulted')
+
+  const userPrefs = new prefs.Preferences({ popoutOnStart: true })
+  t.ok(prefs.Preferences.deserialize(userPrefs.serialize()).equals(userPrefs), 'serialize round trip')
+  t.end()
+})
+
+test('savedWindowStateSchema', (t) => {
+  const state = { '42': { savedTitle: 'w', tabItems: [{ title: 'a', open: true }] } }
+  const items = savedWindowStateSchema.encode(state)
+  t.equal(items.savedWindowStateVersion, savedWindowStateSchema.currentVersion, 'version written')
+  t.deepEqual(storageMigration.decodeAndUpgrade(savedWindowStateSchema, items).contents, state, 'round trip')
+
+  const legacyItems = { savedWindowState: JSON.stringify(state) }
+  t.deepEqual(storageMigration.decodeAndUpgrade(savedWindowStateSchema, legacyItems).contents, state,
+    'unversioned state read as version 1')
+
+  const badItems = { savedWindowState: JSON.stringify({ '42': { savedTitle: 'w' } }) }
+  t.throws(() => storageMigration.decodeAndUpgrade(savedWindowStateSchema, badItems), /no tabItems/,
+    'malformed state rejected')
+  t.end()
+})
@@ -0,0 +1,62 @@
+import test from 'tape'
+import * as tabImport from '../src/js/tabImport'
+
+const oneTabExport = [
+  'https://facebook.github.io/react/docs/component-api.html | Component API | React',
+  'https://facebook.github.io/react/docs/tutorial.html | Tutorial | React',
+  '',
+  'http://fluxxor.com/ | Fluxxor - Home',
+  'not a url | ignored',
+  ''
+].join('\n')
+
+test('detectFormat', (t) => {
+  t.equal(tabImport.detectFormat(oneTabExport), 'oneTab', 'OneTab export')
+  t.equal(tabImport.detectFormat('  {"sessions": []}'), 'sessionBuddy', 'Session Buddy JSON')
+  t.equal(tabImport.detectFormat('http://a.com/\nhttp://b.com/\n'), 'urlList', 'URL list')
+  t.end()
+})
+
+test('parseOneTab', (t) => {
+  const windows = tabImport.parseOneTab(oneTabExport)
+  t.equal(windows.length, 2, 'one window per group')
+  t.equal(windows[0].title, 'OneTab 1', 'window title')
+  t.deepEqual(windows[0].tabs[0], {
+    url: 'https://facebook.github.io/react/docs/component-api.html',
+    title: 'Component API | React'
+  }, 'title may contain separator')
+  t.equal(windows[1].tabs.length, 1, 'non-URL lines ignored')
+  t.end()
+})
+
+test('parseSessionBuddy', (t) => {
+  const sessionsExport = {
+    sessions: [
+      { name: 'Research', windows: [{ tabs: [{ url: 'http://a.com/', title: 'A' }] }, { tabs: [{ url: 'http://b.com/' }] }] },
+      { windows: [{ tabs: [] }] }
+    ]
+  }
+  const sessionWindows = tabImport.parseSessionBuddy(JSON.stringify(sessionsExport))
+  t.deepEqual(sessionWindows.map(w => w.title), ['Research (1)', 'Research (2)'], 'window per session window')
+  t.deepEqual(sessionWindows[1].tabs[0], { url: 'http://b.com/', title: 'http://b.com/' }, 'URL used as missing title')
+
+  const collectionsExport = {
+    collections: [{ title: 'Reading', folders: [{ links: [{ url: 'http://c.com/', title: 'C' }] }] }]
+  }
+  const collectionWindows = tabImport.parseSessionBuddy(JSON.stringify(collectionsExport))
+  t.deepEqual(collectionWindows, [{ title: 'Reading', tabs: [{ url: 'http://c.com/', title: 'C' }] }], 'collections')
+
+  t.throws(() => tabImport.parseSessionBuddy('{"foo": 1}'), /Not a Session Buddy export/, 'unknown JSON')
+  t.throws(() => tabImport.parseSessionBuddy('{'), /not valid JSON/, 'invalid JSON')
+  t.end()
+})
+
+test('parseURLList', (t) => {
+  const windows = tabImport.parseImport('http://a.com/\n\nexample.com/page\nhello world\n')
+  t.equal(windows.length, 1, 'single window')
+  t.deepEqual(windows[0].tabs.map(tab => tab.url), ['http://a.com/', 'http://example.com/page'], 'URLs parsed')
+  t.deepEqual(tabImport.parseURLList('\n'), [], 'empty list')
+  const schemeWindows = tabImport.parseURLList('ftp://a.com/f\nfile:///tmp/x.html\njavascript:alert(1)\ndata:text/html,hi\n')
+  t.deepEqual(schemeWindows[0].tabs.map(tab => tab.url), ['ftp://a.com/f', 'file:///tmp/x.html'], 'only whitelisted schemes')
+  t.end()
+})
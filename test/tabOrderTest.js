@@ -0,0 +1,72 @@
+import test from 'tape'
+import * as TabWindow from '../src/js/tabWindow'
+import * as tabOrder from '../src/js/tabOrder'
+
+const mkTab = (index, title, url, lastAccessed, pinned = false) =>
+  ({ id: 100 + index, windowId: 1, index, title, url, lastAccessed, pinned, active: false })
+
+// an open window with a pinned tab followed by tabs from two domains:
+function mkTestWindow () {
+  const tabs = [
+    mkTab(0, 'Mail', 'https://mail.example.org/inbox', 50, true),
+    mkTab(1, 'b docs', 'https://www.github.com/docs', 10),
+    mkTab(2, 'Apples', 'https://news.ycombinator.com/item', 40),
+    mkTab(3, 'a repo', 'https://github.com/repo', 30),
+    mkTab(4, 'Cats', 'https://news.ycombinator.com/', 20)
+  ]
+  return TabWindow.makeChromeTabWindow({ id: 1, type: 'normal', tabs })
+}
+
+const titles = (tabItems) => tabItems.map(ti => ti.title).toArray()
+
+test('urlDomain', (t) => {
+  t.equal(tabOrder.urlDomain('https://www.GitHub.com/docs?q=1'), 'github.com', 'www. stripped, lower case')
+  t.equal(tabOrder.urlDomain('http://localhost:8080/x'), 'localhost', 'port ignored')
+  t.equal(tabOrder.urlDomain('about:blank'), '', 'no domain')
+  t.end()
+})
+
+test('orderTabItems', (t) => {
+  const tabWindow = mkTestWindow()
+  t.deepEqual(titles(tabOrder.orderTabItems(tabWindow, 'domain')),
+    ['Mail', 'a repo', 'b docs', 'Apples', 'Cats'], 'by domain then title, pinned first')
+  t.deepEqual(titles(tabOrder.orderTabItems(tabWindow, 'title')),
+    ['Mail', 'a repo', 'Apples', 'b docs', 'Cats'], 'by title, ignoring case')
+  t.deepEqual(titles(tabOrder.orderTabItems(tabWindow, 'lastAccessed')),
+    ['Mail', 'Apples', 'a repo', 'Cats', 'b docs'], 'most recently accessed first')
+  t.deepEqual(titles(tabOrder.orderTabItems(tabWindow, 'groupByDomain')),
+    ['Mail', 'b docs', 'a repo', 'Apples', 'Cats'], 'domains grouped in order of first tab')
+  t.end()
+})
+
+test('orderTabItems with tab groups', (t) => {
+  const tab = (index, title, url, groupId) => Object.assign(mkTab(index, title, url, 0), { groupId })
+  const tabs = [
+    tab(0, 'Zebra', 'https://z.example.com/', -1),
+    tab(1, 'Yak', 'https://y.example.com/', 7),
+    tab(2, 'Xerus', 'https://x.example.com/', 7),
+    tab(3, 'Walrus', 'https://w.example.com/', -1),
+    tab(4, 'Vole', 'https://v.example.com/', -1)
+  ]
+  const tabWindow = TabWindow.makeChromeTabWindow({ id: 1, type: 'normal', tabs })
+  t.deepEqual(titles(tabOrder.orderTabItems(tabWindow, 'title')),
+    ['Zebra', 'Xerus', 'Yak', 'Vole', 'Walrus'], 'groups and runs between them ordered in place')
+  t.end()
+})
+
+test('orderMoves', (t) => {
+  t.deepEqual(tabOrder.orderMoves([1, 2, 3], [1, 2, 3]), [], 'no moves when already in order')
+  t.deepEqual(tabOrder.orderMoves([1, 2, 3, 4], [1, 3, 2, 4]), [[3, 1]], 'items in place not moved')
+  t.deepEqual(tabOrder.orderMoves([1, 2, 3], [3, 2, 1]), [[3, 0], [2, 1]], 'each item moved to the front in turn')
+  t.end()
+})
+
+test('folderOrderMoves', (t) => {
+  t.deepEqual(tabOrder.folderOrderMoves(['a', 'b', 'c'], ['a', 'b', 'c']), [], 'no moves when in order')
+  t.deepEqual(tabOrder.folderOrderMoves(['a', 'b', 'c', 'd'], ['a', 'c', 'b', 'd']), [['c', 1]],
+    'only a single moved tab moved')
+  t.deepEqual(tabOrder.folderOrderMoves(['sep', 'a', 'sub', 'b'], ['b', 'a']), [['b', 1], ['sub', 2]],
+    'indices relative to all children, other children keep their positions')
+  t.deepEqual(tabOrder.folderOrderMoves(['a', 'b'], ['x', 'b', 'a']), [['b', 0]], 'missing bookmarks ignored')
+  t.end()
+})
@@ -0,0 +1,95 @@
+import test from 'tape'
+import * as Immutable from 'immutable'
+import * as TabWindow from '../src/js/tabWindow'
+import * as searchOps from '../src/js/searchOps'
+import * as tabSelection from '../src/js/tabSelection'
+import TabManagerState from '../src/js/tabManagerState'
+import * as testData from './testData'
+
+function mkTestState () {
+  const openWindow = TabWindow.makeChromeTabWindow(testData.chromeWindowSnap)
+  const savedWindow = TabWindow.makeFolderTabWindow(testData.d3BookmarkFolder)
+  const winStore = new TabManagerState().registerTabWindow(openWindow).registerTabWindow(savedWindow)
+  return { winStore, openWindow, savedWindow }
+}
+
+test('rangeKeys', (t) => {
+  const { winStore, openWindow } = mkTestState()
+  const filteredWindows = searchOps.filterTabWindows([openWindow], null)
+  const keyOf = (i) => tabSelection.tabItemKey(openWindow, openWindow.tabItems.get(i))
+
+  const keys = tabSelection.rangeKeys(filteredWindows, '', winStore, [0, 3], [0, 1])
+  t.deepEqual(keys, [keyOf(1), keyOf(2), keyOf(3)], 'range in list order, end points included')
+  t.equal(tabSelection.keyAt(filteredWindows, '', [0, 2]), keyOf(2), 'key at position')
+  t.equal(tabSelection.keyAt(filteredWindows, '', [1, 0]), null, 'no key past end of list')
+
+  const collapsedWindow = openWindow.set('expanded', false)
+  const collapsedFiltered = searchOps.filterTabWindows([collapsedWindow], null)
+  const collapsedKeys = tabSelection.rangeKeys(collapsedFiltered, '', winStore, [0, 1], [0, 3])
+  t.deepEqual(collapsedKeys, [keyOf(1), keyOf(3)], 'only end points of collapsed window')
+  t.end()
+})
+
+test('allMatchKeys', (t) => {
+  const { openWindow } = mkTestState()
+  const searchStr = 'react'
+  const filteredWindows = searchOps.filterTabWindows([openWindow], new RegExp(searchStr, 'i'))
+  const keys = tabSelection.allMatchKeys(filteredWindows, searchStr)
+  const expectedKeys = openWindow.tabItems
+    .filter(ti => /react/i.test(ti.title) || /react/i.test(ti.url))
+    .map(ti => tabSelection.tabItemKey(openWindow, ti)).toArray()
+  t.ok(keys.length > 0, 'some tabs match')
+  t.deepEqual(keys, expectedKeys, 'keys of all matching tabs')
+  t.end()
+})
+
+test('resolveSelection', (t) => {
+  const { winStore, openWindow, savedWindow } = mkTestState()
+  const openTab = openWindow.tabItems.get(0)
+  const savedTab = savedWindow.tabItems.get(1)
+  const selection = Immutable.OrderedSet([
+    tabSelection.tabItemKey(openWindow, openTab),
+    tabSelection.tabItemKey(savedWindow, savedTab),
+    openWindow.id + '/tab-1'
+  ])
+  const pairs = tabSelection.resolveSelection(winStore, selection)
+  t.equal(pairs.length, 2, 'stale key ignored')
+  t.ok(pairs.some(([tw, ti]) => tw.id === openWindow.id && ti.url === openTab.url), 'open tab resolved')
+  t.ok(pairs.some(([tw, ti]) => tw.id === savedWindow.id && ti.url === savedTab.url), 'saved tab resolved')
+  t.end()
+})
+
+test('handleTabsClosed', (t) => {
+  const { winStore, openWindow } = mkTestState()
+  const tabIds = openWindow.tabItems.take(2).map(ti => ti.safeOpenState.openTabId).toArray()
+  const st1 = winStore.handleTabsClosed(openWindow, tabIds)
+  const updWindow = st1.getTabWindowByChromeId(openWindow.openWindowId)
+  t.equal(updWindow.tabItems.count(), openWindow.tabItems.count() - 2, 'closed tabs removed')
+
+  const allTabIds = openWindow.tabItems.map(ti => ti.safeOpenState.openTabId).toArray()
+  const st2 = winStore.handleTabsClosed(openWindow, allTabIds)
+  t.equal(st2.getTabWindowByChromeId(openWindow.openWindowId), undefined, 'window closed with last tab')
+  t.end()
+})
+
+test('mergeSelection', (t) => {
+  const { openWindow, savedWindow } = mkTestState()
+  const [b0, b1] = testData.d3BookmarkFolder.children
+  const otherFolder = {
+    id: '900',
+    title: 'Other',
+    children: [
+      Object.assign({}, b0, { id: '901', parentId: '900', index: 0 }),
+      { id: '902', parentId: '900', index: 1, title: 'New', url: 'http://example.com/new' },
+      Object.assign({}, b1, { id: '903', parentId: '900', index: 2 })
+    ]
+  }
+  const otherWindow = TabWindow.makeFolderTabWindow(otherFolder)
+  const pairs = tabSelection.mergeSelection(otherWindow, savedWindow)
+  t.deepEqual(pairs.map(([tw, ti]) => ti.url), ['http://example.com/new'], 'bookmarks already in target left out')
+  t.ok(pairs.every(([tw, ti]) => tw === otherWindow), 'pairs from source window')
+
+  const openPairs = tabSelection.mergeSelection(openWindow, savedWindow)
+  t.equal(openPairs.length, openWindow.tabItems.count(), 'all open tabs merged')
+  t.end()
+})
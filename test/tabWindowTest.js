@@ -1,5 +1,6 @@
 import test from 'tape'
 import * as TabWindow from '../src/js/tabWindow'
+import * as Immutable from 'immutable'
 import difflet from 'difflet'
 import * as testData from './testData'
 
@@ -55,8 +56,18 @@ test('chromeTabWindow', (t) => {
     "open": true,
     "openWindowId": 442,
     "windowType": "normal",
+    "left": 428,
+    "top": 222,
     "width": 1258,
     "height": 957,
+    "windowState": "normal",
+    "savedGeometry": null,
+    "metadata": {
+      "tags": [],
+      "description": "",
+      "notes": "",
+      "color": ""
+    },
     "tabItems": [
       {
         "saved": false,
@@ -70,7 +81,11 @@ test('chromeTabWindow', (t) => {
           "favIconUrl": "http://facebook.github.io/react/favicon.ico",
           "title": "Component API | React",
           "audible": false,
-          "pinned": false
+          "pinned": false,
+          "groupId": -1,
+          "chromeSessionId": null,
+          "lastAccessed": 0,
+          "discarded": false
         }
       },
       {
@@ -85,7 +100,11 @@ test('chromeTabWindow', (t) => {
           "favIconUrl": "http://facebook.github.io/react/favicon.ico",
           "title": "Tutorial | React",
           "audible": false,
-          "pinned": false
+          "pinned": false,
+          "groupId": -1,
+          "chromeSessionId": null,
+          "lastAccessed": 0,
+          "discarded": false
         }
       },
       {
@@ -100,7 +119,11 @@ test('chromeTabWindow', (t) => {
           "favIconUrl": "http://cdn.sstatic.net/stackoverflow/img/favicon.ico?v=4f32ecc8f43d",
           "title": "javascript - Is there any proper way to integrate d3.js graphics into Facebook React application? - Stack Overflow",
           "audible": false,
-          "pinned": false
+          "pinned": false,
+          "groupId": -1,
+          "chromeSessionId": null,
+          "lastAccessed": 0,
+          "discarded": false
         }
       },
       {
@@ -114,7 +137,11 @@ test('chromeTabWindow', (t) => {
           "openTabIndex": 3,
           "title": "Flux | Application Architecture for Building User Interfaces",
           "audible": false,
-          "pinned": false
+          "pinned": false,
+          "groupId": -1,
+          "chromeSessionId": null,
+          "lastAccessed": 0,
+          "discarded": false
         }
       },
       {
@@ -129,7 +156,11 @@ test('chromeTabWindow', (t) => {
           "favIconUrl": "http://fluxxor.com/favicon.ico",
           "title": "Fluxxor - Home",
           "audible": false,
-          "pinned": false
+          "pinned": false,
+          "groupId": -1,
+          "chromeSessionId": null,
+          "lastAccessed": 0,
+          "discarded": false
         }
       },
       {
@@ -144,7 +175,11 @@ test('chromeTabWindow', (t) => {
           "favIconUrl": "http://facebook.github.io/fixed-data-table/images/favicon-b4fca2450cb5aa407a2e106f42a92838.png",
           "title": "FixedDataTable",
           "audible": false,
-          "pinned": false
+          "pinned": false,
+          "groupId": -1,
+          "chromeSessionId": null,
+          "lastAccessed": 0,
+          "discarded": false
         }
       },
       {
@@ -159,12 +194,19 @@ test('chromeTabWindow', (t) => {
           "favIconUrl": "https://www.google.com/images/icons/product/chrome-32.png",
           "title": "Declare Permissions - Google Chrome",
           "audible": false,
-          "pinned": false
+          "pinned": false,
+          "groupId": -1,
+          "chromeSessionId": null,
+          "lastAccessed": 0,
+          "discarded": false
         }
       }
     ],
+    "tabGroups": {},
     "snapshot": false,
     "chromeSessionId": null,
+    "closedTime": 0,
+    "closedLogId": "",
     "expanded": null
   }
 
@@ -375,3 +417,76 @@ test('attachChromeWindow', (t) => {
 
   t.end()
 })
+
+test('tabGroups', (t) => {
+  // put the first two tabs of our test window in a tab group:
+  const groupedTabs = testData.chromeWindowSnap.tabs.map((tab, i) => (i < 2) ? Object.assign({}, tab, {groupId: 77}) : tab)
+  const groupedSnap = Object.assign({}, testData.chromeWindowSnap, {tabs: groupedTabs})
+  const baseTabWindow = TabWindow.makeChromeTabWindow(groupedSnap)
+
+  t.equal(baseTabWindow.tabItems.get(0).groupId, 77, 'groupId of grouped tab')
+  t.equal(baseTabWindow.tabItems.get(2).groupId, TabWindow.TAB_GROUP_ID_NONE, 'groupId of ungrouped tab')
+
+  const chromeGroup = {id: 77, windowId: groupedSnap.id, title: 'React', color: 'blue', collapsed: false}
+  const tabWindow = TabWindow.updateTabGroup(baseTabWindow, TabWindow.makeTabGroup(chromeGroup))
+  t.equal(tabWindow.getTabGroup(77).title, 'React', 'group title')
+  t.equal(tabWindow.getTabGroupItems(77).count(), 2, 'group member count')
+
+  // snapshot on close keeps groups, revert discards them:
+  const snapTabWindow = TabWindow.removeOpenWindowState(tabWindow)
+  t.equal(snapTabWindow.tabGroups.count(), 1, 'tab groups retained in snapshot')
+  const revTabWindow = TabWindow.removeOpenWindowState(tabWindow, false)
+  t.equal(revTabWindow.tabGroups.count(), 0, 'tab groups discarded on revert')
+
+  // groups survive a round trip through JSON (as used for snapshot persistence):
+  const jsGroups = JSON.parse(JSON.stringify(snapTabWindow.tabGroups.toJS()))
+  const restoredGroups = TabWindow.tabGroupsFromJS(jsGroups)
+  t.ok(Immutable.is(restoredGroups, snapTabWindow.tabGroups), 'tab groups from JSON')
+
+  // groups without open members are pruned when window state updated:
+  const updTabWindow = TabWindow.updateWindow(tabWindow, testData.chromeWindowSnap)
+  t.equal(updTabWindow.tabGroups.count(), 0, 'empty tab group pruned on update')
+
+  const rmTabWindow = TabWindow.removeTabGroup(tabWindow, 77)
+  t.equal(rmTabWindow.getTabGroup(77), undefined, 'group removed')
+
+  t.end()
+})
+
+test('saved tab flags and bookmark order', (t) => {
+  const tabWindow = TabWindow.makeFolderTabWindow(testData.d3BookmarkFolder)
+  const openedWindow = TabWindow.updateWindow(tabWindow, testData.d3OpenedChromeWindow)
+  t.equal(TabWindow.syncedBookmarkOrder(openedWindow), null, 'bookmarks already in tab order')
+
+  // pin the first tab, activate the Tutorials tab and move it before Gallery:
+  const chromeTabs = testData.d3OpenedChromeWindow.tabs.map(tab => {
+    const active = tab.url.endsWith('Tutorials')
+    const pinned = tab.index === 0
+    const index = active ? 2 : (tab.url.endsWith('Gallery') ? 3 : tab.index)
+    return Object.assign({}, tab, { active, pinned, index })
+  })
+  const orderedTabs = chromeTabs.slice().sort((a, b) => a.index - b.index)
+  const updWindow = TabWindow.updateWindow(openedWindow,
+    Object.assign({}, testData.d3OpenedChromeWindow, { tabs: orderedTabs }))
+  t.deepEqual(TabWindow.syncedBookmarkOrder(updWindow), ['432', '534', '536', '535', '537', '613'],
+    'bookmark order follows tab order, closed saved tab keeps position')
+
+  const syncedWindow = TabWindow.syncSavedTabFlags(updWindow)
+  const savedFlags = (tw) => tw.tabItems.filter(ti => ti.saved).map(ti => [ti.safeSavedState.bookmarkId,
+    ti.safeSavedState.pinned, ti.safeSavedState.active]).sortBy(([id]) => id).toJS()
+  const expectedFlags = [['432', true, false], ['534', false, false], ['535', false, false],
+    ['536', false, true], ['537', false, false], ['613', false, false]]
+  t.deepEqual(savedFlags(syncedWindow), expectedFlags, 'saved flags synced from open tabs')
+  t.equal(TabWindow.syncSavedTabFlags(syncedWindow), syncedWindow, 'unchanged when already synced')
+
+  // flags retained when window is closed and restored from snapshot state:
+  const closedWindow = TabWindow.removeOpenWindowState(syncedWindow, false)
+  t.ok(closedWindow.tabItems.find(ti => ti.safeSavedState.bookmarkId === '432').pinned, 'closed tab still pinned')
+  const snapState = JSON.parse(JSON.stringify(closedWindow.toJS()))
+  const restoredWindow = TabWindow.restoreSavedTabFlags(tabWindow, snapState)
+  t.deepEqual(savedFlags(restoredWindow), expectedFlags, 'saved flags restored from snapshot state')
+
+  const resyncedWindow = TabWindow.resyncBookmarkFolder(restoredWindow, testData.d3BookmarkFolder)
+  t.deepEqual(savedFlags(resyncedWindow), expectedFlags, 'saved flags kept on bookmark folder resync')
+  t.end()
+})
@@ -1,3 +1,7 @@
+import * as TabWindow from '../src/js/tabWindow'
+import TabManagerState from '../src/js/tabManagerState'
+import * as prefs from '../src/js/preferences'
+
 export const d3BookmarkFolder =
 {
   children: [
@@ -66,8 +70,18 @@ export const d3InitialExpectedTabWindow =
   "open": false,
   "openWindowId": -1,
   "windowType": "",
+  "left": 0,
+  "top": 0,
   "width": 0,
   "height": 0,
+  "windowState": "",
+  "savedGeometry": null,
+  "metadata": {
+    "tags": [],
+    "description": "",
+    "notes": "",
+    "color": ""
+  },
   "tabItems": [
     {
       "saved": true,
@@ -75,7 +89,9 @@ export const d3InitialExpectedTabWindow =
         "bookmarkId": "432",
         "bookmarkIndex": 0,
         "title": "API Reference · mbostock/d3 Wiki",
-        "url": "https://github.com/mbostock/d3/wiki/API-Reference"
+        "url": "https://github.com/mbostock/d3/wiki/API-Reference",
+        "pinned": false,
+        "active": false
       },
       "open": false,
       "openState": null
@@ -86,7 +102,9 @@ export const d3InitialExpectedTabWindow =
         "bookmarkId": "534",
         "bookmarkIndex": 1,
         "title": "D3.js - Data-Driven Documents",
-        "url": "http://d3js.org/"
+        "url": "http://d3js.org/",
+        "pinned": false,
+        "active": false
       },
       "open": false,
       "openState": null
@@ -97,7 +115,9 @@ export const d3InitialExpectedTabWindow =
         "bookmarkId": "535",
         "bookmarkIndex": 2,
         "title": "Gallery · mbostock/d3 Wiki",
-        "url": "https://github.com/mbostock/d3/wiki/Gallery"
+        "url": "https://github.com/mbostock/d3/wiki/Gallery",
+        "pinned": false,
+        "active": false
       },
       "open": false,
       "openState": null
@@ -108,7 +128,9 @@ export const d3InitialExpectedTabWindow =
         "bookmarkId": "536",
         "bookmarkIndex": 3,
         "title": "Tutorials · mbostock/d3 Wiki",
-        "url": "https://github.com/mbostock/d3/wiki/Tutorials"
+        "url": "https://github.com/mbostock/d3/wiki/Tutorials",
+        "pinned": false,
+        "active": false
       },
       "open": false,
       "openState": null
@@ -119,7 +141,9 @@ export const d3InitialExpectedTabWindow =
         "bookmarkId": "537",
         "bookmarkIndex": 4,
         "title": "Drag + Zoom",
-        "url": "http://bl.ocks.org/mbostock/6123708"
+        "url": "http://bl.ocks.org/mbostock/6123708",
+        "pinned": false,
+        "active": false
       },
       "open": false,
       "openState": null
@@ -130,14 +154,19 @@ export const d3InitialExpectedTabWindow =
         "bookmarkId": "613",
         "bookmarkIndex": 5,
         "title": "Focus+Context via Brushing",
-        "url": "http://bl.ocks.org/mbostock/1667367"
+        "url": "http://bl.ocks.org/mbostock/1667367",
+        "pinned": false,
+        "active": false
       },
       "open": false,
       "openState": null
     }
   ],
+  "tabGroups": {},
   "snapshot": false,
   "chromeSessionId": null,
+  "closedTime": 0,
+  "closedLogId": "",
   "expanded": null
 }
 
@@ -694,8 +723,18 @@ export const d3AttachedExpectedTabWindow =
   'open': true,
   'openWindowId': 19,
   'windowType': 'normal',
-  'width': 0,
-  'height': 0,
+  'left': 523,
+  'top': 47,
+  'width': 1024,
+  'height': 768,
+  'windowState': 'normal',
+  'savedGeometry': null,
+  'metadata': {
+    'tags': [],
+    'description': '',
+    'notes': '',
+    'color': ''
+  },
   'tabItems': [
     {
       'saved': true,
@@ -703,7 +742,9 @@ export const d3AttachedExpectedTabWindow =
         'bookmarkId': '432',
         'bookmarkIndex': 0,
         'title': 'API Reference · mbostock/d3 Wiki',
-        'url': 'https://github.com/mbostock/d3/wiki/API-Reference'
+        'url': 'https://github.com/mbostock/d3/wiki/API-Reference',
+        'pinned': false,
+        'active': false
       },
       'open': true,
       'openState': {
@@ -714,7 +755,11 @@ export const d3AttachedExpectedTabWindow =
         'favIconUrl': 'https://assets-cdn.github.com/favicon.ico',
         'title': 'API Reference · mbostock/d3 Wiki',
         'audible': false,
-        'pinned': false
+        'pinned': false,
+        'groupId': -1,
+        'chromeSessionId': null,
+        'lastAccessed': 0,
+        'discarded': false
       }
     },
     {
@@ -728,7 +773,11 @@ export const d3AttachedExpectedTabWindow =
         'openTabIndex': 1,
         'title': 'D3.js - Data-Driven Documents',
         'audible': false,
-        'pinned': false
+        'pinned': false,
+        'groupId': -1,
+        'chromeSessionId': null,
+        'lastAccessed': 0,
+        'discarded': false
       }
     },
     {
@@ -737,7 +786,9 @@ export const d3AttachedExpectedTabWindow =
         'bookmarkId': '535',
         'bookmarkIndex': 2,
         'title': 'Gallery · mbostock/d3 Wiki',
-        'url': 'https://github.com/mbostock/d3/wiki/Gallery'
+        'url': 'https://github.com/mbostock/d3/wiki/Gallery',
+        'pinned': false,
+        'active': false
       },
       'open': true,
       'openState': {
@@ -748,7 +799,11 @@ export const d3AttachedExpectedTabWindow =
         'favIconUrl': 'https://assets-cdn.github.com/favicon.ico',
         'title': 'Gallery · mbostock/d3 Wiki',
         'audible': false,
-        'pinned': false
+        'pinned': false,
+        'groupId': -1,
+        'chromeSessionId': null,
+        'lastAccessed': 0,
+        'discarded': false
       }
     },
     {
@@ -757,7 +812,9 @@ export const d3AttachedExpectedTabWindow =
         'bookmarkId': '536',
         'bookmarkIndex': 3,
         'title': 'Tutorials · mbostock/d3 Wiki',
-        'url': 'https://github.com/mbostock/d3/wiki/Tutorials'
+        'url': 'https://github.com/mbostock/d3/wiki/Tutorials',
+        'pinned': false,
+        'active': false
       },
       'open': true,
       'openState': {
@@ -768,7 +825,11 @@ export const d3AttachedExpectedTabWindow =
         'favIconUrl': 'https://assets-cdn.github.com/favicon.ico',
         'title': 'Tutorials · mbostock/d3 Wiki',
         'audible': false,
-        'pinned': false
+        'pinned': false,
+        'groupId': -1,
+        'chromeSessionId': null,
+        'lastAccessed': 0,
+        'discarded': false
       }
     },
     {
@@ -777,7 +838,9 @@ export const d3AttachedExpectedTabWindow =
         'bookmarkId': '537',
         'bookmarkIndex': 4,
         'title': 'Drag + Zoom',
-        'url': 'http://bl.ocks.org/mbostock/6123708'
+        'url': 'http://bl.ocks.org/mbostock/6123708',
+        'pinned': false,
+        'active': false
       },
       'open': true,
       'openState': {
@@ -788,7 +851,11 @@ export const d3AttachedExpectedTabWindow =
         'favIconUrl': 'http://bl.ocks.org/favicon.png',
         'title': 'Drag + Zoom - bl.ocks.org',
         'audible': false,
-        'pinned': false
+        'pinned': false,
+        'groupId': -1,
+        'chromeSessionId': null,
+        'lastAccessed': 0,
+        'discarded': false
       }
     },
     {
@@ -797,7 +864,9 @@ export const d3AttachedExpectedTabWindow =
         'bookmarkId': '613',
         'bookmarkIndex': 5,
         'title': 'Focus+Context via Brushing',
-        'url': 'http://bl.ocks.org/mbostock/1667367'
+        'url': 'http://bl.ocks.org/mbostock/1667367',
+        'pinned': false,
+        'active': false
       },
       'open': true,
       'openState': {
@@ -808,7 +877,11 @@ export const d3AttachedExpectedTabWindow =
         'favIconUrl': 'http://bl.ocks.org/favicon.png',
         'title': 'Focus+Context via Brushing - bl.ocks.org',
         'audible': false,
-        'pinned': false
+        'pinned': false,
+        'groupId': -1,
+        'chromeSessionId': null,
+        'lastAccessed': 0,
+        'discarded': false
       }
     },
     {
@@ -817,13 +890,54 @@ export const d3AttachedExpectedTabWindow =
         'bookmarkId': '534',
         'bookmarkIndex': 1,
         'title': 'D3.js - Data-Driven Documents',
-        'url': 'http://d3js.org/'
+        'url': 'http://d3js.org/',
+        'pinned': false,
+        'active': false
       },
       'open': false,
       'openState': null
     }
   ],
+  "tabGroups": {},
   "snapshot": false,
   "chromeSessionId": null,
+  "closedTime": 0,
+  "closedLogId": "",
   "expanded": null
 }
+
+/**
+ * the d3 saved window attached to an open Chrome window
+ */
+export function mkAttachedD3Window () {
+  return TabWindow.updateWindow(TabWindow.makeFolderTabWindow(d3BookmarkFolder), d3OpenedChromeWindow)
+}
+
+/**
+ * state with the d3 saved window attached to an open Chrome window
+ */
+export function mkAttachedD3State () {
+  return new TabManagerState().registerTabWindow(mkAttachedD3Window())
+}
+
+/**
+ * a Chrome tab, with id windowId * 100 + index, for tests of open windows
+ */
+export const mkChromeTab = (windowId, index, url, props = {}) =>
+  Object.assign({ id: windowId * 100 + index, windowId, index, title: 'Tab ' + index, url, active: false }, props)
+
+/**
+ * state with only the given Chrome windows open
+ */
+export const mkChromeWindowsState = (chromeWindows) =>
+  new TabManagerState().registerTabWindows(chromeWindows.map(w => TabWindow.makeChromeTabWindow(w)))
+
+/**
+ * make rules from JS preferences with one of the getXxxRules functions
+ */
+export const rulesFromPrefs = (getRules) => (prefsJS) => getRules(new prefs.Preferences(prefsJS))
+
+/**
+ * sorted open tab ids of [tabWindow, tabItem] pairs
+ */
+export const openTabIds = (pairs) => pairs.map(([tw, ti]) => ti.safeOpenState.openTabId).sort()
@@ -0,0 +1,58 @@
+import test from 'tape'
+import * as undo from '../src/js/undo'
+import * as savedWindowProvider from '../src/js/savedWindowProvider'
+import TabManagerState from '../src/js/tabManagerState'
+import * as testData from './testData'
+
+test('reopen undo operations', (t) => {
+  const tabWindow = testData.mkAttachedD3Window()
+  const openItems = tabWindow.tabItems.filter(ti => ti.open).toArray()
+  const closedItems = [openItems[2], openItems[0]]
+
+  const reopenOp = undo.reopenTabsOp(tabWindow, closedItems)
+  t.equal(reopenOp.windowId, tabWindow.openWindowId, 'window id')
+  t.equal(reopenOp.savedFolderId, tabWindow.savedFolderId, 'saved folder id')
+  t.deepEqual(reopenOp.tabs.map(tab => tab.url), [openItems[0].url, openItems[2].url], 'tabs in window order')
+  t.deepEqual(reopenOp.tabs.map(tab => tab.index),
+    [openItems[0].safeOpenState.openTabIndex, openItems[2].safeOpenState.openTabIndex], 'tab positions')
+
+  const windowOp = undo.reopenWindowOp(tabWindow)
+  t.equal(windowOp.tabs.length, testData.d3OpenedChromeWindow.tabs.length, 'only open tabs reopened')
+  t.end()
+})
+
+test('createBookmarks undo operation', (t) => {
+  const tabWindow = testData.mkAttachedD3Window()
+  const savedItems = tabWindow.tabItems.filter(ti => ti.saved).toArray()
+  const op = undo.createBookmarksOp(tabWindow, [savedItems[3], savedItems[1]])
+  t.equal(op.folderId, tabWindow.savedFolderId, 'folder id')
+  t.deepEqual(op.bookmarks.map(bm => bm.url), [savedItems[1].url, savedItems[3].url], 'bookmarks in folder order')
+  t.deepEqual(op.bookmarks.map(bm => bm.index),
+    [savedItems[1].safeSavedState.bookmarkIndex, savedItems[3].safeSavedState.bookmarkIndex], 'bookmark positions')
+  t.end()
+})
+
+test('undoStack', (t) => {
+  let st = new TabManagerState()
+  for (let i = 0; i < undo.MAX_UNDO_ENTRIES + 5; i++) {
+    st = st.pushUndo(undo.mkUndoEntry('action ' + i, [], i))
+  }
+  t.equal(st.undoStack.count(), undo.MAX_UNDO_ENTRIES, 'oldest entries discarded')
+  t.equal(st.undoStack.last().description, 'action ' + (undo.MAX_UNDO_ENTRIES + 4), 'most recent entry last')
+  t.equal(st.popUndo().undoStack.last().description, 'action ' + (undo.MAX_UNDO_ENTRIES + 3), 'entry popped')
+  t.end()
+})
+
+test('recreate bookmark at position', async (t) => {
+  const provider = savedWindowProvider.memoryProvider()
+  const { folderId } = await provider.init()
+  const folder = await provider.createFolder(folderId, 'Work')
+  await provider.createBookmark(folder.id, 'A', 'http://example.com/a')
+  await provider.createBookmark(folder.id, 'C', 'http://example.com/c')
+  const b = await provider.createBookmark(folder.id, 'B', 'http://example.com/b', 1)
+  t.equal(b.index, 1, 'created at index')
+  const updFolder = await provider.getFolder(folder.id)
+  t.deepEqual(updFolder.children.map(bm => [bm.title, bm.index]), [['A', 0], ['B', 1], ['C', 2]],
+    'folder reindexed')
+  t.end()
+})
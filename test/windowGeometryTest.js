@@ -0,0 +1,49 @@
+import test from 'tape'
+import * as TabWindow from '../src/js/tabWindow'
+import * as windowGeometry from '../src/js/windowGeometry'
+import * as testData from './testData'
+
+// two side by side displays, the second with a menu bar:
+const workAreas = [
+  { left: 0, top: 0, width: 1920, height: 1040 },
+  { left: 1920, top: 25, width: 1440, height: 875 }
+]
+
+test('clampBounds', (t) => {
+  const bounds = { left: 100, top: 50, width: 1024, height: 768 }
+  t.deepEqual(windowGeometry.clampBounds(bounds, workAreas), bounds, 'bounds on screen unchanged')
+  t.deepEqual(windowGeometry.clampBounds(bounds, []), bounds, 'unchanged when no displays known')
+  t.deepEqual(windowGeometry.clampBounds({ left: 2800, top: 0, width: 1024, height: 768 }, workAreas),
+    { left: 2336, top: 25, width: 1024, height: 768 }, 'moved within display mostly overlapped')
+  t.deepEqual(windowGeometry.clampBounds({ left: 2000, top: 100, width: 1600, height: 1000 }, workAreas),
+    { left: 1920, top: 25, width: 1440, height: 875 }, 'shrunk to fit display')
+  t.deepEqual(windowGeometry.clampBounds({ left: 5000, top: 3000, width: 800, height: 600 }, workAreas),
+    { left: 1120, top: 440, width: 800, height: 600 }, 'moved to primary display if off screen')
+  t.end()
+})
+
+test('saved window geometry', (t) => {
+  const tabWindow = TabWindow.makeFolderTabWindow(testData.d3BookmarkFolder)
+  const openWindow = TabWindow.updateWindow(tabWindow, testData.d3OpenedChromeWindow)
+  const maxWindow = TabWindow.updateWindowGeometry(openWindow, { id: 19, left: 0, top: 0, state: 'maximized' })
+  t.equal(maxWindow.width, 1024, 'unspecified geometry unchanged')
+
+  const closedWindow = TabWindow.removeOpenWindowState(maxWindow)
+  t.deepEqual(closedWindow.savedGeometry.toJS(), { left: 0, top: 0, width: 1024, height: 768, state: 'maximized' },
+    'geometry recorded on close')
+  t.equal(closedWindow.width, 0, 'open window geometry removed')
+  t.equal(windowGeometry.restoredState(closedWindow.savedGeometry), 'maximized', 'maximized state restored')
+  t.equal(windowGeometry.restoredState(closedWindow.savedGeometry.set('state', 'minimized')), null,
+    'minimized state not restored')
+
+  const revertedWindow = TabWindow.removeOpenWindowState(openWindow, false)
+  t.equal(revertedWindow.savedGeometry.left, 523, 'geometry recorded on revert')
+  const unsavedWindow = TabWindow.removeOpenWindowState(TabWindow.makeChromeTabWindow(testData.d3OpenedChromeWindow))
+  t.equal(unsavedWindow.savedGeometry, null, 'geometry of unsaved window not recorded')
+
+  // geometry survives a round trip through JSON (as used for snapshot persistence):
+  const snapState = JSON.parse(JSON.stringify(closedWindow.toJS()))
+  const restoredWindow = TabWindow.restoreSavedGeometry(tabWindow, snapState)
+  t.ok(restoredWindow.savedGeometry.equals(closedWindow.savedGeometry), 'geometry restored from snapshot state')
+  t.end()
+})
@@ -0,0 +1,70 @@
+import test from 'tape'
+import * as Immutable from 'immutable'
+import * as TabWindow from '../src/js/tabWindow'
+import * as windowMetadata from '../src/js/windowMetadata'
+import * as savedWindowProvider from '../src/js/savedWindowProvider'
+import * as searchOps from '../src/js/searchOps'
+import * as searchQuery from '../src/js/searchQuery'
+import * as testData from './testData'
+
+const testMetadata = new windowMetadata.WindowMetadata({
+  tags: windowMetadata.parseTags('docs, d3, visualization, docs'),
+  description: 'D3 reference material',
+  notes: 'see also: Observable notebooks',
+  color: 'blue'
+})
+
+test('metadata storage', async (t) => {
+  t.deepEqual(testMetadata.tags.toArray(), ['docs', 'd3', 'visualization'], 'tags parsed, without duplicates')
+  t.ok(Immutable.is(windowMetadata.metadataFromJS(windowMetadata.metadataToJS(testMetadata)), testMetadata),
+    'JS encoding round trip')
+  t.ok(windowMetadata.metadataFromJS(undefined).isEmpty, 'no metadata by default')
+  const malformed = windowMetadata.metadataFromJS({ tags: 'docs', description: 42, color: 'red' })
+  t.ok(malformed.tags.count() === 0 && malformed.description === '' && malformed.color === 'red',
+    'malformed fields ignored')
+
+  const provider = savedWindowProvider.memoryProvider()
+  const { folderId, archiveFolderId } = await provider.init()
+  const folder = await provider.createFolder(folderId, 'D3')
+  await provider.createBookmark(folder.id, 'D3', 'https://d3js.org/')
+  await provider.writeMetadata(folder.id, windowMetadata.metadataToJS(testMetadata))
+  t.equal((await provider.getFolder(folder.id)).children.length, 1, 'metadata not stored in folder')
+  const stored = await provider.readMetadata([folder.id, 'nonexistent'])
+  t.deepEqual(Object.keys(stored), [folder.id], 'only folders with metadata read')
+  t.ok(Immutable.is(windowMetadata.metadataFromJS(stored[folder.id]), testMetadata), 'metadata read back')
+
+  await provider.archiveFolder(folder.id, archiveFolderId)
+  t.ok((await provider.readMetadata([folder.id]))[folder.id] != null, 'metadata kept with archived folder')
+  await provider.removeFolder(folder.id)
+  t.deepEqual(await provider.readMetadata([folder.id]), {}, 'metadata removed with folder')
+  t.end()
+})
+
+test('metadata search', (t) => {
+  const tabWindow = TabWindow.makeFolderTabWindow(testData.d3BookmarkFolder).set('metadata', testMetadata)
+  const matchCount = (queryStr) => {
+    const [filteredWindow] = searchOps.filterTabWindows([tabWindow], searchQuery.parseQuery(queryStr))
+    return filteredWindow ? filteredWindow.itemMatches.count() : -1
+  }
+  t.equal(matchCount('tag:visual'), 6, 'tag: matches all tabs of window')
+  t.equal(matchCount('tag:react'), -1, 'tag: no match')
+  t.equal(matchCount('note:observable'), 6, 'note: matches notes')
+  t.equal(matchCount('color:blue'), 6, 'color: matches color label')
+  t.equal(matchCount('tag:d3 gallery'), 1, 'metadata terms combine with other terms')
+
+  const [filteredWindow] = searchOps.filterTabWindows([tabWindow], searchQuery.parseQuery('reference material'))
+  t.ok(filteredWindow && filteredWindow.metadataMatch, 'free text matches description')
+  const windowMatch = (queryStr) => {
+    const [fw] = searchOps.filterTabWindows([tabWindow], searchQuery.parseQuery(queryStr))
+    return !!fw && fw.metadataMatch
+  }
+  t.ok(windowMatch('d3 tag:docs'), 'title term combines with tag term')
+  t.ok(windowMatch('tag:docs color:blue'), 'metadata terms combine')
+  t.ok(windowMatch('observable d3'), 'free text terms match title or metadata')
+  t.notOk(windowMatch('tag:docs -color:blue'), 'negated metadata term')
+  t.notOk(windowMatch('tag:docs is:pinned'), 'tab terms don\'t match window')
+  t.notOk(windowMatch('docs tag:react'), 'all terms must match')
+  const [plainWindow] = searchOps.filterTabWindows([tabWindow], 'notebooks')
+  t.ok(plainWindow && plainWindow.metadataMatch, 'plain search matches notes')
+  t.end()
+})
@@ -14,6 +14,10 @@ function config(nodeEnv) {
     },
     entry: {
       prefsPage: ["./src/js/prefsPage.js"],
+      importPage: ["./src/js/importPage.js"],
+      archivePage: ["./src/js/archivePage.js"],
+      recoveryPage: ["./src/js/recoveryPage.js"],
+      lazyTabPage: ["./src/js/lazyTabPage.js"],
       renderTest: ["./src/js/renderTest.js"],
       tabliPopup: [ "./src/js/tabliPopup.js"],
       tabliPopout: [ "./src/js/tabliPopout.js"],